@@ -11,10 +11,28 @@ const authRoutes = require('./routes/auth');
 const urlRoutes = require('./routes/urls');
 const statsRoutes = require('./routes/stats');
 const redirectRoutes = require('./routes/redirect');
+const adminRoutes = require('./routes/admin');
+const workspaceRoutes = require('./routes/workspaces');
+const apiKeyRoutes = require('./routes/apiKeys');
+const webhookRoutes = require('./routes/webhooks');
+const domainRoutes = require('./routes/domains');
+const utmPresetRoutes = require('./routes/utmPresets');
+const { startWebhookWorker } = require('./utils/webhooks');
+const { startLinkScheduler } = require('./utils/linkScheduler');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Only believe X-Forwarded-For from these proxies (IPs, CIDRs or loopback /
+// linklocal / uniquelocal), so req.ip is the real client behind them
+const trustedProxies = (process.env.TRUSTED_PROXIES || '')
+  .split(',')
+  .map(proxy => proxy.trim())
+  .filter(Boolean);
+if (trustedProxies.length > 0) {
+  app.set('trust proxy', trustedProxies);
+}
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -53,6 +71,8 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshorte
 })
 .then(() => {
   logger.info('Connected to MongoDB');
+  startWebhookWorker();
+  startLinkScheduler();
 })
 .catch((error) => {
   logger.error('MongoDB connection error:', error);
@@ -63,6 +83,12 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshorte
 app.use('/api/auth', authRoutes);
 app.use('/api/urls', urlRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/domains', domainRoutes);
+app.use('/api/utm-presets', utmPresetRoutes);
 app.use('/', redirectRoutes);
 
 // Serve static files from React build
@@ -0,0 +1,8 @@
+// Server tests run in Node against mocked models; see tests/helpers.js
+module.exports = {
+  rootDir: __dirname,
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/tests/**/*.test.js'],
+  setupFiles: ['<rootDir>/tests/setup.js'],
+  restoreMocks: true
+};
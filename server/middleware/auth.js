@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
 const logger = require('../utils/logger');
 
 const auth = async (req, res, next) => {
@@ -9,7 +10,9 @@ const auth = async (req, res, next) => {
     if (!token) {
       return res.status(401).json({
         success: false,
-        message: 'Access denied. No token provided.'
+        message: req.header('X-API-Key')
+          ? 'API keys are not accepted for this endpoint.'
+          : 'Access denied. No token provided.'
       });
     }
 
@@ -70,4 +73,84 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, optionalAuth };
+// Must run after auth
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    logger.warn('Admin access denied', { userId: req.user?._id, path: req.originalUrl });
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admin privileges required.'
+    });
+  }
+  next();
+};
+
+// API key scopes that grant each permission
+const SCOPE_GRANTS = {
+  read: ['read', 'full'],
+  create: ['create', 'full'],
+  full: ['full']
+};
+
+// Only record last use once a minute so busy clients don't write on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// Find the active key and its owner for an X-API-Key header value
+const findApiKeyUser = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key), revokedAt: null });
+  if (!apiKey) return null;
+
+  const user = await User.findById(apiKey.userId).select('-password');
+  if (!user) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    apiKey.lastUsedAt = new Date();
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: apiKey.lastUsedAt } });
+  }
+
+  return { user, apiKey };
+};
+
+// Accept a Bearer token or an X-API-Key whose scope grants the permission.
+// With { optional: true } requests without credentials continue like optionalAuth.
+const authOrApiKey = (permission, { optional = false } = {}) => async (req, res, next) => {
+  const key = req.header('X-API-Key');
+  if (!key) {
+    return optional ? optionalAuth(req, res, next) : auth(req, res, next);
+  }
+
+  try {
+    const result = await findApiKeyUser(key);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key.'
+      });
+    }
+
+    if (!SCOPE_GRANTS[permission].includes(result.apiKey.scope)) {
+      logger.warn('API key scope denied', {
+        apiKeyId: result.apiKey._id,
+        scope: result.apiKey.scope,
+        required: permission,
+        path: req.originalUrl
+      });
+      return res.status(403).json({
+        success: false,
+        message: `This API key does not have the ${permission} scope.`
+      });
+    }
+
+    req.user = result.user;
+    req.apiKey = result.apiKey;
+    next();
+  } catch (error) {
+    logger.error('API key auth error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication.'
+    });
+  }
+};
+
+module.exports = { auth, optionalAuth, authOrApiKey, requireAdmin };
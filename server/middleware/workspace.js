@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const Url = require('../models/Url');
+const logger = require('../utils/logger');
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Find the user's personal workspace, creating it on first use. Links the
+// user created before workspaces existed are moved into it at that point.
+const getPersonalWorkspace = async (user) => {
+  let workspace = await Workspace.findOne({ createdBy: user._id, isPersonal: true });
+  if (workspace) return workspace;
+
+  try {
+    workspace = await Workspace.create({
+      name: 'Personal',
+      isPersonal: true,
+      createdBy: user._id,
+      members: [{ user: user._id, role: 'owner' }]
+    });
+  } catch (error) {
+    // A concurrent request created it first
+    if (error.code !== 11000) throw error;
+    return Workspace.findOne({ createdBy: user._id, isPersonal: true });
+  }
+
+  await Url.updateMany(
+    { userId: user._id, workspaceId: null },
+    { $set: { workspaceId: workspace._id } }
+  );
+
+  return workspace;
+};
+
+// Resolve the workspace selected with the X-Workspace-Id header, defaulting
+// to the user's personal workspace. Must run after auth or optionalAuth.
+const resolveWorkspace = async (req, res, next) => {
+  try {
+    req.workspace = null;
+    req.workspaceRole = null;
+
+    if (!req.user) return next();
+
+    const workspaceId = req.header('X-Workspace-Id');
+    let workspace;
+
+    if (workspaceId) {
+      if (!mongoose.isValidObjectId(workspaceId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid workspace id'
+        });
+      }
+
+      workspace = await Workspace.findOne({ _id: workspaceId, 'members.user': req.user._id });
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workspace not found'
+        });
+      }
+    } else {
+      workspace = await getPersonalWorkspace(req.user);
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = workspace.getMemberRole(req.user._id);
+    next();
+  } catch (error) {
+    logger.error('Workspace middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resolving workspace'
+    });
+  }
+};
+
+const hasWorkspaceRole = (role, minRole) => (ROLE_RANK[role] || 0) >= ROLE_RANK[minRole];
+
+// Must run after resolveWorkspace
+const requireWorkspaceRole = (minRole) => (req, res, next) => {
+  if (!hasWorkspaceRole(req.workspaceRole, minRole)) {
+    logger.warn('Workspace access denied', {
+      userId: req.user?._id,
+      workspaceId: req.workspace?._id,
+      role: req.workspaceRole,
+      required: minRole
+    });
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. This action requires the ${minRole} role in this workspace.`
+    });
+  }
+  next();
+};
+
+module.exports = {
+  getPersonalWorkspace,
+  resolveWorkspace,
+  requireWorkspaceRole,
+  hasWorkspaceRole
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// read: view links and statistics
+// create: create links only
+// full: read, create, update and delete links
+const API_KEY_SCOPES = ['read', 'create', 'full'];
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [60, 'API key name cannot exceed 60 characters']
+  },
+  scope: {
+    type: String,
+    enum: API_KEY_SCOPES,
+    default: 'read'
+  },
+  prefix: {
+    type: String,
+    required: true // First characters of the key, shown so users can tell keys apart
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true // SHA-256 of the key; the key itself is only shown once
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  return apiKey;
+};
+
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Create a new random key. Returns the plaintext key with its display prefix and hash
+apiKeySchema.statics.generateKey = function() {
+  const key = `usk_${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    key,
+    prefix: key.slice(0, 12),
+    keyHash: this.hashKey(key)
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { DEVICE_TYPES } = require('../utils/userAgent');
+
+// Why a click was classified as a bot: a known crawler User-Agent, a HEAD
+// request, a browser prefetch/preview, or too many hits from one visitor
+const BOT_REASONS = ['userAgent', 'headRequest', 'prefetch', 'repeatedHits'];
+
+const clickSchema = new mongoose.Schema({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: [true, 'URL reference is required']
+  },
+  userAgent: String,
+  // Daily-rotating hash of IP and User-Agent (see utils/visitors)
+  visitorId: String,
+  referer: String,
+  country: {
+    type: String,
+    default: 'Unknown'
+  },
+  region: {
+    type: String,
+    default: 'Unknown'
+  },
+  city: {
+    type: String,
+    default: 'Unknown'
+  },
+  asn: Number, // Autonomous system number of the client's network
+  asOrganization: String,
+  // Parsed from userAgent when the click is recorded
+  deviceType: {
+    type: String,
+    enum: DEVICE_TYPES
+  },
+  browser: String,
+  browserVersion: String,
+  os: String,
+  isBot: {
+    type: Boolean,
+    default: false
+  },
+  botReason: {
+    type: String,
+    enum: [...BOT_REASONS, null],
+    default: null
+  },
+  // Targeting rule that chose the destination; null for the link's originalUrl
+  targetingRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Split test variant the visitor was sent to, if the link has variants
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for per-URL and time-windowed aggregations
+clickSchema.index({ urlId: 1, timestamp: -1 });
+clickSchema.index({ timestamp: -1 });
+// First-visit-of-the-day checks when counting unique visitors, and
+// repeated-hit bot detection of recent clicks from one visitor
+clickSchema.index({ urlId: 1, visitorId: 1, timestamp: -1 });
+
+const Click = mongoose.model('Click', clickSchema);
+Click.BOT_REASONS = BOT_REASONS;
+
+module.exports = Click;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A goal reached after following a short link, reported by the conversion
+// pixel on the destination page (GET /:shortCode/convert). Attributed to the
+// variant and targeting rule the visitor was sent to.
+const conversionSchema = new mongoose.Schema({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: [true, 'URL reference is required']
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  targetingRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Same daily-rotating hash as on clicks, to count a visitor once a day
+  visitorId: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conversionSchema.index({ urlId: 1, timestamp: -1 });
+conversionSchema.index({ urlId: 1, visitorId: 1 });
+
+module.exports = mongoose.model('Conversion', conversionSchema);
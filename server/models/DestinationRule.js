@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const destinationRuleSchema = new mongoose.Schema({
+  list: {
+    type: String,
+    enum: {
+      values: ['block', 'allow'],
+      message: 'List must be either block or allow'
+    },
+    required: [true, 'List is required']
+  },
+  matchType: {
+    type: String,
+    enum: {
+      values: ['domain', 'regex'],
+      message: 'Match type must be either domain or regex'
+    },
+    required: [true, 'Match type is required']
+  },
+  pattern: {
+    type: String,
+    required: [true, 'Pattern is required'],
+    trim: true,
+    maxlength: [500, 'Pattern cannot exceed 500 characters']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+destinationRuleSchema.index({ list: 1, isActive: 1 });
+destinationRuleSchema.index({ list: 1, matchType: 1, pattern: 1 }, { unique: true });
+
+// Domain patterns are stored lowercase without a leading wildcard or dot
+destinationRuleSchema.pre('validate', function(next) {
+  if (this.matchType === 'domain' && this.pattern) {
+    this.pattern = this.pattern.toLowerCase().replace(/^\*?\./, '');
+  }
+  next();
+});
+
+module.exports = mongoose.model('DestinationRule', destinationRuleSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const VERIFICATION_RECORD_PREFIX = '_shortener-verification';
+
+// A branded hostname links can be created on. It only serves links once the
+// workspace has proven ownership with a DNS TXT record.
+const domainSchema = new mongoose.Schema({
+  hostname: {
+    type: String,
+    required: [true, 'Hostname is required'],
+    lowercase: true,
+    trim: true,
+    maxlength: [253, 'Hostname cannot exceed 253 characters']
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Workspace reference is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verificationToken: {
+    type: String,
+    required: true
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+  lastCheckError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+domainSchema.index({ workspaceId: 1, hostname: 1 }, { unique: true });
+// Several workspaces may claim a hostname, but only one can verify it
+domainSchema.index({ hostname: 1 }, { unique: true, partialFilterExpression: { verifiedAt: { $type: 'date' } } });
+
+domainSchema.statics.generateToken = function() {
+  return crypto.randomBytes(16).toString('hex');
+};
+
+domainSchema.virtual('isVerified').get(function() {
+  return !!this.verifiedAt;
+});
+
+// The TXT record the owner must publish to verify the domain
+domainSchema.virtual('verificationRecord').get(function() {
+  return {
+    type: 'TXT',
+    name: `${VERIFICATION_RECORD_PREFIX}.${this.hostname}`,
+    value: `shortener-verification=${this.verificationToken}`
+  };
+});
+
+domainSchema.methods.toJSON = function() {
+  const domain = this.toObject({ virtuals: true });
+  delete domain.verificationToken;
+  delete domain.id;
+  return domain;
+};
+
+module.exports = mongoose.model('Domain', domainSchema);
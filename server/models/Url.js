@@ -1,4 +1,96 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Click = require('./Click');
+const { DEVICE_TYPES } = require('../utils/userAgent');
+
+const utmSchema = new mongoose.Schema({
+  source: String,
+  medium: String,
+  campaign: String,
+  term: String,
+  content: String
+}, { _id: false });
+
+// Weekly time window in which a targeting rule applies
+const scheduleSchema = new mongoose.Schema({
+  days: [Number], // 0 (Sunday) to 6; empty means every day
+  startTime: String, // HH:MM; an end before the start spans midnight
+  endTime: String,
+  timezone: {
+    type: String,
+    default: 'UTC'
+  }
+}, { _id: false });
+
+// Sends matching visitors to another destination. Every condition that is
+// set must match; rules are tried in order before falling back to originalUrl.
+// Clicks record the _id of the rule that matched (see utils/targeting).
+const targetingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  destination: {
+    type: String,
+    required: [true, 'Rule destination is required'],
+    trim: true,
+    maxlength: [2048, 'URL cannot exceed 2048 characters']
+  },
+  countries: [String], // ISO 3166-1 alpha-2 codes, as stored on clicks
+  languages: [String], // Lowercase language tags; "pt" also matches "pt-br"
+  deviceTypes: [{
+    type: String,
+    enum: DEVICE_TYPES
+  }],
+  operatingSystems: [String], // OS names as parsed from the User-Agent, e.g. iOS
+  schedule: {
+    type: scheduleSchema,
+    default: null
+  }
+});
+
+// One destination of an A/B split test. Visitors no targeting rule matched
+// are split between the variants in proportion to their weights; clicks and
+// conversions record the variant's _id (see utils/splitTest).
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Variant name cannot exceed 100 characters']
+  },
+  destination: {
+    type: String,
+    required: [true, 'Variant destination is required'],
+    trim: true,
+    maxlength: [2048, 'URL cannot exceed 2048 characters']
+  },
+  weight: {
+    type: Number,
+    min: [0, 'Variant weight cannot be negative'],
+    default: 1 // 0 pauses the variant
+  }
+});
+
+// A destination change queued for a future time, applied by the link
+// scheduler (see utils/linkScheduler) and then removed
+const scheduledDestinationSchema = new mongoose.Schema({
+  destination: {
+    type: String,
+    required: [true, 'Scheduled destination is required'],
+    trim: true,
+    maxlength: [2048, 'URL cannot exceed 2048 characters']
+  },
+  changeAt: {
+    type: Date,
+    required: [true, 'Change time is required']
+  },
+  scheduledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+});
 
 const urlSchema = new mongoose.Schema({
   originalUrl: {
@@ -10,12 +102,17 @@ const urlSchema = new mongoose.Schema({
   shortCode: {
     type: String,
     required: [true, 'Short code is required'],
-    unique: true,
     trim: true,
     minlength: [3, 'Short code must be at least 3 characters long'],
     maxlength: [20, 'Short code cannot exceed 20 characters'],
     match: [/^[a-zA-Z0-9_-]+$/, 'Short code can only contain letters, numbers, hyphens, and underscores']
   },
+  domain: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null // Verified custom hostname; null uses DEFAULT_DOMAIN
+  },
   customCode: {
     type: Boolean,
     default: false
@@ -25,14 +122,31 @@ const urlSchema = new mongoose.Schema({
     ref: 'User',
     required: false // Allow anonymous URLs
   },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null // Anonymous URLs have no workspace; userId records the creator
+  },
   clicks: {
+    type: Number,
+    default: 0 // Human clicks only; bots are counted in botClicks
+  },
+  botClicks: {
     type: Number,
     default: 0
   },
+  uniqueVisitors: {
+    type: Number,
+    default: 0 // Sum of each day's distinct human visitors
+  },
   maxClicks: {
     type: Number,
     default: null // null means unlimited
   },
+  activatesAt: {
+    type: Date,
+    default: null // null means active as soon as it's created
+  },
   expiresAt: {
     type: Date,
     default: null // null means never expires
@@ -41,6 +155,14 @@ const urlSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  password: {
+    type: String,
+    default: null // bcrypt hash; null means no password
+  },
+  showInterstitial: {
+    type: Boolean,
+    default: false // Show a "you are leaving" page before redirecting
+  },
   title: {
     type: String,
     trim: true,
@@ -51,22 +173,41 @@ const urlSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Description cannot exceed 500 characters']
   },
+  image: {
+    type: String,
+    trim: true,
+    maxlength: [2048, 'Image URL cannot exceed 2048 characters']
+  },
+  favicon: {
+    type: String,
+    trim: true,
+    maxlength: [2048, 'Favicon URL cannot exceed 2048 characters']
+  },
   tags: [{
     type: String,
     trim: true,
     maxlength: [50, 'Tag cannot exceed 50 characters']
   }],
-  clickHistory: [{
-    ip: String,
-    userAgent: String,
-    referer: String,
-    country: String,
-    city: String,
-    timestamp: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  targetingRules: {
+    type: [targetingRuleSchema],
+    default: []
+  },
+  variants: {
+    type: [variantSchema],
+    default: [] // Empty means no split test; originalUrl is used
+  },
+  scheduledDestinations: {
+    type: [scheduledDestinationSchema],
+    default: []
+  },
+  utm: {
+    type: utmSchema,
+    default: null // Normalized utm_* parameters of originalUrl, for campaign stats
+  },
+  notifiedEvents: {
+    type: [String],
+    default: [] // Once-only webhook events already sent, e.g. link.expired
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -80,11 +221,15 @@ const urlSchema = new mongoose.Schema({
 });
 
 // Indexes for better performance
-urlSchema.index({ shortCode: 1 });
+// Short codes are unique per domain, so the same code can exist on several domains
+urlSchema.index({ shortCode: 1, domain: 1 }, { unique: true });
 urlSchema.index({ userId: 1 });
+urlSchema.index({ workspaceId: 1, createdAt: -1 });
+urlSchema.index({ workspaceId: 1, 'utm.campaign': 1 });
 urlSchema.index({ createdAt: -1 });
 urlSchema.index({ expiresAt: 1 });
 urlSchema.index({ isActive: 1 });
+urlSchema.index({ 'scheduledDestinations.changeAt': 1 });
 
 // Update updatedAt field
 urlSchema.pre('save', function(next) {
@@ -92,18 +237,75 @@ urlSchema.pre('save', function(next) {
   next();
 });
 
+// Hash link password before saving
+urlSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Hash link password set through findByIdAndUpdate / findOneAndUpdate
+urlSchema.pre('findOneAndUpdate', async function(next) {
+  const update = this.getUpdate();
+  const password = update.$set?.password ?? update.password;
+  if (!password) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    const hash = await bcrypt.hash(password, salt);
+    if (update.$set?.password) {
+      update.$set.password = hash;
+    } else {
+      update.password = hash;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Virtual for full short URL
 urlSchema.virtual('shortUrl').get(function() {
-  const domain = process.env.DEFAULT_DOMAIN || 'short.ly';
+  const domain = this.domain || process.env.DEFAULT_DOMAIN || 'short.ly';
   return `https://${domain}/${this.shortCode}`;
 });
 
+// Virtual for whether the link is password protected
+urlSchema.virtual('isPasswordProtected').get(function() {
+  return !!this.password;
+});
+
+// Compare link password method
+urlSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return true;
+  return bcrypt.compare(candidatePassword || '', this.password);
+};
+
+// Include virtuals and remove password hash from JSON output
+urlSchema.methods.toJSON = function() {
+  const urlObject = this.toObject({ virtuals: true });
+  delete urlObject.password;
+  return urlObject;
+};
+
 // Method to check if URL is expired
 urlSchema.methods.isExpired = function() {
   if (!this.expiresAt) return false;
   return new Date() > this.expiresAt;
 };
 
+// Method to check if URL is scheduled to start working later
+urlSchema.methods.isNotYetActive = function() {
+  if (!this.activatesAt) return false;
+  return new Date() < this.activatesAt;
+};
+
 // Method to check if URL has reached max clicks
 urlSchema.methods.hasReachedMaxClicks = function() {
   if (!this.maxClicks) return false;
@@ -112,27 +314,50 @@ urlSchema.methods.hasReachedMaxClicks = function() {
 
 // Method to check if URL is accessible
 urlSchema.methods.isAccessible = function() {
-  return this.isActive && !this.isExpired() && !this.hasReachedMaxClicks();
+  return this.isActive && !this.isNotYetActive() && !this.isExpired() && !this.hasReachedMaxClicks();
 };
 
 // Method to add click
-urlSchema.methods.addClick = function(clickData) {
-  this.clicks += 1;
-  this.clickHistory.push({
-    ip: clickData.ip,
+urlSchema.methods.addClick = async function(clickData) {
+  // Visitor ids change daily, so a match can only be an earlier click today
+  const isNewVisitor = !clickData.isBot && !!clickData.visitorId && !(await Click.exists({
+    urlId: this._id,
+    visitorId: clickData.visitorId,
+    isBot: { $ne: true }
+  }));
+
+  await Click.create({
+    urlId: this._id,
     userAgent: clickData.userAgent,
+    visitorId: clickData.visitorId,
     referer: clickData.referer,
     country: clickData.country || 'Unknown',
+    region: clickData.region || 'Unknown',
     city: clickData.city || 'Unknown',
+    asn: clickData.asn,
+    asOrganization: clickData.asOrganization,
+    deviceType: clickData.deviceType,
+    browser: clickData.browser,
+    browserVersion: clickData.browserVersion,
+    os: clickData.os,
+    isBot: !!clickData.isBot,
+    botReason: clickData.botReason || null,
+    targetingRuleId: clickData.targetingRuleId || null,
+    variantId: clickData.variantId || null,
     timestamp: new Date()
   });
-  
-  // Keep only last 100 click records to prevent document from growing too large
-  if (this.clickHistory.length > 100) {
-    this.clickHistory = this.clickHistory.slice(-100);
-  }
-  
-  return this.save();
+
+  // Bots don't count towards clicks or the maxClicks cap. Increment
+  // atomically so concurrent redirects don't overwrite each other.
+  const increments = clickData.isBot ? { botClicks: 1 } : { clicks: 1 };
+  if (isNewVisitor) increments.uniqueVisitors = 1;
+
+  await this.constructor.updateOne({ _id: this._id }, { $inc: increments });
+  Object.entries(increments).forEach(([counter, amount]) => {
+    this[counter] += amount;
+  });
+
+  return this;
 };
 
 module.exports = mongoose.model('Url', urlSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const urlRevisionSchema = new mongoose.Schema({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: [true, 'URL reference is required']
+  },
+  oldValue: {
+    type: String,
+    required: [true, 'Previous destination is required'],
+    maxlength: [2048, 'URL cannot exceed 2048 characters']
+  },
+  newValue: {
+    type: String,
+    required: [true, 'New destination is required'],
+    maxlength: [2048, 'URL cannot exceed 2048 characters']
+  },
+  action: {
+    type: String,
+    enum: ['update', 'rollback', 'scheduled'], // scheduled: applied by the link scheduler
+    default: 'update'
+  },
+  rolledBackRevisionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UrlRevision',
+    default: null // Set when action is rollback
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+urlRevisionSchema.index({ urlId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UrlRevision', urlRevisionSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A saved set of UTM parameters a user can apply when creating links
+const utmPresetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Preset name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  source: {
+    type: String,
+    required: [true, 'utm_source is required']
+  },
+  medium: String,
+  campaign: String,
+  term: String,
+  content: String
+}, {
+  timestamps: true
+});
+
+utmPresetSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('UtmPreset', utmPresetSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Salts only need to outlive the UTC day they hash; once deleted, that
+// day's visitor ids can no longer be linked back to an IP and User-Agent
+const SALT_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+// The random salt visitor ids are hashed with for one UTC day, shared by
+// every server instance
+const visitorSaltSchema = new mongoose.Schema({
+  day: {
+    type: String, // YYYY-MM-DD
+    required: true,
+    unique: true
+  },
+  salt: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: SALT_TTL_SECONDS
+  }
+});
+
+module.exports = mongoose.model('VisitorSalt', visitorSaltSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = [
+  'link.created',
+  'link.updated',
+  'link.deleted',
+  'link.expired',
+  'link.max_clicks_reached',
+  'link.clicked'
+];
+
+const webhookSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Workspace reference is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2048, 'URL cannot exceed 2048 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [events => events.length > 0, 'Subscribe to at least one event']
+  },
+  secret: {
+    type: String,
+    required: true // Shared HMAC secret; kept in plaintext because signing needs it
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ workspaceId: 1, isActive: 1 });
+
+webhookSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+webhookSchema.methods.toJSON = function() {
+  const webhook = this.toObject();
+  delete webhook.secret;
+  return webhook;
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+Webhook.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = Webhook;
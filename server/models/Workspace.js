@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES,
+    default: 'viewer'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    maxlength: [60, 'Workspace name cannot exceed 60 characters']
+  },
+  isPersonal: {
+    type: Boolean,
+    default: false // Every user gets one personal workspace holding their own links
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [memberSchema]
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ 'members.user': 1 });
+workspaceSchema.index(
+  { createdBy: 1 },
+  { unique: true, partialFilterExpression: { isPersonal: true } }
+);
+
+// Role of a user in this workspace, or null if they are not a member
+workspaceSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+Workspace.ROLES = WORKSPACE_ROLES;
+
+module.exports = Workspace;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const workspaceInvitationSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Workspace reference is required']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    default: 'viewer'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true // SHA-256 of the emailed token; the token itself is never stored
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + INVITATION_TTL_MS)
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+workspaceInvitationSchema.index({ workspaceId: 1, createdAt: -1 });
+
+// Pending means neither accepted nor expired
+workspaceInvitationSchema.virtual('isPending').get(function() {
+  return !this.acceptedAt && this.expiresAt > new Date();
+});
+
+workspaceInvitationSchema.methods.toJSON = function() {
+  const invitation = this.toObject({ virtuals: true });
+  delete invitation.tokenHash;
+  return invitation;
+};
+
+module.exports = mongoose.model('WorkspaceInvitation', workspaceInvitationSchema);
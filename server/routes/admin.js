@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const DestinationRule = require('../models/DestinationRule');
+const logger = require('../utils/logger');
+const { auth, requireAdmin } = require('../middleware/auth');
+const { checkDestination, isSafeRegexPattern } = require('../utils/destinationPolicy');
+
+const router = express.Router();
+
+router.use(auth, requireAdmin);
+
+// List destination rules
+router.get('/destination-rules', [
+  query('list')
+    .optional()
+    .isIn(['block', 'allow'])
+    .withMessage('List must be either block or allow')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = req.query.list ? { list: req.query.list } : {};
+    const rules = await DestinationRule.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    logger.error('Get destination rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving destination rules'
+    });
+  }
+});
+
+// Create destination rule
+router.post('/destination-rules', [
+  body('list')
+    .isIn(['block', 'allow'])
+    .withMessage('List must be either block or allow'),
+  body('matchType')
+    .isIn(['domain', 'regex'])
+    .withMessage('Match type must be either domain or regex'),
+  body('pattern')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Pattern must be between 1 and 500 characters')
+    .custom((pattern, { req }) => {
+      if (req.body.matchType === 'regex') {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          throw new Error('Pattern must be a valid regular expression');
+        }
+        if (!isSafeRegexPattern(pattern)) {
+          throw new Error('Pattern is too expensive to match; avoid nested repetition such as (a+)+');
+        }
+      } else if (!/^(\*\.)?[a-zA-Z0-9.-]+$/.test(pattern)) {
+        throw new Error('Pattern must be a domain name like example.com');
+      }
+      return true;
+    }),
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { list, matchType, pattern, reason } = req.body;
+
+    const rule = new DestinationRule({
+      list,
+      matchType,
+      pattern,
+      reason,
+      createdBy: req.user._id
+    });
+    await rule.save();
+
+    logger.info('Destination rule created', { ruleId: rule._id, list, matchType, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Destination rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An identical rule already exists'
+      });
+    }
+
+    logger.error('Create destination rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating destination rule'
+    });
+  }
+});
+
+// Update destination rule
+router.put('/destination-rules/:id', [
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updateData = {};
+    const { reason, isActive } = req.body;
+
+    if (reason !== undefined) updateData.reason = reason;
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const rule = await DestinationRule.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Destination rule not found'
+      });
+    }
+
+    logger.info('Destination rule updated', { ruleId: rule._id, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Destination rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    logger.error('Update destination rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating destination rule'
+    });
+  }
+});
+
+// Delete destination rule
+router.delete('/destination-rules/:id', async (req, res) => {
+  try {
+    const rule = await DestinationRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Destination rule not found'
+      });
+    }
+
+    logger.info('Destination rule deleted', { ruleId: rule._id, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Destination rule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete destination rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting destination rule'
+    });
+  }
+});
+
+// Check a URL against the destination policy without creating a link
+router.post('/destination-check', [
+  body('url')
+    .isURL({ protocols: ['http', 'https'] })
+    .withMessage('Please provide a valid URL')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await checkDestination(req.body.url);
+
+    res.json({
+      success: true,
+      data: { result }
+    });
+  } catch (error) {
+    logger.error('Destination check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking destination'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const logger = require('../utils/logger');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_ACTIVE_KEYS = 25;
+
+// Keys can only be managed from a signed-in session, never with another key
+router.use(auth);
+
+// List the user's active API keys
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { apiKeys }
+    });
+  } catch (error) {
+    logger.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving API keys'
+    });
+  }
+});
+
+// Create an API key. The plaintext key is only returned in this response
+router.post('/', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Name must be between 1 and 60 characters'),
+  body('scope')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scope must be one of: ${ApiKey.SCOPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ userId: req.user._id, revokedAt: null });
+    if (activeKeys >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke one first.`
+      });
+    }
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+    const apiKey = await ApiKey.create({
+      userId: req.user._id,
+      name: req.body.name,
+      scope: req.body.scope,
+      prefix,
+      keyHash
+    });
+
+    logger.info('API key created', { apiKeyId: apiKey._id, scope: apiKey.scope, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: { apiKey, key }
+    });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating API key'
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    logger.info('API key revoked', { apiKeyId: apiKey._id, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking API key'
+    });
+  }
+});
+
+module.exports = router;
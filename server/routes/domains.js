@@ -0,0 +1,214 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Domain = require('../models/Domain');
+const Url = require('../models/Url');
+const logger = require('../utils/logger');
+const { auth, authOrApiKey } = require('../middleware/auth');
+const { resolveWorkspace, requireWorkspaceRole } = require('../middleware/workspace');
+const { isHostOrSubdomain } = require('../utils/urlUtils');
+const { checkDomainVerification } = require('../utils/domainVerification');
+
+const router = express.Router();
+
+const MAX_DOMAINS = 20;
+
+// Members pick from the workspace's domains; only owners manage them
+const memberAccess = [authOrApiKey('read'), resolveWorkspace];
+const ownerAccess = [auth, resolveWorkspace, requireWorkspaceRole('owner')];
+
+const findDomain = (req) => Domain.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
+
+const sendNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Domain not found'
+});
+
+// List the workspace's custom domains
+router.get('/', memberAccess, async (req, res) => {
+  try {
+    const domains = await Domain.find({ workspaceId: req.workspace._id }).sort({ hostname: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        domains,
+        defaultDomain: process.env.DEFAULT_DOMAIN || 'short.ly'
+      }
+    });
+  } catch (error) {
+    logger.error('List domains error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving domains'
+    });
+  }
+});
+
+// Add a custom domain. It serves links once verified
+router.post('/', ownerAccess, [
+  body('hostname')
+    .trim()
+    .toLowerCase()
+    .isFQDN()
+    .withMessage('Please provide a valid hostname, e.g. links.example.com')
+    .isLength({ max: 253 })
+    .withMessage('Hostname cannot exceed 253 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const hostname = req.body.hostname.replace(/\.$/, '');
+    const defaultDomain = (process.env.DEFAULT_DOMAIN || 'short.ly').toLowerCase();
+
+    if (isHostOrSubdomain(hostname, defaultDomain)) {
+      return res.status(400).json({
+        success: false,
+        message: `${hostname} is part of the default domain and cannot be added`
+      });
+    }
+
+    const existing = await Domain.findOne({ workspaceId: req.workspace._id, hostname });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'This domain has already been added to the workspace'
+      });
+    }
+
+    const count = await Domain.countDocuments({ workspaceId: req.workspace._id });
+    if (count >= MAX_DOMAINS) {
+      return res.status(400).json({
+        success: false,
+        message: `A workspace can have at most ${MAX_DOMAINS} domains`
+      });
+    }
+
+    const domain = await Domain.create({
+      hostname,
+      workspaceId: req.workspace._id,
+      createdBy: req.user._id,
+      verificationToken: Domain.generateToken()
+    });
+
+    logger.info('Domain added', { domainId: domain._id, hostname, workspaceId: req.workspace._id, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Domain added. Publish the TXT record, then verify it.',
+      data: { domain }
+    });
+  } catch (error) {
+    logger.error('Add domain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding domain'
+    });
+  }
+});
+
+// Check the domain's DNS TXT record and mark it verified
+router.post('/:id/verify', ownerAccess, async (req, res) => {
+  try {
+    const domain = await findDomain(req);
+    if (!domain) return sendNotFound(res);
+
+    if (domain.isVerified) {
+      return res.json({
+        success: true,
+        message: 'Domain is already verified',
+        data: { domain }
+      });
+    }
+
+    const claimed = await Domain.exists({ hostname: domain.hostname, verifiedAt: { $ne: null } });
+    if (claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This domain has been verified by another workspace'
+      });
+    }
+
+    const result = await checkDomainVerification(domain);
+    domain.lastCheckedAt = new Date();
+    domain.lastCheckError = result.verified ? null : result.reason;
+    if (result.verified) domain.verifiedAt = new Date();
+
+    try {
+      await domain.save();
+    } catch (error) {
+      // Another workspace verified the same hostname at the same moment
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({
+        success: false,
+        message: 'This domain has been verified by another workspace'
+      });
+    }
+
+    logger.info('Domain verification checked', {
+      domainId: domain._id,
+      hostname: domain.hostname,
+      verified: result.verified,
+      reason: result.reason
+    });
+
+    if (!result.verified) {
+      return res.status(400).json({
+        success: false,
+        message: `Verification failed: ${result.reason}`,
+        data: { domain }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Domain verified successfully',
+      data: { domain }
+    });
+  } catch (error) {
+    logger.error('Verify domain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying domain'
+    });
+  }
+});
+
+// Remove a custom domain that no links use
+router.delete('/:id', ownerAccess, async (req, res) => {
+  try {
+    const domain = await findDomain(req);
+    if (!domain) return sendNotFound(res);
+
+    const urlCount = await Url.countDocuments({ workspaceId: req.workspace._id, domain: domain.hostname });
+    if (urlCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Delete the ${urlCount} links on this domain before removing it`
+      });
+    }
+
+    await domain.deleteOne();
+
+    logger.info('Domain removed', { domainId: domain._id, hostname: domain.hostname, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Domain removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove domain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing domain'
+    });
+  }
+});
+
+module.exports = router;
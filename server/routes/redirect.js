@@ -1,76 +1,345 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const Url = require('../models/Url');
+const Domain = require('../models/Domain');
+const Conversion = require('../models/Conversion');
 const logger = require('../utils/logger');
+const { emitWebhookEvent, emitWebhookEventOnce } = require('../utils/webhooks');
+const { parseUserAgent } = require('../utils/userAgent');
+const { lookupLocation } = require('../utils/geoip');
+const { detectBot } = require('../utils/botDetection');
+const { getVisitorId } = require('../utils/visitors');
+const { publishClick } = require('../utils/clickStream');
+const { parseAcceptLanguage, matchTargetingRule } = require('../utils/targeting');
+const {
+  VARIANT_COOKIE_MAX_AGE,
+  variantCookieName,
+  readCookie,
+  chooseVariant
+} = require('../utils/splitTest');
+const {
+  renderStatusPage,
+  renderInterstitialPage,
+  renderPasswordPage
+} = require('../utils/htmlPages');
 
 const router = express.Router();
 
+// Browsers get HTML pages; API clients asking for JSON keep getting JSON
+const wantsJson = (req) => req.accepts(['html', 'json']) === 'json';
+
+const sendUnavailable = (req, res, status, reason, message, extra = {}) => {
+  if (wantsJson(req)) {
+    return res.status(status).json({
+      success: false,
+      message,
+      ...extra
+    });
+  }
+
+  res.status(status).type('html').send(renderStatusPage(reason));
+};
+
+// Verified custom domains serve their own links; every other host serves the
+// default domain's links. Resolves with the custom hostname or null.
+const resolveLinkDomain = async (req) => {
+  const hostname = (req.hostname || '').toLowerCase();
+  if (!hostname) return null;
+
+  const domain = await Domain.findOne({ hostname, verifiedAt: { $ne: null } }).select('hostname');
+  return domain ? domain.hostname : null;
+};
+
+// Look up a short code and send the not-found / unavailable response if it
+// can't be followed. Resolves with the Url, or null once a response is sent.
+const findAccessibleUrl = async (req, res) => {
+  const { shortCode } = req.params;
+  const domain = await resolveLinkDomain(req);
+
+  // Find the URL by short code on the requested domain
+  const url = await Url.findOne({ shortCode, domain });
+
+  if (!url) {
+    logger.warn('Short code not found', { shortCode, domain });
+    sendUnavailable(req, res, 404, 'notFound', 'Short URL not found');
+    return null;
+  }
+
+  // Links scheduled to launch later aren't gone, so tell clients when to retry
+  if (url.isActive && url.isNotYetActive()) {
+    logger.warn('Not yet active URL accessed', { shortCode, activatesAt: url.activatesAt });
+
+    const retryAfter = Math.ceil((url.activatesAt.getTime() - Date.now()) / 1000);
+    res.set({ 'Retry-After': String(retryAfter), 'Cache-Control': 'no-store' });
+    sendUnavailable(req, res, 403, 'notYetActive', 'This short URL is not active yet', {
+      code: 'NOT_YET_ACTIVE',
+      activatesAt: url.activatesAt
+    });
+    return null;
+  }
+
+  // Check if URL is accessible
+  if (!url.isAccessible()) {
+    let reason = 'deactivated';
+    let message = 'This short URL is no longer active';
+    
+    if (url.isExpired()) {
+      reason = 'expired';
+      message = 'This short URL has expired';
+      emitWebhookEventOnce('link.expired', url);
+    } else if (url.hasReachedMaxClicks()) {
+      reason = 'maxClicks';
+      message = 'This short URL has reached its maximum click limit';
+    } else if (!url.isActive) {
+      message = 'This short URL has been deactivated';
+    }
+
+    logger.warn('Inaccessible URL accessed', { 
+      shortCode, 
+      reason: message
+    });
+
+    sendUnavailable(req, res, 410, reason, message);
+    return null;
+  }
+
+  return url;
+};
+
+// Where the request comes from and what it was sent with
+const describeRequest = async (req) => {
+  const userAgent = req.get('User-Agent') || 'Unknown';
+  return {
+    userAgent,
+    referer: req.get('Referer') || 'Direct',
+    ...await lookupLocation(req),
+    ...parseUserAgent(userAgent)
+  };
+};
+
+// Pick the destination for a request: the first targeting rule that matches,
+// else the visitor's split test variant, else the link's originalUrl.
+// Returns { rule, variant, destination }.
+const resolveDestination = (req, url, requestData) => {
+  const rule = matchTargetingRule(url.targetingRules, {
+    country: requestData.country,
+    language: parseAcceptLanguage(req.get('Accept-Language'))[0],
+    deviceType: requestData.deviceType,
+    os: requestData.os
+  });
+  if (rule) return { rule, variant: null, destination: rule.destination };
+
+  const variant = chooseVariant(url.variants, {
+    urlId: url._id,
+    cookieVariantId: readCookie(req, variantCookieName(url)),
+    ip: requestData.ip,
+    userAgent: requestData.userAgent
+  });
+  if (variant) return { rule: null, variant, destination: variant.destination };
+
+  return { rule: null, variant: null, destination: url.originalUrl };
+};
+
+// Remember the visitor's variant so they see the same page on every visit.
+// The conversion pixel is loaded from the destination site, so the cookie
+// has to be sent cross-site, which browsers only allow over HTTPS.
+const rememberVariant = (req, res, url, variant) => {
+  res.cookie(variantCookieName(url), String(variant._id), {
+    maxAge: VARIANT_COOKIE_MAX_AGE,
+    path: `/${url.shortCode}`,
+    httpOnly: true,
+    secure: req.secure,
+    sameSite: req.secure ? 'none' : 'lax'
+  });
+};
+
+// Record the click and redirect to the targeted or original URL
+const followUrl = async (req, res, url, status = 302) => {
+  // Add click data
+  const clickData = await describeRequest(req);
+  const { rule, variant, destination } = resolveDestination(req, url, clickData);
+  clickData.targetingRuleId = rule?._id || null;
+  clickData.variantId = variant?._id || null;
+  clickData.visitorId = await getVisitorId(clickData);
+  clickData.botReason = await detectBot(req, url, clickData);
+  clickData.isBot = !!clickData.botReason;
+
+  // Update click count and history
+  await url.addClick(clickData);
+  publishClick(url, clickData);
+
+  if (url.hasReachedMaxClicks()) {
+    emitWebhookEventOnce('link.max_clicks_reached', url);
+  }
+  emitWebhookEvent('link.clicked', url, {
+    click: {
+      timestamp: new Date().toISOString(),
+      userAgent: clickData.userAgent,
+      referer: clickData.referer,
+      country: clickData.country,
+      region: clickData.region,
+      city: clickData.city,
+      deviceType: clickData.deviceType,
+      browser: clickData.browser,
+      os: clickData.os,
+      isBot: clickData.isBot,
+      botReason: clickData.botReason,
+      targetingRuleId: clickData.targetingRuleId,
+      variantId: clickData.variantId,
+      destination
+    }
+  });
+
+  logger.info('URL redirected successfully', {
+    shortCode: url.shortCode,
+    destination,
+    targetingRuleId: clickData.targetingRuleId,
+    variantId: clickData.variantId,
+    clicks: url.clicks,
+    botReason: clickData.botReason,
+    visitorId: clickData.visitorId
+  });
+
+  if (variant) rememberVariant(req, res, url, variant);
+  res.redirect(status, destination);
+};
+
+// Throttle failed password attempts per link; successful unlocks aren't counted
+const passwordAttemptLimiter = rateLimit({
+  windowMs: parseInt(process.env.LINK_PASSWORD_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LINK_PASSWORD_MAX_ATTEMPTS) || 10,
+  keyGenerator: (req) => `link-password:${req.hostname}/${req.params.shortCode}`,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn('Link password attempts rate limited', { shortCode: req.params.shortCode });
+    sendUnavailable(req, res, 429, 'tooManyAttempts', 'Too many password attempts. Please try again later.');
+  }
+});
+
 // Redirect short URL to original URL
 router.get('/:shortCode', async (req, res) => {
   try {
-    const { shortCode } = req.params;
-    
-    // Find the URL by short code
-    const url = await Url.findOne({ shortCode });
-    
-    if (!url) {
-      logger.warn('Short code not found', { shortCode, ip: req.ip });
-      return res.status(404).json({
-        success: false,
-        message: 'Short URL not found'
-      });
+    const url = await findAccessibleUrl(req, res);
+    if (!url) return;
+
+    // Password protected links are unlocked through POST /:shortCode
+    if (url.password) {
+      if (wantsJson(req)) {
+        return res.status(401).json({
+          success: false,
+          code: 'PASSWORD_REQUIRED',
+          message: 'This short URL is password protected'
+        });
+      }
+
+      return res
+        .set('Cache-Control', 'no-store')
+        .type('html')
+        .send(renderPasswordPage({ shortCode: url.shortCode }));
     }
 
-    // Check if URL is accessible
-    if (!url.isAccessible()) {
-      let message = 'This short URL is no longer active';
-      
-      if (url.isExpired()) {
-        message = 'This short URL has expired';
-      } else if (url.hasReachedMaxClicks()) {
-        message = 'This short URL has reached its maximum click limit';
-      } else if (!url.isActive) {
-        message = 'This short URL has been deactivated';
+    // Show the owner-enabled warning page; the click is counted on continue
+    if (url.showInterstitial && !wantsJson(req) && req.query.confirm !== '1') {
+      const { destination } = url.targetingRules.length || url.variants.length
+        ? resolveDestination(req, url, await describeRequest(req))
+        : { destination: url.originalUrl };
+
+      return res
+        .set('Cache-Control', 'no-store')
+        .type('html')
+        .send(renderInterstitialPage({
+          destination,
+          continueUrl: `/${encodeURIComponent(url.shortCode)}?confirm=1`,
+          title: url.title
+        }));
+    }
+
+    await followUrl(req, res, url);
+  } catch (error) {
+    logger.error('Redirect error:', error);
+    sendUnavailable(req, res, 500, 'error', 'Server error during redirection');
+  }
+});
+
+// Unlock a password protected short URL and redirect
+router.post('/:shortCode', passwordAttemptLimiter, async (req, res) => {
+  try {
+    const url = await findAccessibleUrl(req, res);
+    if (!url) return;
+
+    const isPasswordValid = await url.comparePassword(req.body?.password);
+    if (!isPasswordValid) {
+      logger.warn('Invalid link password', { shortCode: url.shortCode });
+
+      if (wantsJson(req)) {
+        return res.status(401).json({
+          success: false,
+          code: 'INVALID_PASSWORD',
+          message: 'Incorrect password'
+        });
       }
 
-      logger.warn('Inaccessible URL accessed', { 
-        shortCode, 
-        reason: message,
-        ip: req.ip 
-      });
+      return res
+        .status(401)
+        .set('Cache-Control', 'no-store')
+        .type('html')
+        .send(renderPasswordPage({ shortCode: url.shortCode, error: 'Incorrect password. Please try again.' }));
+    }
 
-      return res.status(410).json({
-        success: false,
-        message
-      });
+    await followUrl(req, res, url, 303);
+  } catch (error) {
+    logger.error('Password redirect error:', error);
+    sendUnavailable(req, res, 500, 'error', 'Server error during redirection');
+  }
+});
+
+// Transparent 1x1 GIF served by the conversion pixel
+const PIXEL_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Record a conversion for the visitor's variant; embedded as an image on the
+// destination's goal page. Counted once per visitor and day; bots, visitors
+// we can't identify and links without variants or targeting rules are ignored.
+router.get('/:shortCode/convert', async (req, res) => {
+  try {
+    const { shortCode } = req.params;
+    const domain = await resolveLinkDomain(req);
+
+    const url = await Url.findOne({ shortCode, domain });
+
+    if (!url) {
+      return sendUnavailable(req, res, 404, 'notFound', 'Short URL not found');
     }
 
-    // Add click data
-    const clickData = {
-      ip: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('User-Agent') || 'Unknown',
-      referer: req.get('Referer') || 'Direct',
-      country: req.get('CF-IPCountry') || 'Unknown', // Cloudflare country header
-      city: req.get('CF-IPCity') || 'Unknown' // Cloudflare city header
-    };
-
-    // Update click count and history
-    await url.addClick(clickData);
-
-    logger.info('URL redirected successfully', {
-      shortCode,
-      originalUrl: url.originalUrl,
-      clicks: url.clicks + 1,
-      ip: req.ip
-    });
+    const requestData = await describeRequest(req);
+    if (!requestData.isBot) {
+      const { rule, variant } = resolveDestination(req, url, requestData);
+      const visitorId = await getVisitorId(requestData);
+      // Without a visitor id a conversion can't be deduplicated, and without
+      // a variant or rule there's nothing to attribute it to
+      const isTrackable = !!visitorId && !!(variant || rule);
 
-    // Redirect to original URL
-    res.redirect(302, url.originalUrl);
+      if (isTrackable && !(await Conversion.exists({ urlId: url._id, visitorId }))) {
+        await Conversion.create({
+          urlId: url._id,
+          variantId: variant?._id || null,
+          targetingRuleId: rule?._id || null,
+          visitorId
+        });
+        logger.info('Conversion recorded', { shortCode, variantId: variant?._id, visitorId });
+      }
+    }
+
+    // helmet defaults to same-origin, which would stop other sites embedding the pixel
+    res.set({ 'Cache-Control': 'no-store', 'Cross-Origin-Resource-Policy': 'cross-origin' });
+    if (wantsJson(req)) {
+      return res.json({ success: true });
+    }
+    res.type('gif').send(PIXEL_GIF);
   } catch (error) {
-    logger.error('Redirect error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during redirection'
-    });
+    logger.error('Conversion tracking error:', error);
+    sendUnavailable(req, res, 500, 'error', 'Server error while recording the conversion');
   }
 });
 
@@ -78,8 +347,9 @@ router.get('/:shortCode', async (req, res) => {
 router.get('/:shortCode/info', async (req, res) => {
   try {
     const { shortCode } = req.params;
-    
-    const url = await Url.findOne({ shortCode }).select('-clickHistory');
+    const domain = await resolveLinkDomain(req);
+
+    const url = await Url.findOne({ shortCode, domain });
     
     if (!url) {
       return res.status(404).json({
@@ -92,14 +362,21 @@ router.get('/:shortCode/info', async (req, res) => {
     res.json({
       success: true,
       data: {
-        originalUrl: url.originalUrl,
+        // Don't reveal where a password protected or not yet launched link goes
+        originalUrl: url.password || url.isNotYetActive() ? null : url.originalUrl,
         shortCode: url.shortCode,
+        domain: url.domain,
         shortUrl: url.shortUrl,
         title: url.title,
         description: url.description,
+        image: url.image,
+        favicon: url.favicon,
         clicks: url.clicks,
         isActive: url.isActive,
         isAccessible: url.isAccessible(),
+        showInterstitial: url.showInterstitial,
+        isPasswordProtected: url.isPasswordProtected,
+        activatesAt: url.activatesAt,
         expiresAt: url.expiresAt,
         maxClicks: url.maxClicks,
         createdAt: url.createdAt
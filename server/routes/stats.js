@@ -1,111 +1,463 @@
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const Url = require('../models/Url');
+const Click = require('../models/Click');
+const Conversion = require('../models/Conversion');
 const logger = require('../utils/logger');
-const { auth } = require('../middleware/auth');
+const { auth, authOrApiKey } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { EXPORT_FORMATS, streamExport } = require('../utils/exportStream');
+const { subscribeToClicks } = require('../utils/clickStream');
+const { isTimeZone } = require('../utils/targeting');
 
 const router = express.Router();
 
-// Get overall statistics for user
-router.get('/overview', auth, async (req, res) => {
+// Get ids of all URLs in a workspace, used to scope click aggregations
+const getWorkspaceUrlIds = (workspaceId) => Url.find({ workspaceId }).distinct('_id');
+
+// Bot and crawler clicks are left out of analytics unless the request asks
+// for them with ?includeBots=true
+const includesBots = (req) => req.query.includeBots === 'true';
+
+// Extra click match conditions for the request's bot setting. Clicks
+// recorded before bot detection have no isBot and count as human.
+const botFilter = (req) => (includesBots(req) ? {} : { isBot: { $ne: true } });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+// Time series bucket labels; weeks are ISO weeks (Monday to Sunday)
+const PERIOD_FORMATS = {
+  hour: '%Y-%m-%dT%H:00',
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Time range parameters shared by the stats routes. from/to are instants;
+// timezone only decides where hour/day/week/month buckets start.
+const rangeValidators = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date')
+    .custom((to, { req }) => !req.query.from || new Date(req.query.from) < new Date(to))
+    .withMessage('To must be after from'),
+  query('granularity')
+    .optional()
+    .isIn(GRANULARITIES)
+    .withMessage(`Granularity must be one of: ${GRANULARITIES.join(', ')}`),
+  query('timezone')
+    .optional()
+    .custom(isTimeZone)
+    .withMessage('Timezone must be an IANA time zone name, e.g. Europe/Berlin')
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Click match conditions for an explicit ?from / ?to, if the request has one
+const timestampFilter = (req) => {
+  const { from, to } = req.query;
+  if (!from && !to) return {};
+
+  const timestamp = {};
+  if (from) timestamp.$gte = new Date(from);
+  if (to) timestamp.$lte = new Date(to);
+  return { timestamp };
+};
+
+// Resolve the requested range, filling in a default start and granularity
+const getRange = (req, { defaultFrom, defaultGranularity }) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : defaultFrom(to);
+
+  return {
+    from,
+    to,
+    granularity: req.query.granularity || defaultGranularity,
+    timezone: req.query.timezone || 'UTC'
+  };
+};
+
+// The period of the same length right before `range`, for comparisons
+const getPreviousRange = (range) => ({
+  ...range,
+  from: new Date(range.from.getTime() - (range.to.getTime() - range.from.getTime())),
+  to: new Date(range.from.getTime() - 1)
+});
+
+// Count matching clicks per value of a field, largest first. Clicks recorded
+// before user-agent parsing have no value and are counted as Unknown.
+const countBy = (field, limit) => [
+  { $group: { _id: { $ifNull: [`$${field}`, 'Unknown'] }, clicks: { $sum: 1 } } },
+  { $sort: { clicks: -1 } },
+  ...(limit ? [{ $limit: limit }] : [])
+];
+
+// Clicks per targeting rule in rule order, then the link's own destination.
+// Clicks on rules that have since been deleted are counted together.
+const getClicksByRule = async (url, match) => {
+  const counts = await Click.aggregate([
+    { $match: match },
+    { $group: { _id: '$targetingRuleId', clicks: { $sum: 1 } } }
+  ]);
+  const countFor = (ruleId) => counts.find(item => String(item._id) === String(ruleId))?.clicks || 0;
+
+  const ruleIds = url.targetingRules.map(rule => String(rule._id));
+  const deletedClicks = counts
+    .filter(item => item._id && !ruleIds.includes(String(item._id)))
+    .reduce((sum, item) => sum + item.clicks, 0);
+
+  return [
+    ...url.targetingRules.map((rule, index) => ({
+      ruleId: rule._id,
+      name: rule.name || `Rule ${index + 1}`,
+      destination: rule.destination,
+      clicks: countFor(rule._id)
+    })),
+    { ruleId: null, name: 'Default destination', destination: url.originalUrl, clicks: countFor(null) },
+    ...(deletedClicks > 0 ? [{ ruleId: null, name: 'Deleted rules', destination: null, clicks: deletedClicks, deleted: true }] : [])
+  ];
+};
+
+// Break matching clicks down by device type, browser, OS and bot flag. The
+// bot/human split always covers every click; the other breakdowns only
+// include bots when `includeBots` is set.
+const getDeviceBreakdown = async (match, includeBots) => {
+  const humansOnly = includeBots ? [] : [{ $match: { isBot: { $ne: true } } }];
+
+  const [breakdown] = await Click.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        deviceTypes: [...humansOnly, ...countBy('deviceType')],
+        browsers: [...humansOnly, ...countBy('browser', 10)],
+        browserVersions: [
+          ...humansOnly,
+          {
+            $group: {
+              _id: { browser: { $ifNull: ['$browser', 'Unknown'] }, version: '$browserVersion' },
+              clicks: { $sum: 1 }
+            }
+          },
+          { $sort: { clicks: -1 } },
+          { $limit: 10 },
+          {
+            $project: {
+              _id: { $trim: { input: { $concat: ['$_id.browser', ' ', { $ifNull: ['$_id.version', ''] }] } } },
+              clicks: 1
+            }
+          }
+        ],
+        operatingSystems: [...humansOnly, ...countBy('os', 10)],
+        bots: [
+          { $group: { _id: { $ifNull: ['$isBot', false] }, clicks: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const botClicks = breakdown.bots.find(item => item._id === true)?.clicks || 0;
+  const humanClicks = breakdown.bots.find(item => item._id === false)?.clicks || 0;
+
+  return {
+    deviceTypes: breakdown.deviceTypes,
+    browsers: breakdown.browsers,
+    browserVersions: breakdown.browserVersions,
+    operatingSystems: breakdown.operatingSystems,
+    bots: { botClicks, humanClicks }
+  };
+};
+
+// Unique visitors are counted by grouping on (link, visitor id) and then
+// counting the groups. Like Url.uniqueVisitors, a visitor counts once per
+// link per day: visitor ids rotate daily, so they can't be matched across
+// days. Bot clicks and clicks recorded before visitor tracking never count.
+const humanVisitorId = { $cond: [{ $eq: ['$isBot', true] }, null, '$visitorId'] };
+const countVisitors = { $sum: { $cond: [{ $ifNull: ['$_id.visitorId', false] }, 1, 0] } };
+
+// Count matching clicks and unique visitors per period of the range's
+// granularity, in the range's timezone
+const getClicksOverTime = (match, { granularity, timezone }) => Click.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: {
+        period: { $dateToString: { format: PERIOD_FORMATS[granularity], date: '$timestamp', timezone } },
+        urlId: '$urlId',
+        visitorId: humanVisitorId
+      },
+      clicks: { $sum: 1 }
+    }
+  },
+  {
+    $group: {
+      _id: '$_id.period',
+      clicks: { $sum: '$clicks' },
+      visitors: countVisitors
+    }
+  },
+  { $sort: { _id: 1 } },
+  { $project: { _id: 0, period: '$_id', clicks: 1, visitors: 1 } }
+]);
+
+// Count the unique visitors across all matching clicks. A visitor seen in
+// several periods counts once, so this isn't the sum of the per-period counts.
+const countUniqueVisitors = async (match) => {
+  const [result] = await Click.aggregate([
+    { $match: match },
+    { $group: { _id: { urlId: '$urlId', visitorId: humanVisitorId } } },
+    { $group: { _id: null, visitors: countVisitors } }
+  ]);
+  return result?.visitors || 0;
+};
+
+// Standard normal cumulative distribution (Abramowitz and Stegun 26.2.17)
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+};
+
+// Two-sided confidence that two conversion rates differ (two-proportion
+// z-test). Null until both sides have visitors and someone has converted.
+const significance = (a, b) => {
+  if (!a.visitors || !b.visitors) return null;
+
+  const pooled = (a.conversions + b.conversions) / (a.visitors + b.visitors);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.visitors + 1 / b.visitors));
+  if (!standardError) return null;
+
+  const z = (b.conversionRate - a.conversionRate) / standardError;
+  return 2 * normalCdf(Math.abs(z)) - 1;
+};
+
+// Clicks, unique visitors and conversions per split test variant. The first
+// variant is the control the others are compared with.
+const getVariantComparison = async (url, match) => {
+  if (url.variants.length === 0) return [];
+
+  const variantIds = url.variants.map(variant => variant._id);
+  const [clickCounts, conversionCounts] = await Promise.all([
+    Click.aggregate([
+      { $match: { ...match, variantId: { $in: variantIds } } },
+      { $group: { _id: { variantId: '$variantId', visitorId: humanVisitorId }, clicks: { $sum: 1 } } },
+      { $group: { _id: '$_id.variantId', clicks: { $sum: '$clicks' }, visitors: countVisitors } }
+    ]),
+    Conversion.aggregate([
+      { $match: { urlId: url._id, timestamp: match.timestamp, variantId: { $in: variantIds } } },
+      { $group: { _id: '$variantId', conversions: { $sum: 1 } } }
+    ])
+  ]);
+  const countsFor = (counts, variantId) => counts.find(item => String(item._id) === String(variantId)) || {};
+
+  const totalWeight = url.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const variants = url.variants.map((variant, index) => {
+    const { clicks = 0, visitors = 0 } = countsFor(clickCounts, variant._id);
+    const { conversions = 0 } = countsFor(conversionCounts, variant._id);
+    return {
+      variantId: variant._id,
+      name: variant.name || `Variant ${String.fromCharCode(65 + index)}`,
+      destination: variant.destination,
+      weight: variant.weight,
+      share: totalWeight ? variant.weight / totalWeight : 0,
+      clicks,
+      visitors,
+      conversions,
+      conversionRate: visitors ? conversions / visitors : 0
+    };
+  });
+
+  const [control] = variants;
+  return variants.map((variant, index) => ({
+    ...variant,
+    isControl: index === 0,
+    lift: index > 0 && control.conversionRate
+      ? (variant.conversionRate - control.conversionRate) / control.conversionRate
+      : null,
+    confidence: index > 0 ? significance(control, variant) : null
+  }));
+};
+
+// Get the URLs with the most matching clicks and their unique visitors
+const getTopUrls = (match, limit) => Click.aggregate([
+  { $match: match },
+  { $group: { _id: { urlId: '$urlId', visitorId: humanVisitorId }, clicks: { $sum: 1 } } },
+  { $group: { _id: '$_id.urlId', clicks: { $sum: '$clicks' }, uniqueVisitors: countVisitors } },
+  { $sort: { clicks: -1 } },
+  { $limit: limit },
+  {
+    $lookup: {
+      from: Url.collection.name,
+      localField: '_id',
+      foreignField: '_id',
+      as: 'url'
+    }
+  },
+  { $unwind: '$url' },
+  {
+    $project: {
+      shortCode: '$url.shortCode',
+      originalUrl: '$url.originalUrl',
+      title: '$url.title',
+      createdAt: '$url.createdAt',
+      clicks: 1,
+      uniqueVisitors: 1
+    }
+  }
+]);
+
+// Count matching clicks for just the given values of a field, keyed by the
+// value as a string. Used to look up previous-period figures.
+const countClicksFor = async (match, field, values) => {
+  const counts = await Click.aggregate([
+    { $match: { ...match, [field]: { $in: values } } },
+    { $group: { _id: `$${field}`, clicks: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(item => [String(item._id), item.clicks]));
+};
+
+// Get overall statistics for user. Period figures cover ?from / ?to (last
+// 30 days by default); ?compare=true adds the previous period of the same
+// length for deltas.
+router.get('/overview', authOrApiKey('read'), resolveWorkspace, [
+  ...rangeValidators,
+  query('compare')
+    .optional()
+    .isBoolean()
+    .withMessage('Compare must be true or false')
+], async (req, res) => {
   try {
+    if (sendValidationErrors(req, res)) return;
+
     const userId = req.user._id;
+    const workspaceId = req.workspace._id;
+    const urlIds = await getWorkspaceUrlIds(workspaceId);
+    const range = getRange(req, {
+      defaultFrom: (to) => new Date(to.getTime() - 30 * DAY_MS),
+      defaultGranularity: 'day'
+    });
     
     // Get basic counts
-    const totalUrls = await Url.countDocuments({ userId });
-    const activeUrls = await Url.countDocuments({ userId, isActive: true });
+    const totalUrls = await Url.countDocuments({ workspaceId });
+    const activeUrls = await Url.countDocuments({ workspaceId, isActive: true });
     const expiredUrls = await Url.countDocuments({ 
-      userId, 
+      workspaceId, 
       expiresAt: { $lt: new Date() } 
     });
     
-    // Get total clicks
+    // Get all-time clicks and visitors; Url.clicks only counts humans
     const totalClicksResult = await Url.aggregate([
-      { $match: { userId } },
-      { $group: { _id: null, totalClicks: { $sum: '$clicks' } } }
-    ]);
-    const totalClicks = totalClicksResult[0]?.totalClicks || 0;
-    
-    // Get clicks in last 30 days
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    
-    const recentClicksResult = await Url.aggregate([
-      { $match: { userId } },
-      { $unwind: '$clickHistory' },
-      { $match: { 'clickHistory.timestamp': { $gte: thirtyDaysAgo } } },
-      { $count: 'recentClicks' }
-    ]);
-    const recentClicks = recentClicksResult[0]?.recentClicks || 0;
-    
-    // Get top performing URLs
-    const topUrls = await Url.find({ userId })
-      .sort({ clicks: -1 })
-      .limit(5)
-      .select('originalUrl shortCode clicks title createdAt');
-    
-    // Get clicks by day for last 30 days
-    const clicksByDay = await Url.aggregate([
-      { $match: { userId } },
-      { $unwind: '$clickHistory' },
-      { $match: { 'clickHistory.timestamp': { $gte: thirtyDaysAgo } } },
+      { $match: { workspaceId } },
       {
         $group: {
-          _id: {
-            year: { $year: '$clickHistory.timestamp' },
-            month: { $month: '$clickHistory.timestamp' },
-            day: { $dayOfMonth: '$clickHistory.timestamp' }
-          },
-          clicks: { $sum: 1 }
+          _id: null,
+          humanClicks: { $sum: '$clicks' },
+          botClicks: { $sum: '$botClicks' },
+          totalVisitors: { $sum: '$uniqueVisitors' }
         }
-      },
-      { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
+      }
     ]);
+    const humanClicks = totalClicksResult[0]?.humanClicks || 0;
+    const botClicks = totalClicksResult[0]?.botClicks || 0;
+    const totalClicks = includesBots(req) ? humanClicks + botClicks : humanClicks;
+    const totalVisitors = totalClicksResult[0]?.totalVisitors || 0;
+
+    const periodMatch = ({ from, to }) => ({
+      urlId: { $in: urlIds },
+      timestamp: { $gte: from, $lte: to },
+      ...botFilter(req)
+    });
+    const match = periodMatch(range);
+    
+    // Get clicks and unique visitors in the period, over time
+    const recentClicks = await Click.countDocuments(match);
+    const clicksOverTime = await getClicksOverTime(match, range);
+    const recentVisitors = await countUniqueVisitors(match);
+    
+    // Get top performing URLs in the period
+    const topUrls = await getTopUrls(match, 5);
     
     // Get clicks by country
-    const clicksByCountry = await Url.aggregate([
-      { $match: { userId } },
-      { $unwind: '$clickHistory' },
-      {
-        $group: {
-          _id: '$clickHistory.country',
-          clicks: { $sum: 1 }
-        }
-      },
-      { $sort: { clicks: -1 } },
-      { $limit: 10 }
+    const clicksByCountry = await Click.aggregate([
+      { $match: match },
+      ...countBy('country', 10)
     ]);
     
     // Get clicks by referer
-    const clicksByReferer = await Url.aggregate([
-      { $match: { userId } },
-      { $unwind: '$clickHistory' },
-      {
-        $group: {
-          _id: '$clickHistory.referer',
-          clicks: { $sum: 1 }
-        }
-      },
-      { $sort: { clicks: -1 } },
-      { $limit: 10 }
+    const clicksByReferer = await Click.aggregate([
+      { $match: match },
+      ...countBy('referer', 10)
     ]);
 
-    logger.info('Statistics retrieved', { userId });
+    const overview = {
+      totalUrls,
+      activeUrls,
+      expiredUrls,
+      totalClicks,
+      botClicks,
+      recentClicks,
+      totalVisitors,
+      recentVisitors
+    };
+
+    // Add the previous period's figures for the same URLs, countries and referers
+    let previousPeriod = null;
+    if (req.query.compare === 'true') {
+      const previousRange = getPreviousRange(range);
+      const previousMatch = periodMatch(previousRange);
+      previousPeriod = { from: previousRange.from, to: previousRange.to };
+
+      const previousOverTime = await getClicksOverTime(previousMatch, previousRange);
+      overview.previousClicks = previousOverTime.reduce((sum, item) => sum + item.clicks, 0);
+      overview.previousVisitors = await countUniqueVisitors(previousMatch);
+
+      const previousByUrl = await countClicksFor(previousMatch, 'urlId', topUrls.map(url => url._id));
+      const previousByCountry = await countClicksFor(previousMatch, 'country', clicksByCountry.map(item => item._id));
+      const previousByReferer = await countClicksFor(previousMatch, 'referer', clicksByReferer.map(item => item._id));
+
+      topUrls.forEach(url => {
+        url.previousClicks = previousByUrl.get(url._id.toString()) || 0;
+      });
+      clicksByCountry.forEach(item => {
+        item.previousClicks = previousByCountry.get(String(item._id)) || 0;
+      });
+      clicksByReferer.forEach(item => {
+        item.previousClicks = previousByReferer.get(String(item._id)) || 0;
+      });
+    }
+
+    logger.info('Statistics retrieved', { userId, workspaceId });
 
     res.json({
       success: true,
       data: {
-        overview: {
-          totalUrls,
-          activeUrls,
-          expiredUrls,
-          totalClicks,
-          recentClicks
-        },
+        overview,
+        includeBots: includesBots(req),
+        range,
+        previousPeriod,
         topUrls,
-        clicksByDay: clicksByDay.map(item => ({
-          date: new Date(item._id.year, item._id.month - 1, item._id.day).toISOString().split('T')[0],
-          clicks: item.clicks
-        })),
+        clicksOverTime,
+        // Kept for API clients written before granularity existed
+        ...(range.granularity === 'day' && {
+          clicksByDay: clicksOverTime.map(item => ({ date: item.period, clicks: item.clicks, visitors: item.visitors }))
+        }),
         clicksByCountry,
         clicksByReferer
       }
@@ -119,13 +471,37 @@ router.get('/overview', auth, async (req, res) => {
   }
 });
 
-// Get detailed statistics for a specific URL
-router.get('/url/:urlId', auth, async (req, res) => {
+// Get device, browser and OS breakdowns for the workspace
+router.get('/devices', authOrApiKey('read'), resolveWorkspace, rangeValidators, async (req, res) => {
   try {
+    if (sendValidationErrors(req, res)) return;
+
+    const urlIds = await getWorkspaceUrlIds(req.workspace._id);
+    const breakdown = await getDeviceBreakdown({ urlId: { $in: urlIds }, ...timestampFilter(req) }, includesBots(req));
+
+    res.json({
+      success: true,
+      data: breakdown
+    });
+  } catch (error) {
+    logger.error('Device statistics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving device statistics'
+    });
+  }
+});
+
+// Get detailed statistics for a specific URL, for ?from / ?to (its whole
+// lifetime by default)
+router.get('/url/:urlId', authOrApiKey('read'), resolveWorkspace, rangeValidators, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
     const { urlId } = req.params;
     const userId = req.user._id;
     
-    const url = await Url.findOne({ _id: urlId, userId });
+    const url = await Url.findOne({ _id: urlId, workspaceId: req.workspace._id });
     
     if (!url) {
       return res.status(404).json({
@@ -134,61 +510,59 @@ router.get('/url/:urlId', auth, async (req, res) => {
       });
     }
     
-    // Get clicks by day for this URL
-    const clicksByDay = await Url.aggregate([
-      { $match: { _id: url._id } },
-      { $unwind: '$clickHistory' },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$clickHistory.timestamp' },
-            month: { $month: '$clickHistory.timestamp' },
-            day: { $dayOfMonth: '$clickHistory.timestamp' }
-          },
-          clicks: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
-    ]);
+    const range = getRange(req, {
+      defaultFrom: () => url.createdAt,
+      defaultGranularity: 'day'
+    });
+    const match = {
+      urlId: url._id,
+      timestamp: { $gte: range.from, $lte: range.to },
+      ...botFilter(req)
+    };
+
+    // Get clicks and unique visitors over time for this URL
+    const clicksOverTime = await getClicksOverTime(match, range);
     
     // Get clicks by country for this URL
-    const clicksByCountry = await Url.aggregate([
-      { $match: { _id: url._id } },
-      { $unwind: '$clickHistory' },
-      {
-        $group: {
-          _id: '$clickHistory.country',
-          clicks: { $sum: 1 }
-        }
-      },
-      { $sort: { clicks: -1 } }
+    const clicksByCountry = await Click.aggregate([
+      { $match: match },
+      ...countBy('country')
     ]);
     
     // Get clicks by referer for this URL
-    const clicksByReferer = await Url.aggregate([
-      { $match: { _id: url._id } },
-      { $unwind: '$clickHistory' },
-      {
-        $group: {
-          _id: '$clickHistory.referer',
-          clicks: { $sum: 1 }
-        }
-      },
-      { $sort: { clicks: -1 } }
+    const clicksByReferer = await Click.aggregate([
+      { $match: match },
+      ...countBy('referer')
     ]);
     
+    // Attribute clicks to the targeting rule that picked their destination
+    const clicksByRule = await getClicksByRule(url, match);
+
+    // Compare split test variants on clicks, visitors and conversions
+    const variants = await getVariantComparison(url, match);
+
     // Get recent clicks (last 50)
-    const recentClicks = url.clickHistory
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, 50)
-      .map(click => ({
-        ip: click.ip,
-        userAgent: click.userAgent,
-        referer: click.referer,
-        country: click.country,
-        city: click.city,
-        timestamp: click.timestamp
-      }));
+    const latestClicks = await Click.find(match)
+      .sort({ timestamp: -1 })
+      .limit(50);
+    const recentClicks = latestClicks.map(click => ({
+      userAgent: click.userAgent,
+      referer: click.referer,
+      country: click.country,
+      region: click.region,
+      city: click.city,
+      asn: click.asn,
+      asOrganization: click.asOrganization,
+      deviceType: click.deviceType,
+      browser: click.browser,
+      browserVersion: click.browserVersion,
+      os: click.os,
+      isBot: click.isBot,
+      botReason: click.botReason,
+      targetingRuleId: click.targetingRuleId,
+      variantId: click.variantId,
+      timestamp: click.timestamp
+    }));
 
     logger.info('URL statistics retrieved', { urlId, userId });
 
@@ -203,18 +577,26 @@ router.get('/url/:urlId', auth, async (req, res) => {
           title: url.title,
           description: url.description,
           clicks: url.clicks,
+          botClicks: url.botClicks,
+          uniqueVisitors: url.uniqueVisitors,
           isActive: url.isActive,
           expiresAt: url.expiresAt,
           maxClicks: url.maxClicks,
+          targetingRules: url.targetingRules,
           createdAt: url.createdAt
         },
-        clicksByDay: clicksByDay.map(item => ({
-          date: new Date(item._id.year, item._id.month - 1, item._id.day).toISOString().split('T')[0],
-          clicks: item.clicks
-        })),
+        range,
+        clicksOverTime,
+        // Kept for API clients written before granularity existed
+        ...(range.granularity === 'day' && {
+          clicksByDay: clicksOverTime.map(item => ({ date: item.period, clicks: item.clicks, visitors: item.visitors }))
+        }),
         clicksByCountry,
         clicksByReferer,
-        recentClicks
+        clicksByRule,
+        variants,
+        recentClicks,
+        includeBots: includesBots(req)
       }
     });
   } catch (error) {
@@ -226,69 +608,209 @@ router.get('/url/:urlId', auth, async (req, res) => {
   }
 });
 
-// Get real-time analytics (last 24 hours)
-router.get('/realtime', auth, async (req, res) => {
+// Get device, browser and OS breakdowns for a specific URL
+router.get('/url/:urlId/devices', authOrApiKey('read'), resolveWorkspace, rangeValidators, async (req, res) => {
   try {
+    if (sendValidationErrors(req, res)) return;
+
+    const url = await Url.findOne({ _id: req.params.urlId, workspaceId: req.workspace._id });
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'URL not found'
+      });
+    }
+
+    const breakdown = await getDeviceBreakdown({ urlId: url._id, ...timestampFilter(req) }, includesBots(req));
+
+    res.json({
+      success: true,
+      data: breakdown
+    });
+  } catch (error) {
+    logger.error('URL device statistics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving URL device statistics'
+    });
+  }
+});
+
+// Export raw click events, optionally limited to one URL and a date range
+router.get('/clicks/export', authOrApiKey('read'), resolveWorkspace, [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  ...rangeValidators,
+  query('urlId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid URL id')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
     const userId = req.user._id;
-    const twentyFourHoursAgo = new Date();
-    twentyFourHoursAgo.setHours(twentyFourHoursAgo.getHours() - 24);
-    
-    // Get clicks in last 24 hours
-    const recentClicksResult = await Url.aggregate([
-      { $match: { userId } },
-      { $unwind: '$clickHistory' },
-      { $match: { 'clickHistory.timestamp': { $gte: twentyFourHoursAgo } } },
-      { $count: 'recentClicks' }
+    const { format = 'csv', urlId } = req.query;
+
+    const urlQuery = { workspaceId: req.workspace._id };
+    if (urlId) urlQuery._id = urlId;
+    const urls = await Url.find(urlQuery).select('shortCode');
+
+    if (urlId && urls.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'URL not found'
+      });
+    }
+
+    const shortCodes = new Map(urls.map(url => [url._id.toString(), url.shortCode]));
+
+    const clickQuery = { urlId: { $in: urls.map(url => url._id) }, ...timestampFilter(req), ...botFilter(req) };
+
+    const cursor = Click.find(clickQuery).sort({ timestamp: 1 }).lean().cursor();
+
+    const count = await streamExport(res, cursor, {
+      format,
+      filename: 'clicks',
+      columns: [
+        { header: 'timestamp', value: click => click.timestamp },
+        { header: 'urlId', value: click => click.urlId.toString() },
+        { header: 'shortCode', value: click => shortCodes.get(click.urlId.toString()) },
+        { header: 'userAgent', value: click => click.userAgent },
+        { header: 'referer', value: click => click.referer },
+        { header: 'country', value: click => click.country },
+        { header: 'region', value: click => click.region },
+        { header: 'city', value: click => click.city },
+        { header: 'asn', value: click => click.asn },
+        { header: 'asOrganization', value: click => click.asOrganization },
+        { header: 'deviceType', value: click => click.deviceType },
+        { header: 'browser', value: click => click.browser },
+        { header: 'browserVersion', value: click => click.browserVersion },
+        { header: 'os', value: click => click.os },
+        { header: 'isBot', value: click => click.isBot },
+        { header: 'botReason', value: click => click.botReason },
+        { header: 'targetingRuleId', value: click => click.targetingRuleId?.toString() },
+        { header: 'variantId', value: click => click.variantId?.toString() }
+      ]
+    });
+
+    logger.info('Clicks exported', { userId, urlId, format, count });
+  } catch (error) {
+    logger.error('Export clicks error:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting clicks'
+    });
+  }
+});
+
+// UTM fields clicks can be grouped by
+const CAMPAIGN_GROUPS = ['campaign', 'source', 'medium', 'term', 'content'];
+
+// Get clicks grouped by UTM campaign (or another UTM field)
+router.get('/campaigns', authOrApiKey('read'), resolveWorkspace, [
+  query('groupBy')
+    .optional()
+    .isIn(CAMPAIGN_GROUPS)
+    .withMessage(`groupBy must be one of: ${CAMPAIGN_GROUPS.join(', ')}`),
+  ...rangeValidators
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { groupBy = 'campaign' } = req.query;
+
+    // Only links carrying UTM parameters take part
+    const urls = await Url.find({ workspaceId: req.workspace._id, utm: { $ne: null } }).select('utm');
+    const groupOf = new Map(urls.map(url => [url._id.toString(), url.utm[groupBy] || null]));
+
+    const clickMatch = { urlId: { $in: urls.map(url => url._id) }, ...timestampFilter(req), ...botFilter(req) };
+
+    const clicksByUrl = await Click.aggregate([
+      { $match: clickMatch },
+      { $group: { _id: '$urlId', clicks: { $sum: 1 } } }
     ]);
-    const recentClicks = recentClicksResult[0]?.recentClicks || 0;
+
+    const groups = new Map();
+    const getGroup = (value) => {
+      if (!groups.has(value)) groups.set(value, { value, links: 0, clicks: 0 });
+      return groups.get(value);
+    };
+
+    groupOf.forEach(value => {
+      getGroup(value).links += 1;
+    });
+    clicksByUrl.forEach(item => {
+      getGroup(groupOf.get(item._id.toString())).clicks += item.clicks;
+    });
+
+    const results = [...groups.values()].sort((a, b) => b.clicks - a.clicks || b.links - a.links);
+
+    res.json({
+      success: true,
+      data: {
+        groupBy,
+        groups: results,
+        totalClicks: results.reduce((sum, group) => sum + group.clicks, 0)
+      }
+    });
+  } catch (error) {
+    logger.error('Campaign statistics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving campaign statistics'
+    });
+  }
+});
+
+// Get real-time analytics (last 24 hours by hour unless ?from / ?to /
+// ?granularity say otherwise)
+router.get('/realtime', authOrApiKey('read'), resolveWorkspace, rangeValidators, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id;
+    const urlIds = await getWorkspaceUrlIds(req.workspace._id);
+    const range = getRange(req, {
+      defaultFrom: (to) => new Date(to.getTime() - DAY_MS),
+      defaultGranularity: 'hour'
+    });
+    const match = {
+      urlId: { $in: urlIds },
+      timestamp: { $gte: range.from, $lte: range.to },
+      ...botFilter(req)
+    };
     
-    // Get clicks by hour for last 24 hours
-    const clicksByHour = await Url.aggregate([
-      { $match: { userId } },
-      { $unwind: '$clickHistory' },
-      { $match: { 'clickHistory.timestamp': { $gte: twentyFourHoursAgo } } },
-      {
-        $group: {
-          _id: {
-            year: { $year: '$clickHistory.timestamp' },
-            month: { $month: '$clickHistory.timestamp' },
-            day: { $dayOfMonth: '$clickHistory.timestamp' },
-            hour: { $hour: '$clickHistory.timestamp' }
-          },
-          clicks: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.hour': 1 } }
-    ]);
+    // Get clicks in the range
+    const recentClicks = await Click.countDocuments(match);
     
-    // Get top URLs in last 24 hours
-    const topUrlsLast24h = await Url.aggregate([
-      { $match: { userId } },
-      { $unwind: '$clickHistory' },
-      { $match: { 'clickHistory.timestamp': { $gte: twentyFourHoursAgo } } },
-      {
-        $group: {
-          _id: '$_id',
-          shortCode: { $first: '$shortCode' },
-          originalUrl: { $first: '$originalUrl' },
-          title: { $first: '$title' },
-          clicks: { $sum: 1 }
-        }
-      },
-      { $sort: { clicks: -1 } },
-      { $limit: 10 }
-    ]);
+    // Get clicks over time in the range
+    const clicksOverTime = await getClicksOverTime(match, range);
+    
+    // Get top URLs in the range
+    const topUrlsLast24h = await getTopUrls(match, 10);
 
     logger.info('Real-time analytics retrieved', { userId });
 
     res.json({
       success: true,
       data: {
+        range,
         recentClicks,
-        clicksByHour: clicksByHour.map(item => ({
-          hour: new Date(item._id.year, item._id.month - 1, item._id.day, item._id.hour).toISOString(),
-          clicks: item.clicks
-        })),
+        clicksOverTime,
+        // Kept for API clients written before granularity existed
+        ...(range.granularity === 'hour' && range.timezone === 'UTC' && {
+          clicksByHour: clicksOverTime.map(item => ({
+            hour: new Date(`${item.period}:00Z`).toISOString(),
+            clicks: item.clicks
+          }))
+        }),
         topUrlsLast24h
       }
     });
@@ -301,4 +823,41 @@ router.get('/realtime', auth, async (req, res) => {
   }
 });
 
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+// Streams are closed after an hour so clients reconnect and re-authenticate
+const STREAM_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Stream clicks on the workspace's links as Server-Sent Events, as they are
+// recorded. Bot clicks are included and flagged with isBot.
+router.get('/stream', auth, resolveWorkspace, (req, res) => {
+  const workspaceId = req.workspace._id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('ready', { workspaceId });
+  const unsubscribe = subscribeToClicks(workspaceId, click => send('click', click));
+
+  // Comments keep proxies from timing out an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  const maxAge = setTimeout(() => res.end(), STREAM_MAX_AGE_MS);
+
+  logger.info('Click stream opened', { userId: req.user._id, workspaceId });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(maxAge);
+    unsubscribe();
+  });
+});
+
 module.exports = router;
@@ -1,20 +1,115 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const fs = require('fs').promises;
+const { body, query, validationResult } = require('express-validator');
 const Url = require('../models/Url');
+const Domain = require('../models/Domain');
+const Click = require('../models/Click');
+const Conversion = require('../models/Conversion');
+const UrlRevision = require('../models/UrlRevision');
 const logger = require('../utils/logger');
-const { auth, optionalAuth } = require('../middleware/auth');
-const { generateShortCode, isValidUrl } = require('../utils/urlUtils');
+const { authOrApiKey } = require('../middleware/auth');
+const { resolveWorkspace, requireWorkspaceRole } = require('../middleware/workspace');
+const {
+  generateShortCode,
+  isValidUrl,
+  getUrlPreview,
+  generateQRCode,
+  QR_ERROR_CORRECTION_LEVELS,
+  QR_FORMATS
+} = require('../utils/urlUtils');
+const { checkDestination } = require('../utils/destinationPolicy');
+const { parseCsv } = require('../utils/csv');
+const { EXPORT_FORMATS, streamExport } = require('../utils/exportStream');
+const { emitWebhookEvent } = require('../utils/webhooks');
+const { applyUtm } = require('../utils/utm');
+const { MAX_TARGETING_RULES, normalizeTargetingRules } = require('../utils/targeting');
+const { MAX_VARIANTS, normalizeVariants } = require('../utils/splitTest');
+const { MAX_SCHEDULED_DESTINATIONS, normalizeScheduledDestinations } = require('../utils/linkScheduler');
 
 const router = express.Router();
 
-// Create short URL
-router.post('/shorten', [
-  optionalAuth,
+// Respond with the error for a destination rejected by policy
+const rejectDestination = (res, policy) => res.status(policy.status).json({
+  success: false,
+  code: policy.code,
+  message: policy.message
+});
+
+// Screen the destinations of targeting rules or split test variants against
+// policy. Resolves with null, or the { status, message, code } to reject with.
+const screenExtraDestinations = async (items) => {
+  for (const { destination } of items) {
+    const policy = await checkDestination(destination);
+    if (!policy.allowed) {
+      logger.warn('Additional destination rejected by policy', {
+        destination,
+        code: policy.code,
+        reason: policy.reason
+      });
+      return { status: policy.status, message: policy.message, code: policy.code };
+    }
+  }
+  return null;
+};
+
+// Normalize targeting rules and screen their destinations.
+// Returns { rules } or { error: { status, message, code } }
+const screenTargetingRules = async (rules, existingRules) => {
+  const targeting = normalizeTargetingRules(rules, existingRules);
+  if (targeting.error) {
+    return { error: { status: 400, message: targeting.error } };
+  }
+
+  const error = await screenExtraDestinations(targeting.rules);
+  return error ? { error } : targeting;
+};
+
+// Normalize split test variants and screen their destinations.
+// Returns { variants } or { error: { status, message, code } }
+const screenVariants = async (variants, existingVariants) => {
+  const splitTest = normalizeVariants(variants, existingVariants);
+  if (splitTest.error) {
+    return { error: { status: 400, message: splitTest.error } };
+  }
+
+  const error = await screenExtraDestinations(splitTest.variants);
+  return error ? { error } : splitTest;
+};
+
+// Normalize scheduled destination changes and screen their destinations.
+// Returns { scheduledDestinations } or { error: { status, message, code } }
+const screenScheduledDestinations = async (changes, options) => {
+  const schedule = normalizeScheduledDestinations(changes, options);
+  if (schedule.error) {
+    return { error: { status: 400, message: schedule.error } };
+  }
+
+  const error = await screenExtraDestinations(schedule.scheduledDestinations);
+  return error ? { error } : schedule;
+};
+
+// Any workspace member can read its URLs; changing them needs the editor role.
+// API keys need the matching scope on top of the owner's workspace role.
+const viewerAccess = [authOrApiKey('read'), resolveWorkspace];
+const creatorAccess = [authOrApiKey('create'), resolveWorkspace, requireWorkspaceRole('editor')];
+const editorAccess = [authOrApiKey('full'), resolveWorkspace, requireWorkspaceRole('editor')];
+
+// Anonymous shortening stays open; signed-in users need to be an editor
+const requireEditorIfSignedIn = (req, res, next) => (
+  req.user ? requireWorkspaceRole('editor')(req, res, next) : next()
+);
+
+// Validation rules shared by single and bulk shortening
+const shortenValidators = [
   body('originalUrl')
     .isURL({ protocols: ['http', 'https'] })
     .withMessage('Please provide a valid URL')
     .isLength({ max: 2048 })
     .withMessage('URL cannot exceed 2048 characters'),
+  body('domain')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFQDN()
+    .withMessage('Domain must be a valid hostname'),
   body('customCode')
     .optional()
     .isLength({ min: 3, max: 20 })
@@ -29,6 +124,12 @@ router.post('/shorten', [
     .optional()
     .isLength({ max: 500 })
     .withMessage('Description cannot exceed 500 characters'),
+  body('activatesAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Activation date must be a valid ISO 8601 date')
+    .custom((activatesAt, { req }) => !req.body.expiresAt || new Date(activatesAt) < new Date(req.body.expiresAt))
+    .withMessage('Activation date must be before the expiration date'),
   body('expiresAt')
     .optional()
     .isISO8601()
@@ -37,11 +138,211 @@ router.post('/shorten', [
     .optional()
     .isInt({ min: 1 })
     .withMessage('Max clicks must be a positive integer'),
+  body('utm')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('UTM parameters must be an object'),
   body('tags')
     .optional()
     .isArray()
-    .withMessage('Tags must be an array')
-], async (req, res) => {
+    .withMessage('Tags must be an array'),
+  body('tags.*')
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Each tag cannot exceed 50 characters'),
+  body('showInterstitial')
+    .optional()
+    .isBoolean()
+    .withMessage('showInterstitial must be a boolean'),
+  body('password')
+    .optional({ nullable: true, checkFalsy: true })
+    .isLength({ min: 4, max: 100 })
+    .withMessage('Password must be between 4 and 100 characters'),
+  body('targetingRules')
+    .optional()
+    .isArray({ max: MAX_TARGETING_RULES })
+    .withMessage(`Targeting rules must be an array of at most ${MAX_TARGETING_RULES} rules`),
+  body('variants')
+    .optional()
+    .isArray({ max: MAX_VARIANTS })
+    .withMessage(`Variants must be an array of at most ${MAX_VARIANTS} variants`),
+  body('scheduledDestinations')
+    .optional()
+    .isArray({ max: MAX_SCHEDULED_DESTINATIONS })
+    .withMessage(`Scheduled destinations must be an array of at most ${MAX_SCHEDULED_DESTINATIONS} changes`)
+];
+
+const MAX_BULK_ROWS = 500;
+
+// Columns accepted per row by the bulk import
+const BULK_COLUMNS = ['originalUrl', 'domain', 'customCode', 'title', 'tags', 'activatesAt', 'expiresAt', 'maxClicks'];
+
+// Create and save a short URL in a workspace. Returns { url } or { error: { status, message, code } }
+const createShortUrl = async (data, { user, workspace }, { fetchPreview = true } = {}) => {
+  const {
+    customCode,
+    title,
+    description,
+    activatesAt,
+    expiresAt,
+    maxClicks,
+    tags,
+    showInterstitial,
+    password,
+    utm
+  } = data;
+
+  // Links on a custom domain need a verified domain in this workspace
+  let domain = null;
+  if (data.domain) {
+    const customDomain = workspace && await Domain.findOne({
+      workspaceId: workspace._id,
+      hostname: data.domain.toLowerCase(),
+      verifiedAt: { $ne: null }
+    });
+    if (!customDomain) {
+      return { error: { status: 400, message: 'Domain is not a verified domain in this workspace' } };
+    }
+    domain = customDomain.hostname;
+  }
+
+  // Validate URL format
+  if (!isValidUrl(data.originalUrl)) {
+    return { error: { status: 400, message: 'Invalid URL format' } };
+  }
+
+  // Fold explicit UTM parameters into the destination and normalize them
+  const tracked = applyUtm(data.originalUrl, utm || {});
+  if (tracked.error) {
+    return { error: { status: 400, message: tracked.error } };
+  }
+  const { originalUrl } = tracked;
+  if (originalUrl.length > 2048) {
+    return { error: { status: 400, message: 'URL cannot exceed 2048 characters once UTM parameters are added' } };
+  }
+
+  // Screen the destination against block/allow lists
+  const policy = await checkDestination(originalUrl);
+  if (!policy.allowed) {
+    logger.warn('Destination rejected by policy', {
+      originalUrl,
+      code: policy.code,
+      reason: policy.reason,
+      userId: user?._id
+    });
+    return { error: { status: policy.status, message: policy.message, code: policy.code } };
+  }
+
+  const targeting = await screenTargetingRules(data.targetingRules || []);
+  if (targeting.error) {
+    return { error: targeting.error };
+  }
+
+  const splitTest = await screenVariants(data.variants || []);
+  if (splitTest.error) {
+    return { error: splitTest.error };
+  }
+
+  const schedule = await screenScheduledDestinations(data.scheduledDestinations || [], { userId: user?._id });
+  if (schedule.error) {
+    return { error: schedule.error };
+  }
+
+  let shortCode = customCode;
+
+  // If no custom code provided, generate one
+  if (!shortCode) {
+    let attempts = 0;
+    const maxAttempts = 10;
+
+    do {
+      shortCode = generateShortCode();
+      attempts++;
+
+      if (attempts >= maxAttempts) {
+        return {
+          error: { status: 500, message: 'Unable to generate unique short code. Please try again.' }
+        };
+      }
+    } while (await Url.findOne({ shortCode, domain }));
+  } else {
+    // Check if custom code is already taken on this domain
+    const existingUrl = await Url.findOne({ shortCode, domain });
+    if (existingUrl) {
+      return { error: { status: 400, message: 'Custom code is already taken' } };
+    }
+  }
+
+  // Fill in missing metadata from the destination page
+  let preview = {};
+  if (!title && fetchPreview) {
+    preview = await getUrlPreview(originalUrl);
+    if (preview.error) {
+      logger.warn('Link preview fetch failed', { originalUrl, reason: preview.error });
+    }
+  }
+
+  // Create URL document
+  const urlData = {
+    originalUrl,
+    shortCode,
+    domain,
+    customCode: !!customCode,
+    userId: user?._id,
+    workspaceId: workspace?._id || null,
+    title: title || preview.title || undefined,
+    description: description || preview.description || undefined,
+    image: preview.image || undefined,
+    favicon: preview.favicon || undefined,
+    activatesAt: activatesAt ? new Date(activatesAt) : null,
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+    maxClicks,
+    tags: tags || [],
+    utm: tracked.utm,
+    targetingRules: targeting.rules,
+    variants: splitTest.variants,
+    scheduledDestinations: schedule.scheduledDestinations,
+    showInterstitial: !!showInterstitial,
+    password: password || null
+  };
+
+  const url = new Url(urlData);
+  await url.save();
+
+  emitWebhookEvent('link.created', url);
+
+  logger.info('URL shortened successfully', {
+    shortCode,
+    originalUrl,
+    userId: user?._id,
+    customCode: !!customCode
+  });
+
+  return { url };
+};
+
+// Normalize a CSV/JSON import row into the shape /shorten accepts
+const normalizeBulkRow = (row) => {
+  const normalized = {};
+  const keys = Object.keys(row || {});
+
+  BULK_COLUMNS.forEach(column => {
+    const key = keys.find(k => k.trim().toLowerCase() === column.toLowerCase());
+    const value = key !== undefined ? row[key] : undefined;
+    if (value === undefined || value === null || value === '') return;
+    normalized[column] = typeof value === 'string' ? value.trim() : value;
+  });
+
+  // CSV cells carry tags as "a;b" or "a,b"
+  if (typeof normalized.tags === 'string') {
+    normalized.tags = normalized.tags.split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+  }
+
+  return normalized;
+};
+
+// Create short URL
+router.post('/shorten', [authOrApiKey('create', { optional: true }), resolveWorkspace, requireEditorIfSignedIn, ...shortenValidators], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -52,76 +353,15 @@ router.post('/shorten', [
       });
     }
 
-    const {
-      originalUrl,
-      customCode,
-      title,
-      description,
-      expiresAt,
-      maxClicks,
-      tags
-    } = req.body;
-
-    // Validate URL format
-    if (!isValidUrl(originalUrl)) {
-      return res.status(400).json({
+    const { url, error } = await createShortUrl(req.body, { user: req.user, workspace: req.workspace });
+    if (error) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Invalid URL format'
+        ...(error.code && { code: error.code }),
+        message: error.message
       });
     }
 
-    let shortCode = customCode;
-
-    // If no custom code provided, generate one
-    if (!shortCode) {
-      let attempts = 0;
-      const maxAttempts = 10;
-      
-      do {
-        shortCode = generateShortCode();
-        attempts++;
-        
-        if (attempts >= maxAttempts) {
-          return res.status(500).json({
-            success: false,
-            message: 'Unable to generate unique short code. Please try again.'
-          });
-        }
-      } while (await Url.findOne({ shortCode }));
-    } else {
-      // Check if custom code is already taken
-      const existingUrl = await Url.findOne({ shortCode });
-      if (existingUrl) {
-        return res.status(400).json({
-          success: false,
-          message: 'Custom code is already taken'
-        });
-      }
-    }
-
-    // Create URL document
-    const urlData = {
-      originalUrl,
-      shortCode,
-      customCode: !!customCode,
-      userId: req.user?._id,
-      title,
-      description,
-      expiresAt: expiresAt ? new Date(expiresAt) : null,
-      maxClicks,
-      tags: tags || []
-    };
-
-    const url = new Url(urlData);
-    await url.save();
-
-    logger.info('URL shortened successfully', {
-      shortCode,
-      originalUrl,
-      userId: req.user?._id,
-      customCode: !!customCode
-    });
-
     res.status(201).json({
       success: true,
       message: 'URL shortened successfully',
@@ -134,9 +374,17 @@ router.post('/shorten', [
           customCode: url.customCode,
           title: url.title,
           description: url.description,
+          image: url.image,
+          favicon: url.favicon,
+          activatesAt: url.activatesAt,
           expiresAt: url.expiresAt,
           maxClicks: url.maxClicks,
           tags: url.tags,
+          targetingRules: url.targetingRules,
+          variants: url.variants,
+          scheduledDestinations: url.scheduledDestinations,
+          showInterstitial: url.showInterstitial,
+          isPasswordProtected: url.isPasswordProtected,
           clicks: url.clicks,
           isActive: url.isActive,
           createdAt: url.createdAt
@@ -152,12 +400,113 @@ router.post('/shorten', [
   }
 });
 
+// Bulk shorten from a CSV upload or a JSON array of rows
+router.post('/bulk/shorten', creatorAccess, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    let rows;
+    if (typeof req.body === 'string') {
+      rows = parseCsv(req.body);
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body?.rows;
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a CSV file with a header row or a JSON array of rows'
+      });
+    }
+
+    if (rows.length > MAX_BULK_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Bulk import is limited to ${MAX_BULK_ROWS} rows per request`
+      });
+    }
+
+    const results = [];
+
+    // Rows are processed sequentially so custom code conflicts inside one file are caught
+    for (let index = 0; index < rows.length; index++) {
+      const data = normalizeBulkRow(rows[index]);
+      const result = { row: index + 1, originalUrl: data.originalUrl || '' };
+
+      try {
+        // Apply the exact /shorten rules to the row
+        const rowReq = { body: data };
+        await Promise.all(shortenValidators.map(validator => validator.run(rowReq)));
+        const errors = validationResult(rowReq);
+
+        if (!errors.isEmpty()) {
+          results.push({
+            ...result,
+            success: false,
+            message: errors.array()[0].msg,
+            errors: errors.array()
+          });
+          continue;
+        }
+
+        // Skip preview fetches to keep large imports fast
+        const { url, error } = await createShortUrl(data, { user: req.user, workspace: req.workspace }, { fetchPreview: false });
+        if (error) {
+          results.push({
+            ...result,
+            success: false,
+            ...(error.code && { code: error.code }),
+            message: error.message
+          });
+          continue;
+        }
+
+        results.push({
+          ...result,
+          success: true,
+          id: url._id,
+          shortCode: url.shortCode,
+          shortUrl: url.shortUrl
+        });
+      } catch (error) {
+        logger.error('Bulk shorten row error:', error);
+        results.push({ ...result, success: false, message: 'Server error while creating this link' });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    logger.info('Bulk shorten completed', {
+      userId: req.user._id,
+      total: results.length,
+      succeeded
+    });
+
+    res.json({
+      success: true,
+      message: `${succeeded} of ${results.length} URLs shortened successfully`,
+      data: {
+        results,
+        summary: {
+          total: results.length,
+          succeeded,
+          failed: results.length - succeeded
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Bulk shorten error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during bulk shortening'
+    });
+  }
+});
+
 // Get user's URLs
-router.get('/my-urls', auth, async (req, res) => {
+router.get('/my-urls', viewerAccess, async (req, res) => {
   try {
     const { page = 1, limit = 10, search, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
     
-    const query = { userId: req.user._id };
+    const query = { workspaceId: req.workspace._id };
     
     // Add search functionality
     if (search) {
@@ -175,12 +524,11 @@ router.get('/my-urls', auth, async (req, res) => {
     const urls = await Url.find(query)
       .sort(sortOptions)
       .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .select('-clickHistory');
+      .skip((page - 1) * limit);
 
     const total = await Url.countDocuments(query);
 
-    logger.info('User URLs retrieved', { userId: req.user._id, count: urls.length });
+    logger.info('User URLs retrieved', { userId: req.user._id, workspaceId: req.workspace._id, count: urls.length });
 
     res.json({
       success: true,
@@ -204,10 +552,83 @@ router.get('/my-urls', auth, async (req, res) => {
   }
 });
 
+// Columns included in link exports
+// Structured fields are exported as JSON so they survive a CSV round trip
+const toJsonCell = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
+const URL_EXPORT_COLUMNS = [
+  { header: 'id', value: url => url._id.toString() },
+  { header: 'workspaceId', value: url => url.workspaceId?.toString() },
+  { header: 'domain', value: url => url.domain },
+  { header: 'shortCode', value: url => url.shortCode },
+  { header: 'shortUrl', value: url => url.shortUrl },
+  { header: 'originalUrl', value: url => url.originalUrl },
+  { header: 'utm', value: url => toJsonCell(url.utm) },
+  { header: 'targetingRules', value: url => toJsonCell(url.targetingRules) },
+  { header: 'variants', value: url => toJsonCell(url.variants) },
+  { header: 'scheduledDestinations', value: url => toJsonCell(url.scheduledDestinations) },
+  { header: 'title', value: url => url.title },
+  { header: 'description', value: url => url.description },
+  { header: 'tags', value: url => (url.tags || []).join(';') },
+  { header: 'clicks', value: url => url.clicks },
+  { header: 'botClicks', value: url => url.botClicks },
+  { header: 'uniqueVisitors', value: url => url.uniqueVisitors },
+  { header: 'isActive', value: url => url.isActive },
+  { header: 'customCode', value: url => url.customCode },
+  { header: 'activatesAt', value: url => url.activatesAt },
+  { header: 'expiresAt', value: url => url.expiresAt },
+  { header: 'maxClicks', value: url => url.maxClicks },
+  { header: 'showInterstitial', value: url => url.showInterstitial },
+  { header: 'isPasswordProtected', value: url => url.isPasswordProtected },
+  { header: 'image', value: url => url.image },
+  { header: 'favicon', value: url => url.favicon },
+  { header: 'createdAt', value: url => url.createdAt },
+  { header: 'updatedAt', value: url => url.updatedAt }
+];
+
+// Export all of the user's URLs
+router.get('/export', viewerAccess, [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const cursor = Url.find({ workspaceId: req.workspace._id }).sort({ createdAt: -1 }).cursor();
+
+    const count = await streamExport(res, cursor, {
+      format,
+      filename: 'urls',
+      columns: URL_EXPORT_COLUMNS
+    });
+
+    logger.info('URLs exported', { userId: req.user._id, format, count });
+  } catch (error) {
+    logger.error('Export URLs error:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting URLs'
+    });
+  }
+});
+
 // Get single URL details
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', viewerAccess, async (req, res) => {
   try {
-    const url = await Url.findOne({ _id: req.params.id, userId: req.user._id });
+    const url = await Url.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
     
     if (!url) {
       return res.status(404).json({
@@ -229,8 +650,110 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Get QR code for a URL
+router.get('/:id/qr', viewerAccess, [
+  query('format')
+    .optional()
+    .isIn(QR_FORMATS)
+    .withMessage('Format must be svg or png'),
+  query('size')
+    .optional()
+    .isInt({ min: 64, max: 2048 })
+    .withMessage('Size must be between 64 and 2048 pixels'),
+  query('margin')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .withMessage('Margin must be between 0 and 20 modules'),
+  query('errorCorrectionLevel')
+    .optional()
+    .isIn(QR_ERROR_CORRECTION_LEVELS)
+    .withMessage('Error correction level must be one of L, M, Q or H'),
+  query('foreground')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Foreground must be a hex colour like #000000'),
+  query('background')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Background must be a hex colour like #ffffff'),
+  query('logo')
+    .optional()
+    .isBoolean()
+    .withMessage('Logo must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const url = await Url.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'URL not found'
+      });
+    }
+
+    const {
+      format = 'svg',
+      size,
+      margin,
+      errorCorrectionLevel,
+      foreground,
+      background,
+      logo
+    } = req.query;
+
+    let logoBuffer = null;
+    if (logo === 'true') {
+      if (!process.env.QR_LOGO_PATH) {
+        return res.status(400).json({
+          success: false,
+          message: 'No QR code logo is configured on this server'
+        });
+      }
+      logoBuffer = await fs.readFile(process.env.QR_LOGO_PATH);
+    }
+
+    const qrCode = await generateQRCode(url.shortUrl, {
+      format,
+      size: size ? parseInt(size) : undefined,
+      margin: margin !== undefined ? parseInt(margin) : undefined,
+      errorCorrectionLevel,
+      foreground,
+      background,
+      logo: logoBuffer
+    });
+
+    res.set({
+      'Content-Type': format === 'png' ? 'image/png' : 'image/svg+xml',
+      'Content-Disposition': `attachment; filename="${url.shortCode}-qr.${format}"`,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.send(qrCode);
+  } catch (error) {
+    logger.error('QR code generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during QR code generation'
+    });
+  }
+});
+
 // Update URL
-router.put('/:id', auth, [
+router.put('/:id', editorAccess, [
+  body('originalUrl')
+    .optional()
+    .isURL({ protocols: ['http', 'https'] })
+    .withMessage('Please provide a valid URL')
+    .isLength({ max: 2048 })
+    .withMessage('URL cannot exceed 2048 characters'),
   body('title')
     .optional()
     .isLength({ max: 200 })
@@ -239,22 +762,50 @@ router.put('/:id', auth, [
     .optional()
     .isLength({ max: 500 })
     .withMessage('Description cannot exceed 500 characters'),
+  body('activatesAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Activation date must be a valid ISO 8601 date'),
   body('expiresAt')
-    .optional()
+    .optional({ nullable: true })
     .isISO8601()
     .withMessage('Expiration date must be a valid ISO 8601 date'),
   body('maxClicks')
-    .optional()
+    .optional({ nullable: true })
     .isInt({ min: 1 })
     .withMessage('Max clicks must be a positive integer'),
   body('tags')
     .optional()
     .isArray()
     .withMessage('Tags must be an array'),
+  body('tags.*')
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Each tag cannot exceed 50 characters'),
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .withMessage('isActive must be a boolean'),
+  body('showInterstitial')
+    .optional()
+    .isBoolean()
+    .withMessage('showInterstitial must be a boolean'),
+  body('password')
+    .optional({ nullable: true, checkFalsy: true })
+    .isLength({ min: 4, max: 100 })
+    .withMessage('Password must be between 4 and 100 characters'),
+  body('targetingRules')
+    .optional()
+    .isArray({ max: MAX_TARGETING_RULES })
+    .withMessage(`Targeting rules must be an array of at most ${MAX_TARGETING_RULES} rules`),
+  body('variants')
+    .optional()
+    .isArray({ max: MAX_VARIANTS })
+    .withMessage(`Variants must be an array of at most ${MAX_VARIANTS} variants`),
+  body('scheduledDestinations')
+    .optional()
+    .isArray({ max: MAX_SCHEDULED_DESTINATIONS })
+    .withMessage(`Scheduled destinations must be an array of at most ${MAX_SCHEDULED_DESTINATIONS} changes`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -266,7 +817,7 @@ router.put('/:id', auth, [
       });
     }
 
-    const url = await Url.findOne({ _id: req.params.id, userId: req.user._id });
+    const url = await Url.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
     
     if (!url) {
       return res.status(404).json({
@@ -276,14 +827,140 @@ router.put('/:id', auth, [
     }
 
     const updateData = {};
-    const { title, description, expiresAt, maxClicks, tags, isActive } = req.body;
+    const {
+      originalUrl,
+      title,
+      description,
+      activatesAt,
+      expiresAt,
+      maxClicks,
+      tags,
+      isActive,
+      showInterstitial,
+      password,
+      targetingRules,
+      variants,
+      scheduledDestinations
+    } = req.body;
+
+    // Compare against the stored value of whichever date isn't being changed
+    const nextActivatesAt = activatesAt !== undefined ? (activatesAt ? new Date(activatesAt) : null) : url.activatesAt;
+    const nextExpiresAt = expiresAt !== undefined ? (expiresAt ? new Date(expiresAt) : null) : url.expiresAt;
+    if (nextActivatesAt && nextExpiresAt && nextActivatesAt >= nextExpiresAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Activation date must be before the expiration date'
+      });
+    }
+
+    // Normalize the UTM parameters on a new destination as shortening does,
+    // so re-saving the same link isn't recorded as a destination change
+    const tracked = originalUrl !== undefined ? applyUtm(originalUrl) : null;
+    if (tracked?.error) {
+      return res.status(400).json({
+        success: false,
+        message: tracked.error
+      });
+    }
+
+    const destinationChanged = !!tracked && tracked.originalUrl !== url.originalUrl;
+
+    if (destinationChanged && !isValidUrl(tracked.originalUrl)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid URL format'
+      });
+    }
+    if (destinationChanged && tracked.originalUrl.length > 2048) {
+      return res.status(400).json({
+        success: false,
+        message: 'URL cannot exceed 2048 characters once UTM parameters are added'
+      });
+    }
+
+    // Screen a new destination, or re-screen the current one before
+    // reactivating, as policy may have changed since it was created
+    if (destinationChanged || (isActive === true && !url.isActive)) {
+      const destination = destinationChanged ? tracked.originalUrl : url.originalUrl;
+      const policy = await checkDestination(destination);
+      if (!policy.allowed) {
+        logger.warn('URL update rejected by policy', {
+          urlId: url._id,
+          destination,
+          code: policy.code,
+          reason: policy.reason,
+          userId: req.user._id
+        });
+        return rejectDestination(res, policy);
+      }
+    }
+
+    // Rule and variant destinations are screened like originalUrl, including on reactivation
+    if (targetingRules !== undefined || (isActive === true && !url.isActive && url.targetingRules.length)) {
+      const targeting = await screenTargetingRules(targetingRules ?? url.targetingRules, url.targetingRules);
+      if (targeting.error) {
+        return res.status(targeting.error.status).json({
+          success: false,
+          ...(targeting.error.code && { code: targeting.error.code }),
+          message: targeting.error.message
+        });
+      }
+      if (targetingRules !== undefined) updateData.targetingRules = targeting.rules;
+    }
+
+    if (variants !== undefined || (isActive === true && !url.isActive && url.variants.length)) {
+      const splitTest = await screenVariants(variants ?? url.variants, url.variants);
+      if (splitTest.error) {
+        return res.status(splitTest.error.status).json({
+          success: false,
+          ...(splitTest.error.code && { code: splitTest.error.code }),
+          message: splitTest.error.message
+        });
+      }
+      if (variants !== undefined) updateData.variants = splitTest.variants;
+    }
 
+    if (scheduledDestinations !== undefined) {
+      const schedule = await screenScheduledDestinations(scheduledDestinations, {
+        existing: url.scheduledDestinations,
+        userId: req.user._id
+      });
+      if (schedule.error) {
+        return res.status(schedule.error.status).json({
+          success: false,
+          ...(schedule.error.code && { code: schedule.error.code }),
+          message: schedule.error.message
+        });
+      }
+      updateData.scheduledDestinations = schedule.scheduledDestinations;
+    }
+
+    // Keep campaign stats in step with the UTM parameters on the new destination
+    if (destinationChanged) {
+      updateData.originalUrl = tracked.originalUrl;
+      updateData.utm = tracked.utm;
+    }
     if (title !== undefined) updateData.title = title;
     if (description !== undefined) updateData.description = description;
+    if (activatesAt !== undefined) updateData.activatesAt = nextActivatesAt;
     if (expiresAt !== undefined) updateData.expiresAt = expiresAt ? new Date(expiresAt) : null;
     if (maxClicks !== undefined) updateData.maxClicks = maxClicks;
     if (tags !== undefined) updateData.tags = tags;
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (showInterstitial !== undefined) updateData.showInterstitial = showInterstitial;
+    if (password !== undefined) updateData.password = password || null; // empty removes the password
+
+    // Let link.expired / link.max_clicks_reached fire again once their limit changes
+    const resetEvents = [];
+    if (expiresAt !== undefined && (updateData.expiresAt?.getTime() ?? null) !== (url.expiresAt?.getTime() ?? null)) {
+      resetEvents.push('link.expired');
+    }
+    if (maxClicks !== undefined && (maxClicks || null) !== (url.maxClicks || null)) {
+      resetEvents.push('link.max_clicks_reached');
+    }
+    if (resetEvents.some(event => url.notifiedEvents.includes(event))) {
+      updateData.notifiedEvents = url.notifiedEvents.filter(event => !resetEvents.includes(event));
+    }
 
     const updatedUrl = await Url.findByIdAndUpdate(
       req.params.id,
@@ -291,7 +968,24 @@ router.put('/:id', auth, [
       { new: true, runValidators: true }
     );
 
-    logger.info('URL updated successfully', { urlId: req.params.id, userId: req.user._id });
+    if (destinationChanged) {
+      await UrlRevision.create({
+        urlId: url._id,
+        oldValue: url.originalUrl,
+        newValue: tracked.originalUrl,
+        changedBy: req.user._id
+      });
+    }
+
+    emitWebhookEvent('link.updated', updatedUrl, {
+      changes: Object.keys(updateData).filter(key => key !== 'password' && key !== 'notifiedEvents')
+    });
+
+    logger.info('URL updated successfully', {
+      urlId: req.params.id,
+      userId: req.user._id,
+      destinationChanged
+    });
 
     res.json({
       success: true,
@@ -307,10 +1001,127 @@ router.put('/:id', auth, [
   }
 });
 
+// Get destination revision history for a URL
+router.get('/:id/revisions', viewerAccess, async (req, res) => {
+  try {
+    const url = await Url.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'URL not found'
+      });
+    }
+
+    const revisions = await UrlRevision.find({ urlId: url._id })
+      .sort({ createdAt: -1 })
+      .populate('changedBy', 'username');
+
+    res.json({
+      success: true,
+      data: {
+        currentUrl: url.originalUrl,
+        revisions
+      }
+    });
+  } catch (error) {
+    logger.error('Get URL revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving URL revisions'
+    });
+  }
+});
+
+// Roll back a destination change, restoring the URL it replaced
+router.post('/:id/revisions/:revisionId/rollback', editorAccess, async (req, res) => {
+  try {
+    const url = await Url.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        message: 'URL not found'
+      });
+    }
+
+    const revision = await UrlRevision.findOne({ _id: req.params.revisionId, urlId: url._id });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    // Revisions made before UTM normalization may hold unnormalized URLs
+    const tracked = applyUtm(revision.oldValue);
+    if (tracked.error) {
+      return res.status(400).json({
+        success: false,
+        message: tracked.error
+      });
+    }
+    const restoredUrl = tracked.originalUrl;
+
+    if (restoredUrl === url.originalUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'URL already points to this destination'
+      });
+    }
+
+    const policy = await checkDestination(restoredUrl);
+    if (!policy.allowed) {
+      logger.warn('URL rollback rejected by policy', {
+        urlId: url._id,
+        destination: restoredUrl,
+        code: policy.code,
+        userId: req.user._id
+      });
+      return rejectDestination(res, policy);
+    }
+
+    const previousUrl = url.originalUrl;
+    url.originalUrl = restoredUrl;
+    url.utm = tracked.utm;
+    await url.save();
+
+    await UrlRevision.create({
+      urlId: url._id,
+      oldValue: previousUrl,
+      newValue: restoredUrl,
+      action: 'rollback',
+      rolledBackRevisionId: revision._id,
+      changedBy: req.user._id
+    });
+
+    emitWebhookEvent('link.updated', url, { changes: ['originalUrl'] });
+
+    logger.info('URL destination rolled back', {
+      urlId: url._id,
+      revisionId: revision._id,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'URL destination restored successfully',
+      data: { url }
+    });
+  } catch (error) {
+    logger.error('URL rollback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during URL rollback'
+    });
+  }
+});
+
 // Delete URL
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', editorAccess, async (req, res) => {
   try {
-    const url = await Url.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    const url = await Url.findOneAndDelete({ _id: req.params.id, workspaceId: req.workspace._id });
     
     if (!url) {
       return res.status(404).json({
@@ -319,6 +1130,12 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
+    await Click.deleteMany({ urlId: url._id });
+    await Conversion.deleteMany({ urlId: url._id });
+    await UrlRevision.deleteMany({ urlId: url._id });
+
+    emitWebhookEvent('link.deleted', url);
+
     logger.info('URL deleted successfully', { urlId: req.params.id, userId: req.user._id });
 
     res.json({
@@ -335,7 +1152,7 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Bulk delete URLs
-router.delete('/bulk/delete', auth, [
+router.delete('/bulk/delete', editorAccess, [
   body('urlIds')
     .isArray({ min: 1 })
     .withMessage('URL IDs must be provided as an array')
@@ -352,10 +1169,19 @@ router.delete('/bulk/delete', auth, [
 
     const { urlIds } = req.body;
 
-    const result = await Url.deleteMany({
+    // Only remove click events, conversions and revisions for URLs in the current workspace
+    const ownedUrls = await Url.find({
       _id: { $in: urlIds },
-      userId: req.user._id
+      workspaceId: req.workspace._id
     });
+    const ownedUrlIds = ownedUrls.map(url => url._id);
+
+    const result = await Url.deleteMany({ _id: { $in: ownedUrlIds } });
+    await Click.deleteMany({ urlId: { $in: ownedUrlIds } });
+    await Conversion.deleteMany({ urlId: { $in: ownedUrlIds } });
+    await UrlRevision.deleteMany({ urlId: { $in: ownedUrlIds } });
+
+    ownedUrls.forEach(url => emitWebhookEvent('link.deleted', url));
 
     logger.info('Bulk delete URLs', { 
       deletedCount: result.deletedCount, 
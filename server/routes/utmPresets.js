@@ -0,0 +1,121 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const UtmPreset = require('../models/UtmPreset');
+const logger = require('../utils/logger');
+const { auth } = require('../middleware/auth');
+const { UTM_FIELDS, MAX_UTM_LENGTH, normalizeUtmValue } = require('../utils/utm');
+
+const router = express.Router();
+
+const MAX_PRESETS = 50;
+
+router.use(auth);
+
+// Values are normalized the same way as on links; only utm_source is required
+const utmValidator = (field) => {
+  const chain = field === 'source' ? body(field) : body(field).optional({ nullable: true });
+  const minLength = field === 'source' ? 1 : 0;
+
+  return chain
+    .isString()
+    .withMessage(`utm_${field} must be a string`)
+    .customSanitizer(normalizeUtmValue)
+    .isLength({ min: minLength, max: MAX_UTM_LENGTH })
+    .withMessage(`utm_${field} must be at most ${MAX_UTM_LENGTH} characters${minLength ? ' and is required' : ''}`);
+};
+
+// List the user's UTM presets
+router.get('/', async (req, res) => {
+  try {
+    const presets = await UtmPreset.find({ userId: req.user._id }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { presets }
+    });
+  } catch (error) {
+    logger.error('List UTM presets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving UTM presets'
+    });
+  }
+});
+
+// Save a UTM preset, replacing any existing preset with the same name
+router.post('/', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Name must be between 1 and 60 characters'),
+  ...UTM_FIELDS.map(utmValidator)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await UtmPreset.findOne({ userId: req.user._id, name: req.body.name });
+    if (!existing) {
+      const count = await UtmPreset.countDocuments({ userId: req.user._id });
+      if (count >= MAX_PRESETS) {
+        return res.status(400).json({
+          success: false,
+          message: `You can have at most ${MAX_PRESETS} UTM presets. Delete one first.`
+        });
+      }
+    }
+
+    const preset = existing || new UtmPreset({ userId: req.user._id, name: req.body.name });
+    UTM_FIELDS.forEach(field => {
+      preset[field] = req.body[field] || undefined;
+    });
+    await preset.save();
+
+    logger.info('UTM preset saved', { presetId: preset._id, userId: req.user._id, replaced: !!existing });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'UTM preset updated' : 'UTM preset saved',
+      data: { preset }
+    });
+  } catch (error) {
+    logger.error('Save UTM preset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving UTM preset'
+    });
+  }
+});
+
+// Delete a UTM preset
+router.delete('/:id', async (req, res) => {
+  try {
+    const preset = await UtmPreset.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!preset) {
+      return res.status(404).json({
+        success: false,
+        message: 'UTM preset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'UTM preset deleted'
+    });
+  } catch (error) {
+    logger.error('Delete UTM preset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting UTM preset'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,303 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../utils/logger');
+const { auth } = require('../middleware/auth');
+const { resolveWorkspace, requireWorkspaceRole } = require('../middleware/workspace');
+const { isAllowedWebhookUrl, queueDelivery } = require('../utils/webhooks');
+
+const router = express.Router();
+
+const MAX_WEBHOOKS = 10;
+const DELIVERY_LOG_LIMIT = 50;
+
+// Webhooks belong to the current workspace and are managed by its owners
+router.use(auth, resolveWorkspace, requireWorkspaceRole('owner'));
+
+const webhookValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('url')
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('Please provide a valid http(s) URL')
+      .isLength({ max: 2048 })
+      .withMessage('URL cannot exceed 2048 characters')
+      .custom(isAllowedWebhookUrl)
+      .withMessage('Webhooks cannot be sent to private or local network addresses'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage('Subscribe to at least one event'),
+    body('events.*')
+      .isIn(Webhook.EVENTS)
+      .withMessage(`Events must be one of: ${Webhook.EVENTS.join(', ')}`),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ];
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const findWebhook = (req) => Webhook.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
+
+const sendNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Webhook not found'
+});
+
+// List the workspace's webhooks
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ workspaceId: req.workspace._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        webhooks,
+        events: Webhook.EVENTS
+      }
+    });
+  } catch (error) {
+    logger.error('List webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving webhooks'
+    });
+  }
+});
+
+// Create a webhook. The signing secret is only returned in this response
+router.post('/', webhookValidators(false), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const count = await Webhook.countDocuments({ workspaceId: req.workspace._id });
+    if (count >= MAX_WEBHOOKS) {
+      return res.status(400).json({
+        success: false,
+        message: `A workspace can have at most ${MAX_WEBHOOKS} webhooks`
+      });
+    }
+
+    const secret = Webhook.generateSecret();
+    const webhook = await Webhook.create({
+      workspaceId: req.workspace._id,
+      createdBy: req.user._id,
+      url: req.body.url,
+      description: req.body.description,
+      events: [...new Set(req.body.events)],
+      isActive: req.body.isActive !== false,
+      secret
+    });
+
+    logger.info('Webhook created', { webhookId: webhook._id, workspaceId: req.workspace._id, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Copy the signing secret now, it will not be shown again.',
+      data: { webhook, secret }
+    });
+  } catch (error) {
+    logger.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating webhook'
+    });
+  }
+});
+
+// Update a webhook's URL, description, events or active state
+router.put('/:id', webhookValidators(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const webhook = await findWebhook(req);
+    if (!webhook) return sendNotFound(res);
+
+    const { url, description, events, isActive } = req.body;
+    if (url !== undefined) webhook.url = url;
+    if (description !== undefined) webhook.description = description;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (isActive !== undefined) webhook.isActive = isActive;
+    await webhook.save();
+
+    logger.info('Webhook updated', { webhookId: webhook._id, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: { webhook }
+    });
+  } catch (error) {
+    logger.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating webhook'
+    });
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:id', async (req, res) => {
+  try {
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, workspaceId: req.workspace._id });
+    if (!webhook) return sendNotFound(res);
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    logger.info('Webhook deleted', { webhookId: webhook._id, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting webhook'
+    });
+  }
+});
+
+// Replace the signing secret. The new secret is only returned in this response
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook) return sendNotFound(res);
+
+    const secret = Webhook.generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    logger.info('Webhook secret rotated', { webhookId: webhook._id, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Signing secret rotated. Copy it now, it will not be shown again.',
+      data: { webhook, secret }
+    });
+  } catch (error) {
+    logger.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating webhook secret'
+    });
+  }
+});
+
+// Queue a ping event to check the receiver is reachable
+router.post('/:id/test', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook) return sendNotFound(res);
+
+    if (!webhook.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable the webhook before sending a test event'
+      });
+    }
+
+    const delivery = await queueDelivery(webhook, 'ping', {
+      id: crypto.randomUUID(),
+      event: 'ping',
+      createdAt: new Date().toISOString(),
+      data: { webhookId: webhook._id, workspaceId: req.workspace._id }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Test event queued',
+      data: { delivery }
+    });
+  } catch (error) {
+    logger.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending test event'
+    });
+  }
+});
+
+// Get the most recent deliveries for a webhook
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook) return sendNotFound(res);
+
+    const deliveries = await WebhookDelivery.find({ webhookId: webhook._id })
+      .sort({ createdAt: -1 })
+      .limit(DELIVERY_LOG_LIMIT);
+
+    res.json({
+      success: true,
+      data: { deliveries }
+    });
+  } catch (error) {
+    logger.error('List webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving webhook deliveries'
+    });
+  }
+});
+
+// Send a logged event again as a new delivery
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook) return sendNotFound(res);
+
+    if (!webhook.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable the webhook before redelivering events'
+      });
+    }
+
+    const original = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id });
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const delivery = await queueDelivery(webhook, original.event, original.payload);
+
+    res.status(202).json({
+      success: true,
+      message: 'Event queued for redelivery',
+      data: { delivery }
+    });
+  } catch (error) {
+    logger.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while redelivering event'
+    });
+  }
+});
+
+module.exports = router;
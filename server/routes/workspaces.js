@@ -0,0 +1,560 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const Workspace = require('../models/Workspace');
+const WorkspaceInvitation = require('../models/WorkspaceInvitation');
+const Url = require('../models/Url');
+const Domain = require('../models/Domain');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailer');
+const { escapeHtml } = require('../utils/htmlPages');
+const { auth } = require('../middleware/auth');
+const { getPersonalWorkspace, hasWorkspaceRole } = require('../middleware/workspace');
+
+const router = express.Router();
+
+router.use(auth);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const countOwners = (workspace) => workspace.members.filter(m => m.role === 'owner').length;
+
+const formatWorkspace = (workspace, userId) => ({
+  id: workspace._id,
+  name: workspace.name,
+  isPersonal: workspace.isPersonal,
+  role: workspace.getMemberRole(userId),
+  memberCount: workspace.members.length,
+  createdAt: workspace.createdAt
+});
+
+// Load the workspace in req.params.id for a member with at least minRole
+const loadWorkspace = (minRole) => async (req, res, next) => {
+  try {
+    const workspace = await Workspace.findOne({ _id: req.params.id, 'members.user': req.user._id });
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+
+    const role = workspace.getMemberRole(req.user._id);
+    if (!hasWorkspaceRole(role, minRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. This action requires the ${minRole} role in this workspace.`
+      });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+    logger.error('Load workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while loading workspace'
+    });
+  }
+};
+
+// List workspaces the user belongs to
+router.get('/', async (req, res) => {
+  try {
+    // Make sure the personal workspace exists before listing
+    await getPersonalWorkspace(req.user);
+
+    const workspaces = await Workspace.find({ 'members.user': req.user._id })
+      .sort({ isPersonal: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        workspaces: workspaces.map(workspace => formatWorkspace(workspace, req.user._id))
+      }
+    });
+  } catch (error) {
+    logger.error('List workspaces error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving workspaces'
+    });
+  }
+});
+
+// Create a shared workspace
+router.post('/', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Workspace name must be between 1 and 60 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await Workspace.create({
+      name: req.body.name,
+      createdBy: req.user._id,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+
+    logger.info('Workspace created', { workspaceId: workspace._id, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      data: { workspace: formatWorkspace(workspace, req.user._id) }
+    });
+  } catch (error) {
+    logger.error('Create workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating workspace'
+    });
+  }
+});
+
+// Accept an invitation with the token from the email
+router.post('/invitations/accept', [
+  body('token')
+    .isString()
+    .withMessage('Invitation token is required')
+    .bail()
+    .notEmpty()
+    .withMessage('Invitation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await WorkspaceInvitation.findOne({ tokenHash: hashToken(req.body.token) });
+    if (!invitation || !invitation.isPending) {
+      return res.status(400).json({
+        success: false,
+        message: 'This invitation is invalid or has expired'
+      });
+    }
+
+    if (invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    const workspace = await Workspace.findById(invitation.workspaceId);
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace not found'
+      });
+    }
+
+    if (!workspace.getMemberRole(req.user._id)) {
+      workspace.members.push({ user: req.user._id, role: invitation.role });
+      await workspace.save();
+    }
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = req.user._id;
+    await invitation.save();
+
+    logger.info('Workspace invitation accepted', {
+      workspaceId: workspace._id,
+      invitationId: invitation._id,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: `You joined ${workspace.name}`,
+      data: { workspace: formatWorkspace(workspace, req.user._id) }
+    });
+  } catch (error) {
+    logger.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+});
+
+// Get workspace details and members
+router.get('/:id', loadWorkspace('viewer'), async (req, res) => {
+  try {
+    await req.workspace.populate('members.user', 'username email');
+
+    res.json({
+      success: true,
+      data: {
+        workspace: formatWorkspace(req.workspace, req.user._id),
+        members: req.workspace.members
+          .filter(member => member.user)
+          .map(member => ({
+            userId: member.user._id,
+            username: member.user.username,
+            email: member.user.email,
+            role: member.role,
+            joinedAt: member.joinedAt
+          }))
+      }
+    });
+  } catch (error) {
+    logger.error('Get workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving workspace'
+    });
+  }
+});
+
+// Rename workspace
+router.put('/:id', loadWorkspace('owner'), [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Workspace name must be between 1 and 60 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    req.workspace.name = req.body.name;
+    await req.workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Workspace updated successfully',
+      data: { workspace: formatWorkspace(req.workspace, req.user._id) }
+    });
+  } catch (error) {
+    logger.error('Update workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating workspace'
+    });
+  }
+});
+
+// Delete an empty shared workspace
+router.delete('/:id', loadWorkspace('owner'), async (req, res) => {
+  try {
+    if (req.workspace.isPersonal) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your personal workspace cannot be deleted'
+      });
+    }
+
+    const urlCount = await Url.countDocuments({ workspaceId: req.workspace._id });
+    if (urlCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delete the links in this workspace before deleting it'
+      });
+    }
+
+    const webhookIds = await Webhook.find({ workspaceId: req.workspace._id }).distinct('_id');
+    await WebhookDelivery.deleteMany({ webhookId: { $in: webhookIds } });
+    await Webhook.deleteMany({ workspaceId: req.workspace._id });
+    await Domain.deleteMany({ workspaceId: req.workspace._id });
+    await WorkspaceInvitation.deleteMany({ workspaceId: req.workspace._id });
+    await req.workspace.deleteOne();
+
+    logger.info('Workspace deleted', { workspaceId: req.workspace._id, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting workspace'
+    });
+  }
+});
+
+// Change a member's role
+router.put('/:id/members/:userId', loadWorkspace('owner'), [
+  body('role')
+    .isIn(Workspace.ROLES)
+    .withMessage(`Role must be one of: ${Workspace.ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const member = req.workspace.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner' && req.body.role !== 'owner' && countOwners(req.workspace) === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A workspace must have at least one owner'
+      });
+    }
+
+    member.role = req.body.role;
+    await req.workspace.save();
+
+    logger.info('Workspace member role changed', {
+      workspaceId: req.workspace._id,
+      memberId: req.params.userId,
+      role: member.role,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully'
+    });
+  } catch (error) {
+    logger.error('Update member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating member'
+    });
+  }
+});
+
+// Remove a member, or leave the workspace when removing yourself
+router.delete('/:id/members/:userId', loadWorkspace('viewer'), async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && req.workspaceRole !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. This action requires the owner role in this workspace.'
+      });
+    }
+
+    const member = req.workspace.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (req.workspace.isPersonal && member.user.equals(req.workspace.createdBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot leave your personal workspace'
+      });
+    }
+
+    if (member.role === 'owner' && countOwners(req.workspace) === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A workspace must have at least one owner'
+      });
+    }
+
+    req.workspace.members = req.workspace.members.filter(m => m !== member);
+    await req.workspace.save();
+
+    logger.info('Workspace member removed', {
+      workspaceId: req.workspace._id,
+      memberId: req.params.userId,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the workspace' : 'Member removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing member'
+    });
+  }
+});
+
+// List pending invitations
+router.get('/:id/invitations', loadWorkspace('owner'), async (req, res) => {
+  try {
+    const invitations = await WorkspaceInvitation.find({
+      workspaceId: req.workspace._id,
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { invitations }
+    });
+  } catch (error) {
+    logger.error('List invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving invitations'
+    });
+  }
+});
+
+// Invite someone by email
+router.post('/:id/invitations', loadWorkspace('owner'), [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .optional()
+    .isIn(['editor', 'viewer'])
+    .withMessage('Role must be editor or viewer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.workspace.isPersonal) {
+      return res.status(400).json({
+        success: false,
+        message: 'Create a shared workspace to invite teammates'
+      });
+    }
+
+    const { email, role = 'viewer' } = req.body;
+
+    await req.workspace.populate('members.user', 'email');
+    if (req.workspace.members.some(m => m.user?.email === email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This person is already a member of the workspace'
+      });
+    }
+
+    // A new invitation replaces any pending one for the same address
+    await WorkspaceInvitation.deleteMany({ workspaceId: req.workspace._id, email, acceptedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await WorkspaceInvitation.create({
+      workspaceId: req.workspace._id,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user._id
+    });
+
+    const frontendUrl = process.env.REACT_APP_FRONTEND_URL || 'http://localhost:3000';
+    const inviteUrl = `${frontendUrl}/workspaces?invite=${token}`;
+    const workspaceName = req.workspace.name;
+
+    const emailSent = await sendMail({
+      to: email,
+      subject: `${req.user.username} invited you to ${workspaceName}`,
+      text: `${req.user.username} invited you to join the "${workspaceName}" workspace as ${role}.\n\n` +
+        `Accept the invitation: ${inviteUrl}\n\nThis link expires in 7 days.`,
+      html: `<p>${escapeHtml(req.user.username)} invited you to join the ` +
+        `<strong>${escapeHtml(workspaceName)}</strong> workspace as ${role}.</p>` +
+        `<p><a href="${escapeHtml(inviteUrl)}">Accept the invitation</a></p>` +
+        '<p>This link expires in 7 days.</p>'
+    });
+
+    logger.info('Workspace invitation created', {
+      workspaceId: req.workspace._id,
+      invitationId: invitation._id,
+      emailSent,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: emailSent ? `Invitation sent to ${email}` : 'Invitation created. Share the link with your teammate.',
+      data: {
+        invitation,
+        emailSent,
+        // Only exposed when no email went out so the owner can share it by hand
+        ...(!emailSent && { inviteUrl })
+      }
+    });
+  } catch (error) {
+    logger.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating invitation'
+    });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/:id/invitations/:invitationId', loadWorkspace('owner'), async (req, res) => {
+  try {
+    const invitation = await WorkspaceInvitation.findOneAndDelete({
+      _id: req.params.invitationId,
+      workspaceId: req.workspace._id,
+      acceptedAt: null
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    logger.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking invitation'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Click = require('../models/Click');
+const logger = require('../utils/logger');
+const { parseUserAgent } = require('../utils/userAgent');
+
+const BATCH_SIZE = 1000;
+
+// Parse the stored User-Agent of clicks recorded before device tracking
+// existed. Only clicks without a deviceType are touched, so the script can
+// safely be re-run if it is interrupted.
+const backfillClickDevices = async () => {
+  const cursor = Click.collection.find(
+    { deviceType: { $exists: false } },
+    { projection: { userAgent: 1 } }
+  );
+
+  let updatedClicks = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Click.collection.bulkWrite(operations, { ordered: false });
+    updatedClicks += operations.length;
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: parseUserAgent(doc.userAgent) }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { updatedClicks };
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener')
+    .then(backfillClickDevices)
+    .then(({ updatedClicks }) => {
+      logger.info('Click device backfill complete', { updatedClicks });
+      console.log(`✅ Parsed devices for ${updatedClicks} clicks`);
+    })
+    .catch((error) => {
+      logger.error('Click device backfill error:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = backfillClickDevices;
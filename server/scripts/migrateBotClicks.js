@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Url = require('../models/Url');
+const Click = require('../models/Click');
+const logger = require('../utils/logger');
+
+// Clicks recorded before bot filtering were all added to Url.clicks. Move
+// the ones flagged by their User-Agent into Url.botClicks so they stop
+// counting towards clicks and maxClicks. Each URL's clicks are marked with
+// a botReason once its counters are moved, so they are never moved twice.
+// Run after migrate:click-devices, which sets isBot on old clicks.
+const migrateBotClicks = async () => {
+  const legacyBotClicks = await Click.aggregate([
+    { $match: { isBot: true, botReason: null } },
+    { $group: { _id: '$urlId', clicks: { $sum: 1 } } }
+  ]);
+
+  let migratedUrls = 0;
+  let migratedClicks = 0;
+
+  for (const { _id: urlId, clicks } of legacyBotClicks) {
+    await Url.updateOne({ _id: urlId }, { $inc: { clicks: -clicks, botClicks: clicks } });
+    await Click.updateMany({ urlId, isBot: true, botReason: null }, { $set: { botReason: 'userAgent' } });
+
+    migratedUrls += 1;
+    migratedClicks += clicks;
+  }
+
+  return { migratedUrls, migratedClicks };
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener')
+    .then(migrateBotClicks)
+    .then(({ migratedUrls, migratedClicks }) => {
+      logger.info('Bot click migration complete', { migratedUrls, migratedClicks });
+      console.log(`✅ Moved ${migratedClicks} bot clicks out of ${migratedUrls} URLs' click counts`);
+    })
+    .catch((error) => {
+      logger.error('Bot click migration error:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = migrateBotClicks;
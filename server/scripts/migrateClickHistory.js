@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Url = require('../models/Url');
+const Click = require('../models/Click');
+const logger = require('../utils/logger');
+
+// Id for an embedded click saved without one, derived from its position so
+// every run picks the same id
+const legacyClickId = (urlId, index) => new mongoose.Types.ObjectId(
+  crypto.createHash('sha256').update(`${urlId}:${index}`).digest().subarray(0, 12)
+);
+
+// Move the embedded `clickHistory` arrays on Url documents into the Click
+// collection. Clicks keep the _id they had in the array and are upserted on
+// it, and each URL is unset only after its clicks are stored, so re-running
+// the script after an interruption doesn't insert any click twice.
+const migrateClickHistory = async () => {
+  // clickHistory is no longer part of the Url schema, so read the raw collection
+  const cursor = Url.collection.find(
+    { 'clickHistory.0': { $exists: true } },
+    { projection: { clickHistory: 1 } }
+  );
+
+  let migratedUrls = 0;
+  let migratedClicks = 0;
+
+  for await (const doc of cursor) {
+    const clicks = doc.clickHistory.map((click, index) => ({
+      _id: click._id || legacyClickId(doc._id, index),
+      urlId: doc._id,
+      userAgent: click.userAgent,
+      referer: click.referer,
+      country: click.country || 'Unknown',
+      city: click.city || 'Unknown',
+      timestamp: click.timestamp || doc._id.getTimestamp()
+    }));
+
+    const result = await Click.bulkWrite(clicks.map(({ _id, ...click }) => ({
+      updateOne: { filter: { _id }, update: { $setOnInsert: click }, upsert: true }
+    })), { ordered: false });
+    await Url.collection.updateOne({ _id: doc._id }, { $unset: { clickHistory: '' } });
+
+    migratedUrls += 1;
+    migratedClicks += result.upsertedCount;
+  }
+
+  // Drop any empty arrays left behind
+  await Url.collection.updateMany(
+    { clickHistory: { $exists: true } },
+    { $unset: { clickHistory: '' } }
+  );
+
+  return { migratedUrls, migratedClicks };
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener')
+    .then(() => Click.syncIndexes())
+    .then(migrateClickHistory)
+    .then(({ migratedUrls, migratedClicks }) => {
+      logger.info('Click history migration complete', { migratedUrls, migratedClicks });
+      console.log(`✅ Migrated ${migratedClicks} clicks from ${migratedUrls} URLs`);
+    })
+    .catch((error) => {
+      logger.error('Click history migration error:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = migrateClickHistory;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Url = require('../models/Url');
+const logger = require('../utils/logger');
+
+// Short codes used to be globally unique. Replace the old unique shortCode
+// index with the per-domain one so the same code can exist on several domains.
+const migrateUrlDomains = async () => {
+  const droppedIndexes = await Url.syncIndexes();
+  return { droppedIndexes };
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener')
+    .then(migrateUrlDomains)
+    .then(({ droppedIndexes }) => {
+      logger.info('URL domain migration complete', { droppedIndexes });
+      console.log(`✅ Rebuilt URL indexes (dropped: ${droppedIndexes.join(', ') || 'none'})`);
+    })
+    .catch((error) => {
+      logger.error('URL domain migration error:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = migrateUrlDomains;
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Click = require('../models/Click');
+const logger = require('../utils/logger');
+
+// Clicks recorded before unique visitor counting stored the client's raw IP.
+// Visitors are now told apart by a daily-rotating hash, so strip the IPs and
+// drop the index that was built on them. Safe to re-run.
+const removeClickIps = async () => {
+  // ip is no longer part of the Click schema, so update the raw collection
+  const { modifiedCount } = await Click.collection.updateMany(
+    { ip: { $exists: true } },
+    { $unset: { ip: '' } }
+  );
+
+  const indexes = await Click.collection.indexes();
+  if (indexes.some(index => index.name === 'urlId_1_ip_1_timestamp_-1')) {
+    await Click.collection.dropIndex('urlId_1_ip_1_timestamp_-1');
+  }
+
+  return { cleanedClicks: modifiedCount };
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener')
+    .then(removeClickIps)
+    .then(({ cleanedClicks }) => {
+      logger.info('Click IP removal complete', { cleanedClicks });
+      console.log(`✅ Removed stored IPs from ${cleanedClicks} clicks`);
+    })
+    .catch((error) => {
+      logger.error('Click IP removal error:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = removeClickIps;
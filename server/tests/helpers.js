@@ -0,0 +1,85 @@
+/* eslint-env jest */
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+
+// Stand-in for a Mongoose query that resolves to `result`. It can be chained
+// and awaited like a query, and cursor() streams an array result.
+const mockQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result),
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* (Array.isArray(result) ? result : []);
+      },
+      close: async () => {}
+    })
+  };
+  ['select', 'sort', 'skip', 'limit', 'populate', 'lean', 'distinct'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+// Express app with the given routers mounted, e.g. { '/api/urls': urlRoutes }
+const createApp = (routes) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  return app;
+};
+
+const createUser = (fields = {}) => {
+  const id = new mongoose.Types.ObjectId();
+  return new User({
+    _id: id,
+    username: `user${id.toString().slice(-6)}`,
+    email: `user${id.toString().slice(-6)}@example.com`,
+    password: 'hashed-password',
+    ...fields
+  });
+};
+
+// Authorization header for a user registered with mockUsers
+const bearer = (user) => `Bearer ${jwt.sign({ userId: user._id }, process.env.JWT_SECRET)}`;
+
+// Answer the auth middleware's User.findById lookups from `users`
+const mockUsers = (...users) => jest.spyOn(User, 'findById').mockImplementation(id => mockQuery(
+  users.find(user => String(user._id) === String(id)) || null
+));
+
+// A workspace owned by `owner`; `members` is a list of [user, role] pairs
+const createWorkspace = (owner, { members = [], isPersonal = true, name = 'Personal' } = {}) => new Workspace({
+  name,
+  isPersonal,
+  createdBy: owner._id,
+  members: [
+    { user: owner._id, role: 'owner' },
+    ...members.map(([user, role]) => ({ user: user._id, role }))
+  ]
+});
+
+// Answer resolveWorkspace's lookups (by id and membership, or the personal
+// workspace of a user) from `workspaces`
+const mockWorkspaces = (...workspaces) => jest.spyOn(Workspace, 'findOne').mockImplementation(filter => mockQuery(
+  workspaces.find(workspace => (
+    (!filter._id || String(workspace._id) === String(filter._id)) &&
+    (!filter['members.user'] || !!workspace.getMemberRole(filter['members.user'])) &&
+    (!filter.createdBy || String(workspace.createdBy) === String(filter.createdBy)) &&
+    (filter.isPersonal === undefined || workspace.isPersonal === filter.isPersonal)
+  )) || null
+));
+
+module.exports = {
+  mockQuery,
+  createApp,
+  createUser,
+  bearer,
+  mockUsers,
+  createWorkspace,
+  mockWorkspaces
+};
@@ -0,0 +1,122 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Url = require('../../models/Url');
+const Workspace = require('../../models/Workspace');
+const Click = require('../../models/Click');
+const Conversion = require('../../models/Conversion');
+const UrlRevision = require('../../models/UrlRevision');
+const urlRoutes = require('../../routes/urls');
+const {
+  mockQuery,
+  createApp,
+  createUser,
+  bearer,
+  mockUsers,
+  createWorkspace,
+  mockWorkspaces
+} = require('../helpers');
+
+const app = createApp({ '/api/urls': urlRoutes });
+
+const owner = createUser();
+const editor = createUser();
+const viewer = createUser();
+const outsider = createUser();
+const team = createWorkspace(owner, {
+  name: 'Team',
+  isPersonal: false,
+  members: [[editor, 'editor'], [viewer, 'viewer']]
+});
+const outsiderPersonal = createWorkspace(outsider);
+
+const urlId = new mongoose.Types.ObjectId();
+
+// Send a request as `user` in the team workspace
+const asMember = (user, method, path) => request(app)[method](path)
+  .set('Authorization', bearer(user))
+  .set('X-Workspace-Id', team._id.toString());
+
+beforeEach(() => {
+  mockUsers(owner, editor, viewer, outsider);
+  mockWorkspaces(team, outsiderPersonal);
+  jest.spyOn(Url, 'find').mockReturnValue(mockQuery([]));
+  jest.spyOn(Url, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(Url, 'findOne');
+  jest.spyOn(Url, 'findOneAndDelete').mockResolvedValue(new Url({
+    _id: urlId,
+    originalUrl: 'https://example.com',
+    shortCode: 'abc123'
+  }));
+  jest.spyOn(Click, 'deleteMany').mockResolvedValue({});
+  jest.spyOn(Conversion, 'deleteMany').mockResolvedValue({});
+  jest.spyOn(UrlRevision, 'deleteMany').mockResolvedValue({});
+});
+
+describe('resolveWorkspace', () => {
+  test('scopes requests to the workspace in X-Workspace-Id', async () => {
+    const res = await asMember(viewer, 'get', '/api/urls/my-urls');
+
+    expect(res.status).toBe(200);
+    expect(Url.find).toHaveBeenCalledWith({ workspaceId: team._id });
+  });
+
+  test('defaults to the personal workspace', async () => {
+    const res = await request(app)
+      .get('/api/urls/my-urls')
+      .set('Authorization', bearer(outsider));
+
+    expect(res.status).toBe(200);
+    expect(Url.find).toHaveBeenCalledWith({ workspaceId: outsiderPersonal._id });
+  });
+
+  test('hides workspaces the user is not a member of', async () => {
+    const res = await asMember(outsider, 'get', '/api/urls/my-urls');
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Workspace not found');
+    expect(Workspace.findOne).toHaveBeenCalledWith({ _id: team._id.toString(), 'members.user': outsider._id });
+    expect(Url.find).not.toHaveBeenCalled();
+  });
+
+  test('rejects malformed workspace ids', async () => {
+    const res = await request(app)
+      .get('/api/urls/my-urls')
+      .set('Authorization', bearer(owner))
+      .set('X-Workspace-Id', 'not-an-id');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid workspace id');
+  });
+});
+
+describe('requireWorkspaceRole', () => {
+  test.each([
+    ['put', `/api/urls/${urlId}`],
+    ['delete', `/api/urls/${urlId}`],
+    ['post', '/api/urls/shorten']
+  ])('denies viewers %s %s', async (method, path) => {
+    const res = await asMember(viewer, method, path).send({ originalUrl: 'https://example.com/new' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Access denied. This action requires the editor role in this workspace.');
+    expect(Url.findOne).not.toHaveBeenCalled();
+    expect(Url.findOneAndDelete).not.toHaveBeenCalled();
+  });
+
+  test('denies outsiders before checking roles', async () => {
+    const res = await asMember(outsider, 'delete', `/api/urls/${urlId}`);
+
+    expect(res.status).toBe(404);
+    expect(Url.findOneAndDelete).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['editor', editor],
+    ['owner', owner]
+  ])('lets an %s delete links in the workspace', async (role, user) => {
+    const res = await asMember(user, 'delete', `/api/urls/${urlId}`);
+
+    expect(res.status).toBe(200);
+    expect(Url.findOneAndDelete).toHaveBeenCalledWith({ _id: urlId.toString(), workspaceId: team._id });
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const DestinationRule = require('../../models/DestinationRule');
+const adminRoutes = require('../../routes/admin');
+const { mockQuery, createApp, createUser, bearer, mockUsers } = require('../helpers');
+
+const app = createApp({ '/api/admin': adminRoutes });
+
+const admin = createUser({ role: 'admin' });
+const member = createUser();
+
+beforeEach(() => {
+  mockUsers(admin, member);
+  jest.spyOn(DestinationRule.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    return this;
+  });
+});
+
+const createRule = (fields, user = admin) => request(app)
+  .post('/api/admin/destination-rules')
+  .set('Authorization', bearer(user))
+  .send(fields);
+
+describe('POST /api/admin/destination-rules', () => {
+  test('creates domain and regex rules', async () => {
+    const domainRule = await createRule({ list: 'block', matchType: 'domain', pattern: '*.Bad.Example', reason: 'Spam' });
+    expect(domainRule.status).toBe(201);
+    expect(domainRule.body.data.rule).toMatchObject({ list: 'block', pattern: 'bad.example', reason: 'Spam' });
+
+    const regexRule = await createRule({ list: 'allow', matchType: 'regex', pattern: '^https://docs\\.example\\.com/' });
+    expect(regexRule.status).toBe(201);
+    expect(regexRule.body.data.rule.createdBy).toBe(String(admin._id));
+  });
+
+  test.each([
+    [{ list: 'deny', matchType: 'domain', pattern: 'bad.example' }, 'List must be either block or allow'],
+    [{ list: 'block', matchType: 'glob', pattern: 'bad.example' }, 'Match type must be either domain or regex'],
+    [{ list: 'block', matchType: 'domain', pattern: '' }, 'Pattern must be between 1 and 500 characters'],
+    [{ list: 'block', matchType: 'regex', pattern: 'x'.repeat(501) }, 'Pattern must be between 1 and 500 characters'],
+    [{ list: 'block', matchType: 'domain', pattern: 'https://bad.example/' }, 'Pattern must be a domain name like example.com'],
+    [{ list: 'block', matchType: 'regex', pattern: '(' }, 'Pattern must be a valid regular expression'],
+    [
+      { list: 'block', matchType: 'regex', pattern: '^(a+)+$' },
+      'Pattern is too expensive to match; avoid nested repetition such as (a+)+'
+    ],
+    [{ list: 'block', matchType: 'domain', pattern: 'bad.example', reason: 'x'.repeat(201) }, 'Reason cannot exceed 200 characters']
+  ])('rejects %j', async (fields, message) => {
+    const res = await createRule(fields);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.msg)).toContain(message);
+    expect(DestinationRule.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('reports duplicate rules', async () => {
+    DestinationRule.prototype.save.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    const res = await createRule({ list: 'block', matchType: 'domain', pattern: 'bad.example' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('An identical rule already exists');
+  });
+
+  test('is limited to admins', async () => {
+    const res = await createRule({ list: 'block', matchType: 'domain', pattern: 'bad.example' }, member);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/admin/destination-rules', () => {
+  test('filters by list', async () => {
+    jest.spyOn(DestinationRule, 'find').mockReturnValue(mockQuery([]));
+
+    const res = await request(app)
+      .get('/api/admin/destination-rules?list=allow')
+      .set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(DestinationRule.find).toHaveBeenCalledWith({ list: 'allow' });
+  });
+
+  test('rejects unknown lists', async () => {
+    const res = await request(app)
+      .get('/api/admin/destination-rules?list=deny')
+      .set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('PUT /api/admin/destination-rules/:id', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  test('updates the reason and active state only', async () => {
+    jest.spyOn(DestinationRule, 'findByIdAndUpdate').mockResolvedValue(new DestinationRule({
+      _id: id, list: 'block', matchType: 'domain', pattern: 'bad.example', isActive: false
+    }));
+
+    const res = await request(app)
+      .put(`/api/admin/destination-rules/${id}`)
+      .set('Authorization', bearer(admin))
+      .send({ isActive: false, reason: 'Resolved', pattern: 'other.example' });
+
+    expect(res.status).toBe(200);
+    expect(DestinationRule.findByIdAndUpdate).toHaveBeenCalledWith(
+      String(id),
+      { reason: 'Resolved', isActive: false },
+      { new: true, runValidators: true }
+    );
+  });
+
+  test('validates isActive', async () => {
+    const res = await request(app)
+      .put(`/api/admin/destination-rules/${id}`)
+      .set('Authorization', bearer(admin))
+      .send({ isActive: 'sometimes' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('isActive must be a boolean');
+  });
+
+  test('returns 404 for unknown rules', async () => {
+    jest.spyOn(DestinationRule, 'findByIdAndUpdate').mockResolvedValue(null);
+
+    const res = await request(app)
+      .put(`/api/admin/destination-rules/${id}`)
+      .set('Authorization', bearer(admin))
+      .send({ isActive: true });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('DELETE /api/admin/destination-rules/:id', () => {
+  test('deletes a rule', async () => {
+    const id = new mongoose.Types.ObjectId();
+    jest.spyOn(DestinationRule, 'findByIdAndDelete').mockResolvedValue({ _id: id });
+
+    const res = await request(app)
+      .delete(`/api/admin/destination-rules/${id}`)
+      .set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(DestinationRule.findByIdAndDelete).toHaveBeenCalledWith(String(id));
+  });
+
+  test('returns 404 for unknown rules', async () => {
+    jest.spyOn(DestinationRule, 'findByIdAndDelete').mockResolvedValue(null);
+
+    const res = await request(app)
+      .delete(`/api/admin/destination-rules/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const ApiKey = require('../../models/ApiKey');
+const Url = require('../../models/Url');
+const apiKeyRoutes = require('../../routes/apiKeys');
+const urlRoutes = require('../../routes/urls');
+const {
+  mockQuery,
+  createApp,
+  createUser,
+  bearer,
+  mockUsers,
+  createWorkspace,
+  mockWorkspaces
+} = require('../helpers');
+
+const app = createApp({ '/api/api-keys': apiKeyRoutes, '/api/urls': urlRoutes });
+
+const owner = createUser();
+const workspace = createWorkspace(owner);
+
+// Issue a key for `owner` and keep it in the fake key store
+let storedKeys;
+const issueKey = (scope, fields = {}) => {
+  const { key, prefix, keyHash } = ApiKey.generateKey();
+  storedKeys.push(new ApiKey({ userId: owner._id, name: `${scope} key`, scope, prefix, keyHash, ...fields }));
+  return key;
+};
+
+beforeEach(() => {
+  storedKeys = [];
+  mockUsers(owner);
+  mockWorkspaces(workspace);
+  jest.spyOn(ApiKey, 'findOne').mockImplementation(async (filter) => storedKeys.find(apiKey => (
+    apiKey.keyHash === filter.keyHash && apiKey.revokedAt === filter.revokedAt
+  )) || null);
+  jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Url, 'find').mockReturnValue(mockQuery([]));
+  jest.spyOn(Url, 'countDocuments').mockResolvedValue(0);
+});
+
+describe('POST /api/api-keys', () => {
+  beforeEach(() => {
+    jest.spyOn(ApiKey, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(ApiKey, 'create').mockImplementation(async (fields) => new ApiKey(fields));
+  });
+
+  test('stores only the SHA-256 hash of the key', async () => {
+    const res = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', bearer(owner))
+      .send({ name: 'CI', scope: 'create' });
+
+    expect(res.status).toBe(201);
+    const { key, apiKey } = res.body.data;
+    expect(key).toMatch(/^usk_/);
+    expect(apiKey).toMatchObject({ name: 'CI', scope: 'create', prefix: key.slice(0, 12) });
+    expect(apiKey).not.toHaveProperty('keyHash');
+
+    const stored = ApiKey.create.mock.calls[0][0];
+    expect(stored.keyHash).toBe(crypto.createHash('sha256').update(key).digest('hex'));
+    expect(JSON.stringify(stored)).not.toContain(key);
+  });
+
+  test('validates the name and scope', async () => {
+    const res = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', bearer(owner))
+      .send({ name: '', scope: 'admin' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.param)).toEqual(['name', 'scope']);
+    expect(ApiKey.create).not.toHaveBeenCalled();
+  });
+
+  test('limits the number of active keys', async () => {
+    ApiKey.countDocuments.mockResolvedValue(25);
+
+    const res = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', bearer(owner))
+      .send({ name: 'One too many', scope: 'read' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('cannot be called with an API key', async () => {
+    const res = await request(app)
+      .post('/api/api-keys')
+      .set('X-API-Key', issueKey('full'))
+      .send({ name: 'Escalation', scope: 'full' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('API keys are not accepted for this endpoint.');
+  });
+});
+
+describe('DELETE /api/api-keys/:id', () => {
+  test('revokes one of the user\'s keys', async () => {
+    const id = new mongoose.Types.ObjectId();
+    jest.spyOn(ApiKey, 'findOneAndUpdate').mockResolvedValue({ _id: id });
+
+    const res = await request(app)
+      .delete(`/api/api-keys/${id}`)
+      .set('Authorization', bearer(owner));
+
+    expect(res.status).toBe(200);
+    expect(ApiKey.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: String(id), userId: owner._id, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date) } },
+      { new: true }
+    );
+  });
+
+  test('returns 404 for unknown or already revoked keys', async () => {
+    jest.spyOn(ApiKey, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const res = await request(app)
+      .delete(`/api/api-keys/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', bearer(owner));
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('authenticating with X-API-Key', () => {
+  test('accepts an active key with the needed scope', async () => {
+    const res = await request(app)
+      .get('/api/urls/my-urls')
+      .set('X-API-Key', issueKey('read'));
+
+    expect(res.status).toBe(200);
+    expect(ApiKey.updateOne).toHaveBeenCalledWith(
+      { _id: storedKeys[0]._id },
+      { $set: { lastUsedAt: expect.any(Date) } }
+    );
+  });
+
+  test('rejects unknown keys with 401', async () => {
+    const res = await request(app)
+      .get('/api/urls/my-urls')
+      .set('X-API-Key', 'usk_not-a-real-key');
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid API key.');
+  });
+
+  test('rejects revoked keys with 401', async () => {
+    const key = issueKey('full', { revokedAt: new Date() });
+
+    const res = await request(app)
+      .get('/api/urls/my-urls')
+      .set('X-API-Key', key);
+
+    expect(res.status).toBe(401);
+  });
+
+  test.each([
+    ['post', '/api/urls/shorten'],
+    ['put', `/api/urls/${new mongoose.Types.ObjectId()}`],
+    ['delete', `/api/urls/${new mongoose.Types.ObjectId()}`]
+  ])('denies a read-only key %s %s with 403', async (method, path) => {
+    jest.spyOn(Url, 'findOne');
+
+    const res = await request(app)[method](path)
+      .set('X-API-Key', issueKey('read'))
+      .send({ originalUrl: 'https://example.com' });
+
+    expect(res.status).toBe(403);
+    expect(Url.findOne).not.toHaveBeenCalled();
+  });
+
+  test('denies a create-only key reads and edits', async () => {
+    const key = issueKey('create');
+
+    expect((await request(app).get('/api/urls/my-urls').set('X-API-Key', key)).status).toBe(403);
+    expect((await request(app).delete(`/api/urls/${new mongoose.Types.ObjectId()}`).set('X-API-Key', key)).status).toBe(403);
+  });
+});
@@ -0,0 +1,229 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const Url = require('../../models/Url');
+const Domain = require('../../models/Domain');
+const Click = require('../../models/Click');
+const VisitorSalt = require('../../models/VisitorSalt');
+const redirectRoutes = require('../../routes/redirect');
+const { mockQuery, createApp } = require('../helpers');
+
+const app = createApp({ '/': redirectRoutes });
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let passwordHash;
+
+beforeAll(async () => {
+  passwordHash = await bcrypt.hash('open sesame', 4);
+});
+
+const createUrl = (fields = {}) => new Url({
+  originalUrl: 'https://example.com/landing',
+  shortCode: 'abc123',
+  ...fields
+});
+
+// Serve `url` for every short code lookup on the default domain
+const useUrl = (url) => jest.spyOn(Url, 'findOne').mockResolvedValue(url);
+
+// A link whose clicks are recorded without touching the database
+const createClickableUrl = (fields) => {
+  const url = createUrl(fields);
+  jest.spyOn(url, 'addClick').mockResolvedValue(url);
+  return url;
+};
+
+beforeEach(() => {
+  jest.spyOn(Domain, 'findOne').mockReturnValue(mockQuery(null));
+  jest.spyOn(VisitorSalt, 'findOneAndUpdate').mockResolvedValue({ salt: 'test-salt' });
+  jest.spyOn(Click, 'countDocuments').mockResolvedValue(0);
+});
+
+describe('GET /:shortCode/info', () => {
+  test('describes an active link', async () => {
+    useUrl(createUrl({ title: 'Landing' }));
+
+    const res = await request(app).get('/abc123/info');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      originalUrl: 'https://example.com/landing',
+      shortCode: 'abc123',
+      title: 'Landing',
+      isAccessible: true,
+      isPasswordProtected: false
+    });
+  });
+
+  test('hides the destination of a link that has not launched yet', async () => {
+    const activatesAt = new Date(Date.now() + HOUR_MS);
+    useUrl(createUrl({ activatesAt }));
+
+    const res = await request(app).get('/abc123/info');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      originalUrl: null,
+      isAccessible: false,
+      activatesAt: activatesAt.toISOString()
+    });
+  });
+
+  test('shows the destination once the link has launched', async () => {
+    useUrl(createUrl({ activatesAt: new Date(Date.now() - HOUR_MS) }));
+
+    const res = await request(app).get('/abc123/info');
+
+    expect(res.body.data.originalUrl).toBe('https://example.com/landing');
+  });
+
+  test('never reveals the password hash or a protected destination', async () => {
+    useUrl(createUrl({ password: passwordHash }));
+
+    const res = await request(app).get('/abc123/info');
+
+    expect(res.body.data).toMatchObject({ originalUrl: null, isPasswordProtected: true });
+    expect(JSON.stringify(res.body)).not.toContain(passwordHash);
+  });
+
+  test('returns 404 for unknown short codes', async () => {
+    useUrl(null);
+
+    const res = await request(app).get('/nope12/info');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('status pages', () => {
+  beforeEach(() => {
+    jest.spyOn(Url, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  test.each([
+    ['expired', { expiresAt: new Date(Date.now() - HOUR_MS) }, 'Link expired', 'This short URL has expired'],
+    ['over its click limit', { maxClicks: 5, clicks: 5 }, 'Link limit reached', 'This short URL has reached its maximum click limit'],
+    ['deactivated', { isActive: false }, 'Link deactivated', 'This short URL has been deactivated']
+  ])('explains that a link is %s with 410', async (state, fields, heading, message) => {
+    useUrl(createUrl(fields));
+
+    const page = await request(app).get('/abc123');
+    expect(page.status).toBe(410);
+    expect(page.headers['content-type']).toMatch(/html/);
+    expect(page.text).toContain(`<h1>${heading}</h1>`);
+
+    const json = await request(app).get('/abc123').set('Accept', 'application/json');
+    expect(json.status).toBe(410);
+    expect(json.body).toEqual({ success: false, message });
+  });
+
+  test('shows a not found page for unknown short codes', async () => {
+    useUrl(null);
+
+    const res = await request(app).get('/nope12');
+
+    expect(res.status).toBe(404);
+    expect(res.text).toContain('<h1>Link not found</h1>');
+  });
+
+  test('tells clients when a scheduled link goes live', async () => {
+    const activatesAt = new Date(Date.now() + HOUR_MS);
+    useUrl(createUrl({ activatesAt }));
+
+    const page = await request(app).get('/abc123');
+    expect(page.status).toBe(403);
+    expect(page.text).toContain('<h1>Link not active yet</h1>');
+    expect(Number(page.headers['retry-after'])).toBeGreaterThan(3590);
+    expect(page.headers['cache-control']).toBe('no-store');
+
+    const json = await request(app).get('/abc123').set('Accept', 'application/json');
+    expect(json.body).toMatchObject({ code: 'NOT_YET_ACTIVE', activatesAt: activatesAt.toISOString() });
+  });
+});
+
+describe('interstitial page', () => {
+  test('warns browsers before leaving and counts the click on continue', async () => {
+    const url = createClickableUrl({ showInterstitial: true, title: 'Spring <sale>' });
+    useUrl(url);
+
+    const warning = await request(app).get('/abc123');
+    expect(warning.status).toBe(200);
+    expect(warning.text).toContain('You are leaving for example.com');
+    expect(warning.text).toContain('Spring &lt;sale&gt;');
+    expect(warning.text).toContain('href="/abc123?confirm=1"');
+    expect(url.addClick).not.toHaveBeenCalled();
+
+    const redirect = await request(app).get('/abc123?confirm=1');
+    expect(redirect.status).toBe(302);
+    expect(redirect.headers.location).toBe('https://example.com/landing');
+    expect(url.addClick).toHaveBeenCalledTimes(1);
+  });
+
+  test('is skipped for API clients', async () => {
+    useUrl(createClickableUrl({ showInterstitial: true }));
+
+    const res = await request(app).get('/abc123').set('Accept', 'application/json');
+
+    expect(res.status).toBe(302);
+  });
+});
+
+describe('password protected links', () => {
+  test('asks for the password instead of redirecting', async () => {
+    useUrl(createUrl({ password: passwordHash }));
+
+    const page = await request(app).get('/abc123');
+    expect(page.status).toBe(200);
+    expect(page.headers['content-type']).toMatch(/html/);
+    expect(page.text).not.toContain('https://example.com/landing');
+
+    const json = await request(app).get('/abc123').set('Accept', 'application/json');
+    expect(json.status).toBe(401);
+    expect(json.body.code).toBe('PASSWORD_REQUIRED');
+  });
+
+  test('redirects once the right password is posted', async () => {
+    const url = createClickableUrl({ password: passwordHash });
+    useUrl(url);
+
+    const res = await request(app).post('/abc123').send({ password: 'open sesame' });
+
+    expect(res.status).toBe(303);
+    expect(res.headers.location).toBe('https://example.com/landing');
+    expect(url.addClick).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects a wrong password with 401', async () => {
+    const url = createClickableUrl({ password: passwordHash });
+    useUrl(url);
+
+    const json = await request(app)
+      .post('/abc123')
+      .set('Accept', 'application/json')
+      .send({ password: 'guess' });
+    expect(json.status).toBe(401);
+    expect(json.body.code).toBe('INVALID_PASSWORD');
+
+    const page = await request(app).post('/abc123').send({ password: 'guess' });
+    expect(page.status).toBe(401);
+    expect(page.text).toContain('Incorrect password');
+
+    expect(url.addClick).not.toHaveBeenCalled();
+  });
+
+  test('rate limits repeated wrong passwords for a link with 429', async () => {
+    useUrl(createUrl({ shortCode: 'locked', password: passwordHash }));
+    const attempt = () => request(app)
+      .post('/locked')
+      .set('Accept', 'application/json')
+      .send({ password: 'guess' });
+
+    for (let i = 0; i < 10; i++) {
+      expect((await attempt()).status).toBe(401);
+    }
+
+    const res = await attempt();
+    expect(res.status).toBe(429);
+    expect(res.body.message).toBe('Too many password attempts. Please try again later.');
+  });
+});
@@ -0,0 +1,426 @@
+const http = require('http');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Url = require('../../models/Url');
+const Click = require('../../models/Click');
+const statsRoutes = require('../../routes/stats');
+const { publishClick } = require('../../utils/clickStream');
+const {
+  mockQuery,
+  createApp,
+  createUser,
+  bearer,
+  mockUsers,
+  createWorkspace,
+  mockWorkspaces
+} = require('../helpers');
+
+const app = createApp({ '/api/stats': statsRoutes });
+
+const owner = createUser();
+const workspace = createWorkspace(owner);
+const urlIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+const get = (path) => request(app).get(path).set('Authorization', bearer(owner));
+
+// The $match stage of the nth Click.aggregate call
+const matchOf = (call = 0) => Click.aggregate.mock.calls[call][0][0].$match;
+
+beforeEach(() => {
+  mockUsers(owner);
+  mockWorkspaces(workspace);
+  jest.spyOn(Url, 'find').mockReturnValue(mockQuery(urlIds));
+});
+
+describe('device breakdowns', () => {
+  const breakdown = {
+    deviceTypes: [{ _id: 'mobile', clicks: 6 }, { _id: 'desktop', clicks: 2 }],
+    browsers: [{ _id: 'Mobile Safari', clicks: 6 }],
+    browserVersions: [{ _id: 'Mobile Safari 17', clicks: 6 }],
+    operatingSystems: [{ _id: 'iOS', clicks: 6 }],
+    bots: [{ _id: true, clicks: 3 }, { _id: false, clicks: 8 }]
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Click, 'aggregate').mockResolvedValue([breakdown]);
+  });
+
+  test('breaks the workspace\'s clicks down by device, browser and OS', async () => {
+    const res = await get('/api/stats/devices');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      deviceTypes: breakdown.deviceTypes,
+      browsers: breakdown.browsers,
+      browserVersions: breakdown.browserVersions,
+      operatingSystems: breakdown.operatingSystems,
+      bots: { botClicks: 3, humanClicks: 8 }
+    });
+    expect(matchOf()).toEqual({ urlId: { $in: urlIds } });
+    expect(Url.find).toHaveBeenCalledWith({ workspaceId: workspace._id });
+  });
+
+  test('leaves bots out of the breakdowns unless asked', async () => {
+    await get('/api/stats/devices');
+    const { $facet: humansOnly } = Click.aggregate.mock.calls[0][0][1];
+    expect(humansOnly.deviceTypes[0]).toEqual({ $match: { isBot: { $ne: true } } });
+    expect(humansOnly.bots[0]).toHaveProperty('$group');
+
+    await get('/api/stats/devices?includeBots=true');
+    const { $facet: everyone } = Click.aggregate.mock.calls[1][0][1];
+    expect(everyone.deviceTypes[0]).toHaveProperty('$group');
+  });
+
+  test('limits the breakdown to ?from and ?to', async () => {
+    await get('/api/stats/devices?from=2024-01-01T00:00:00Z&to=2024-02-01T00:00:00Z');
+
+    expect(matchOf().timestamp).toEqual({
+      $gte: new Date('2024-01-01T00:00:00Z'),
+      $lte: new Date('2024-02-01T00:00:00Z')
+    });
+  });
+
+  test('breaks down a single link', async () => {
+    const url = new Url({ originalUrl: 'https://example.com', shortCode: 'abc123', workspaceId: workspace._id });
+    jest.spyOn(Url, 'findOne').mockResolvedValue(url);
+
+    const res = await get(`/api/stats/url/${url._id}/devices`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.bots).toEqual({ botClicks: 3, humanClicks: 8 });
+    expect(matchOf()).toEqual({ urlId: url._id });
+    expect(Url.findOne).toHaveBeenCalledWith({ _id: String(url._id), workspaceId: workspace._id });
+  });
+
+  test('returns 404 for links outside the workspace', async () => {
+    jest.spyOn(Url, 'findOne').mockResolvedValue(null);
+
+    const res = await get(`/api/stats/url/${new mongoose.Types.ObjectId()}/devices`);
+
+    expect(res.status).toBe(404);
+    expect(Click.aggregate).not.toHaveBeenCalled();
+  });
+
+  test('validates the range', async () => {
+    const res = await get('/api/stats/devices?from=yesterday');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('From must be a valid ISO 8601 date');
+    expect(Click.aggregate).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/stats/overview', () => {
+  const topUrlId = urlIds[0];
+  const isPrevious = (match) => match.timestamp.$lte < new Date('2024-03-01T00:00:00Z');
+
+  // Answer each aggregation the overview runs, telling the current and
+  // previous period apart by the end of their range
+  const useClicks = () => jest.spyOn(Click, 'aggregate').mockImplementation(async (pipeline) => {
+    const [{ $match: match }, second] = pipeline;
+    const group = second?.$group;
+
+    if (group?._id?.period) {
+      return isPrevious(match)
+        ? [{ period: '2024-02-20', clicks: 2, visitors: 1 }, { period: '2024-02-21', clicks: 3, visitors: 2 }]
+        : [{ period: '2024-03-05', clicks: 7, visitors: 4 }];
+    }
+    if (pipeline.some(stage => stage.$lookup)) {
+      return [{ _id: topUrlId, shortCode: 'abc123', clicks: 7, uniqueVisitors: 4 }];
+    }
+    if (match.urlId?.$in && match.urlId.$in !== urlIds) {
+      return [{ _id: topUrlId, clicks: 4 }]; // previous clicks per top URL
+    }
+    if (match.country) return [{ _id: 'DE', clicks: 1 }];
+    if (match.referer) return [];
+    if (group?._id?.$ifNull?.[0] === '$country') return [{ _id: 'DE', clicks: 5 }];
+    if (group?._id?.$ifNull?.[0] === '$referer') return [{ _id: 'Direct', clicks: 7 }];
+    if (pipeline[2]?.$group?._id === null) return [{ visitors: isPrevious(match) ? 3 : 4 }];
+    return [];
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Url, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(Url, 'aggregate').mockResolvedValue([{ humanClicks: 10, botClicks: 4, totalVisitors: 6 }]);
+    jest.spyOn(Click, 'countDocuments').mockResolvedValue(7);
+    useClicks();
+  });
+
+  // The $group stage of the clicks over time aggregation
+  const overTimeGroup = () => Click.aggregate.mock.calls
+    .map(([pipeline]) => pipeline[1].$group)
+    .find(group => group?._id?.period)._id.period.$dateToString;
+
+  test('covers the last 30 days by day in UTC by default', async () => {
+    const before = Date.now();
+    const res = await get('/api/stats/overview');
+
+    expect(res.status).toBe(200);
+    const { range } = res.body.data;
+    expect(range).toMatchObject({ granularity: 'day', timezone: 'UTC' });
+    expect(new Date(range.to).getTime()).toBeGreaterThanOrEqual(before);
+    expect(new Date(range.to) - new Date(range.from)).toBe(30 * 24 * 60 * 60 * 1000);
+    expect(res.body.data.clicksByDay).toEqual([{ date: '2024-03-05', clicks: 7, visitors: 4 }]);
+    expect(res.body.data.previousPeriod).toBeNull();
+    expect(res.body.data.overview).toMatchObject({ totalClicks: 10, botClicks: 4, recentClicks: 7, recentVisitors: 4 });
+    expect(overTimeGroup()).toEqual({ format: '%Y-%m-%d', date: '$timestamp', timezone: 'UTC' });
+    expect(matchOf()).toMatchObject({ urlId: { $in: urlIds }, isBot: { $ne: true } });
+  });
+
+  test('buckets by the requested granularity in the requested time zone', async () => {
+    const res = await get('/api/stats/overview?from=2024-03-01T00:00:00Z&to=2024-03-29T00:00:00Z&granularity=week&timezone=Europe/Berlin');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.range).toEqual({
+      from: '2024-03-01T00:00:00.000Z',
+      to: '2024-03-29T00:00:00.000Z',
+      granularity: 'week',
+      timezone: 'Europe/Berlin'
+    });
+    expect(res.body.data).not.toHaveProperty('clicksByDay');
+    expect(overTimeGroup()).toEqual({ format: '%G-W%V', date: '$timestamp', timezone: 'Europe/Berlin' });
+    expect(matchOf().timestamp).toEqual({
+      $gte: new Date('2024-03-01T00:00:00Z'),
+      $lte: new Date('2024-03-29T00:00:00Z')
+    });
+  });
+
+  test('includes bots on request', async () => {
+    const res = await get('/api/stats/overview?includeBots=true');
+
+    expect(res.body.data.overview.totalClicks).toBe(14);
+    expect(matchOf()).not.toHaveProperty('isBot');
+  });
+
+  test('compares with the previous period of the same length', async () => {
+    const res = await get('/api/stats/overview?from=2024-03-01T00:00:00Z&to=2024-03-08T00:00:00Z&compare=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.previousPeriod).toEqual({
+      from: '2024-02-23T00:00:00.000Z',
+      to: '2024-02-29T23:59:59.999Z'
+    });
+    expect(res.body.data.overview).toMatchObject({ recentVisitors: 4, previousClicks: 5, previousVisitors: 3 });
+    expect(res.body.data.topUrls[0]).toMatchObject({ shortCode: 'abc123', clicks: 7, previousClicks: 4 });
+    expect(res.body.data.clicksByCountry).toEqual([{ _id: 'DE', clicks: 5, previousClicks: 1 }]);
+    expect(res.body.data.clicksByReferer).toEqual([{ _id: 'Direct', clicks: 7, previousClicks: 0 }]);
+  });
+
+  test.each([
+    ['from=2024-03-08&to=2024-03-01', 'To must be after from'],
+    ['to=soon', 'To must be a valid ISO 8601 date'],
+    ['granularity=minute', 'Granularity must be one of: hour, day, week, month'],
+    ['timezone=Mars/Olympus', 'Timezone must be an IANA time zone name, e.g. Europe/Berlin'],
+    ['compare=maybe', 'Compare must be true or false']
+  ])('rejects %s', async (params, message) => {
+    const res = await get(`/api/stats/overview?${params}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe(message);
+    expect(Click.aggregate).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/stats/url/:urlId', () => {
+  let url;
+
+  beforeEach(() => {
+    url = new Url({
+      originalUrl: 'https://example.com',
+      shortCode: 'abc123',
+      workspaceId: workspace._id,
+      createdAt: new Date('2024-01-15T00:00:00Z'),
+      targetingRules: [{ name: 'Germany', destination: 'https://example.de', countries: ['DE'] }, { destination: 'https://m.example.com' }]
+    });
+    const [germany] = url.targetingRules;
+    jest.spyOn(Url, 'findOne').mockResolvedValue(url);
+    jest.spyOn(Click, 'aggregate').mockImplementation(async ([, { $group: group }]) => {
+      if (group?._id === '$targetingRuleId') {
+        return [{ _id: germany._id, clicks: 3 }, { _id: null, clicks: 5 }, { _id: new mongoose.Types.ObjectId(), clicks: 2 }];
+      }
+      return group?._id?.period ? [{ period: '2024-01-20', clicks: 10, visitors: 6 }] : [];
+    });
+    jest.spyOn(Click, 'find').mockReturnValue(mockQuery([
+      new Click({ urlId: url._id, country: 'DE', deviceType: 'mobile', targetingRuleId: germany._id, timestamp: new Date('2024-01-20T10:00:00Z') })
+    ]));
+  });
+
+  test('reports a link\'s clicks by targeting rule along with its recent clicks', async () => {
+    const res = await get(`/api/stats/url/${url._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.url).toMatchObject({ id: String(url._id), shortCode: 'abc123' });
+    expect(res.body.data.clicksByDay).toEqual([{ date: '2024-01-20', clicks: 10, visitors: 6 }]);
+    expect(res.body.data.clicksByRule.map(({ name, clicks }) => [name, clicks])).toEqual([
+      ['Germany', 3],
+      ['Rule 2', 0],
+      ['Default destination', 5],
+      ['Deleted rules', 2]
+    ]);
+    expect(res.body.data.variants).toEqual([]);
+    expect(res.body.data.recentClicks).toEqual([expect.objectContaining({
+      country: 'DE',
+      deviceType: 'mobile',
+      targetingRuleId: String(url.targetingRules[0]._id),
+      timestamp: '2024-01-20T10:00:00.000Z'
+    })]);
+    expect(Url.findOne).toHaveBeenCalledWith({ _id: String(url._id), workspaceId: workspace._id });
+  });
+
+  test('covers the link\'s whole life by default', async () => {
+    const res = await get(`/api/stats/url/${url._id}`);
+
+    expect(res.body.data.range.from).toBe('2024-01-15T00:00:00.000Z');
+    expect(matchOf()).toMatchObject({
+      urlId: url._id,
+      timestamp: { $gte: new Date('2024-01-15T00:00:00Z') },
+      isBot: { $ne: true }
+    });
+    expect(Click.find).toHaveBeenCalledWith(matchOf());
+  });
+
+  test('limits the report to ?from, ?to and ?granularity', async () => {
+    const res = await get(`/api/stats/url/${url._id}?from=2024-02-01T00:00:00Z&to=2024-03-01T00:00:00Z&granularity=month`);
+
+    expect(res.body.data.range).toMatchObject({ from: '2024-02-01T00:00:00.000Z', to: '2024-03-01T00:00:00.000Z', granularity: 'month' });
+    expect(res.body.data).not.toHaveProperty('clicksByDay');
+    expect(matchOf().timestamp).toEqual({
+      $gte: new Date('2024-02-01T00:00:00Z'),
+      $lte: new Date('2024-03-01T00:00:00Z')
+    });
+  });
+
+  test('returns 404 for links outside the workspace', async () => {
+    Url.findOne.mockResolvedValue(null);
+
+    const res = await get(`/api/stats/url/${new mongoose.Types.ObjectId()}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('URL not found');
+    expect(Click.aggregate).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['from=yesterday', 'From must be a valid ISO 8601 date'],
+    ['granularity=year', 'Granularity must be one of: hour, day, week, month']
+  ])('rejects %s', async (params, message) => {
+    const res = await get(`/api/stats/url/${url._id}?${params}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe(message);
+    expect(Url.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/stats/stream', () => {
+  const teammate = createUser();
+  const team = createWorkspace(teammate, { name: 'Team', isPersonal: false });
+  let server;
+  let streams;
+
+  beforeAll((done) => {
+    server = app.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    streams = [];
+    mockUsers(owner, teammate);
+    mockWorkspaces(workspace, team);
+  });
+
+  afterEach(() => {
+    streams.forEach(stream => stream.destroy());
+  });
+
+  // Open the stream and resolve with the response once its headers arrive.
+  // `nextEvent()` resolves with the next server-sent event, skipping comments.
+  const openStream = (headers) => new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const req = http.get({ host: '127.0.0.1', port, path: '/api/stats/stream', headers }, (res) => {
+      let buffer = '';
+      const events = [];
+      let waiting = null;
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const fields = Object.fromEntries(block.split('\n')
+            .filter(line => !line.startsWith(':'))
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+          if (fields.event) events.push({ event: fields.event, data: JSON.parse(fields.data) });
+        }
+        if (waiting && events.length > 0) {
+          waiting(events.shift());
+          waiting = null;
+        }
+      });
+
+      res.nextEvent = () => new Promise((resolveEvent) => {
+        if (events.length > 0) resolveEvent(events.shift());
+        else waiting = resolveEvent;
+      });
+      res.pendingEvents = () => events.length;
+      resolve(res);
+    });
+    req.on('error', reject);
+    streams.push(req);
+  });
+
+  const createLink = (workspaceId) => new Url({ originalUrl: 'https://example.com', shortCode: 'abc123', workspaceId, clicks: 4 });
+
+  test('sends a ready event and then each click in the workspace', async () => {
+    const stream = await openStream({ Authorization: bearer(owner) });
+
+    expect(stream.statusCode).toBe(200);
+    expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(stream.headers['cache-control']).toBe('no-cache, no-transform');
+    expect(await stream.nextEvent()).toEqual({ event: 'ready', data: { workspaceId: String(workspace._id) } });
+
+    const link = createLink(workspace._id);
+    publishClick(link, { country: 'DE', deviceType: 'mobile', referer: 'https://news.example' });
+
+    expect(await stream.nextEvent()).toEqual({
+      event: 'click',
+      data: expect.objectContaining({ urlId: String(link._id), shortCode: 'abc123', clicks: 4, country: 'DE', deviceType: 'mobile' })
+    });
+  });
+
+  test('only streams clicks from the selected workspace', async () => {
+    const teamStream = await openStream({ Authorization: bearer(teammate), 'X-Workspace-Id': String(team._id) });
+    const ownStream = await openStream({ Authorization: bearer(owner) });
+    await teamStream.nextEvent();
+    await ownStream.nextEvent();
+
+    publishClick(createLink(workspace._id), { country: 'FR' });
+    publishClick(createLink(team._id), { country: 'US' });
+
+    expect((await teamStream.nextEvent()).data.country).toBe('US');
+    expect((await ownStream.nextEvent()).data.country).toBe('FR');
+    expect(teamStream.pendingEvents()).toBe(0);
+    expect(ownStream.pendingEvents()).toBe(0);
+  });
+
+  test('requires a signed-in user rather than an API key', async () => {
+    const res = await request(app).get('/api/stats/stream').set('X-API-Key', 'usk_some-key');
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('API keys are not accepted for this endpoint.');
+  });
+
+  test('hides workspaces the user is not a member of', async () => {
+    const res = await request(app)
+      .get('/api/stats/stream')
+      .set('Authorization', bearer(owner))
+      .set('X-Workspace-Id', String(team._id));
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,239 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const Url = require('../../models/Url');
+const UrlRevision = require('../../models/UrlRevision');
+const Domain = require('../../models/Domain');
+const DestinationRule = require('../../models/DestinationRule');
+const Webhook = require('../../models/Webhook');
+const urlRoutes = require('../../routes/urls');
+const {
+  mockQuery,
+  createApp,
+  createUser,
+  bearer,
+  mockUsers,
+  createWorkspace,
+  mockWorkspaces
+} = require('../helpers');
+
+const app = createApp({ '/api/urls': urlRoutes });
+
+const owner = createUser();
+const workspace = createWorkspace(owner);
+
+const createUrl = (fields = {}) => new Url({
+  originalUrl: 'https://example.com/landing',
+  shortCode: 'abc123',
+  userId: owner._id,
+  workspaceId: workspace._id,
+  ...fields
+});
+
+beforeEach(() => {
+  mockUsers(owner);
+  mockWorkspaces(workspace);
+});
+
+const as = (method, path) => request(app)[method](path).set('Authorization', bearer(owner));
+
+// Collect a binary response body into a Buffer
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('GET /api/urls/my-urls', () => {
+  test('never serialises link password hashes', async () => {
+    const passwordHash = await bcrypt.hash('open sesame', 4);
+    jest.spyOn(Url, 'find').mockReturnValue(mockQuery([createUrl({ password: passwordHash })]));
+    jest.spyOn(Url, 'countDocuments').mockResolvedValue(1);
+
+    const res = await request(app)
+      .get('/api/urls/my-urls')
+      .set('Authorization', bearer(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.urls[0]).toMatchObject({ shortCode: 'abc123', isPasswordProtected: true });
+    expect(res.body.data.urls[0]).not.toHaveProperty('password');
+    expect(JSON.stringify(res.body)).not.toContain(passwordHash);
+  });
+});
+
+describe('GET /api/urls/:id/qr', () => {
+  const url = createUrl();
+
+  beforeEach(() => {
+    jest.spyOn(Url, 'findOne').mockResolvedValue(url);
+  });
+
+  test('returns an SVG of the short URL by default', async () => {
+    const res = await as('get', `/api/urls/${url._id}/qr`).buffer(true).parse(binary);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^image\/svg\+xml/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="abc123-qr.svg"');
+    expect(res.body.toString()).toMatch(/^<svg/);
+    expect(Url.findOne).toHaveBeenCalledWith({ _id: String(url._id), workspaceId: workspace._id });
+  });
+
+  test('renders a PNG with custom colours', async () => {
+    const res = await as('get', `/api/urls/${url._id}/qr?format=png&size=128&margin=0&errorCorrectionLevel=H&foreground=%23112233&background=%23ffffff`)
+      .buffer(true)
+      .parse(binary);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.body.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+  });
+
+  test.each([
+    ['format=gif', 'Format must be svg or png'],
+    ['size=32', 'Size must be between 64 and 2048 pixels'],
+    ['margin=21', 'Margin must be between 0 and 20 modules'],
+    ['errorCorrectionLevel=X', 'Error correction level must be one of L, M, Q or H'],
+    ['foreground=red', 'Foreground must be a hex colour like #000000'],
+    ['background=%23fff', 'Background must be a hex colour like #ffffff'],
+    ['logo=maybe', 'Logo must be a boolean']
+  ])('rejects %s', async (params, message) => {
+    const res = await as('get', `/api/urls/${url._id}/qr?${params}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe(message);
+    expect(Url.findOne).not.toHaveBeenCalled();
+  });
+
+  test('refuses a logo when none is configured', async () => {
+    delete process.env.QR_LOGO_PATH;
+
+    const res = await as('get', `/api/urls/${url._id}/qr?logo=true`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('No QR code logo is configured on this server');
+  });
+
+  test('returns 404 for links outside the workspace', async () => {
+    Url.findOne.mockResolvedValue(null);
+
+    const res = await as('get', `/api/urls/${new mongoose.Types.ObjectId()}/qr`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/urls/:id', () => {
+  test('validates showInterstitial', async () => {
+    jest.spyOn(Url, 'findOne');
+
+    const res = await as('put', `/api/urls/${new mongoose.Types.ObjectId()}`).send({ showInterstitial: 'sometimes' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('showInterstitial must be a boolean');
+    expect(Url.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('revisions', () => {
+  let url;
+  let revision;
+
+  beforeEach(() => {
+    url = createUrl({ originalUrl: 'https://example.com/new' });
+    revision = new UrlRevision({
+      urlId: url._id,
+      oldValue: 'https://example.com/old?q=a%20b&flag&utm_source=News',
+      newValue: 'https://example.com/new',
+      changedBy: owner._id
+    });
+    jest.spyOn(Url, 'findOne').mockResolvedValue(url);
+    jest.spyOn(url, 'save').mockResolvedValue(url);
+    jest.spyOn(UrlRevision, 'findOne').mockResolvedValue(revision);
+    jest.spyOn(UrlRevision, 'create').mockImplementation(async (fields) => new UrlRevision(fields));
+    jest.spyOn(Domain, 'exists').mockResolvedValue(null);
+    jest.spyOn(DestinationRule, 'find').mockResolvedValue([]);
+    jest.spyOn(Webhook, 'find').mockReturnValue(mockQuery([]));
+  });
+
+  test('records a revision when an edit changes the destination', async () => {
+    jest.spyOn(Url, 'findByIdAndUpdate').mockImplementation(async (id, update) => createUrl(update));
+
+    const res = await as('put', `/api/urls/${url._id}`).send({ originalUrl: 'https://example.com/newer' });
+
+    expect(res.status).toBe(200);
+    expect(UrlRevision.create).toHaveBeenCalledWith({
+      urlId: url._id,
+      oldValue: 'https://example.com/new',
+      newValue: 'https://example.com/newer',
+      changedBy: owner._id
+    });
+  });
+
+  test('does not record a revision for other edits', async () => {
+    jest.spyOn(Url, 'findByIdAndUpdate').mockImplementation(async (id, update) => createUrl(update));
+
+    const res = await as('put', `/api/urls/${url._id}`).send({ originalUrl: 'https://example.com/new', title: 'Renamed' });
+
+    expect(res.status).toBe(200);
+    expect(UrlRevision.create).not.toHaveBeenCalled();
+  });
+
+  test('lists the destination history newest first', async () => {
+    jest.spyOn(UrlRevision, 'find').mockReturnValue(mockQuery([revision]));
+
+    const res = await as('get', `/api/urls/${url._id}/revisions`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.currentUrl).toBe('https://example.com/new');
+    expect(res.body.data.revisions).toHaveLength(1);
+    expect(UrlRevision.find).toHaveBeenCalledWith({ urlId: url._id });
+  });
+
+  test('rolls back to the replaced destination and records the rollback', async () => {
+    const res = await as('post', `/api/urls/${url._id}/revisions/${revision._id}/rollback`);
+
+    expect(res.status).toBe(200);
+    expect(url.originalUrl).toBe('https://example.com/old?q=a%20b&flag&utm_source=news');
+    expect(url.utm).toMatchObject({ source: 'news' });
+    expect(url.save).toHaveBeenCalled();
+    expect(UrlRevision.create).toHaveBeenCalledWith({
+      urlId: url._id,
+      oldValue: 'https://example.com/new',
+      newValue: 'https://example.com/old?q=a%20b&flag&utm_source=news',
+      action: 'rollback',
+      rolledBackRevisionId: revision._id,
+      changedBy: owner._id
+    });
+  });
+
+  test('refuses to roll back to the current destination', async () => {
+    revision.oldValue = 'https://example.com/new';
+
+    const res = await as('post', `/api/urls/${url._id}/revisions/${revision._id}/rollback`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('URL already points to this destination');
+    expect(url.save).not.toHaveBeenCalled();
+  });
+
+  test('screens the restored destination against policy', async () => {
+    DestinationRule.find.mockResolvedValue([
+      { _id: 'rule', list: 'block', matchType: 'domain', pattern: 'example.com', isActive: true }
+    ]);
+
+    const res = await as('post', `/api/urls/${url._id}/revisions/${revision._id}/rollback`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('DESTINATION_BLOCKED');
+    expect(url.save).not.toHaveBeenCalled();
+  });
+
+  test('returns 404 for revisions of other links', async () => {
+    UrlRevision.findOne.mockResolvedValue(null);
+
+    const res = await as('post', `/api/urls/${url._id}/revisions/${new mongoose.Types.ObjectId()}/rollback`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Revision not found');
+  });
+});
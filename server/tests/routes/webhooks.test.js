@@ -0,0 +1,108 @@
+const request = require('supertest');
+const Webhook = require('../../models/Webhook');
+const webhookRoutes = require('../../routes/webhooks');
+const {
+  mockQuery,
+  createApp,
+  createUser,
+  bearer,
+  mockUsers,
+  createWorkspace,
+  mockWorkspaces
+} = require('../helpers');
+
+const app = createApp({ '/api/webhooks': webhookRoutes });
+
+const owner = createUser();
+const editor = createUser();
+const workspace = createWorkspace(owner, { members: [[editor, 'editor']], isPersonal: false, name: 'Team' });
+
+beforeEach(() => {
+  mockUsers(owner, editor);
+  mockWorkspaces(workspace);
+  jest.spyOn(Webhook, 'countDocuments').mockResolvedValue(0);
+  jest.spyOn(Webhook, 'create').mockImplementation(async (fields) => new Webhook(fields));
+});
+
+const createWebhook = (fields, user = owner) => request(app)
+  .post('/api/webhooks')
+  .set('Authorization', bearer(user))
+  .set('X-Workspace-Id', workspace._id.toString())
+  .send({ events: ['link.created'], ...fields });
+
+describe('POST /api/webhooks', () => {
+  test('creates a webhook and returns its secret once', async () => {
+    const res = await createWebhook({ url: 'https://hooks.example.com/endpoint', events: ['link.created', 'link.created'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.secret).toEqual(expect.any(String));
+    expect(res.body.data.webhook).toMatchObject({
+      url: 'https://hooks.example.com/endpoint',
+      events: ['link.created'],
+      isActive: true
+    });
+    expect(res.body.data.webhook.secret).toBeUndefined();
+    expect(Webhook.create).toHaveBeenCalledWith(expect.objectContaining({ workspaceId: workspace._id }));
+  });
+
+  test.each([
+    'http://127.0.0.1:8080/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::]/hook',
+    'http://[::ffff:10.0.0.1]/hook',
+    'http://localhost/hook'
+  ])('refuses the private target %s', async (url) => {
+    const res = await createWebhook({ url });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({
+      param: 'url',
+      msg: 'Webhooks cannot be sent to private or local network addresses'
+    });
+    expect(Webhook.create).not.toHaveBeenCalled();
+  });
+
+  test('validates the URL and events', async () => {
+    const res = await createWebhook({ url: 'ftp://example.com', events: ['link.renamed'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.param)).toEqual(['url', 'events[0]']);
+  });
+
+  test('limits the number of webhooks per workspace', async () => {
+    Webhook.countDocuments.mockResolvedValue(10);
+
+    const res = await createWebhook({ url: 'https://hooks.example.com/endpoint' });
+
+    expect(res.status).toBe(400);
+    expect(Webhook.create).not.toHaveBeenCalled();
+  });
+
+  test('is limited to workspace owners', async () => {
+    const res = await createWebhook({ url: 'https://hooks.example.com/endpoint' }, editor);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PUT /api/webhooks/:id', () => {
+  test('refuses to move a webhook to a private address', async () => {
+    const webhook = new Webhook({
+      workspaceId: workspace._id,
+      url: 'https://hooks.example.com/endpoint',
+      events: ['link.created'],
+      secret: Webhook.generateSecret()
+    });
+    jest.spyOn(Webhook, 'findOne').mockReturnValue(mockQuery(webhook));
+    const save = jest.spyOn(webhook, 'save').mockResolvedValue(webhook);
+
+    const res = await request(app)
+      .put(`/api/webhooks/${webhook._id}`)
+      .set('Authorization', bearer(owner))
+      .set('X-Workspace-Id', workspace._id.toString())
+      .send({ url: 'http://10.1.2.3/hook' });
+
+    expect(res.status).toBe(400);
+    expect(save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const request = require('supertest');
+
+jest.mock('../../utils/mailer', () => ({ sendMail: jest.fn() }));
+
+const Workspace = require('../../models/Workspace');
+const WorkspaceInvitation = require('../../models/WorkspaceInvitation');
+const { sendMail } = require('../../utils/mailer');
+const workspaceRoutes = require('../../routes/workspaces');
+const {
+  mockQuery,
+  createApp,
+  createUser,
+  bearer,
+  mockUsers,
+  createWorkspace,
+  mockWorkspaces
+} = require('../helpers');
+
+const app = createApp({ '/api/workspaces': workspaceRoutes });
+
+const owner = createUser();
+const editor = createUser();
+const viewer = createUser();
+const outsider = createUser();
+const team = createWorkspace(owner, {
+  name: 'Team',
+  isPersonal: false,
+  members: [[editor, 'editor'], [viewer, 'viewer']]
+});
+
+const as = (user, method, path) => request(app)[method](path).set('Authorization', bearer(user));
+
+beforeEach(() => {
+  mockUsers(owner, editor, viewer, outsider);
+  mockWorkspaces(team);
+  jest.spyOn(Workspace.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(Workspace.prototype, 'deleteOne').mockResolvedValue({});
+});
+
+describe('workspace roles', () => {
+  test.each([
+    ['viewer', viewer],
+    ['editor', editor]
+  ])('a %s cannot rename, delete or manage members', async (role, user) => {
+    const requests = [
+      as(user, 'put', `/api/workspaces/${team._id}`).send({ name: 'Renamed' }),
+      as(user, 'delete', `/api/workspaces/${team._id}`),
+      as(user, 'put', `/api/workspaces/${team._id}/members/${viewer._id}`).send({ role: 'owner' }),
+      as(user, 'post', `/api/workspaces/${team._id}/invitations`).send({ email: 'new@example.com' })
+    ];
+
+    for (const res of await Promise.all(requests)) {
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Access denied. This action requires the owner role in this workspace.');
+    }
+    expect(Workspace.prototype.save).not.toHaveBeenCalled();
+    expect(Workspace.prototype.deleteOne).not.toHaveBeenCalled();
+  });
+
+  test('a viewer can see the workspace but not remove other members', async () => {
+    jest.spyOn(Workspace.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+
+    expect((await as(viewer, 'get', `/api/workspaces/${team._id}`)).status).toBe(200);
+
+    const res = await as(viewer, 'delete', `/api/workspaces/${team._id}/members/${editor._id}`);
+    expect(res.status).toBe(403);
+    expect(Workspace.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('non-members get 404 for every workspace route', async () => {
+    const requests = [
+      as(outsider, 'get', `/api/workspaces/${team._id}`),
+      as(outsider, 'put', `/api/workspaces/${team._id}`).send({ name: 'Mine now' }),
+      as(outsider, 'delete', `/api/workspaces/${team._id}`)
+    ];
+
+    for (const res of await Promise.all(requests)) {
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe('Workspace not found');
+    }
+  });
+});
+
+describe('POST /api/workspaces', () => {
+  beforeEach(() => {
+    jest.spyOn(Workspace, 'create').mockImplementation(async (fields) => new Workspace(fields));
+  });
+
+  test('creates a shared workspace owned by the creator', async () => {
+    const res = await as(editor, 'post', '/api/workspaces').send({ name: '  Marketing  ' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.workspace).toMatchObject({ name: 'Marketing', isPersonal: false, role: 'owner', memberCount: 1 });
+    expect(Workspace.create).toHaveBeenCalledWith({
+      name: 'Marketing',
+      createdBy: editor._id,
+      members: [{ user: editor._id, role: 'owner' }]
+    });
+  });
+
+  test.each(['', 'x'.repeat(61)])('rejects the name %j', async (name) => {
+    const res = await as(owner, 'post', '/api/workspaces').send({ name });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Workspace name must be between 1 and 60 characters');
+    expect(Workspace.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/workspaces', () => {
+  test('lists the user\'s workspaces with their role', async () => {
+    const personal = createWorkspace(viewer);
+    mockWorkspaces(team, personal);
+    jest.spyOn(Workspace, 'find').mockReturnValue(mockQuery([personal, team]));
+
+    const res = await as(viewer, 'get', '/api/workspaces');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.workspaces.map(({ name, role }) => ({ name, role }))).toEqual([
+      { name: 'Personal', role: 'owner' },
+      { name: 'Team', role: 'viewer' }
+    ]);
+    expect(Workspace.find).toHaveBeenCalledWith({ 'members.user': viewer._id });
+  });
+});
+
+describe('PUT /api/workspaces/:id/members/:userId', () => {
+  test('changes a member\'s role', async () => {
+    const workspace = createWorkspace(owner, { name: 'Team', isPersonal: false, members: [[viewer, 'viewer']] });
+    mockWorkspaces(workspace);
+
+    const res = await as(owner, 'put', `/api/workspaces/${workspace._id}/members/${viewer._id}`).send({ role: 'editor' });
+
+    expect(res.status).toBe(200);
+    expect(workspace.getMemberRole(viewer._id)).toBe('editor');
+  });
+
+  test('keeps at least one owner', async () => {
+    const res = await as(owner, 'put', `/api/workspaces/${team._id}/members/${owner._id}`).send({ role: 'viewer' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('A workspace must have at least one owner');
+  });
+
+  test('validates the role', async () => {
+    const res = await as(owner, 'put', `/api/workspaces/${team._id}/members/${viewer._id}`).send({ role: 'admin' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Role must be one of: owner, editor, viewer');
+  });
+});
+
+describe('invitations', () => {
+  const tokenHash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+  beforeEach(() => {
+    sendMail.mockResolvedValue(true);
+    jest.spyOn(Workspace.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(WorkspaceInvitation, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(WorkspaceInvitation, 'create').mockImplementation(async (fields) => new WorkspaceInvitation(fields));
+    jest.spyOn(WorkspaceInvitation.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  test('emails an invitation and stores only the token hash', async () => {
+    const res = await as(owner, 'post', `/api/workspaces/${team._id}/invitations`)
+      .send({ email: 'New.Person@Example.com', role: 'editor' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ emailSent: true, invitation: { email: 'new.person@example.com', role: 'editor' } });
+    expect(res.body.data.inviteUrl).toBeUndefined();
+    expect(res.body.data.invitation.tokenHash).toBeUndefined();
+
+    const token = sendMail.mock.calls[0][0].text.match(/invite=([0-9a-f]{64})/)[1];
+    expect(WorkspaceInvitation.create.mock.calls[0][0].tokenHash).toBe(tokenHash(token));
+  });
+
+  test('returns the link to share when email is not configured', async () => {
+    sendMail.mockResolvedValue(false);
+
+    const res = await as(owner, 'post', `/api/workspaces/${team._id}/invitations`).send({ email: 'new@example.com' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.invitation.role).toBe('viewer');
+    expect(res.body.data.inviteUrl).toMatch(/\/workspaces\?invite=[0-9a-f]{64}$/);
+  });
+
+  test.each([
+    [{ email: 'not-an-email' }, 'Please provide a valid email'],
+    [{ email: 'new@example.com', role: 'owner' }, 'Role must be editor or viewer']
+  ])('rejects %j', async (fields, message) => {
+    const res = await as(owner, 'post', `/api/workspaces/${team._id}/invitations`).send(fields);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe(message);
+    expect(WorkspaceInvitation.create).not.toHaveBeenCalled();
+  });
+
+  test('cannot invite people to a personal workspace', async () => {
+    const personal = createWorkspace(owner);
+    mockWorkspaces(personal);
+
+    const res = await as(owner, 'post', `/api/workspaces/${personal._id}/invitations`).send({ email: 'new@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(WorkspaceInvitation.create).not.toHaveBeenCalled();
+  });
+
+  describe('POST /api/workspaces/invitations/accept', () => {
+    let workspace;
+    let invitation;
+
+    beforeEach(() => {
+      workspace = createWorkspace(owner, { name: 'Team', isPersonal: false });
+      invitation = new WorkspaceInvitation({
+        workspaceId: workspace._id,
+        email: outsider.email,
+        role: 'editor',
+        tokenHash: tokenHash('secret-token')
+      });
+      jest.spyOn(WorkspaceInvitation, 'findOne').mockImplementation(async (filter) => (
+        filter.tokenHash === invitation.tokenHash ? invitation : null
+      ));
+      jest.spyOn(Workspace, 'findById').mockResolvedValue(workspace);
+    });
+
+    test('adds the invited user with the invited role', async () => {
+      const res = await as(outsider, 'post', '/api/workspaces/invitations/accept').send({ token: 'secret-token' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.workspace).toMatchObject({ name: 'Team', role: 'editor' });
+      expect(workspace.getMemberRole(outsider._id)).toBe('editor');
+      expect(invitation.acceptedBy).toEqual(outsider._id);
+      expect(invitation.isPending).toBe(false);
+    });
+
+    test('rejects unknown, used and expired tokens', async () => {
+      expect((await as(outsider, 'post', '/api/workspaces/invitations/accept').send({ token: 'wrong' })).status).toBe(400);
+
+      invitation.expiresAt = new Date(Date.now() - 1000);
+      const res = await as(outsider, 'post', '/api/workspaces/invitations/accept').send({ token: 'secret-token' });
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('This invitation is invalid or has expired');
+    });
+
+    test('only the invited address can accept', async () => {
+      const res = await as(viewer, 'post', '/api/workspaces/invitations/accept').send({ token: 'secret-token' });
+
+      expect(res.status).toBe(403);
+      expect(workspace.getMemberRole(viewer._id)).toBeNull();
+    });
+
+    test('requires a token', async () => {
+      const res = await as(outsider, 'post', '/api/workspaces/invitations/accept').send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].msg).toBe('Invitation token is required');
+    });
+  });
+});
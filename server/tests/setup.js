@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// There is no database in tests: a query a test hasn't mocked fails straight
+// away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+logger.silent = true;
@@ -0,0 +1,53 @@
+const { parseCsv, parseCsvRows, escapeCsvValue, toCsvRow } = require('../../utils/csv');
+
+describe('parseCsv', () => {
+  test('maps rows to objects keyed by the trimmed header', () => {
+    const text = 'originalUrl, customAlias ,tags\nhttps://example.com/a,  first ,news\nhttps://example.com/b,,\n';
+
+    expect(parseCsv(text)).toEqual([
+      { originalUrl: 'https://example.com/a', customAlias: 'first', tags: 'news' },
+      { originalUrl: 'https://example.com/b', customAlias: '', tags: '' }
+    ]);
+  });
+
+  test('handles quoted commas, escaped quotes and line breaks', () => {
+    const text = 'originalUrl,description\r\n"https://example.com/?a=1,2","Say ""hi""\nthen leave"\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      { originalUrl: 'https://example.com/?a=1,2', description: 'Say "hi"\nthen leave' }
+    ]);
+  });
+
+  test('strips a byte order mark and skips blank lines', () => {
+    const text = '\uFEFForiginalUrl\n\nhttps://example.com/\n   \n';
+
+    expect(parseCsv(text)).toEqual([{ originalUrl: 'https://example.com/' }]);
+  });
+
+  test('fills missing cells and ignores unnamed columns', () => {
+    expect(parseCsv('originalUrl,,title\nhttps://example.com/,extra')).toEqual([
+      { originalUrl: 'https://example.com/', title: '' }
+    ]);
+  });
+
+  test('returns no rows for empty input', () => {
+    expect(parseCsv('')).toEqual([]);
+    expect(parseCsvRows('\n\n')).toEqual([]);
+  });
+});
+
+describe('CSV output', () => {
+  test('quotes values containing separators and neutralises formulas', () => {
+    expect(escapeCsvValue('plain')).toBe('plain');
+    expect(escapeCsvValue('a,"b"')).toBe('"a,""b"""');
+    expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(new Date('2024-01-02T03:04:05Z'))).toBe('2024-01-02T03:04:05.000Z');
+  });
+
+  test('round-trips a row through parseCsvRows', () => {
+    const values = ['https://example.com/?q=1,2', 'line\nbreak', 'say "hi"'];
+
+    expect(parseCsvRows(toCsvRow(values))).toEqual([values]);
+  });
+});
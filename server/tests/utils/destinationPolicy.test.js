@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../models/DestinationRule', () => ({ find: jest.fn() }));
+jest.mock('../../models/Domain', () => ({ exists: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const DestinationRule = require('../../models/DestinationRule');
+const Domain = require('../../models/Domain');
+const { MAX_REGEX_INPUT_LENGTH, checkDestination, isSafeRegexPattern } = require('../../utils/destinationPolicy');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+let tempDir;
+
+beforeAll(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'destination-policy-'));
+});
+
+afterAll(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  process.env.DEFAULT_DOMAIN = 'short.ly';
+  delete process.env.PHISHING_HASH_PREFIX_FILE;
+  DestinationRule.find.mockResolvedValue([]);
+  Domain.exists.mockResolvedValue(null);
+});
+
+test('allows an ordinary destination', async () => {
+  await expect(checkDestination('https://example.com/page')).resolves.toEqual({ allowed: true });
+});
+
+test('rejects URLs without a host', async () => {
+  await expect(checkDestination('not a url')).resolves.toMatchObject({
+    allowed: false,
+    code: 'INVALID_DESTINATION',
+    status: 400
+  });
+});
+
+test('rejects links back to the shortener and its verified custom domains', async () => {
+  await expect(checkDestination('https://www.short.ly/abc123')).resolves.toMatchObject({
+    allowed: false,
+    code: 'REDIRECT_LOOP'
+  });
+
+  Domain.exists.mockResolvedValue({ _id: 'domain' });
+  await expect(checkDestination('https://go.example.com/abc123')).resolves.toMatchObject({
+    allowed: false,
+    code: 'REDIRECT_LOOP',
+    reason: 'Destination host go.example.com is a custom short link domain'
+  });
+  expect(Domain.exists).toHaveBeenCalledWith({ hostname: 'go.example.com', verifiedAt: { $ne: null } });
+});
+
+test('applies block rules by domain and by pattern', async () => {
+  DestinationRule.find.mockResolvedValue([
+    { _id: 'rule1', list: 'block', matchType: 'domain', pattern: 'bad.example', reason: 'Spam' },
+    { _id: 'rule2', list: 'block', matchType: 'regex', pattern: '\\.exe$', reason: 'Executables' }
+  ]);
+
+  await expect(checkDestination('https://cdn.bad.example/x')).resolves.toMatchObject({
+    allowed: false,
+    code: 'DESTINATION_BLOCKED',
+    status: 403,
+    reason: 'Spam',
+    ruleId: 'rule1'
+  });
+  await expect(checkDestination('https://example.com/setup.EXE')).resolves.toMatchObject({
+    code: 'DESTINATION_BLOCKED',
+    ruleId: 'rule2'
+  });
+  await expect(checkDestination('https://notbad.example/x')).resolves.toEqual({ allowed: true });
+});
+
+test('lets allow rules override block rules and the shortener list', async () => {
+  DestinationRule.find.mockResolvedValue([
+    { _id: 'block', list: 'block', matchType: 'domain', pattern: 'bit.ly' },
+    { _id: 'allow', list: 'allow', matchType: 'domain', pattern: 'bit.ly' }
+  ]);
+
+  await expect(checkDestination('https://bit.ly/abc')).resolves.toEqual({ allowed: true, ruleId: 'allow' });
+});
+
+test('skips rules with invalid patterns', async () => {
+  DestinationRule.find.mockResolvedValue([
+    { _id: 'broken', list: 'block', matchType: 'regex', pattern: '(' }
+  ]);
+
+  await expect(checkDestination('https://example.com/')).resolves.toEqual({ allowed: true });
+});
+
+test('skips stored patterns that could backtrack catastrophically', async () => {
+  DestinationRule.find.mockResolvedValue([
+    { _id: 'redos', list: 'block', matchType: 'regex', pattern: '^(a+)+$' }
+  ]);
+
+  await expect(checkDestination(`https://example.com/${'a'.repeat(40)}!`)).resolves.toEqual({ allowed: true });
+});
+
+test('only matches patterns against the start of very long URLs', async () => {
+  DestinationRule.find.mockResolvedValue([
+    { _id: 'tail', list: 'block', matchType: 'regex', pattern: 'blocked$' }
+  ]);
+  const padding = 'x'.repeat(MAX_REGEX_INPUT_LENGTH);
+
+  await expect(checkDestination(`https://example.com/${padding}blocked`)).resolves.toEqual({ allowed: true });
+  await expect(checkDestination('https://example.com/blocked')).resolves.toMatchObject({ ruleId: 'tail' });
+});
+
+test.each([
+  ['\\.exe$', true],
+  ['^https?://(www\\.)?bad\\.example/', true],
+  ['(', false],
+  ['^(a+)+$', false],
+  ['(x*)*y', false]
+])('isSafeRegexPattern(%s) is %s', (pattern, expected) => {
+  expect(isSafeRegexPattern(pattern)).toBe(expected);
+});
+
+test('rejects other URL shorteners', async () => {
+  await expect(checkDestination('https://bit.ly/abc')).resolves.toMatchObject({
+    allowed: false,
+    code: 'NESTED_SHORTENER'
+  });
+});
+
+test('rejects hosts and subdomains on the phishing hash-prefix list', async () => {
+  const filePath = path.join(tempDir, 'prefixes.txt');
+  fs.writeFileSync(filePath, `# test list\n${sha256('phish.example').slice(0, 8)}\n\nnot-a-prefix\n`);
+  process.env.PHISHING_HASH_PREFIX_FILE = filePath;
+
+  await expect(checkDestination('https://login.phish.example/')).resolves.toMatchObject({
+    allowed: false,
+    code: 'KNOWN_PHISHING'
+  });
+  await expect(checkDestination('https://example.com/')).resolves.toEqual({ allowed: true });
+});
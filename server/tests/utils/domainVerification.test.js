@@ -0,0 +1,57 @@
+const { checkDomainVerification, setTxtResolver } = require('../../utils/domainVerification');
+
+const domain = {
+  hostname: 'go.example.com',
+  verificationRecord: {
+    name: '_shortener-verification.go.example.com',
+    value: 'shortener-verification=abc123'
+  }
+};
+
+const dnsError = (code) => Object.assign(new Error(`queryTxt ${code}`), { code });
+
+afterEach(() => setTxtResolver(null));
+
+test('verifies a domain whose TXT record is published', async () => {
+  const lookups = [];
+  setTxtResolver(async (name) => {
+    lookups.push(name);
+    return [['v=spf1 -all'], ['shortener-verification=abc123']];
+  });
+
+  await expect(checkDomainVerification(domain)).resolves.toEqual({ verified: true });
+  expect(lookups).toEqual(['_shortener-verification.go.example.com']);
+});
+
+test('joins TXT records split into chunks', async () => {
+  setTxtResolver(async () => [['shortener-verification=', 'abc123']]);
+
+  await expect(checkDomainVerification(domain)).resolves.toEqual({ verified: true });
+});
+
+test('reports a record with the wrong value', async () => {
+  setTxtResolver(async () => [['shortener-verification=other']]);
+
+  await expect(checkDomainVerification(domain)).resolves.toEqual({
+    verified: false,
+    reason: 'TXT record at _shortener-verification.go.example.com does not contain shortener-verification=abc123'
+  });
+});
+
+test('reports a missing record', async () => {
+  setTxtResolver(async () => { throw dnsError('ENOTFOUND'); });
+
+  await expect(checkDomainVerification(domain)).resolves.toEqual({
+    verified: false,
+    reason: 'No TXT record found at _shortener-verification.go.example.com'
+  });
+});
+
+test('reports other DNS failures', async () => {
+  setTxtResolver(async () => { throw dnsError('ETIMEOUT'); });
+
+  await expect(checkDomainVerification(domain)).resolves.toEqual({
+    verified: false,
+    reason: 'DNS lookup failed (ETIMEOUT)'
+  });
+});
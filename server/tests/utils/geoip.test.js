@@ -0,0 +1,102 @@
+const { lookupLocation, setGeoProvider, normalizeIp } = require('../../utils/geoip');
+
+// The parts of an Express request lookupLocation reads
+const fakeRequest = (ip, headers = {}) => ({
+  ip,
+  get: (name) => headers[name]
+});
+
+afterEach(() => {
+  setGeoProvider(null);
+  delete process.env.GEOIP_CITY_DB_PATH;
+});
+
+describe('lookupLocation', () => {
+  test('locates public addresses with the provider', async () => {
+    const provider = jest.fn().mockResolvedValue({
+      country: 'DE',
+      region: 'Berlin',
+      city: 'Berlin',
+      asn: 3320,
+      asOrganization: 'Deutsche Telekom AG'
+    });
+    setGeoProvider(provider);
+
+    await expect(lookupLocation(fakeRequest('::ffff:93.184.216.34'))).resolves.toEqual({
+      ip: '93.184.216.34',
+      country: 'DE',
+      region: 'Berlin',
+      city: 'Berlin',
+      asn: 3320,
+      asOrganization: 'Deutsche Telekom AG'
+    });
+    expect(provider).toHaveBeenCalledWith('93.184.216.34');
+  });
+
+  test('fills in missing fields from CDN headers', async () => {
+    setGeoProvider(async () => ({ country: 'FR' }));
+
+    const location = await lookupLocation(fakeRequest('2001:db8::1', {
+      'CF-IPCountry': 'BE',
+      'CF-Region': 'Brussels',
+      'CF-IPCity': 'Brussels'
+    }));
+
+    expect(location).toMatchObject({ country: 'FR', region: 'Brussels', city: 'Brussels', asn: null });
+  });
+
+  test.each(['127.0.0.1', '10.1.2.3', '::1', '::ffff:192.168.0.7'])('does not look up the private address %s', async (ip) => {
+    const provider = jest.fn();
+    setGeoProvider(provider);
+
+    const location = await lookupLocation(fakeRequest(ip, { 'CF-IPCountry': 'NL' }));
+
+    expect(provider).not.toHaveBeenCalled();
+    expect(location).toMatchObject({ country: 'NL', region: 'Unknown', city: 'Unknown' });
+  });
+
+  test('ignores Cloudflare\'s unknown and Tor country codes', async () => {
+    setGeoProvider(async () => ({}));
+
+    for (const country of ['XX', 'T1']) {
+      const location = await lookupLocation(fakeRequest('93.184.216.34', { 'CF-IPCountry': country }));
+      expect(location.country).toBe('Unknown');
+    }
+  });
+
+  test('never throws when the provider fails', async () => {
+    setGeoProvider(async () => {
+      throw new Error('service unavailable');
+    });
+
+    await expect(lookupLocation(fakeRequest('93.184.216.34'))).resolves.toMatchObject({
+      country: 'Unknown',
+      city: 'Unknown'
+    });
+  });
+
+  test('falls back to unknown when the database cannot be opened', async () => {
+    process.env.GEOIP_CITY_DB_PATH = '/nonexistent/GeoLite2-City.mmdb';
+    setGeoProvider(null);
+
+    await expect(lookupLocation(fakeRequest('93.184.216.34'))).resolves.toEqual({
+      ip: '93.184.216.34',
+      country: 'Unknown',
+      region: 'Unknown',
+      city: 'Unknown',
+      asn: null,
+      asOrganization: null
+    });
+  });
+
+  test('handles requests without an address', async () => {
+    await expect(lookupLocation(fakeRequest(undefined))).resolves.toMatchObject({ country: 'Unknown' });
+  });
+});
+
+test('normalizeIp unwraps IPv4-mapped addresses only', () => {
+  expect(normalizeIp('::ffff:203.0.113.9')).toBe('203.0.113.9');
+  expect(normalizeIp('::ffff:abcd')).toBe('::ffff:abcd');
+  expect(normalizeIp('2001:db8::1')).toBe('2001:db8::1');
+  expect(normalizeIp(undefined)).toBeUndefined();
+});
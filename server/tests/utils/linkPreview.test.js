@@ -0,0 +1,168 @@
+const http = require('http');
+const { fetchPage, parseMetadata, isPrivateAddress } = require('../../utils/linkPreview');
+
+const PAGE = `<!doctype html>
+<html>
+  <head>
+    <title>Plain &amp; Simple</title>
+    <meta property="og:title" content="Open Graph Title">
+    <meta name="twitter:title" content="Twitter Title">
+    <meta name="twitter:description" content="Twitter &quot;card&quot; description">
+    <meta name="twitter:image" content="/images/card.png">
+    <link rel="icon" href="/static/icon.png">
+  </head>
+  <body>Hello</body>
+</html>`;
+
+let server;
+let baseUrl;
+
+beforeAll((done) => {
+  server = http.createServer((req, res) => {
+    switch (req.url) {
+      case '/page':
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return res.end(PAGE);
+      case '/redirect':
+        res.writeHead(302, { Location: '/page' });
+        return res.end();
+      case '/loop':
+        res.writeHead(302, { Location: '/loop' });
+        return res.end();
+      case '/large':
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.write('<title>Large</title>');
+        return res.end('x'.repeat(256 * 1024));
+      case '/json':
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end('{}');
+      case '/slow':
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.write('<title>Slow'); // never ends
+      default:
+        res.writeHead(404);
+        return res.end();
+    }
+  });
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.closeAllConnections();
+  server.close(done);
+});
+
+const options = { allowPrivateNetworks: true, timeout: 1000 };
+
+describe('parseMetadata', () => {
+  test('prefers Open Graph, then Twitter card, then plain HTML tags', () => {
+    const metadata = parseMetadata(PAGE, 'https://example.com/post/1');
+
+    expect(metadata).toEqual({
+      title: 'Open Graph Title',
+      description: 'Twitter "card" description',
+      image: 'https://example.com/images/card.png',
+      favicon: 'https://example.com/static/icon.png'
+    });
+  });
+
+  test('falls back to <title>, <meta name="description"> and /favicon.ico', () => {
+    const html = '<title>  Plain &amp;\n Simple </title><meta name="description" content="About us">';
+
+    expect(parseMetadata(html, 'https://example.com/a/b')).toEqual({
+      title: 'Plain & Simple',
+      description: 'About us',
+      image: null,
+      favicon: 'https://example.com/favicon.ico'
+    });
+  });
+
+  test('truncates long text and drops unusable image URLs', () => {
+    const longImage = `https://example.com/${'a'.repeat(2048)}.png`;
+    const html = `<title>${'t'.repeat(300)}</title>
+      <meta property="og:image" content="${longImage}">
+      <link rel="icon" href="javascript:alert(1)">`;
+    const metadata = parseMetadata(html, 'https://example.com/');
+
+    expect(metadata.title).toHaveLength(200);
+    expect(metadata.title.endsWith('...')).toBe(true);
+    expect(metadata.image).toBeNull();
+    expect(metadata.favicon).toBeNull();
+  });
+});
+
+describe('fetchPage', () => {
+  test('fetches an HTML page', async () => {
+    const page = await fetchPage(`${baseUrl}/page`, options);
+
+    expect(page.url).toBe(`${baseUrl}/page`);
+    expect(page.contentType).toBe('text/html; charset=utf-8');
+    expect(parseMetadata(page.body, page.url).title).toBe('Open Graph Title');
+  });
+
+  test('follows redirects and reports the final URL', async () => {
+    const page = await fetchPage(`${baseUrl}/redirect`, options);
+
+    expect(page.url).toBe(`${baseUrl}/page`);
+  });
+
+  test('gives up after maxRedirects redirects', async () => {
+    await expect(fetchPage(`${baseUrl}/loop`, { ...options, maxRedirects: 2 }))
+      .rejects.toThrow('Too many redirects');
+  });
+
+  test('stops reading once maxBytes have been received', async () => {
+    const page = await fetchPage(`${baseUrl}/large`, { ...options, maxBytes: 16 * 1024 });
+
+    expect(page.body.length).toBeGreaterThanOrEqual(16 * 1024);
+    expect(page.body.length).toBeLessThan(256 * 1024);
+    expect(parseMetadata(page.body, page.url).title).toBe('Large');
+  });
+
+  test('times out a response that never finishes', async () => {
+    await expect(fetchPage(`${baseUrl}/slow`, { ...options, timeout: 200 }))
+      .rejects.toThrow('Request timed out');
+  });
+
+  test('rejects non-HTML responses and error statuses', async () => {
+    await expect(fetchPage(`${baseUrl}/json`, options)).rejects.toThrow('Unsupported content type');
+    await expect(fetchPage(`${baseUrl}/missing`, options)).rejects.toThrow('Unexpected status code 404');
+  });
+
+  test('refuses private addresses unless allowPrivateNetworks is set', async () => {
+    await expect(fetchPage(`${baseUrl}/page`)).rejects.toThrow('Refusing to fetch private address 127.0.0.1');
+  });
+
+  test.each([
+    ['the unspecified IPv6 address', '[::]'],
+    ['an IPv4-mapped loopback address', '[::ffff:127.0.0.1]'],
+    ['a NAT64 loopback address', '[64:ff9b::7f00:1]'],
+    ['0.0.0.0', '0.0.0.0']
+  ])('refuses %s', async (_, host) => {
+    const { port } = server.address();
+    await expect(fetchPage(`http://${host}:${port}/page`)).rejects.toThrow('Refusing to fetch private address');
+  });
+
+  test('refuses hostnames that resolve to private addresses', async () => {
+    const { port } = server.address();
+    await expect(fetchPage(`http://localhost:${port}/page`)).rejects.toThrow('Refusing to fetch private address');
+  });
+});
+
+describe('isPrivateAddress', () => {
+  test.each([
+    '0.0.0.0', '10.1.2.3', '127.0.0.1', '169.254.169.254', '172.16.0.1', '192.168.1.1', '100.64.0.1',
+    '::', '::1', 'fd00::1', 'fe80::1',
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '0:0:0:0:0:ffff:a00:1',
+    '64:ff9b::7f00:1', '64:ff9b::a9fe:a9fe'
+  ])('blocks %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each(['8.8.8.8', '::ffff:8.8.8.8', '2606:4700:4700::1111'])('allows %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { MAX_SCHEDULED_DESTINATIONS, normalizeScheduledDestinations } = require('../../utils/linkScheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const inHours = (hours) => new Date(Date.now() + hours * HOUR_MS);
+
+describe('normalizeScheduledDestinations', () => {
+  test('sorts new changes by time and records who scheduled them', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const { scheduledDestinations } = normalizeScheduledDestinations([
+      { destination: ' https://example.com/later ', changeAt: inHours(2).toISOString() },
+      { destination: 'https://example.com/sooner', changeAt: inHours(1).toISOString() }
+    ], { userId });
+
+    expect(scheduledDestinations.map(change => change.destination)).toEqual([
+      'https://example.com/sooner',
+      'https://example.com/later'
+    ]);
+    scheduledDestinations.forEach(change => {
+      expect(change._id).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(change.changeAt).toBeInstanceOf(Date);
+      expect(change.scheduledBy).toBe(userId);
+    });
+  });
+
+  test('keeps unchanged existing changes even once they are due', () => {
+    const existing = [{
+      _id: new mongoose.Types.ObjectId(),
+      destination: 'https://example.com/due',
+      changeAt: new Date(Date.now() - 1000),
+      scheduledBy: new mongoose.Types.ObjectId()
+    }];
+    const { scheduledDestinations } = normalizeScheduledDestinations([
+      { _id: String(existing[0]._id), destination: 'https://example.com/due', changeAt: existing[0].changeAt.toISOString() }
+    ], { existing, userId: new mongoose.Types.ObjectId() });
+
+    expect(scheduledDestinations).toEqual([{
+      _id: existing[0]._id,
+      destination: 'https://example.com/due',
+      changeAt: existing[0].changeAt,
+      scheduledBy: existing[0].scheduledBy
+    }]);
+  });
+
+  test('treats an edited existing change as a new one', () => {
+    const existing = [{
+      _id: new mongoose.Types.ObjectId(),
+      destination: 'https://example.com/old',
+      changeAt: new Date(Date.now() - 1000)
+    }];
+
+    expect(normalizeScheduledDestinations([
+      { _id: String(existing[0]._id), destination: 'https://example.com/new', changeAt: existing[0].changeAt.toISOString() }
+    ], { existing })).toEqual({ error: 'Scheduled change 1: change time must be in the future' });
+  });
+
+  test('rejects invalid changes', () => {
+    expect(normalizeScheduledDestinations('soon')).toEqual({ error: 'Scheduled destinations must be an array' });
+    expect(normalizeScheduledDestinations([null])).toEqual({ error: 'Scheduled change 1 must be an object' });
+    expect(normalizeScheduledDestinations([{ destination: 'ftp://example.com/', changeAt: inHours(1) }]))
+      .toEqual({ error: 'Scheduled change 1: please provide a valid destination URL' });
+    expect(normalizeScheduledDestinations([{ destination: 'https://example.com/', changeAt: 'tomorrow' }]))
+      .toEqual({ error: 'Scheduled change 1: change time must be a valid date' });
+    expect(normalizeScheduledDestinations([{ destination: 'https://example.com/', changeAt: inHours(-1) }]))
+      .toEqual({ error: 'Scheduled change 1: change time must be in the future' });
+  });
+
+  test('limits the number of queued changes', () => {
+    const changes = Array.from({ length: MAX_SCHEDULED_DESTINATIONS + 1 }, (_, index) => ({
+      destination: 'https://example.com/',
+      changeAt: inHours(index + 1)
+    }));
+
+    expect(normalizeScheduledDestinations(changes)).toEqual({
+      error: `A link cannot have more than ${MAX_SCHEDULED_DESTINATIONS} scheduled destination changes`
+    });
+    expect(normalizeScheduledDestinations([])).toEqual({ scheduledDestinations: [] });
+  });
+});
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { chooseVariant, normalizeVariants, readCookie } = require('../../utils/splitTest');
+
+const variant = (weight) => ({ _id: new mongoose.Types.ObjectId(), destination: 'https://example.com/', weight });
+
+const visitor = (n) => ({ urlId: 'url1', ip: `203.0.113.${n}`, userAgent: 'Mozilla/5.0' });
+
+describe('chooseVariant', () => {
+  test('returns null when no variant has weight', () => {
+    expect(chooseVariant([], visitor(1))).toBeNull();
+    expect(chooseVariant(undefined, visitor(1))).toBeNull();
+    expect(chooseVariant([variant(0), variant(0)], visitor(1))).toBeNull();
+  });
+
+  test('keeps a visitor on the same variant', () => {
+    const variants = [variant(1), variant(1)];
+
+    expect(chooseVariant(variants, visitor(7))).toBe(chooseVariant(variants, visitor(7)));
+  });
+
+  test('prefers the variant remembered in the cookie while it has weight', () => {
+    const variants = [variant(1), variant(0), variant(1000)];
+
+    expect(chooseVariant(variants, { ...visitor(1), cookieVariantId: String(variants[0]._id) })).toBe(variants[0]);
+    expect(chooseVariant(variants, { ...visitor(1), cookieVariantId: String(variants[1]._id) })).not.toBe(variants[1]);
+  });
+
+  test('never picks a variant without weight', () => {
+    const variants = [variant(0), variant(1)];
+
+    for (let n = 0; n < 50; n++) {
+      expect(chooseVariant(variants, visitor(n))).toBe(variants[1]);
+    }
+  });
+
+  test('splits visitors in proportion to the weights', () => {
+    const variants = [variant(3), variant(1)];
+    const counts = new Map(variants.map(v => [v, 0]));
+
+    for (let n = 0; n < 2000; n++) {
+      const chosen = chooseVariant(variants, { urlId: 'url1', ip: `198.51.${n >> 8}.${n & 255}`, userAgent: 'Mozilla/5.0' });
+      counts.set(chosen, counts.get(chosen) + 1);
+    }
+
+    const share = counts.get(variants[0]) / 2000;
+    expect(share).toBeGreaterThan(0.7);
+    expect(share).toBeLessThan(0.8);
+  });
+});
+
+describe('normalizeVariants', () => {
+  test('keeps ids of existing variants only', () => {
+    const existing = variant(1);
+    const { variants } = normalizeVariants([
+      { _id: String(existing._id), destination: 'https://example.com/a', weight: 2 },
+      { _id: String(new mongoose.Types.ObjectId()), destination: 'https://example.com/b' }
+    ], [existing]);
+
+    expect(String(variants[0]._id)).toBe(String(existing._id));
+    expect(variants[1]._id).toBeUndefined();
+    expect(variants[1].weight).toBe(1);
+  });
+
+  test('rejects invalid split tests', () => {
+    expect(normalizeVariants([{ destination: 'https://example.com/' }]).error)
+      .toBe('A split test needs between 2 and 10 variants');
+    expect(normalizeVariants([
+      { destination: 'https://example.com/a', weight: 0 },
+      { destination: 'https://example.com/b', weight: 0 }
+    ]).error).toBe('At least one variant needs a weight above 0');
+  });
+});
+
+test('readCookie finds and decodes a cookie', () => {
+  const req = { get: () => 'theme=dark; sl_variant_1=abc%20def; broken' };
+
+  expect(readCookie(req, 'sl_variant_1')).toBe('abc def');
+  expect(readCookie(req, 'missing')).toBeNull();
+});
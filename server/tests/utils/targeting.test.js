@@ -0,0 +1,96 @@
+const { matchTargetingRule, normalizeTargetingRules, parseAcceptLanguage } = require('../../utils/targeting');
+
+const rule = (conditions) => ({ destination: 'https://example.com/targeted', ...conditions });
+
+// 2024-01-05 is a Friday
+const at = (iso) => new Date(iso);
+
+describe('matchTargetingRule', () => {
+  const visitor = { country: 'DE', language: 'de-at', deviceType: 'mobile', os: 'iOS', now: at('2024-01-05T12:00:00Z') };
+
+  test('returns null without rules or a match', () => {
+    expect(matchTargetingRule([], visitor)).toBeNull();
+    expect(matchTargetingRule([rule({ countries: ['FR'] })], visitor)).toBeNull();
+  });
+
+  test('requires every condition of a rule to match', () => {
+    const rules = [rule({ countries: ['DE'], deviceTypes: ['desktop'] })];
+
+    expect(matchTargetingRule(rules, visitor)).toBeNull();
+    expect(matchTargetingRule(rules, { ...visitor, deviceType: 'desktop' })).toBe(rules[0]);
+  });
+
+  test('picks the first matching rule', () => {
+    const rules = [rule({ countries: ['US'] }), rule({ countries: ['DE'] }), rule({ deviceTypes: ['mobile'] })];
+
+    expect(matchTargetingRule(rules, visitor)).toBe(rules[1]);
+  });
+
+  test('matches languages exactly or as a prefix', () => {
+    expect(matchTargetingRule([rule({ languages: ['de'] })], visitor)).not.toBeNull();
+    expect(matchTargetingRule([rule({ languages: ['de-at'] })], visitor)).not.toBeNull();
+    expect(matchTargetingRule([rule({ languages: ['de-ch'] })], visitor)).toBeNull();
+    expect(matchTargetingRule([rule({ languages: ['de'] })], { ...visitor, language: undefined })).toBeNull();
+  });
+
+  test('matches operating systems case-insensitively', () => {
+    expect(matchTargetingRule([rule({ operatingSystems: ['ios'] })], visitor)).not.toBeNull();
+  });
+
+  test('matches same-day time windows and days', () => {
+    const rules = [rule({ schedule: { days: [5], startTime: '09:00', endTime: '17:00', timezone: 'UTC' } })];
+
+    expect(matchTargetingRule(rules, { ...visitor, now: at('2024-01-05T09:00:00Z') })).not.toBeNull();
+    expect(matchTargetingRule(rules, { ...visitor, now: at('2024-01-05T17:00:00Z') })).toBeNull();
+    expect(matchTargetingRule(rules, { ...visitor, now: at('2024-01-06T12:00:00Z') })).toBeNull();
+  });
+
+  test('counts the hours after midnight towards the day a window starts on', () => {
+    // Friday night 22:00 until 02:00 on Saturday
+    const rules = [rule({ schedule: { days: [5], startTime: '22:00', endTime: '02:00', timezone: 'UTC' } })];
+
+    expect(matchTargetingRule(rules, { ...visitor, now: at('2024-01-05T23:00:00Z') })).not.toBeNull();
+    expect(matchTargetingRule(rules, { ...visitor, now: at('2024-01-06T01:00:00Z') })).not.toBeNull();
+    expect(matchTargetingRule(rules, { ...visitor, now: at('2024-01-05T01:00:00Z') })).toBeNull();
+    expect(matchTargetingRule(rules, { ...visitor, now: at('2024-01-06T23:00:00Z') })).toBeNull();
+    expect(matchTargetingRule(rules, { ...visitor, now: at('2024-01-06T03:00:00Z') })).toBeNull();
+  });
+
+  test('evaluates schedules in their own timezone', () => {
+    const rules = [rule({ schedule: { days: [], startTime: '09:00', endTime: '10:00', timezone: 'America/New_York' } })];
+
+    expect(matchTargetingRule(rules, { ...visitor, now: at('2024-01-05T14:30:00Z') })).not.toBeNull();
+    expect(matchTargetingRule(rules, { ...visitor, now: at('2024-01-05T09:30:00Z') })).toBeNull();
+  });
+});
+
+describe('normalizeTargetingRules', () => {
+  test('normalizes condition values', () => {
+    const { rules } = normalizeTargetingRules([{
+      destination: ' https://example.com/de ',
+      countries: ['de', 'DE'],
+      languages: ['DE-AT'],
+      schedule: { days: [5, 1, 5], startTime: '22:00', endTime: '02:00' }
+    }]);
+
+    expect(rules[0]).toMatchObject({
+      destination: 'https://example.com/de',
+      countries: ['DE'],
+      languages: ['de-at'],
+      schedule: { days: [1, 5], startTime: '22:00', endTime: '02:00', timezone: 'UTC' }
+    });
+  });
+
+  test('rejects rules without conditions or with invalid values', () => {
+    expect(normalizeTargetingRules([{ destination: 'https://example.com/' }]).error)
+      .toBe('Rule 1 needs at least one condition');
+    expect(normalizeTargetingRules([{ destination: 'https://example.com/', countries: ['Germany'] }]).error)
+      .toBe('Rule 1 countries contains an invalid value: Germany');
+    expect(normalizeTargetingRules([{ destination: 'https://example.com/', schedule: { timezone: 'Mars/Olympus' } }]).error)
+      .toBe('Rule 1: schedule timezone must be an IANA time zone name, e.g. Europe/Berlin');
+  });
+});
+
+test('parseAcceptLanguage orders tags by preference', () => {
+  expect(parseAcceptLanguage('fr;q=0.5, en-US, de;q=0.8, *;q=0.1, es;q=0')).toEqual(['en-us', 'de', 'fr']);
+});
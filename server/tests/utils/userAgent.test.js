@@ -0,0 +1,34 @@
+const { parseUserAgent } = require('../../utils/userAgent');
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const IPAD = 'Mozilla/5.0 (iPad; CPU OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1';
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+describe('parseUserAgent', () => {
+  test.each([
+    [IPHONE, { deviceType: 'mobile', browser: 'Mobile Safari', browserVersion: '17', os: 'iOS' }],
+    [IPAD, { deviceType: 'tablet', browser: 'Mobile Safari', browserVersion: '16', os: 'iOS' }],
+    [CHROME_WINDOWS, { deviceType: 'desktop', browser: 'Chrome', browserVersion: '120', os: 'Windows' }]
+  ])('parses %s', (userAgent, expected) => {
+    expect(parseUserAgent(userAgent)).toEqual({ ...expected, isBot: false });
+  });
+
+  test.each([
+    'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+    'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)',
+    'curl/8.4.0',
+    'python-requests/2.31.0'
+  ])('flags %s as a bot', (userAgent) => {
+    expect(parseUserAgent(userAgent)).toMatchObject({ deviceType: 'bot', isBot: true });
+  });
+
+  test.each([undefined, '', 'Unknown'])('treats %j as an unknown device', (userAgent) => {
+    expect(parseUserAgent(userAgent)).toEqual({
+      deviceType: 'other',
+      browser: 'Unknown',
+      browserVersion: null,
+      os: 'Unknown',
+      isBot: false
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { applyUtm, extractUtm, normalizeUtmValue } = require('../../utils/utm');
+
+describe('applyUtm', () => {
+  test('leaves URLs without UTM parameters untouched', () => {
+    expect(applyUtm('https://example.com/page?ref=home')).toEqual({
+      originalUrl: 'https://example.com/page?ref=home',
+      utm: null
+    });
+  });
+
+  test('normalizes parameters already on the URL', () => {
+    expect(applyUtm('https://example.com/?utm_source=News%20Letter&utm_campaign=Spring+Sale')).toEqual({
+      originalUrl: 'https://example.com/?utm_source=news_letter&utm_campaign=spring_sale',
+      utm: { source: 'news_letter', campaign: 'spring_sale' }
+    });
+  });
+
+  test('lets explicit parameters override and clear the ones on the URL', () => {
+    const tracked = applyUtm('https://example.com/?utm_source=old&utm_medium=email&id=1', {
+      source: 'Twitter',
+      medium: ''
+    });
+
+    expect(tracked).toEqual({
+      originalUrl: 'https://example.com/?utm_source=twitter&id=1',
+      utm: { source: 'twitter' }
+    });
+  });
+
+  test('keeps the other query parameters exactly as they were', () => {
+    const tracked = applyUtm('https://example.com/search?q=a%20b&flag&utm_source=Old&list=1,2&name=x+y#top', {
+      source: 'Newsletter',
+      campaign: 'Launch'
+    });
+
+    expect(tracked.originalUrl).toBe(
+      'https://example.com/search?q=a%20b&flag&utm_source=newsletter&list=1,2&name=x+y&utm_campaign=launch#top'
+    );
+  });
+
+  test('drops repeated and cleared UTM parameters', () => {
+    expect(applyUtm('https://example.com/?utm_source=a&utm_medium=email&x=%7E&utm_source=b', { medium: '' })).toEqual({
+      originalUrl: 'https://example.com/?utm_source=a&x=%7E',
+      utm: { source: 'a' }
+    });
+  });
+
+  test('is idempotent', () => {
+    const { originalUrl } = applyUtm('https://example.com/?utm_source=A B', { campaign: 'Launch Day' });
+
+    expect(applyUtm(originalUrl).originalUrl).toBe(originalUrl);
+  });
+
+  test('requires utm_source only for explicit parameters', () => {
+    expect(applyUtm('https://example.com/', { medium: 'email' })).toEqual({
+      error: 'utm_source is required when using UTM parameters'
+    });
+    expect(applyUtm('https://example.com/?utm_medium=email').utm).toEqual({ medium: 'email' });
+  });
+
+  test('rejects invalid values', () => {
+    expect(applyUtm('https://example.com/', { source: 42 })).toEqual({ error: 'utm_source must be a string' });
+    expect(applyUtm('https://example.com/', { source: 'x'.repeat(101) })).toEqual({
+      error: 'utm_source cannot exceed 100 characters'
+    });
+    expect(applyUtm('https://example.com/', { source: 'a\u0007b' })).toEqual({
+      error: 'utm_source contains invalid characters'
+    });
+  });
+});
+
+test('extractUtm ignores unparseable URLs', () => {
+  expect(extractUtm('not a url')).toEqual({});
+});
+
+test('normalizeUtmValue lowercases and joins words', () => {
+  expect(normalizeUtmValue('  Spring   Sale ')).toBe('spring_sale');
+});
@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const Url = require('../../models/Url');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const {
+  claimNextDelivery,
+  emitWebhookEventOnce,
+  getRetryDelay,
+  isAllowedWebhookUrl,
+  processDelivery,
+  signPayload,
+  sweepExpiredLinks
+} = require('../../utils/webhooks');
+const { mockQuery } = require('../helpers');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+describe('signPayload', () => {
+  test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    // Computed with: printf '%s' '1700000000.{"event":"link.created"}' | openssl dgst -sha256 -hmac whsec_test
+    expect(signPayload('whsec_test', 1700000000, '{"event":"link.created"}')).toBe(
+      't=1700000000,v1=157c90f250cb20ef0f8f798ef6b985d7bf78bcf43128ad5325212589883c33e8'
+    );
+  });
+
+  test('changes when the timestamp changes', () => {
+    const body = '{"event":"link.created"}';
+    expect(signPayload('whsec_test', 1700000001, body)).not.toBe(signPayload('whsec_test', 1700000000, body));
+  });
+});
+
+describe('getRetryDelay', () => {
+  test('doubles from 30 seconds', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5); // no jitter
+    expect([1, 2, 3, 4, 5].map(getRetryDelay)).toEqual([
+      30 * 1000,
+      MINUTE_MS,
+      2 * MINUTE_MS,
+      4 * MINUTE_MS,
+      8 * MINUTE_MS
+    ]);
+  });
+
+  test('is capped at 6 hours', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    expect(getRetryDelay(20)).toBe(6 * HOUR_MS);
+    expect(getRetryDelay(100)).toBe(6 * HOUR_MS);
+  });
+
+  test('adds up to 20% jitter either way', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(getRetryDelay(1)).toBe(24 * 1000);
+    expect(getRetryDelay(20)).toBe(288 * MINUTE_MS); // 80% of 6 hours
+
+    Math.random.mockReturnValue(0.999999);
+    expect(getRetryDelay(1)).toBe(36 * 1000);
+  });
+});
+
+describe('claimNextDelivery', () => {
+  // Applies the claim the way MongoDB would: the first matching delivery in
+  // nextAttemptAt order is updated and returned, atomically
+  const useStore = (deliveries) => jest.spyOn(WebhookDelivery, 'findOneAndUpdate')
+    .mockImplementation(async (filter, update, options) => {
+      const matches = (delivery) => filter.$or.some(branch => (
+        delivery.status === branch.status &&
+        (!branch.nextAttemptAt || delivery.nextAttemptAt <= branch.nextAttemptAt.$lte) &&
+        (!branch.lockedAt || (delivery.lockedAt && delivery.lockedAt <= branch.lockedAt.$lte))
+      ));
+      const delivery = deliveries
+        .filter(matches)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+      if (!delivery) return null;
+
+      Object.assign(delivery, update.$set);
+      expect(options).toMatchObject({ new: true });
+      return { ...delivery };
+    });
+
+  test('claims a due delivery only once', async () => {
+    const deliveries = [{ _id: 'a', status: 'pending', nextAttemptAt: new Date(Date.now() - 1000) }];
+    useStore(deliveries);
+
+    const claims = await Promise.all([claimNextDelivery(), claimNextDelivery()]);
+
+    expect(claims.filter(Boolean)).toHaveLength(1);
+    expect(claims.find(Boolean)).toMatchObject({ _id: 'a', status: 'processing' });
+    expect(deliveries[0].lockedAt).toBeInstanceOf(Date);
+  });
+
+  test('claims the earliest due delivery first and skips future ones', async () => {
+    useStore([
+      { _id: 'later', status: 'pending', nextAttemptAt: new Date(Date.now() + MINUTE_MS) },
+      { _id: 'second', status: 'pending', nextAttemptAt: new Date(Date.now() - MINUTE_MS) },
+      { _id: 'first', status: 'pending', nextAttemptAt: new Date(Date.now() - HOUR_MS) }
+    ]);
+
+    expect((await claimNextDelivery())._id).toBe('first');
+    expect((await claimNextDelivery())._id).toBe('second');
+    expect(await claimNextDelivery()).toBeNull();
+  });
+
+  test('reclaims a delivery only once its lock has gone stale', async () => {
+    const deliveries = [{
+      _id: 'locked',
+      status: 'processing',
+      nextAttemptAt: new Date(Date.now() - HOUR_MS),
+      lockedAt: new Date(Date.now() - MINUTE_MS)
+    }];
+    useStore(deliveries);
+    expect(await claimNextDelivery()).toBeNull();
+
+    deliveries[0].lockedAt = new Date(Date.now() - 10 * MINUTE_MS);
+    expect((await claimNextDelivery())._id).toBe('locked');
+    expect(await claimNextDelivery()).toBeNull();
+  });
+});
+
+describe('emitWebhookEventOnce', () => {
+  const url = new Url({
+    originalUrl: 'https://example.com',
+    shortCode: 'abc123',
+    workspaceId: new mongoose.Types.ObjectId()
+  });
+
+  // Url.updateOne only modifies the link the first time the event is recorded
+  const useNotifiedEvents = () => {
+    const notified = new Set();
+    return jest.spyOn(Url, 'updateOne').mockImplementation(async (filter, update) => {
+      const key = `${filter._id}:${filter.notifiedEvents.$ne}`;
+      if (notified.has(key)) return { modifiedCount: 0 };
+      notified.add(key);
+      expect(update).toEqual({ $addToSet: { notifiedEvents: filter.notifiedEvents.$ne } });
+      return { modifiedCount: 1 };
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Webhook, 'find').mockReturnValue(mockQuery([{ _id: new mongoose.Types.ObjectId() }]));
+    jest.spyOn(WebhookDelivery, 'insertMany').mockResolvedValue([]);
+  });
+
+  test('queues a delivery only the first time per link and event', async () => {
+    useNotifiedEvents();
+
+    await emitWebhookEventOnce('link.expired', url);
+    await emitWebhookEventOnce('link.expired', url);
+
+    expect(WebhookDelivery.insertMany).toHaveBeenCalledTimes(1);
+    expect(WebhookDelivery.insertMany.mock.calls[0][0][0]).toMatchObject({ event: 'link.expired' });
+
+    await emitWebhookEventOnce('link.max_clicks_reached', url);
+    expect(WebhookDelivery.insertMany).toHaveBeenCalledTimes(2);
+  });
+
+  test('never throws', async () => {
+    jest.spyOn(Url, 'updateOne').mockRejectedValue(new Error('connection lost'));
+    await expect(emitWebhookEventOnce('link.expired', url)).resolves.toBeUndefined();
+    expect(WebhookDelivery.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('sweepExpiredLinks', () => {
+  test('emits link.expired for expired links in subscribed workspaces', async () => {
+    const workspaceId = new mongoose.Types.ObjectId();
+    const expired = new Url({ originalUrl: 'https://example.com', shortCode: 'gone12', workspaceId });
+    jest.spyOn(Webhook, 'find').mockReturnValue(mockQuery([workspaceId]));
+    jest.spyOn(Url, 'find').mockReturnValue(mockQuery([expired]));
+    jest.spyOn(Url, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(WebhookDelivery, 'insertMany').mockResolvedValue([]);
+
+    await sweepExpiredLinks();
+
+    expect(Url.find).toHaveBeenCalledWith(expect.objectContaining({
+      workspaceId: { $in: [workspaceId] },
+      notifiedEvents: { $ne: 'link.expired' }
+    }));
+    expect(Url.updateOne).toHaveBeenCalledWith(
+      { _id: expired._id, notifiedEvents: { $ne: 'link.expired' } },
+      { $addToSet: { notifiedEvents: 'link.expired' } }
+    );
+  });
+
+  test('does not look for links when nobody subscribes to link.expired', async () => {
+    jest.spyOn(Webhook, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Url, 'find');
+
+    await sweepExpiredLinks();
+
+    expect(Url.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('isAllowedWebhookUrl', () => {
+  test.each([
+    'https://hooks.example.com/endpoint',
+    'http://93.184.216.34/hook',
+    'https://[2606:2800:220:1:248:1893:25c8:1946]/hook'
+  ])('allows %s', (target) => {
+    expect(isAllowedWebhookUrl(target)).toBe(true);
+  });
+
+  test.each([
+    'http://127.0.0.1/hook',
+    'http://10.0.0.5/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0.0.0.0:8080/',
+    'http://[::1]/hook',
+    'http://[::]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[64:ff9b::7f00:1]/hook',
+    'http://localhost:3000/hook',
+    'http://api.localhost/hook',
+    'not a url'
+  ])('refuses %s', (target) => {
+    expect(isAllowedWebhookUrl(target)).toBe(false);
+  });
+});
+
+describe('processDelivery', () => {
+  const createDelivery = (attempts = 0) => new WebhookDelivery({
+    webhookId: new mongoose.Types.ObjectId(),
+    event: 'link.created',
+    payload: { event: 'link.created' },
+    status: 'processing',
+    attempts
+  });
+
+  const useWebhook = (url) => jest.spyOn(Webhook, 'findById').mockResolvedValue(new Webhook({
+    workspaceId: new mongoose.Types.ObjectId(),
+    url,
+    events: ['link.created'],
+    secret: 'whsec_test'
+  }));
+
+  test('refuses a private address and schedules a retry', async () => {
+    useWebhook('http://[::]:8080/hook');
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const updateOne = jest.spyOn(WebhookDelivery, 'updateOne').mockResolvedValue({});
+
+    const before = Date.now();
+    await processDelivery(createDelivery());
+
+    const { $set } = updateOne.mock.calls[0][1];
+    expect($set).toMatchObject({
+      status: 'pending',
+      attempts: 1,
+      error: 'Refusing to send to private address ::'
+    });
+    expect($set.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 30 * 1000);
+  });
+
+  test('marks the delivery failed after the last attempt', async () => {
+    useWebhook('http://127.0.0.1:8080/hook');
+    const updateOne = jest.spyOn(WebhookDelivery, 'updateOne').mockResolvedValue({});
+
+    await processDelivery(createDelivery(5));
+
+    expect(updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'failed', attempts: 6 });
+  });
+
+  test('fails without retrying when the webhook was deleted', async () => {
+    jest.spyOn(Webhook, 'findById').mockResolvedValue(null);
+    const updateOne = jest.spyOn(WebhookDelivery, 'updateOne').mockResolvedValue({});
+
+    await processDelivery(createDelivery(2));
+
+    expect(updateOne.mock.calls[0][1].$set).toMatchObject({
+      status: 'failed',
+      attempts: 2,
+      error: 'Webhook was disabled or deleted'
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const Click = require('../models/Click');
+
+const SETTINGS = {
+  // More than `repeatThreshold` hits on one link from one visitor within the
+  // window are treated as automated (set the threshold to 0 to disable)
+  repeatWindowMs: parseInt(process.env.BOT_REPEAT_WINDOW_MS) || 60 * 1000,
+  repeatThreshold: process.env.BOT_REPEAT_THRESHOLD !== undefined
+    ? parseInt(process.env.BOT_REPEAT_THRESHOLD) || 0
+    : 5
+};
+
+// Browsers announce speculative loads (link prefetch, prerender, Safari's
+// Top Sites previews) that nobody actually clicked
+const PREFETCH_HEADERS = ['Purpose', 'Sec-Purpose', 'X-Purpose', 'X-Moz'];
+
+const isPrefetchRequest = (req) => PREFETCH_HEADERS.some(header => /prefetch|prerender|preview/i.test(req.get(header) || ''));
+
+// Classify a click on `url`. `clickData` carries the parsed User-Agent's
+// isBot flag and the visitor id. Resolves with one of Click.BOT_REASONS, or
+// null for a human click.
+const detectBot = async (req, url, clickData) => {
+  if (clickData.isBot) return 'userAgent';
+  if (req.method === 'HEAD') return 'headRequest';
+  if (isPrefetchRequest(req)) return 'prefetch';
+
+  if (clickData.visitorId && SETTINGS.repeatThreshold > 0) {
+    const recentHits = await Click.countDocuments({
+      urlId: url._id,
+      visitorId: clickData.visitorId,
+      timestamp: { $gte: new Date(Date.now() - SETTINGS.repeatWindowMs) }
+    });
+    if (recentHits >= SETTINGS.repeatThreshold) return 'repeatedHits';
+  }
+
+  return null;
+};
+
+module.exports = {
+  detectBot
+};
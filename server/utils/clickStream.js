@@ -0,0 +1,43 @@
+const { EventEmitter } = require('events');
+
+// In-process pub/sub for live clicks, keyed by workspace id. Subscribers only
+// see clicks recorded by this server process; with several instances behind
+// a load balancer, each stream follows the instance it is connected to.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Tell live subscribers of the link's workspace about a recorded click
+const publishClick = (url, clickData) => {
+  if (!url.workspaceId) return;
+
+  emitter.emit(url.workspaceId.toString(), {
+    urlId: url._id,
+    shortCode: url.shortCode,
+    domain: url.domain,
+    title: url.title,
+    clicks: url.clicks,
+    timestamp: new Date().toISOString(),
+    referer: clickData.referer,
+    country: clickData.country,
+    region: clickData.region,
+    city: clickData.city,
+    deviceType: clickData.deviceType,
+    browser: clickData.browser,
+    os: clickData.os,
+    isBot: clickData.isBot,
+    botReason: clickData.botReason
+  });
+};
+
+// Call `listener` with every click on the workspace's links. Returns a
+// function that stops listening.
+const subscribeToClicks = (workspaceId, listener) => {
+  const channel = workspaceId.toString();
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+module.exports = {
+  publishClick,
+  subscribeToClicks
+};
@@ -0,0 +1,81 @@
+// Minimal RFC 4180 CSV helpers for bulk import and export
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted
+// fields containing commas, quotes ("") and line breaks.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ''); // strip BOM added by Excel
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV text with a header row into objects keyed by header name
+const parseCsv = (text) => {
+  const [headers, ...rows] = parseCsvRows(text);
+  if (!headers) return [];
+
+  const keys = headers.map(header => header.trim());
+  return rows.map(cells => keys.reduce((record, key, index) => {
+    if (key) record[key] = (cells[index] ?? '').trim();
+    return record;
+  }, {}));
+};
+
+// Escape a value for CSV output. Values that spreadsheet apps would treat as
+// formulas are prefixed with a quote so exported data can't execute.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  parseCsvRows,
+  escapeCsvValue,
+  toCsvRow
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const safeRegex = require('safe-regex2');
+const DestinationRule = require('../models/DestinationRule');
+const Domain = require('../models/Domain');
+const logger = require('./logger');
+const { extractDomain, isHostOrSubdomain, isSuspiciousUrl } = require('./urlUtils');
+
+// Error codes returned to API clients when a destination is rejected
+const POLICY_ERRORS = {
+  INVALID_DESTINATION: {
+    status: 400,
+    message: 'Destination URL could not be parsed'
+  },
+  REDIRECT_LOOP: {
+    status: 400,
+    message: 'Destination points back to this URL shortener'
+  },
+  NESTED_SHORTENER: {
+    status: 400,
+    message: 'Destination is another URL shortener; please use the final URL instead'
+  },
+  DESTINATION_BLOCKED: {
+    status: 403,
+    message: 'Destination is blocked by policy'
+  },
+  KNOWN_PHISHING: {
+    status: 403,
+    message: 'Destination is listed as a known phishing site'
+  }
+};
+
+// Regex rules run against every shortened URL, so only the start of a very
+// long URL is matched to bound the work a single pattern can do
+const MAX_REGEX_INPUT_LENGTH = 2048;
+
+const reject = (code, reason) => ({
+  allowed: false,
+  code,
+  reason,
+  ...POLICY_ERRORS[code]
+});
+
+let hashPrefixCache = {
+  filePath: null,
+  mtimeMs: 0,
+  prefixes: new Set(),
+  lengths: []
+};
+
+// Load the phishing hash-prefix list. The file holds one lowercase hex
+// SHA-256 prefix (8-64 characters) of a hostname per line; blank lines and
+// lines starting with # are ignored. The file is re-read when it changes.
+const loadHashPrefixes = async (filePath = process.env.PHISHING_HASH_PREFIX_FILE) => {
+  if (!filePath) {
+    return { prefixes: new Set(), lengths: [] };
+  }
+
+  let stats;
+  try {
+    stats = await fs.stat(filePath);
+  } catch (error) {
+    logger.warn('Phishing hash-prefix list unavailable', { filePath, error: error.message });
+    return { prefixes: new Set(), lengths: [] };
+  }
+
+  if (hashPrefixCache.filePath === filePath && hashPrefixCache.mtimeMs === stats.mtimeMs) {
+    return hashPrefixCache;
+  }
+
+  const contents = await fs.readFile(filePath, 'utf8');
+  const prefixes = new Set();
+  contents.split(/\r?\n/).forEach(line => {
+    const prefix = line.trim().toLowerCase();
+    if (/^[0-9a-f]{8,64}$/.test(prefix)) {
+      prefixes.add(prefix);
+    }
+  });
+
+  hashPrefixCache = {
+    filePath,
+    mtimeMs: stats.mtimeMs,
+    prefixes,
+    lengths: [...new Set([...prefixes].map(prefix => prefix.length))]
+  };
+
+  logger.info('Phishing hash-prefix list loaded', { filePath, count: prefixes.size });
+
+  return hashPrefixCache;
+};
+
+// Hostname and its parent domains, e.g. a.b.example.com, b.example.com, example.com
+const hostSuffixes = (hostname) => {
+  const labels = hostname.split('.');
+  const suffixes = [];
+  for (let i = 0; i < labels.length - 1; i++) {
+    suffixes.push(labels.slice(i).join('.'));
+  }
+  return suffixes.length ? suffixes : [hostname];
+};
+
+const isKnownPhishingHost = async (hostname) => {
+  const { prefixes, lengths } = await loadHashPrefixes();
+  if (!prefixes.size) return false;
+
+  return hostSuffixes(hostname).some(host => {
+    const hash = crypto.createHash('sha256').update(host).digest('hex');
+    return lengths.some(length => prefixes.has(hash.substring(0, length)));
+  });
+};
+
+// Whether a regex rule pattern compiles and has no nested repetition, which
+// could backtrack catastrophically (e.g. "(a+)+$")
+const isSafeRegexPattern = (pattern) => {
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return false;
+  }
+  return safeRegex(pattern);
+};
+
+const matchesRule = (rule, originalUrl, hostname) => {
+  if (rule.matchType === 'domain') {
+    return isHostOrSubdomain(hostname, rule.pattern);
+  }
+
+  // Rules saved before patterns were checked may still be unsafe
+  if (!isSafeRegexPattern(rule.pattern)) {
+    logger.warn('Skipping unsafe or invalid destination rule pattern', { ruleId: rule._id, pattern: rule.pattern });
+    return false;
+  }
+
+  return new RegExp(rule.pattern, 'i').test(originalUrl.slice(0, MAX_REGEX_INPUT_LENGTH));
+};
+
+// Decide whether a URL may be used as a short link destination. Resolves with
+// { allowed: true } or { allowed: false, code, status, message, reason }.
+const checkDestination = async (originalUrl) => {
+  const hostname = extractDomain(originalUrl);
+  if (!hostname) {
+    return reject('INVALID_DESTINATION');
+  }
+
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  const ownDomain = (process.env.DEFAULT_DOMAIN || 'short.ly').toLowerCase();
+
+  // Never allow a link to point at ourselves, even if allowlisted
+  if (isHostOrSubdomain(host, ownDomain)) {
+    return reject('REDIRECT_LOOP', `Destination host ${host} is ${ownDomain}`);
+  }
+  if (await Domain.exists({ hostname: host, verifiedAt: { $ne: null } })) {
+    return reject('REDIRECT_LOOP', `Destination host ${host} is a custom short link domain`);
+  }
+
+  const rules = await DestinationRule.find({ isActive: true });
+
+  const allowRule = rules.find(rule => rule.list === 'allow' && matchesRule(rule, originalUrl, host));
+  if (allowRule) {
+    return { allowed: true, ruleId: allowRule._id };
+  }
+
+  const blockRule = rules.find(rule => rule.list === 'block' && matchesRule(rule, originalUrl, host));
+  if (blockRule) {
+    return {
+      ...reject('DESTINATION_BLOCKED', blockRule.reason),
+      ruleId: blockRule._id
+    };
+  }
+
+  if (await isKnownPhishingHost(host)) {
+    return reject('KNOWN_PHISHING', `Destination host ${host} matched the hash-prefix list`);
+  }
+
+  if (isSuspiciousUrl(originalUrl)) {
+    return reject('NESTED_SHORTENER', `Destination host ${host} is a known URL shortener`);
+  }
+
+  return { allowed: true };
+};
+
+module.exports = {
+  POLICY_ERRORS,
+  MAX_REGEX_INPUT_LENGTH,
+  checkDestination,
+  isSafeRegexPattern,
+  loadHashPrefixes
+};
@@ -0,0 +1,54 @@
+const dns = require('dns');
+
+// DNS servers to query instead of the system resolver, e.g. a local test
+// server at "127.0.0.1:5353". Comma separated.
+const DNS_SERVERS = (process.env.DOMAIN_VERIFICATION_DNS_SERVERS || '')
+  .split(',')
+  .map(server => server.trim())
+  .filter(Boolean);
+
+const createDefaultResolver = () => {
+  const resolver = new dns.promises.Resolver({ timeout: 5000, tries: 2 });
+  if (DNS_SERVERS.length > 0) {
+    resolver.setServers(DNS_SERVERS);
+  }
+  return (hostname) => resolver.resolveTxt(hostname);
+};
+
+let resolveTxt = createDefaultResolver();
+
+// Swap the TXT lookup, e.g. for a stub in tests. Pass null to restore the default.
+const setTxtResolver = (resolver) => {
+  resolveTxt = resolver || createDefaultResolver();
+};
+
+const MISSING_RECORD_CODES = ['ENODATA', 'ENOTFOUND', 'NXDOMAIN'];
+
+// Check that a domain's verification TXT record is published.
+// Resolves with { verified: true } or { verified: false, reason }.
+const checkDomainVerification = async (domain) => {
+  const { name, value } = domain.verificationRecord;
+
+  let records;
+  try {
+    records = await resolveTxt(name);
+  } catch (error) {
+    if (MISSING_RECORD_CODES.includes(error.code)) {
+      return { verified: false, reason: `No TXT record found at ${name}` };
+    }
+    return { verified: false, reason: `DNS lookup failed (${error.code || error.message})` };
+  }
+
+  // Long TXT records arrive split into chunks
+  const values = records.map(chunks => (Array.isArray(chunks) ? chunks.join('') : String(chunks)).trim());
+  if (!values.includes(value)) {
+    return { verified: false, reason: `TXT record at ${name} does not contain ${value}` };
+  }
+
+  return { verified: true };
+};
+
+module.exports = {
+  checkDomainVerification,
+  setTxtResolver
+};
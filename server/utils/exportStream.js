@@ -0,0 +1,70 @@
+const { toCsvRow } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Stream documents from a Mongoose query cursor as CSV or newline-delimited
+// JSON. Each column is { header, value: (doc) => any }; NDJSON objects use
+// the headers as keys so both formats carry the same fields.
+const streamExport = async (res, cursor, { format, filename, columns }) => {
+  let aborted = false;
+  const onClose = () => {
+    aborted = true;
+  };
+  res.on('close', onClose);
+
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  // Respect backpressure so large exports don't buffer in memory
+  const write = (chunk) => new Promise((resolve) => {
+    if (res.write(chunk) || aborted) return resolve();
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  let count = 0;
+  try {
+    if (format === 'csv') {
+      await write(toCsvRow(columns.map(column => column.header)));
+    }
+
+    for await (const doc of cursor) {
+      if (aborted) break;
+
+      if (format === 'csv') {
+        await write(toCsvRow(columns.map(column => column.value(doc))));
+      } else {
+        const record = {};
+        columns.forEach(column => {
+          const value = column.value(doc);
+          record[column.header] = value === undefined ? null : value;
+        });
+        await write(`${JSON.stringify(record)}\n`);
+      }
+      count++;
+    }
+  } finally {
+    res.off('close', onClose);
+    await cursor.close();
+  }
+
+  res.end();
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamExport
+};
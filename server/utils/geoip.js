@@ -0,0 +1,105 @@
+const net = require('net');
+const maxmind = require('maxmind');
+const logger = require('./logger');
+const { isPrivateAddress } = require('./linkPreview');
+
+const UNKNOWN = 'Unknown';
+
+// Open a MaxMind-format (.mmdb) database once, on first use. Resolves with
+// null if the path is not configured or the file can't be read.
+const openDatabase = (path) => {
+  let reader = null;
+  return () => {
+    if (!path) return Promise.resolve(null);
+    if (!reader) {
+      reader = maxmind.open(path).catch((error) => {
+        logger.error('GeoIP database could not be opened', { path, error: error.message });
+        return null;
+      });
+    }
+    return reader;
+  };
+};
+
+// Default provider: GeoLite2/GeoIP2 City (or Country) and ASN databases on disk
+const createMaxMindProvider = ({ cityDbPath, asnDbPath }) => {
+  const getCityReader = openDatabase(cityDbPath);
+  const getAsnReader = openDatabase(asnDbPath);
+
+  return async (ip) => {
+    const [cityReader, asnReader] = await Promise.all([getCityReader(), getAsnReader()]);
+    const location = cityReader?.get(ip);
+    const asn = asnReader?.get(ip);
+
+    return {
+      country: location?.country?.iso_code || location?.registered_country?.iso_code,
+      region: location?.subdivisions?.[0]?.names?.en,
+      city: location?.city?.names?.en,
+      asn: asn?.autonomous_system_number,
+      asOrganization: asn?.autonomous_system_organization
+    };
+  };
+};
+
+let provider = createMaxMindProvider({
+  cityDbPath: process.env.GEOIP_CITY_DB_PATH,
+  asnDbPath: process.env.GEOIP_ASN_DB_PATH
+});
+
+// Swap the lookup used for client IPs, e.g. another geolocation service or a
+// stub in tests. A provider is `async (ip) => ({ country, region, city, asn,
+// asOrganization })`; missing fields fall back to CDN headers. Pass null to
+// restore the MaxMind provider.
+const setGeoProvider = (geoProvider) => {
+  provider = geoProvider || createMaxMindProvider({
+    cityDbPath: process.env.GEOIP_CITY_DB_PATH,
+    asnDbPath: process.env.GEOIP_ASN_DB_PATH
+  });
+};
+
+// Location headers added by the CDN in front of us, if any (Cloudflare)
+const getHeaderLocation = (req) => {
+  const country = req.get('CF-IPCountry');
+  return {
+    // Cloudflare sends XX for unknown and T1 for Tor
+    country: country && !['XX', 'T1'].includes(country) ? country : undefined,
+    region: req.get('CF-Region'),
+    city: req.get('CF-IPCity')
+  };
+};
+
+// Node reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+const normalizeIp = (ip) => (ip && ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip);
+
+// Locate a request's client. req.ip honours X-Forwarded-For only from the
+// proxies in TRUSTED_PROXIES (see server/index.js). Never throws.
+const lookupLocation = async (req) => {
+  const ip = normalizeIp(req.ip || req.connection?.remoteAddress);
+  const family = net.isIP(ip || '');
+
+  let location = {};
+  if (family && !isPrivateAddress(ip, family)) {
+    try {
+      location = (await provider(ip)) || {};
+    } catch (error) {
+      logger.warn('GeoIP lookup failed', { ip, error: error.message });
+    }
+  }
+
+  const headers = getHeaderLocation(req);
+
+  return {
+    ip,
+    country: location.country || headers.country || UNKNOWN,
+    region: location.region || headers.region || UNKNOWN,
+    city: location.city || headers.city || UNKNOWN,
+    asn: location.asn || null,
+    asOrganization: location.asOrganization || null
+  };
+};
+
+module.exports = {
+  lookupLocation,
+  setGeoProvider,
+  normalizeIp
+};
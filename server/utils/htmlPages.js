@@ -0,0 +1,191 @@
+// Server-rendered pages shown to visitors of short links. These are plain
+// template strings so the redirect route stays independent of the React build.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const homeUrl = () => process.env.REACT_APP_FRONTEND_URL || '/';
+
+const layout = ({ title, icon, heading, body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body {
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 1.5rem;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: #1e293b;
+    }
+    .card {
+      width: 100%;
+      max-width: 480px;
+      padding: 2.5rem 2rem;
+      background: white;
+      border-radius: 1rem;
+      box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04);
+      text-align: center;
+    }
+    .icon { font-size: 3rem; margin-bottom: 1rem; }
+    h1 { font-size: 1.5rem; font-weight: 700; margin-bottom: 0.75rem; }
+    p { color: #64748b; line-height: 1.6; margin-bottom: 1rem; }
+    .destination {
+      padding: 0.75rem 1rem;
+      margin-bottom: 1.5rem;
+      background: #f8fafc;
+      border: 1px solid #e2e8f0;
+      border-radius: 0.5rem;
+      font-family: 'Fira Code', 'Monaco', 'Consolas', monospace;
+      font-size: 0.875rem;
+      word-break: break-all;
+      text-align: left;
+    }
+    .actions { display: flex; gap: 0.75rem; justify-content: center; flex-wrap: wrap; }
+    .button {
+      display: inline-block;
+      padding: 0.75rem 1.5rem;
+      border-radius: 0.5rem;
+      font-weight: 600;
+      text-decoration: none;
+      background: linear-gradient(135deg, #3b82f6, #1d4ed8);
+      color: white;
+    }
+    .button.secondary { background: white; color: #374151; border: 2px solid #e5e7eb; }
+    form { display: flex; flex-direction: column; gap: 1rem; text-align: left; }
+    input[type="password"] {
+      width: 100%;
+      padding: 0.875rem 1rem;
+      border: 2px solid #e5e7eb;
+      border-radius: 0.5rem;
+      font-size: 1rem;
+    }
+    input[type="password"]:focus { outline: none; border-color: #3b82f6; }
+    button.button { border: none; font-size: 1rem; cursor: pointer; }
+    .error {
+      padding: 0.75rem 1rem;
+      background: #fef2f2;
+      border: 1px solid #fecaca;
+      border-radius: 0.5rem;
+      color: #dc2626;
+      font-size: 0.875rem;
+    }
+  </style>
+</head>
+<body>
+  <main class="card">
+    <div class="icon">${icon}</div>
+    <h1>${escapeHtml(heading)}</h1>
+    ${body}
+  </main>
+</body>
+</html>`;
+
+// Visitor-facing copy for each reason a short link can't be followed
+const STATUS_PAGES = {
+  notFound: {
+    icon: '🔍',
+    heading: 'Link not found',
+    message: 'This short link does not exist. Check that it was typed correctly.'
+  },
+  expired: {
+    icon: '⌛',
+    heading: 'Link expired',
+    message: 'This short link has expired and no longer leads anywhere.'
+  },
+  maxClicks: {
+    icon: '🚫',
+    heading: 'Link limit reached',
+    message: 'This short link has reached its maximum number of visits.'
+  },
+  notYetActive: {
+    icon: '🕒',
+    heading: 'Link not active yet',
+    message: 'This short link has not gone live yet. Please check back later.'
+  },
+  deactivated: {
+    icon: '⏸️',
+    heading: 'Link deactivated',
+    message: 'The owner of this short link has deactivated it.'
+  },
+  tooManyAttempts: {
+    icon: '🔒',
+    heading: 'Too many attempts',
+    message: 'Too many incorrect passwords have been entered for this link. Please try again later.'
+  },
+  error: {
+    icon: '⚠️',
+    heading: 'Something went wrong',
+    message: 'We could not open this short link. Please try again in a moment.'
+  }
+};
+
+const renderStatusPage = (reason) => {
+  const page = STATUS_PAGES[reason] || STATUS_PAGES.error;
+
+  return layout({
+    title: page.heading,
+    icon: page.icon,
+    heading: page.heading,
+    body: `<p>${escapeHtml(page.message)}</p>
+    <div class="actions">
+      <a class="button" href="${escapeHtml(homeUrl())}">Create your own short link</a>
+    </div>`
+  });
+};
+
+// Warning shown before leaving for the destination of a link whose owner
+// has enabled the interstitial
+const renderInterstitialPage = ({ destination, continueUrl, title }) => {
+  const hostname = (() => {
+    try {
+      return new URL(destination).hostname;
+    } catch (_) {
+      return destination;
+    }
+  })();
+
+  return layout({
+    title: `You are leaving for ${hostname}`,
+    icon: '↗️',
+    heading: `You are leaving for ${hostname}`,
+    body: `${title ? `<p>${escapeHtml(title)}</p>` : ''}
+    <p>This short link will take you to:</p>
+    <div class="destination">${escapeHtml(destination)}</div>
+    <div class="actions">
+      <a class="button secondary" href="${escapeHtml(homeUrl())}">Go back</a>
+      <a class="button" href="${escapeHtml(continueUrl)}" rel="noopener noreferrer">Continue</a>
+    </div>`
+  });
+};
+
+// Password prompt for protected links; submits back to the short link
+const renderPasswordPage = ({ shortCode, error }) => layout({
+  title: 'Password required',
+  icon: '🔒',
+  heading: 'This link is password protected',
+  body: `<p>Enter the password to continue.</p>
+    <form method="POST" action="/${escapeHtml(encodeURIComponent(shortCode))}">
+      ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+      <input type="password" name="password" placeholder="Password" autocomplete="current-password" required autofocus>
+      <button class="button" type="submit">Continue</button>
+    </form>`
+});
+
+module.exports = {
+  escapeHtml,
+  renderStatusPage,
+  renderInterstitialPage,
+  renderPasswordPage
+};
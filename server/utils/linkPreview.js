@@ -0,0 +1,259 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+const DEFAULT_OPTIONS = {
+  timeout: parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS) || 3000,
+  maxBytes: parseInt(process.env.LINK_PREVIEW_MAX_BYTES) || 512 * 1024,
+  maxRedirects: 3,
+  allowPrivateNetworks: false,
+  userAgent: 'Mozilla/5.0 (compatible; URLShortenerBot/1.0; +link-preview)'
+};
+
+// Matches the image and favicon maxlength on the Url model
+const MAX_URL_LENGTH = 2048;
+
+// Address ranges a user-supplied URL must never make the server fetch from
+const privateNetworks = new net.BlockList();
+privateNetworks.addSubnet('0.0.0.0', 8);
+privateNetworks.addSubnet('10.0.0.0', 8);
+privateNetworks.addSubnet('100.64.0.0', 10);
+privateNetworks.addSubnet('127.0.0.0', 8);
+privateNetworks.addSubnet('169.254.0.0', 16);
+privateNetworks.addSubnet('172.16.0.0', 12);
+privateNetworks.addSubnet('192.0.0.0', 24);
+privateNetworks.addSubnet('192.168.0.0', 16);
+privateNetworks.addSubnet('198.18.0.0', 15);
+privateNetworks.addSubnet('224.0.0.0', 4); // multicast
+privateNetworks.addSubnet('240.0.0.0', 4); // reserved and broadcast
+privateNetworks.addSubnet('::', 128, 'ipv6'); // unspecified, reaches the local host
+privateNetworks.addSubnet('::1', 128, 'ipv6');
+privateNetworks.addSubnet('64:ff9b::', 96, 'ipv6'); // NAT64, embeds any IPv4 address
+privateNetworks.addSubnet('64:ff9b:1::', 48, 'ipv6');
+privateNetworks.addSubnet('fc00::', 7, 'ipv6');
+privateNetworks.addSubnet('fe80::', 10, 'ipv6');
+privateNetworks.addSubnet('ff00::', 8, 'ipv6');
+
+// The IPv4 address inside an IPv4-mapped IPv6 address (::ffff:a.b.c.d),
+// whatever notation it was written in, or null
+const unwrapMappedIpv4 = (address) => {
+  let canonical;
+  try {
+    canonical = new URL(`http://[${address}]/`).hostname.slice(1, -1);
+  } catch (_) {
+    return null;
+  }
+
+  const match = canonical.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (!match) return null;
+  const [high, low] = [parseInt(match[1], 16), parseInt(match[2], 16)];
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+const isPrivateAddress = (address, family) => {
+  const version = net.isIP(address) || (family === 6 || family === 'IPv6' ? 6 : 4);
+  if (version === 4) return privateNetworks.check(address, 'ipv4');
+
+  const mapped = unwrapMappedIpv4(address);
+  return mapped ? privateNetworks.check(mapped, 'ipv4') : privateNetworks.check(address, 'ipv6');
+};
+
+// Whether a URL hostname is an IP literal in a private range. Such hosts
+// skip DNS, so safeLookup never sees them.
+const isPrivateIpLiteral = (hostname) => {
+  const literal = hostname.replace(/^\[|\]$/g, '');
+  return net.isIP(literal) !== 0 && isPrivateAddress(literal);
+};
+
+// dns.lookup wrapper that refuses to connect to private addresses
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address, entry.family));
+    if (blocked) {
+      const lookupError = new Error(`Refusing to fetch private address ${blocked.address}`);
+      lookupError.code = 'EPRIVATEADDR';
+      return callback(lookupError);
+    }
+
+    callback(null, address, family);
+  });
+};
+
+// Fetch a page body, following a limited number of redirects and stopping
+// once maxBytes have been read. Resolves with { url, contentType, body }.
+const fetchPage = (pageUrl, options = {}, redirectCount = 0) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(pageUrl);
+    } catch (error) {
+      return reject(error);
+    }
+
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      return reject(new Error(`Unsupported protocol ${target.protocol}`));
+    }
+
+    if (!settings.allowPrivateNetworks && isPrivateIpLiteral(target.hostname)) {
+      return reject(new Error(`Refusing to fetch private address ${target.hostname.replace(/^\[|\]$/g, '')}`));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.get(target, {
+      headers: {
+        'User-Agent': settings.userAgent,
+        Accept: 'text/html,application/xhtml+xml',
+        'Accept-Encoding': 'identity'
+      },
+      timeout: settings.timeout,
+      ...(!settings.allowPrivateNetworks && { lookup: safeLookup })
+    }, (response) => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirectCount >= settings.maxRedirects) {
+          return reject(new Error('Too many redirects'));
+        }
+        const nextUrl = new URL(headers.location, target).toString();
+        return resolve(fetchPage(nextUrl, options, redirectCount + 1));
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        return reject(new Error(`Unexpected status code ${statusCode}`));
+      }
+
+      const contentType = headers['content-type'] || '';
+      if (!/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+        response.resume();
+        return reject(new Error(`Unsupported content type ${contentType}`));
+      }
+
+      const chunks = [];
+      let received = 0;
+      let finished = false;
+
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(deadline);
+        const charset = (contentType.match(/charset=([^;]+)/i) || [])[1];
+        const encoding = /^(iso-8859-1|latin1|windows-1252)$/i.test(charset || '') ? 'latin1' : 'utf8';
+        resolve({
+          url: target.toString(),
+          contentType,
+          body: Buffer.concat(chunks).toString(encoding)
+        });
+      };
+
+      // The socket timeout only covers idle time, so cap the whole download too
+      const deadline = setTimeout(() => request.destroy(new Error('Request timed out')), settings.timeout);
+
+      response.on('data', (chunk) => {
+        chunks.push(chunk);
+        received += chunk.length;
+        if (received >= settings.maxBytes) {
+          // Metadata lives in <head>, so a truncated body is good enough
+          finish();
+          request.destroy();
+        }
+      });
+      response.on('end', finish);
+      response.on('error', (error) => {
+        clearTimeout(deadline);
+        if (!finished) reject(error);
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Request timed out')));
+    request.on('error', reject);
+  });
+};
+
+const decodeEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+const cleanText = (text, maxLength) => {
+  if (!text) return null;
+  const cleaned = decodeEntities(text).replace(/\s+/g, ' ').trim();
+  if (!cleaned) return null;
+  return cleaned.length > maxLength ? `${cleaned.substring(0, maxLength - 3)}...` : cleaned;
+};
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const attributePattern = /([a-zA-Z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = attributePattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+  }
+  return attributes;
+};
+
+// Resolve an image or icon reference against the page URL. Anything longer
+// than the Url model accepts is dropped rather than failing the save.
+const resolveUrl = (value, baseUrl) => {
+  if (!value) return null;
+  try {
+    const resolved = new URL(decodeEntities(value.trim()), baseUrl);
+    if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') return null;
+    const href = resolved.toString();
+    return href.length <= MAX_URL_LENGTH ? href : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+// Extract title, description, image and favicon from an HTML document,
+// preferring Open Graph, then Twitter card, then plain HTML tags
+const parseMetadata = (html, baseUrl) => {
+  const meta = {};
+  (html.match(/<meta\b[^>]*>/gi) || []).forEach(tag => {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  });
+
+  const icons = {};
+  (html.match(/<link\b[^>]*>/gi) || []).forEach(tag => {
+    const attributes = parseAttributes(tag);
+    const rel = (attributes.rel || '').toLowerCase();
+    if (attributes.href && rel.split(/\s+/).some(value => value === 'icon' || value === 'apple-touch-icon')) {
+      const type = rel.includes('apple-touch-icon') ? 'apple' : 'icon';
+      if (!icons[type]) icons[type] = attributes.href;
+    }
+  });
+
+  const titleMatch = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+
+  return {
+    title: cleanText(meta['og:title'] || meta['twitter:title'] || (titleMatch && titleMatch[1]), 200),
+    description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, 500),
+    image: resolveUrl(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || meta['twitter:image:src'], baseUrl),
+    favicon: resolveUrl(icons.icon || icons.apple || '/favicon.ico', baseUrl)
+  };
+};
+
+module.exports = {
+  fetchPage,
+  parseMetadata,
+  isPrivateAddress,
+  isPrivateIpLiteral,
+  safeLookup
+};
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const Url = require('../models/Url');
+const UrlRevision = require('../models/UrlRevision');
+const logger = require('./logger');
+const { isValidUrl } = require('./urlUtils');
+const { applyUtm } = require('./utm');
+const { checkDestination } = require('./destinationPolicy');
+const { emitWebhookEvent } = require('./webhooks');
+
+const MAX_SCHEDULED_DESTINATIONS = 10;
+
+const SETTINGS = {
+  intervalMs: parseInt(process.env.LINK_SCHEDULER_INTERVAL_MS) || 60 * 1000,
+  batchSize: 100
+};
+
+let timer = null;
+let running = false;
+
+// Validate and normalize the destination changes queued for a link. New
+// changes must be in the future; ones kept from `existing` (matched by _id
+// and unchanged) keep their time and author. Returns { scheduledDestinations }
+// sorted by time, or { error }.
+const normalizeScheduledDestinations = (changes, { existing = [], userId = null } = {}) => {
+  if (!Array.isArray(changes)) return { error: 'Scheduled destinations must be an array' };
+  if (changes.length > MAX_SCHEDULED_DESTINATIONS) {
+    return { error: `A link cannot have more than ${MAX_SCHEDULED_DESTINATIONS} scheduled destination changes` };
+  }
+
+  const now = Date.now();
+  const normalized = [];
+
+  for (const [index, change] of changes.entries()) {
+    const label = `Scheduled change ${index + 1}`;
+    if (!change || typeof change !== 'object' || Array.isArray(change)) {
+      return { error: `${label} must be an object` };
+    }
+
+    const destination = typeof change.destination === 'string' ? change.destination.trim() : '';
+    if (!isValidUrl(destination)) {
+      return { error: `${label}: please provide a valid destination URL` };
+    }
+    if (destination.length > 2048) {
+      return { error: `${label}: destination cannot exceed 2048 characters` };
+    }
+
+    const changeAt = new Date(change.changeAt);
+    if (!change.changeAt || isNaN(changeAt.getTime())) {
+      return { error: `${label}: change time must be a valid date` };
+    }
+
+    const kept = change._id && existing.find(item => (
+      String(item._id) === String(change._id) &&
+      item.destination === destination &&
+      item.changeAt.getTime() === changeAt.getTime()
+    ));
+
+    if (!kept && changeAt.getTime() <= now) {
+      return { error: `${label}: change time must be in the future` };
+    }
+
+    normalized.push(kept
+      ? { _id: kept._id, destination, changeAt, scheduledBy: kept.scheduledBy }
+      : { _id: new mongoose.Types.ObjectId(), destination, changeAt, scheduledBy: userId });
+  }
+
+  normalized.sort((a, b) => a.changeAt - b.changeAt);
+  return { scheduledDestinations: normalized };
+};
+
+// Switch a link to a scheduled destination. The change is pulled in the same
+// update, so with several servers running only one applies it. Resolves with
+// the updated link, or null if the change was applied, cancelled or rejected.
+const applyScheduledDestination = async (url, change) => {
+  const cancel = () => Url.updateOne({ _id: url._id }, { $pull: { scheduledDestinations: { _id: change._id } } });
+
+  // Normalize UTM parameters the same way as a manual edit
+  const tracked = applyUtm(change.destination);
+  if (tracked.error || tracked.originalUrl.length > 2048) {
+    logger.warn('Scheduled destination rejected', {
+      urlId: url._id,
+      destination: change.destination,
+      error: tracked.error || 'URL cannot exceed 2048 characters once UTM parameters are added'
+    });
+    await cancel();
+    return null;
+  }
+  const destination = tracked.originalUrl;
+
+  const policy = await checkDestination(destination);
+  if (!policy.allowed) {
+    logger.warn('Scheduled destination rejected by policy', {
+      urlId: url._id,
+      destination,
+      code: policy.code,
+      reason: policy.reason
+    });
+    await cancel();
+    return null;
+  }
+
+  const updatedUrl = await Url.findOneAndUpdate(
+    { _id: url._id, 'scheduledDestinations._id': change._id },
+    {
+      $set: { originalUrl: destination, utm: tracked.utm },
+      $pull: { scheduledDestinations: { _id: change._id } }
+    },
+    { new: true }
+  );
+  if (!updatedUrl) return null;
+
+  if (url.originalUrl !== destination) {
+    await UrlRevision.create({
+      urlId: url._id,
+      oldValue: url.originalUrl,
+      newValue: destination,
+      action: 'scheduled',
+      changedBy: change.scheduledBy
+    });
+  }
+
+  emitWebhookEvent('link.updated', updatedUrl, { changes: ['originalUrl', 'scheduledDestinations'] });
+
+  logger.info('Scheduled destination applied', {
+    urlId: url._id,
+    destination,
+    changeAt: change.changeAt
+  });
+
+  return updatedUrl;
+};
+
+// Apply every destination change that has fallen due, oldest first
+const applyDueDestinations = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const now = new Date();
+    const urls = await Url.find({ 'scheduledDestinations.changeAt': { $lte: now } }).limit(SETTINGS.batchSize);
+
+    for (const url of urls) {
+      const due = url.scheduledDestinations
+        .filter(change => change.changeAt <= now)
+        .sort((a, b) => a.changeAt - b.changeAt);
+
+      let current = url;
+      for (const change of due) {
+        current = (await applyScheduledDestination(current, change)) || current;
+      }
+    }
+  } catch (error) {
+    logger.error('Link scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startLinkScheduler = () => {
+  if (timer) return;
+
+  timer = setInterval(applyDueDestinations, SETTINGS.intervalMs);
+  timer.unref();
+
+  logger.info('Link scheduler started', { intervalMs: SETTINGS.intervalMs });
+  applyDueDestinations();
+};
+
+const stopLinkScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  MAX_SCHEDULED_DESTINATIONS,
+  normalizeScheduledDestinations,
+  applyDueDestinations,
+  startLinkScheduler,
+  stopLinkScheduler
+};
@@ -0,0 +1,46 @@
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+let transporter = null;
+
+const isMailConfigured = () => !!process.env.SMTP_HOST;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+// Send an email. Resolves to false without sending when SMTP isn't configured
+// so callers can fall back to sharing links by hand in development.
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!isMailConfigured()) {
+    logger.warn('SMTP not configured, email not sent', { to, subject });
+    return false;
+  }
+
+  await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || `no-reply@${process.env.DEFAULT_DOMAIN || 'short.ly'}`,
+    to,
+    subject,
+    text,
+    html
+  });
+
+  logger.info('Email sent', { to, subject });
+  return true;
+};
+
+module.exports = {
+  isMailConfigured,
+  sendMail
+};
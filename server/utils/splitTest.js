@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { isValidUrl } = require('./urlUtils');
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 10;
+const MAX_WEIGHT = 1000;
+
+// How long a visitor keeps the variant they were first sent to
+const VARIANT_COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+// Validate and normalize the A/B variants sent for a link. An empty list
+// turns the split test off. Variants keep their _id when it matches one of
+// `existingVariants`, so their clicks, conversions and sticky visitors carry
+// over an edit. Returns { variants } or { error }.
+const normalizeVariants = (variants, existingVariants = []) => {
+  if (!Array.isArray(variants)) return { error: 'Variants must be an array' };
+  if (variants.length === 0) return { variants: [] };
+  if (variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+    return { error: `A split test needs between ${MIN_VARIANTS} and ${MAX_VARIANTS} variants` };
+  }
+
+  const existingIds = existingVariants.map(variant => String(variant._id));
+  const normalized = [];
+
+  for (const [index, variant] of variants.entries()) {
+    const label = `Variant ${index + 1}`;
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      return { error: `${label} must be an object` };
+    }
+
+    const destination = typeof variant.destination === 'string' ? variant.destination.trim() : '';
+    if (!isValidUrl(destination)) {
+      return { error: `${label}: please provide a valid destination URL` };
+    }
+    if (destination.length > 2048) {
+      return { error: `${label}: destination cannot exceed 2048 characters` };
+    }
+
+    const name = typeof variant.name === 'string' ? variant.name.trim() : '';
+    if (name.length > 100) {
+      return { error: `${label}: name cannot exceed 100 characters` };
+    }
+
+    const weight = variant.weight === undefined ? 1 : variant.weight;
+    if (!Number.isInteger(weight) || weight < 0 || weight > MAX_WEIGHT) {
+      return { error: `${label}: weight must be a whole number from 0 to ${MAX_WEIGHT}` };
+    }
+
+    const id = variant._id && String(variant._id);
+    normalized.push({
+      ...(id && existingIds.includes(id) && { _id: new mongoose.Types.ObjectId(id) }),
+      name: name || undefined,
+      destination,
+      weight
+    });
+  }
+
+  if (normalized.every(variant => variant.weight === 0)) {
+    return { error: 'At least one variant needs a weight above 0' };
+  }
+
+  return { variants: normalized };
+};
+
+// Name of the cookie remembering a visitor's variant of a link
+const variantCookieName = (url) => `sl_variant_${url._id}`;
+
+// Read a cookie from the request; we don't run a cookie parser
+const readCookie = (req, name) => {
+  const header = req.get('Cookie');
+  if (!header) return null;
+
+  for (const pair of header.split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) continue;
+    if (pair.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(separator + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+// Pick a link's variant for a visitor. A variant remembered in the visitor's
+// cookie wins while it still has weight; otherwise a hash of the link, IP and
+// User-Agent picks one in proportion to the weights, so a visitor without
+// cookies keeps landing on the same variant until the weights change.
+const chooseVariant = (variants, { urlId, cookieVariantId, ip, userAgent }) => {
+  const active = (variants || []).filter(variant => variant.weight > 0);
+  if (active.length === 0) return null;
+
+  const remembered = cookieVariantId && active.find(variant => String(variant._id) === cookieVariantId);
+  if (remembered) return remembered;
+
+  const totalWeight = active.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${urlId}:${ip || ''}:${userAgent || ''}`).digest();
+  let bucket = hash.readUInt32BE(0) % totalWeight;
+
+  return active.find(variant => {
+    bucket -= variant.weight;
+    return bucket < 0;
+  });
+};
+
+module.exports = {
+  MAX_VARIANTS,
+  VARIANT_COOKIE_MAX_AGE,
+  normalizeVariants,
+  variantCookieName,
+  readCookie,
+  chooseVariant
+};
@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const { DEVICE_TYPES } = require('./userAgent');
+const { isValidUrl } = require('./urlUtils');
+
+const MAX_TARGETING_RULES = 20;
+const MAX_RULE_VALUES = 50;
+
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Whether Intl knows an IANA time zone name, e.g. Europe/Berlin
+const isTimeZone = (timezone) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Parse an Accept-Language header into lowercase tags, most preferred first
+const parseAcceptLanguage = (header) => {
+  if (!header) return [];
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { tag: tag.trim().toLowerCase(), q: isNaN(q) ? 0 : q, index };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+};
+
+// Normalize a list of strings with `normalize`, rejecting values that fail
+// `isValid`. Returns { values } or { error }.
+const normalizeList = (list, label, { normalize, isValid }) => {
+  if (list === undefined || list === null) return { values: [] };
+  if (!Array.isArray(list)) return { error: `${label} must be an array` };
+  if (list.length > MAX_RULE_VALUES) return { error: `${label} cannot have more than ${MAX_RULE_VALUES} entries` };
+
+  const values = [];
+  for (const item of list) {
+    if (typeof item !== 'string') return { error: `${label} must only contain strings` };
+    const value = normalize(item);
+    if (!isValid(value)) return { error: `${label} contains an invalid value: ${item}` };
+    if (!values.includes(value)) values.push(value);
+  }
+  return { values };
+};
+
+// Validate a rule's optional weekly time window. Days are 0 (Sunday) to 6
+// and times are HH:MM in the window's timezone; an end time before the start
+// time spans midnight, and the part after midnight belongs to the day the
+// window started on.
+const normalizeSchedule = (schedule) => {
+  if (schedule === undefined || schedule === null) return { schedule: null };
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return { error: 'schedule must be an object' };
+  }
+
+  const days = schedule.days || [];
+  if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return { error: 'schedule days must be numbers from 0 (Sunday) to 6 (Saturday)' };
+  }
+
+  const { startTime, endTime } = schedule;
+  if (!startTime !== !endTime) {
+    return { error: 'schedule needs both a start and an end time' };
+  }
+  if (startTime && (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime))) {
+    return { error: 'schedule times must use the HH:MM format' };
+  }
+  if (startTime && startTime === endTime) {
+    return { error: 'schedule start and end times must differ' };
+  }
+
+  const timezone = schedule.timezone || 'UTC';
+  if (typeof timezone !== 'string' || !isTimeZone(timezone)) {
+    return { error: 'schedule timezone must be an IANA time zone name, e.g. Europe/Berlin' };
+  }
+
+  if (days.length === 0 && !startTime) return { schedule: null };
+
+  return {
+    schedule: {
+      days: [...new Set(days)].sort((a, b) => a - b),
+      startTime: startTime || null,
+      endTime: endTime || null,
+      timezone
+    }
+  };
+};
+
+// Validate and normalize the targeting rules sent for a link. Rules keep
+// their _id when it matches one of `existingRules`, so clicks already
+// attributed to a rule stay attributed after an edit. Returns { rules } or
+// { error }.
+const normalizeTargetingRules = (rules, existingRules = []) => {
+  if (!Array.isArray(rules)) return { error: 'Targeting rules must be an array' };
+  if (rules.length > MAX_TARGETING_RULES) {
+    return { error: `A link cannot have more than ${MAX_TARGETING_RULES} targeting rules` };
+  }
+
+  const existingIds = existingRules.map(rule => String(rule._id));
+  const normalized = [];
+
+  for (const [index, rule] of rules.entries()) {
+    const label = `Rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return { error: `${label} must be an object` };
+    }
+
+    const destination = typeof rule.destination === 'string' ? rule.destination.trim() : '';
+    if (!isValidUrl(destination)) {
+      return { error: `${label}: please provide a valid destination URL` };
+    }
+    if (destination.length > 2048) {
+      return { error: `${label}: destination cannot exceed 2048 characters` };
+    }
+
+    const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+    if (name.length > 100) {
+      return { error: `${label}: name cannot exceed 100 characters` };
+    }
+
+    const countries = normalizeList(rule.countries, `${label} countries`, {
+      normalize: value => value.trim().toUpperCase(),
+      isValid: value => COUNTRY_PATTERN.test(value)
+    });
+    const languages = normalizeList(rule.languages, `${label} languages`, {
+      normalize: value => value.trim().toLowerCase(),
+      isValid: value => LANGUAGE_PATTERN.test(value)
+    });
+    const deviceTypes = normalizeList(rule.deviceTypes, `${label} device types`, {
+      normalize: value => value.trim().toLowerCase(),
+      isValid: value => DEVICE_TYPES.includes(value)
+    });
+    const operatingSystems = normalizeList(rule.operatingSystems, `${label} operating systems`, {
+      normalize: value => value.trim(),
+      isValid: value => value.length > 0 && value.length <= 50
+    });
+    const { schedule, error: scheduleError } = normalizeSchedule(rule.schedule);
+
+    const listError = [countries, languages, deviceTypes, operatingSystems].find(list => list.error);
+    if (listError) return { error: listError.error };
+    if (scheduleError) return { error: `${label}: ${scheduleError}` };
+
+    const hasCondition = [countries, languages, deviceTypes, operatingSystems]
+      .some(list => list.values.length > 0) || !!schedule;
+    if (!hasCondition) {
+      return { error: `${label} needs at least one condition` };
+    }
+
+    const id = rule._id && String(rule._id);
+    normalized.push({
+      ...(id && existingIds.includes(id) && { _id: new mongoose.Types.ObjectId(id) }),
+      name: name || undefined,
+      destination,
+      countries: countries.values,
+      languages: languages.values,
+      deviceTypes: deviceTypes.values,
+      operatingSystems: operatingSystems.values,
+      schedule
+    });
+  }
+
+  return { rules: normalized };
+};
+
+// Local weekday (0-6) and minutes past midnight of `date` in a timezone
+const getLocalTime = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => parts.find(p => p.type === type).value;
+
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+  };
+};
+
+const matchesSchedule = (schedule, now) => {
+  const { day, minutes } = getLocalTime(now, schedule.timezone);
+  const isScheduledDay = (weekday) => !schedule.days?.length || schedule.days.includes(weekday);
+  if (!schedule.startTime) return isScheduledDay(day);
+
+  const start = toMinutes(schedule.startTime);
+  const end = toMinutes(schedule.endTime);
+  if (start < end) return isScheduledDay(day) && minutes >= start && minutes < end;
+
+  // Spans midnight: from `start` on is today's window, and before `end` is
+  // the tail of the window that started yesterday
+  if (minutes >= start) return isScheduledDay(day);
+  return minutes < end && isScheduledDay((day + 6) % 7);
+};
+
+// A language rule matches the visitor's preferred language exactly or as a
+// prefix, so "pt" matches "pt-BR" but "pt-br" doesn't match "pt-PT"
+const matchesLanguage = (ruleLanguages, language) => !!language && ruleLanguages.some(
+  ruleLanguage => language === ruleLanguage || language.startsWith(`${ruleLanguage}-`)
+);
+
+// Find the first rule whose conditions all match the request. Empty
+// conditions match anything. `context` is { country, language, deviceType,
+// os, now }; language is the visitor's most preferred one.
+const matchTargetingRule = (rules, { country, language, deviceType, os, now = new Date() }) => {
+  if (!rules || rules.length === 0) return null;
+
+  const osName = (os || '').toLowerCase();
+
+  return rules.find(rule => (
+    (!rule.countries?.length || rule.countries.includes(country)) &&
+    (!rule.languages?.length || matchesLanguage(rule.languages, language)) &&
+    (!rule.deviceTypes?.length || rule.deviceTypes.includes(deviceType)) &&
+    (!rule.operatingSystems?.length || rule.operatingSystems.some(name => name.toLowerCase() === osName)) &&
+    (!rule.schedule || matchesSchedule(rule.schedule, now))
+  )) || null;
+};
+
+module.exports = {
+  MAX_TARGETING_RULES,
+  isTimeZone,
+  parseAcceptLanguage,
+  normalizeTargetingRules,
+  matchTargetingRule
+};
@@ -1,4 +1,7 @@
 const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+const { fetchPage, parseMetadata } = require('./linkPreview');
 
 // Generate a random short code
 const generateShortCode = (length = 6) => {
@@ -45,18 +48,102 @@ const extractDomain = (url) => {
   }
 };
 
-// Generate QR code data URL (placeholder - would need qrcode library)
-const generateQRCode = (url) => {
-  // This is a placeholder. In a real implementation, you would use a library like 'qrcode'
-  // to generate an actual QR code image
-  return `data:image/svg+xml;base64,${Buffer.from(`
-    <svg xmlns="http://www.w3.org/2000/svg" width="200" height="200" viewBox="0 0 200 200">
-      <rect width="200" height="200" fill="white"/>
-      <text x="100" y="100" text-anchor="middle" font-family="Arial" font-size="12" fill="black">
-        QR Code for: ${url}
-      </text>
-    </svg>
-  `).toString('base64')}`;
+const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+const QR_FORMATS = ['svg', 'png'];
+
+// Fraction of the QR code width covered by a centred logo. Level H tolerates
+// roughly 30% damage, so 20% leaves headroom for the quiet padding around it.
+const QR_LOGO_RATIO = 0.2;
+
+// Overlay a PNG logo on the centre of a PNG QR code
+const overlayPngLogo = (qrBuffer, logoBuffer, background) => {
+  const qr = PNG.sync.read(qrBuffer);
+  const logo = PNG.sync.read(logoBuffer);
+
+  const logoSize = Math.floor(qr.width * QR_LOGO_RATIO);
+  const padding = Math.max(2, Math.floor(logoSize * 0.1));
+  const offset = Math.floor((qr.width - logoSize) / 2);
+  const bg = [1, 3, 5].map(i => parseInt(background.substr(i, 2), 16));
+
+  // Clear a padded square behind the logo so modules don't show through
+  for (let y = offset - padding; y < offset + logoSize + padding; y++) {
+    for (let x = offset - padding; x < offset + logoSize + padding; x++) {
+      const idx = (qr.width * y + x) << 2;
+      qr.data[idx] = bg[0];
+      qr.data[idx + 1] = bg[1];
+      qr.data[idx + 2] = bg[2];
+      qr.data[idx + 3] = 255;
+    }
+  }
+
+  // Nearest-neighbour scale the logo into place, alpha-blending onto the background
+  for (let y = 0; y < logoSize; y++) {
+    for (let x = 0; x < logoSize; x++) {
+      const srcX = Math.floor((x * logo.width) / logoSize);
+      const srcY = Math.floor((y * logo.height) / logoSize);
+      const srcIdx = (logo.width * srcY + srcX) << 2;
+      const dstIdx = (qr.width * (offset + y) + offset + x) << 2;
+      const alpha = logo.data[srcIdx + 3] / 255;
+
+      for (let c = 0; c < 3; c++) {
+        qr.data[dstIdx + c] = Math.round(
+          logo.data[srcIdx + c] * alpha + qr.data[dstIdx + c] * (1 - alpha)
+        );
+      }
+    }
+  }
+
+  return PNG.sync.write(qr);
+};
+
+// Embed a PNG logo in the centre of an SVG QR code
+const overlaySvgLogo = (svg, logoBuffer, background) => {
+  const viewBoxSize = parseInt(svg.match(/viewBox="0 0 (\d+) \d+"/)[1], 10);
+  const logoSize = viewBoxSize * QR_LOGO_RATIO;
+  const padding = logoSize * 0.1;
+  const offset = (viewBoxSize - logoSize) / 2;
+  const logoHref = `data:image/png;base64,${logoBuffer.toString('base64')}`;
+
+  const overlay =
+    `<rect x="${offset - padding}" y="${offset - padding}" ` +
+    `width="${logoSize + padding * 2}" height="${logoSize + padding * 2}" fill="${background}"/>` +
+    `<image x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}" ` +
+    `preserveAspectRatio="xMidYMid meet" href="${logoHref}"/>`;
+
+  return svg.replace('</svg>', `${overlay}</svg>`);
+};
+
+// Generate a QR code for a URL as SVG markup or a PNG buffer
+const generateQRCode = async (url, options = {}) => {
+  const {
+    format = 'svg',
+    size = 300,
+    margin = 4,
+    foreground = '#000000',
+    background = '#ffffff',
+    logo = null
+  } = options;
+
+  // A centred logo hides modules, so default to the highest error correction
+  const errorCorrectionLevel = options.errorCorrectionLevel || (logo ? 'H' : 'M');
+
+  const qrOptions = {
+    errorCorrectionLevel,
+    margin,
+    width: size,
+    color: {
+      dark: foreground,
+      light: background
+    }
+  };
+
+  if (format === 'png') {
+    const buffer = await QRCode.toBuffer(url, { ...qrOptions, type: 'png' });
+    return logo ? overlayPngLogo(buffer, logo, background) : buffer;
+  }
+
+  const svg = await QRCode.toString(url, { ...qrOptions, type: 'svg' });
+  return logo ? overlaySvgLogo(svg, logo, background) : svg;
 };
 
 // Sanitize URL for display
@@ -69,41 +156,52 @@ const sanitizeUrl = (url) => {
   }
 };
 
-// Check if URL is likely to be malicious (basic check)
+// Other URL shorteners; chaining through them hides the real destination
+const KNOWN_SHORTENERS = [
+  'bit.ly',
+  'tinyurl.com',
+  'short.link',
+  't.co',
+  'goo.gl',
+  'ow.ly',
+  'is.gd',
+  'v.gd',
+  'short.ly'
+];
+
+// Check if a hostname is a domain or one of its subdomains
+const isHostOrSubdomain = (hostname, domain) => {
+  const host = hostname.toLowerCase();
+  return host === domain || host.endsWith(`.${domain}`);
+};
+
+// Check if URL points at another URL shortener
 const isSuspiciousUrl = (url) => {
-  const suspiciousPatterns = [
-    /bit\.ly/i,
-    /tinyurl\.com/i,
-    /short\.link/i,
-    /t\.co/i,
-    /goo\.gl/i,
-    /ow\.ly/i,
-    /is\.gd/i,
-    /v\.gd/i,
-    /short\.ly/i
-  ];
-  
-  return suspiciousPatterns.some(pattern => pattern.test(url));
+  const hostname = extractDomain(url);
+  if (!hostname) return false;
+  return KNOWN_SHORTENERS.some(domain => isHostOrSubdomain(hostname, domain));
 };
 
-// Get URL preview data (placeholder)
-const getUrlPreview = async (url) => {
-  // This is a placeholder. In a real implementation, you would use a library
-  // like 'metascraper' or 'open-graph-scraper' to fetch URL metadata
+// Fetch a page and extract its title, description, image and favicon.
+// Options are passed through to fetchPage (timeout, maxBytes, maxRedirects,
+// allowPrivateNetworks). Resolves with nulls rather than throwing.
+const getUrlPreview = async (url, options = {}) => {
+  const domain = extractDomain(url);
+
   try {
-    const domain = extractDomain(url);
+    const page = await fetchPage(url, options);
     return {
-      title: `Page from ${domain}`,
-      description: `A link to ${domain}`,
-      image: null,
+      ...parseMetadata(page.body, page.url),
       domain
     };
   } catch (error) {
     return {
-      title: 'Unknown Page',
-      description: 'Unable to fetch page information',
+      title: null,
+      description: null,
       image: null,
-      domain: 'unknown'
+      favicon: null,
+      domain,
+      error: error.message
     };
   }
 };
@@ -114,7 +212,10 @@ module.exports = {
   isValidUrl,
   extractDomain,
   generateQRCode,
+  QR_ERROR_CORRECTION_LEVELS,
+  QR_FORMATS,
   sanitizeUrl,
+  isHostOrSubdomain,
   isSuspiciousUrl,
   getUrlPreview
 };
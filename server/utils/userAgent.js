@@ -0,0 +1,54 @@
+const UAParser = require('ua-parser-js');
+
+// Crawlers, link unfurlers, uptime monitors and HTTP libraries. ua-parser-js
+// reports most of these as an unknown desktop browser.
+const BOT_PATTERN = new RegExp([
+  'bot\\b', 'bot/', 'crawl', 'spider', 'slurp', 'archiver', 'facebookexternalhit',
+  'embedly', 'quora link preview', '^whatsapp/', 'skypeuripreview', 'bitlybot',
+  'iframely', 'mastodon/', 'pleroma', 'snap url preview', 'google-pagerenderer',
+  'vkshare', 'linkpreview',
+  'headlesschrome', 'phantomjs', 'lighthouse', 'pingdom', 'uptimerobot', 'statuscake',
+  '^curl/', '^wget/', 'python-requests', 'python-urllib', 'aiohttp', 'go-http-client',
+  'okhttp', '^java/', 'apache-httpclient', 'libwww-perl', 'node-fetch', '^axios/'
+].join('|'), 'i');
+
+const DEVICE_TYPES = ['desktop', 'mobile', 'tablet', 'other', 'bot'];
+
+const UNKNOWN = 'Unknown';
+
+// Parse a User-Agent header into the fields stored on each click
+const parseUserAgent = (userAgent) => {
+  if (!userAgent || userAgent === UNKNOWN) {
+    return { deviceType: 'other', browser: UNKNOWN, browserVersion: null, os: UNKNOWN, isBot: false };
+  }
+
+  const { browser, os, device } = new UAParser(userAgent).getResult();
+  const isBot = BOT_PATTERN.test(userAgent);
+
+  let deviceType;
+  if (isBot) {
+    deviceType = 'bot';
+  } else if (device.type === 'mobile' || device.type === 'wearable') {
+    deviceType = 'mobile';
+  } else if (device.type === 'tablet') {
+    deviceType = 'tablet';
+  } else if (device.type) {
+    deviceType = 'other'; // consoles, smart TVs, embedded
+  } else {
+    // ua-parser-js leaves desktops without a device type
+    deviceType = browser.name || os.name ? 'desktop' : 'other';
+  }
+
+  return {
+    deviceType,
+    browser: browser.name || UNKNOWN,
+    browserVersion: browser.major || null,
+    os: os.name || UNKNOWN,
+    isBot
+  };
+};
+
+module.exports = {
+  DEVICE_TYPES,
+  parseUserAgent
+};
@@ -0,0 +1,109 @@
+// Campaign tracking parameters, stored without the utm_ prefix
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_UTM_LENGTH = 100;
+
+// Lowercase and replace whitespace runs with underscores so "Spring Sale" and
+// "spring_sale" count as the same campaign
+const normalizeUtmValue = (value) => String(value)
+  .trim()
+  .replace(/\s+/g, '_')
+  .toLowerCase();
+
+// Read the utm_* query parameters already on a URL
+const extractUtm = (originalUrl) => {
+  const utm = {};
+  try {
+    const { searchParams } = new URL(originalUrl);
+    UTM_FIELDS.forEach(field => {
+      const value = searchParams.get(`utm_${field}`);
+      if (value) utm[field] = value;
+    });
+  } catch (error) {
+    // Not a parseable URL; it has no UTM parameters
+  }
+  return utm;
+};
+
+// Write the utm_* pairs into a query string, replacing the first occurrence
+// of each in place and dropping the rest. Other pairs are kept byte-for-byte:
+// going through URLSearchParams would re-encode them ("a%20b" to "a+b",
+// "flag" to "flag="), which some destinations treat differently.
+const setUtmParams = (search, utm) => {
+  const written = new Set();
+  const segments = [];
+
+  search.replace(/^\?/, '').split('&').forEach(segment => {
+    if (!segment) return;
+
+    const [name] = new URLSearchParams(segment).keys();
+    const field = name && name.startsWith('utm_') ? name.slice(4) : null;
+    if (!UTM_FIELDS.includes(field)) {
+      segments.push(segment);
+    } else if (utm[field] && !written.has(field)) {
+      segments.push(new URLSearchParams({ [name]: utm[field] }).toString());
+      written.add(field);
+    }
+  });
+
+  UTM_FIELDS.forEach(field => {
+    if (utm[field] && !written.has(field)) {
+      segments.push(new URLSearchParams({ [`utm_${field}`]: utm[field] }).toString());
+    }
+  });
+
+  return segments.join('&');
+};
+
+// Merge the UTM parameters on a URL with explicit ones (which win), then
+// normalize and validate them. Returns { originalUrl, utm } where the URL
+// carries the normalized parameters, or { error }. utm_source is only
+// required when parameters are passed explicitly, so pasted links that
+// already carry partial tracking still work.
+const applyUtm = (originalUrl, explicitUtm = {}) => {
+  const merged = { ...extractUtm(originalUrl) };
+  UTM_FIELDS.forEach(field => {
+    if (explicitUtm[field] !== undefined) merged[field] = explicitUtm[field];
+  });
+
+  const utm = {};
+  for (const field of UTM_FIELDS) {
+    if (merged[field] === undefined || merged[field] === null) continue;
+
+    if (typeof merged[field] !== 'string') {
+      return { error: `utm_${field} must be a string` };
+    }
+
+    const value = normalizeUtmValue(merged[field]);
+    if (!value) continue;
+
+    if (value.length > MAX_UTM_LENGTH) {
+      return { error: `utm_${field} cannot exceed ${MAX_UTM_LENGTH} characters` };
+    }
+    if ([...value].some(char => char.charCodeAt(0) < 32 || char.charCodeAt(0) === 127)) {
+      return { error: `utm_${field} contains invalid characters` };
+    }
+    utm[field] = value;
+  }
+
+  if (Object.keys(utm).length === 0) {
+    return { originalUrl, utm: null };
+  }
+
+  const hasExplicitUtm = UTM_FIELDS.some(field => explicitUtm[field]);
+  if (hasExplicitUtm && !utm.source) {
+    return { error: 'utm_source is required when using UTM parameters' };
+  }
+
+  const url = new URL(originalUrl);
+  url.search = setUtmParams(url.search, utm);
+
+  return { originalUrl: url.toString(), utm };
+};
+
+module.exports = {
+  UTM_FIELDS,
+  MAX_UTM_LENGTH,
+  normalizeUtmValue,
+  extractUtm,
+  applyUtm
+};
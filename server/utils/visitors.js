@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const VisitorSalt = require('../models/VisitorSalt');
+
+let cachedSalt = null;
+
+const getDay = () => new Date().toISOString().slice(0, 10);
+
+// Get today's salt, creating it on the first click of the UTC day
+const getDailySalt = async () => {
+  const day = getDay();
+  if (cachedSalt && cachedSalt.day === day) return cachedSalt.salt;
+
+  let doc;
+  try {
+    doc = await VisitorSalt.findOneAndUpdate(
+      { day },
+      { $setOnInsert: { salt: crypto.randomBytes(32).toString('hex') } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another instance created today's salt at the same moment
+    if (error.code !== 11000) throw error;
+    doc = await VisitorSalt.findOne({ day });
+  }
+
+  cachedSalt = { day, salt: doc.salt };
+  return doc.salt;
+};
+
+// Anonymous id for the visitor behind a click: a hash of their IP and
+// User-Agent with a salt that changes every UTC day and is then deleted.
+// The same visitor gets the same id all day and a new one tomorrow, so
+// unique visitors are counted per day and can't be tracked across days.
+const getVisitorId = async ({ ip, userAgent }) => {
+  if (!ip) return null;
+
+  const salt = await getDailySalt();
+  return crypto
+    .createHash('sha256')
+    .update(`${salt}:${ip}:${userAgent || ''}`)
+    .digest('hex')
+    .slice(0, 32);
+};
+
+module.exports = {
+  getVisitorId
+};
@@ -0,0 +1,346 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Url = require('../models/Url');
+const logger = require('./logger');
+const { isPrivateIpLiteral, safeLookup } = require('./linkPreview');
+
+const SETTINGS = {
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000,
+  retryMaxMs: 6 * 60 * 60 * 1000, // 6 hours
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000,
+  allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true'
+};
+
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000; // Reclaim deliveries left processing by a crashed worker
+const MAX_RESPONSE_BODY = 1024;
+
+const serializeLink = (url) => ({
+  id: url._id,
+  domain: url.domain,
+  shortCode: url.shortCode,
+  shortUrl: url.shortUrl,
+  originalUrl: url.originalUrl,
+  title: url.title,
+  tags: url.tags,
+  clicks: url.clicks,
+  botClicks: url.botClicks,
+  uniqueVisitors: url.uniqueVisitors,
+  maxClicks: url.maxClicks,
+  activatesAt: url.activatesAt,
+  expiresAt: url.expiresAt,
+  isActive: url.isActive,
+  workspaceId: url.workspaceId,
+  createdAt: url.createdAt,
+  updatedAt: url.updatedAt
+});
+
+// Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+const signPayload = (secret, timestamp, body) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Exponential backoff with ±20% jitter so failing receivers aren't hit in lockstep
+const getRetryDelay = (attempts) => {
+  const delay = Math.min(SETTINGS.retryBaseMs * 2 ** (attempts - 1), SETTINGS.retryMaxMs);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Whether a webhook may be registered for a URL. Private IP literals and
+// localhost are refused up front; other hostnames are checked again on every
+// delivery, when they are resolved.
+const isAllowedWebhookUrl = (targetUrl) => {
+  if (SETTINGS.allowPrivateNetworks) return true;
+
+  let hostname;
+  try {
+    hostname = new URL(targetUrl).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+  return !isPrivateIpLiteral(hostname) && hostname !== 'localhost' && !hostname.endsWith('.localhost');
+};
+
+// POST a JSON body without following redirects. Resolves with { status, body }
+const postJson = (targetUrl, body, headers) => new Promise((resolve, reject) => {
+  let target;
+  try {
+    target = new URL(targetUrl);
+  } catch (error) {
+    return reject(error);
+  }
+
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    return reject(new Error(`Unsupported protocol ${target.protocol}`));
+  }
+
+  if (!SETTINGS.allowPrivateNetworks && isPrivateIpLiteral(target.hostname)) {
+    return reject(new Error(`Refusing to send to private address ${target.hostname.replace(/^\[|\]$/g, '')}`));
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  const request = client.request(target, {
+    method: 'POST',
+    headers: {
+      ...headers,
+      'Content-Length': Buffer.byteLength(body)
+    },
+    timeout: SETTINGS.timeout,
+    ...(!SETTINGS.allowPrivateNetworks && { lookup: safeLookup })
+  }, (response) => {
+    const chunks = [];
+    let received = 0;
+
+    response.on('data', (chunk) => {
+      if (received < MAX_RESPONSE_BODY) chunks.push(chunk);
+      received += chunk.length;
+    });
+    response.on('end', () => {
+      clearTimeout(deadline);
+      resolve({
+        status: response.statusCode,
+        body: Buffer.concat(chunks).toString('utf8').slice(0, MAX_RESPONSE_BODY)
+      });
+    });
+    response.on('error', (error) => {
+      clearTimeout(deadline);
+      reject(error);
+    });
+  });
+
+  const deadline = setTimeout(() => request.destroy(new Error('Request timed out')), SETTINGS.timeout);
+  request.on('timeout', () => request.destroy(new Error('Request timed out')));
+  request.on('error', (error) => {
+    clearTimeout(deadline);
+    reject(error);
+  });
+  request.end(body);
+});
+
+// Attempt one delivery and record the outcome, rescheduling failures
+const processDelivery = async (delivery) => {
+  const attempts = delivery.attempts + 1;
+  const update = {
+    attempts,
+    lockedAt: null,
+    lastAttemptAt: new Date(),
+    responseStatus: null,
+    responseBody: null,
+    error: null
+  };
+
+  const webhook = await Webhook.findById(delivery.webhookId);
+  if (!webhook || !webhook.isActive) {
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: { ...update, attempts: delivery.attempts, status: 'failed', error: 'Webhook was disabled or deleted' }
+    });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await postJson(webhook.url, body, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'URLShortener-Webhooks/1.0',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+    });
+
+    update.responseStatus = response.status;
+    update.responseBody = response.body;
+    if (response.status < 200 || response.status >= 300) {
+      update.error = `Unexpected status code ${response.status}`;
+    }
+  } catch (error) {
+    update.error = error.message;
+  }
+
+  if (!update.error) {
+    update.status = 'success';
+  } else if (attempts >= SETTINGS.maxAttempts) {
+    update.status = 'failed';
+  } else {
+    update.status = 'pending';
+    update.nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts));
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+
+  if (update.error) {
+    logger.warn('Webhook delivery failed', {
+      deliveryId: delivery._id,
+      webhookId: webhook._id,
+      event: delivery.event,
+      attempts,
+      error: update.error,
+      willRetry: update.status === 'pending'
+    });
+  }
+};
+
+// Atomically take the next due delivery so several server processes can share the queue
+const claimNextDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+let pollTimer = null;
+let draining = false;
+let drainAgain = false;
+let lastExpirySweep = 0;
+
+const drainQueue = async () => {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+
+  draining = true;
+  try {
+    do {
+      drainAgain = false;
+      let delivery;
+      while ((delivery = await claimNextDelivery())) {
+        await processDelivery(delivery);
+      }
+    } while (drainAgain);
+  } catch (error) {
+    logger.error('Webhook worker error:', error);
+  } finally {
+    draining = false;
+  }
+};
+
+// Deliver new work straight away instead of waiting for the next poll
+const kickWorker = () => {
+  if (pollTimer) setImmediate(drainQueue);
+};
+
+// Queue a single delivery, used for test pings and manual redelivery
+const queueDelivery = async (webhook, event, payload) => {
+  const delivery = await WebhookDelivery.create({ webhookId: webhook._id, event, payload });
+  kickWorker();
+  return delivery;
+};
+
+// Enqueue an event for every active webhook in the link's workspace that
+// subscribes to it. Never throws, so callers can fire and forget.
+const emitWebhookEvent = async (event, url, extra = {}) => {
+  try {
+    if (!url.workspaceId) return;
+
+    const webhooks = await Webhook.find({
+      workspaceId: url.workspaceId,
+      isActive: true,
+      events: event
+    }).select('_id');
+    if (webhooks.length === 0) return;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data: { link: serializeLink(url), ...extra }
+    };
+
+    await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhookId: webhook._id,
+      event,
+      payload
+    })));
+
+    kickWorker();
+  } catch (error) {
+    logger.error('Webhook enqueue error:', error);
+  }
+};
+
+// Emit a lifecycle event (expired, max clicks reached) only the first time it
+// happens to a link. Editing the limit clears the marker, see PUT /api/urls/:id.
+const emitWebhookEventOnce = async (event, url) => {
+  try {
+    const result = await Url.updateOne(
+      { _id: url._id, notifiedEvents: { $ne: event } },
+      { $addToSet: { notifiedEvents: event } }
+    );
+    if (result.modifiedCount === 1) {
+      await emitWebhookEvent(event, url);
+    }
+  } catch (error) {
+    logger.error('Webhook lifecycle event error:', error);
+  }
+};
+
+// Links usually expire while nobody is visiting them, so look for them periodically
+const sweepExpiredLinks = async () => {
+  try {
+    const workspaceIds = await Webhook.find({ isActive: true, events: 'link.expired' }).distinct('workspaceId');
+    if (workspaceIds.length === 0) return;
+
+    const urls = await Url.find({
+      workspaceId: { $in: workspaceIds },
+      expiresAt: { $lte: new Date() },
+      notifiedEvents: { $ne: 'link.expired' }
+    }).limit(100);
+
+    for (const url of urls) {
+      await emitWebhookEventOnce('link.expired', url);
+    }
+  } catch (error) {
+    logger.error('Webhook expiry sweep error:', error);
+  }
+};
+
+const startWebhookWorker = () => {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => {
+    drainQueue();
+    if (Date.now() - lastExpirySweep >= EXPIRY_SWEEP_INTERVAL_MS) {
+      lastExpirySweep = Date.now();
+      sweepExpiredLinks();
+    }
+  }, SETTINGS.pollIntervalMs);
+  pollTimer.unref();
+
+  logger.info('Webhook worker started', { pollIntervalMs: SETTINGS.pollIntervalMs });
+  drainQueue();
+};
+
+const stopWebhookWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+module.exports = {
+  claimNextDelivery,
+  emitWebhookEvent,
+  emitWebhookEventOnce,
+  getRetryDelay,
+  isAllowedWebhookUrl,
+  processDelivery,
+  queueDelivery,
+  serializeLink,
+  signPayload,
+  startWebhookWorker,
+  stopWebhookWorker,
+  sweepExpiredLinks
+};
@@ -7,7 +7,9 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Statistics from './pages/Statistics';
+import UrlStatistics from './pages/UrlStatistics';
 import Profile from './pages/Profile';
+import Workspaces from './pages/Workspaces';
 import { AppContainer, MainContent } from './styles/AppStyles';
 
 // Protected Route Component
@@ -71,6 +73,14 @@ function App() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/statistics/:urlId" 
+            element={
+              <ProtectedRoute>
+                <UrlStatistics />
+              </ProtectedRoute>
+            } 
+          />
           <Route 
             path="/profile" 
             element={
@@ -79,6 +89,14 @@ function App() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/workspaces" 
+            element={
+              <ProtectedRoute>
+                <Workspaces />
+              </ProtectedRoute>
+            } 
+          />
           <Route path="*" element={<Navigate to="/" />} />
         </Routes>
       </MainContent>
@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { apiKeyService } from '../services/api';
+import {
+  ProfileCard,
+  ProfileForm,
+  FormGroup,
+  FormLabel,
+  FormInput,
+  FormSelect,
+  SubmitButton,
+  KeyList,
+  KeyItem,
+  KeyMeta,
+  NewKeyBanner,
+  DangerButton,
+  ErrorMessage
+} from '../styles/ProfileStyles';
+
+const SCOPE_LABELS = {
+  read: 'Read-only',
+  create: 'Create-only',
+  full: 'Full access'
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'Never';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const ApiKeysCard = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [formData, setFormData] = useState({ name: '', scope: 'read' });
+  const [newKey, setNewKey] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadApiKeys = async () => {
+    try {
+      const response = await apiKeyService.getApiKeys();
+      if (response.data.success) {
+        setApiKeys(response.data.data.apiKeys);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load API keys');
+    }
+  };
+
+  useEffect(() => {
+    loadApiKeys();
+  }, []);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) {
+      setError('Give the key a name so you can recognise it later');
+      return;
+    }
+
+    try {
+      setCreating(true);
+      const response = await apiKeyService.createApiKey({
+        name: formData.name.trim(),
+        scope: formData.scope
+      });
+      if (response.data.success) {
+        setNewKey(response.data.data.key);
+        setFormData({ name: '', scope: formData.scope });
+        loadApiKeys();
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create API key');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const revokeApiKey = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Anything using it will stop working.`)) return;
+
+    try {
+      const response = await apiKeyService.revokeApiKey(apiKey._id);
+      if (response.data.success) {
+        toast.success('API key revoked');
+        setApiKeys(prev => prev.filter(key => key._id !== apiKey._id));
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke API key');
+    }
+  };
+
+  const copyNewKey = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey);
+      toast.success('API key copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy API key');
+    }
+  };
+
+  return (
+    <ProfileCard>
+      <h3 style={{ marginBottom: '0.5rem', color: '#1e293b', fontSize: '1.25rem', fontWeight: '600' }}>
+        API Keys
+      </h3>
+      <p style={{ marginBottom: '1.5rem', color: '#64748b', fontSize: '0.875rem' }}>
+        Use API keys from scripts, CI pipelines and browser extensions by sending them in the{' '}
+        <code>X-API-Key</code> header.
+      </p>
+
+      <ProfileForm onSubmit={handleSubmit}>
+        {error && <ErrorMessage>{error}</ErrorMessage>}
+
+        <FormGroup>
+          <FormLabel htmlFor="apiKeyName">Name</FormLabel>
+          <FormInput
+            type="text"
+            id="apiKeyName"
+            name="name"
+            value={formData.name}
+            onChange={handleInputChange}
+            placeholder="CI pipeline"
+            maxLength="60"
+          />
+        </FormGroup>
+
+        <FormGroup>
+          <FormLabel htmlFor="apiKeyScope">Scope</FormLabel>
+          <FormSelect
+            id="apiKeyScope"
+            name="scope"
+            value={formData.scope}
+            onChange={handleInputChange}
+          >
+            <option value="read">Read-only: view links and statistics</option>
+            <option value="create">Create-only: create new links</option>
+            <option value="full">Full access: create, update and delete links</option>
+          </FormSelect>
+        </FormGroup>
+
+        <SubmitButton type="submit" disabled={creating}>
+          {creating ? 'Creating...' : 'Create API Key'}
+        </SubmitButton>
+      </ProfileForm>
+
+      {newKey && (
+        <NewKeyBanner>
+          Copy your new API key now. It will not be shown again.
+          <code>{newKey}</code>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <SubmitButton type="button" onClick={copyNewKey}>
+              Copy Key
+            </SubmitButton>
+            <DangerButton type="button" variant="warning" onClick={() => setNewKey(null)}>
+              Done
+            </DangerButton>
+          </div>
+        </NewKeyBanner>
+      )}
+
+      {apiKeys.length > 0 && (
+        <KeyList>
+          {apiKeys.map(apiKey => (
+            <KeyItem key={apiKey._id}>
+              <div>
+                <strong>{apiKey.name}</strong> <code>{apiKey.prefix}…</code>
+                <KeyMeta>
+                  <span>{SCOPE_LABELS[apiKey.scope]}</span>
+                  <span>Created {formatDate(apiKey.createdAt)}</span>
+                  <span>Last used {formatDate(apiKey.lastUsedAt)}</span>
+                </KeyMeta>
+              </div>
+              <DangerButton type="button" onClick={() => revokeApiKey(apiKey)}>
+                Revoke
+              </DangerButton>
+            </KeyItem>
+          ))}
+        </KeyList>
+      )}
+    </ProfileCard>
+  );
+};
+
+export default ApiKeysCard;
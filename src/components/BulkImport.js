@@ -0,0 +1,120 @@
+import React, { useState, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { urlService } from '../services/api';
+import { downloadBlob, toCsv } from '../utils/download';
+import {
+  BulkImportSection,
+  BulkImportActions,
+  BulkImportSummary,
+  FormInput,
+  SecondaryButton
+} from '../styles/DashboardStyles';
+
+const RESULT_HEADERS = ['row', 'originalUrl', 'shortUrl', 'status', 'error'];
+
+const BulkImport = ({ onImported }) => {
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const downloadResults = (results) => {
+    const rows = results.map(item => [
+      item.row,
+      item.originalUrl,
+      item.shortUrl || '',
+      item.success ? 'created' : 'failed',
+      item.success ? '' : item.message
+    ]);
+    const blob = new Blob([toCsv(RESULT_HEADERS, rows)], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, 'bulk-shorten-results.csv');
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      setImporting(true);
+      setResult(null);
+
+      const text = await file.text();
+      let payload = text;
+      if (file.name.toLowerCase().endsWith('.json')) {
+        const parsed = JSON.parse(text);
+        payload = Array.isArray(parsed) ? parsed : parsed.rows;
+      }
+
+      const response = await urlService.bulkShorten(payload);
+      if (response.data.success) {
+        const { results, summary } = response.data.data;
+        setResult({ results, summary });
+
+        if (summary.failed === 0) {
+          toast.success(`${summary.succeeded} URLs shortened successfully`);
+        } else {
+          toast.error(`${summary.failed} of ${summary.total} rows failed`);
+        }
+
+        downloadResults(results);
+        if (summary.succeeded > 0) onImported();
+      }
+    } catch (error) {
+      const message = error instanceof SyntaxError
+        ? 'The JSON file could not be parsed'
+        : error.response?.data?.message || 'Failed to import URLs';
+      toast.error(message);
+    } finally {
+      setImporting(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  return (
+    <BulkImportSection>
+      <h3 style={{ marginBottom: '0.75rem', color: '#1e293b', fontSize: '1.5rem', fontWeight: '600' }}>
+        Bulk Import
+      </h3>
+      <p>
+        Upload a CSV file with a header row, or a JSON array of objects, using the columns{' '}
+        <code>originalUrl</code>, <code>domain</code>, <code>customCode</code>, <code>title</code>, <code>tags</code>,{' '}
+        <code>expiresAt</code> and <code>maxClicks</code>. Separate multiple tags with semicolons.
+        A CSV with the generated short URLs downloads when the import finishes.
+      </p>
+
+      <BulkImportActions>
+        <FormInput
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          ref={fileInputRef}
+          onChange={handleFileChange}
+          disabled={importing}
+          style={{ maxWidth: '24rem' }}
+        />
+        {importing && <span>Importing...</span>}
+        {result && (
+          <SecondaryButton type="button" onClick={() => downloadResults(result.results)}>
+            Download Results CSV
+          </SecondaryButton>
+        )}
+      </BulkImportActions>
+
+      {result && (
+        <BulkImportSummary>
+          <strong>{result.summary.succeeded}</strong> of {result.summary.total} rows imported,{' '}
+          <strong>{result.summary.failed}</strong> failed.
+          {result.summary.failed > 0 && (
+            <ul>
+              {result.results.filter(item => !item.success).map(item => (
+                <li key={item.row}>
+                  Row {item.row}{item.originalUrl ? ` (${item.originalUrl})` : ''}: {item.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </BulkImportSummary>
+      )}
+    </BulkImportSection>
+  );
+};
+
+export default BulkImport;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatPeriod } from '../utils/dateRange';
+
+// Clicks and unique visitors per period of a stats API clicksOverTime series
+const ClicksOverTimeChart = ({ data, granularity, height = 240 }) => (
+  <ResponsiveContainer width="100%" height={height}>
+    <AreaChart data={data}>
+      <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+      <XAxis
+        dataKey="period"
+        tickFormatter={(period) => formatPeriod(period, granularity)}
+        tick={{ fontSize: 12, fill: '#64748b' }}
+      />
+      <YAxis allowDecimals={false} tick={{ fontSize: 12, fill: '#64748b' }} />
+      <Tooltip labelFormatter={(period) => formatPeriod(period, granularity)} />
+      <Legend />
+      <Area type="monotone" dataKey="clicks" name="Clicks" stroke="#3b82f6" fill="#bfdbfe" />
+      <Area type="monotone" dataKey="visitors" name="Visitors" stroke="#10b981" fill="#a7f3d0" />
+    </AreaChart>
+  </ResponsiveContainer>
+);
+
+export default ClicksOverTimeChart;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { RANGE_PRESETS, GRANULARITY_LABELS } from '../utils/dateRange';
+import { RangeBar } from '../styles/StatisticsStyles';
+
+// Period and granularity controls for the statistics pages. `value` is
+// { preset, from, to, granularity }; custom from/to are YYYY-MM-DD days.
+const DateRangePicker = ({ value, onChange }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const selectPreset = (preset) => {
+    update({ preset, granularity: RANGE_PRESETS[preset].granularity });
+  };
+
+  return (
+    <RangeBar>
+      <label htmlFor="range-preset">
+        Period
+        <select id="range-preset" value={value.preset} onChange={(e) => selectPreset(e.target.value)}>
+          {Object.entries(RANGE_PRESETS).map(([preset, { label }]) => (
+            <option key={preset} value={preset}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {value.preset === 'custom' && (
+        <>
+          <label htmlFor="range-from">
+            From
+            <input
+              type="date"
+              id="range-from"
+              value={value.from}
+              max={value.to || undefined}
+              onChange={(e) => update({ from: e.target.value })}
+            />
+          </label>
+          <label htmlFor="range-to">
+            To
+            <input
+              type="date"
+              id="range-to"
+              value={value.to}
+              min={value.from || undefined}
+              onChange={(e) => update({ to: e.target.value })}
+            />
+          </label>
+        </>
+      )}
+      <label htmlFor="range-granularity">
+        Group by
+        <select
+          id="range-granularity"
+          value={value.granularity}
+          onChange={(e) => update({ granularity: e.target.value })}
+        >
+          {Object.entries(GRANULARITY_LABELS).map(([granularity, label]) => (
+            <option key={granularity} value={granularity}>{label}</option>
+          ))}
+        </select>
+      </label>
+    </RangeBar>
+  );
+};
+
+export default DateRangePicker;
@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { statsService } from '../services/api';
+import { ChartCard, ChartTitle } from '../styles/StatisticsStyles';
+
+const COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#64748b'];
+
+const DEVICE_LABELS = {
+  desktop: 'Desktop',
+  mobile: 'Mobile',
+  tablet: 'Tablet',
+  bot: 'Bot',
+  other: 'Other'
+};
+
+const emptyStyle = { textAlign: 'center', padding: '2rem', color: '#64748b' };
+
+const BreakdownPie = ({ data, labelFor = (value) => value }) => {
+  if (data.length === 0) {
+    return <div style={emptyStyle}>No click data available</div>;
+  }
+
+  const chartData = data.map(item => ({ name: labelFor(item._id), value: item.clicks }));
+
+  return (
+    <ResponsiveContainer width="100%" height={260}>
+      <PieChart>
+        <Pie data={chartData} dataKey="value" nameKey="name" innerRadius={50} outerRadius={90} paddingAngle={2}>
+          {chartData.map((entry, index) => (
+            <Cell key={entry.name} fill={COLORS[index % COLORS.length]} />
+          ))}
+        </Pie>
+        <Tooltip formatter={(value) => [`${value} clicks`]} />
+        <Legend />
+      </PieChart>
+    </ResponsiveContainer>
+  );
+};
+
+// Device type, browser and OS pie charts for the workspace, or for one URL,
+// optionally limited to a from/to range
+const DeviceBreakdown = ({ urlId, includeBots = false, from, to }) => {
+  const { currentWorkspace } = useWorkspace();
+  const [breakdown, setBreakdown] = useState(null);
+
+  useEffect(() => {
+    const loadBreakdown = async () => {
+      try {
+        const params = { includeBots, from, to };
+        const response = urlId
+          ? await statsService.getUrlDeviceStats(urlId, params)
+          : await statsService.getDeviceStats(params);
+        if (response.data.success) {
+          setBreakdown(response.data.data);
+        }
+      } catch (error) {
+        console.error('Device statistics error:', error);
+      }
+    };
+
+    loadBreakdown();
+  }, [urlId, includeBots, from, to, currentWorkspace?.id]);
+
+  if (!breakdown) return null;
+
+  const { botClicks, humanClicks } = breakdown.bots;
+  const totalClicks = botClicks + humanClicks;
+
+  return (
+    <>
+      <ChartCard>
+        <ChartTitle>Devices</ChartTitle>
+        <BreakdownPie
+          data={breakdown.deviceTypes}
+          labelFor={(value) => DEVICE_LABELS[value] || value}
+        />
+        {totalClicks > 0 && (
+          <div style={{ textAlign: 'center', fontSize: '0.875rem', color: '#64748b', marginTop: '0.5rem' }}>
+            {Math.round((botClicks / totalClicks) * 100)}% of clicks came from bots and crawlers
+          </div>
+        )}
+      </ChartCard>
+
+      <ChartCard>
+        <ChartTitle>Browsers</ChartTitle>
+        <BreakdownPie data={breakdown.browsers} />
+      </ChartCard>
+
+      <ChartCard>
+        <ChartTitle>Operating Systems</ChartTitle>
+        <BreakdownPie data={breakdown.operatingSystems} />
+      </ChartCard>
+    </>
+  );
+};
+
+export default DeviceBreakdown;
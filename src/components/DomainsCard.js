@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { domainService } from '../services/api';
+import {
+  WorkspaceCard,
+  WorkspaceList,
+  WorkspaceRow,
+  InlineForm,
+  FormInput,
+  PrimaryButton,
+  TextButton,
+  RowActions,
+  DomainStatus,
+  DnsRecord,
+  EmptyText
+} from '../styles/WorkspacesStyles';
+
+const DomainsCard = () => {
+  const { currentWorkspace, isOwner } = useWorkspace();
+  const [domains, setDomains] = useState([]);
+  const [defaultDomain, setDefaultDomain] = useState('');
+  const [hostname, setHostname] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const workspaceId = currentWorkspace?.id;
+
+  const loadDomains = useCallback(async () => {
+    if (!workspaceId) return;
+
+    try {
+      const response = await domainService.getDomains();
+      if (response.data.success) {
+        setDomains(response.data.data.domains);
+        setDefaultDomain(response.data.data.defaultDomain);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load domains');
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    loadDomains();
+  }, [loadDomains]);
+
+  // Run a domain action, toasting its result
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      setBusy(true);
+      const response = await action();
+      if (response.data.success) {
+        toast.success(response.data.message);
+        return response.data.data || {};
+      }
+    } catch (error) {
+      const validationError = error.response?.data?.errors?.[0]?.msg;
+      toast.error(validationError || error.response?.data?.message || fallbackMessage);
+      // Failed verifications still report when the record was last checked
+      if (error.response?.data?.data?.domain) loadDomains();
+    } finally {
+      setBusy(false);
+    }
+    return null;
+  };
+
+  const addDomain = async (e) => {
+    e.preventDefault();
+    if (!hostname.trim()) return;
+
+    const data = await runAction(() => domainService.addDomain(hostname.trim()), 'Failed to add domain');
+    if (data) {
+      setHostname('');
+      loadDomains();
+    }
+  };
+
+  const verifyDomain = async (domain) => {
+    const data = await runAction(() => domainService.verifyDomain(domain._id), 'Failed to verify domain');
+    if (data) loadDomains();
+  };
+
+  const deleteDomain = async (domain) => {
+    if (!window.confirm(`Remove ${domain.hostname} from this workspace?`)) return;
+
+    const data = await runAction(() => domainService.deleteDomain(domain._id), 'Failed to remove domain');
+    if (data) setDomains(prev => prev.filter(d => d._id !== domain._id));
+  };
+
+  if (!currentWorkspace) return null;
+
+  return (
+    <WorkspaceCard>
+      <h3>Custom Domains</h3>
+      <EmptyText style={{ marginBottom: '1rem' }}>
+        Create links on your own branded domain instead of {defaultDomain || 'the default domain'}.
+        Point the domain at this server, then publish the TXT record shown below to prove you own it.
+      </EmptyText>
+
+      {domains.length === 0 ? (
+        <EmptyText>No custom domains yet.</EmptyText>
+      ) : (
+        <WorkspaceList>
+          {domains.map(domain => (
+            <WorkspaceRow key={domain._id}>
+              <div style={{ minWidth: 0 }}>
+                <strong>{domain.hostname}</strong>
+                {domain.isVerified ? (
+                  <small>Verified {new Date(domain.verifiedAt).toLocaleDateString()}</small>
+                ) : (
+                  <>
+                    {domain.lastCheckError && <small>{domain.lastCheckError}</small>}
+                    {isOwner && (
+                      <DnsRecord>
+                        Add a TXT record named
+                        <code>{domain.verificationRecord.name}</code>
+                        with the value
+                        <code>{domain.verificationRecord.value}</code>
+                      </DnsRecord>
+                    )}
+                  </>
+                )}
+              </div>
+              <RowActions>
+                <DomainStatus $verified={domain.isVerified}>
+                  {domain.isVerified ? 'Verified' : 'Pending'}
+                </DomainStatus>
+                {isOwner && !domain.isVerified && (
+                  <TextButton type="button" onClick={() => verifyDomain(domain)} disabled={busy}>
+                    Verify
+                  </TextButton>
+                )}
+                {isOwner && (
+                  <TextButton type="button" $danger onClick={() => deleteDomain(domain)} disabled={busy}>
+                    Remove
+                  </TextButton>
+                )}
+              </RowActions>
+            </WorkspaceRow>
+          ))}
+        </WorkspaceList>
+      )}
+
+      {isOwner && (
+        <InlineForm onSubmit={addDomain}>
+          <FormInput
+            type="text"
+            value={hostname}
+            onChange={(e) => setHostname(e.target.value)}
+            placeholder="links.example.com"
+            maxLength="253"
+            aria-label="Custom domain hostname"
+          />
+          <PrimaryButton type="submit" disabled={busy || !hostname.trim()}>
+            Add Domain
+          </PrimaryButton>
+        </InlineForm>
+      )}
+    </WorkspaceCard>
+  );
+};
+
+export default DomainsCard;
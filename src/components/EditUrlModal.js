@@ -0,0 +1,435 @@
+import React, { useState, useEffect } from 'react';
+import {
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalActions,
+  SecondaryButton,
+  FieldError,
+  FormError,
+  FormGroup,
+  FormLabel,
+  FormInput,
+  FormTextarea,
+  FormRow,
+  FormCheckbox,
+  CheckboxLabel,
+  SubmitButton
+} from '../styles/DashboardStyles';
+import TargetingRulesEditor, { toRuleForm, toRulesPayload, validateRules } from './TargetingRulesEditor';
+import SplitTestEditor, { toVariantForm, toVariantsPayload, validateVariants } from './SplitTestEditor';
+import ScheduledDestinationsEditor, {
+  toScheduledForm,
+  toScheduledPayload,
+  validateScheduled
+} from './ScheduledDestinationsEditor';
+
+// Format a date for a datetime-local input in the browser's timezone
+const toDateTimeLocal = (dateString) => {
+  if (!dateString) return '';
+  const date = new Date(dateString);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const buildFormState = (url) => ({
+  originalUrl: url.originalUrl || '',
+  title: url.title || '',
+  description: url.description || '',
+  activatesAt: toDateTimeLocal(url.activatesAt),
+  expiresAt: toDateTimeLocal(url.expiresAt),
+  maxClicks: url.maxClicks ? String(url.maxClicks) : '',
+  tags: (url.tags || []).join(', '),
+  isActive: url.isActive,
+  showInterstitial: !!url.showInterstitial,
+  isPasswordProtected: !!url.isPasswordProtected,
+  password: '',
+  targetingRules: (url.targetingRules || []).map(toRuleForm),
+  variants: (url.variants || []).map(toVariantForm),
+  scheduledDestinations: (url.scheduledDestinations || []).map(toScheduledForm)
+});
+
+const isValidUrl = (value) => {
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+};
+
+const parseTags = (tags) => tags.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Mirrors the express-validator rules on PUT /api/urls/:id
+const validate = (formData, url) => {
+  const errors = {};
+
+  if (!isValidUrl(formData.originalUrl.trim())) {
+    errors.originalUrl = 'Please provide a valid URL';
+  } else if (formData.originalUrl.trim().length > 2048) {
+    errors.originalUrl = 'URL cannot exceed 2048 characters';
+  }
+
+  if (formData.title.length > 200) {
+    errors.title = 'Title cannot exceed 200 characters';
+  }
+
+  if (formData.description.length > 500) {
+    errors.description = 'Description cannot exceed 500 characters';
+  }
+
+  if (formData.activatesAt && isNaN(new Date(formData.activatesAt).getTime())) {
+    errors.activatesAt = 'Activation date must be a valid date';
+  }
+
+  if (formData.expiresAt && isNaN(new Date(formData.expiresAt).getTime())) {
+    errors.expiresAt = 'Expiration date must be a valid date';
+  } else if (formData.activatesAt && formData.expiresAt && new Date(formData.activatesAt) >= new Date(formData.expiresAt)) {
+    errors.activatesAt = 'Activation date must be before the expiration date';
+  }
+
+  if (formData.maxClicks && !/^[1-9]\d*$/.test(formData.maxClicks.trim())) {
+    errors.maxClicks = 'Max clicks must be a positive integer';
+  }
+
+  if (parseTags(formData.tags).some(tag => tag.length > 50)) {
+    errors.tags = 'Each tag cannot exceed 50 characters';
+  }
+
+  const needsPassword = formData.isPasswordProtected && !url.isPasswordProtected;
+  if (needsPassword && !formData.password) {
+    errors.password = 'Enter a password to protect this link';
+  } else if (formData.password && (formData.password.length < 4 || formData.password.length > 100)) {
+    errors.password = 'Password must be between 4 and 100 characters';
+  }
+
+  const rulesError = validateRules(formData.targetingRules);
+  if (rulesError) {
+    errors.targetingRules = rulesError;
+  }
+
+  const variantsError = validateVariants(formData.variants);
+  if (variantsError) {
+    errors.variants = variantsError;
+  }
+
+  const scheduledError = validateScheduled(formData.scheduledDestinations);
+  if (scheduledError) {
+    errors.scheduledDestinations = scheduledError;
+  }
+
+  return errors;
+};
+
+const EditUrlModal = ({ url, onSave, onClose }) => {
+  const [formData, setFormData] = useState(() => buildFormState(url));
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setFormData(buildFormState(url));
+    setErrors({});
+    setFormError('');
+  }, [url]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape' && !saving) onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, saving]);
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  // Change a field edited by a sub-editor rather than an input
+  const handleFieldChange = (name) => (value) => {
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    const validationErrors = validate(formData, url);
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    const updateData = {
+      title: formData.title.trim(),
+      description: formData.description.trim(),
+      maxClicks: formData.maxClicks ? parseInt(formData.maxClicks) : null,
+      tags: parseTags(formData.tags),
+      isActive: formData.isActive,
+      showInterstitial: formData.showInterstitial
+    };
+
+    // Only send the destination when it changes so no revision is recorded otherwise
+    if (formData.originalUrl.trim() !== url.originalUrl) {
+      updateData.originalUrl = formData.originalUrl.trim();
+    }
+
+    // The inputs only have minute precision, so re-sending an untouched date
+    // would drop its seconds; only send the ones that were edited
+    ['activatesAt', 'expiresAt'].forEach(field => {
+      if (formData[field] !== toDateTimeLocal(url[field])) {
+        updateData[field] = formData[field] ? new Date(formData[field]).toISOString() : null;
+      }
+    });
+
+    const targetingRules = toRulesPayload(formData.targetingRules);
+    const savedRules = toRulesPayload((url.targetingRules || []).map(toRuleForm));
+    if (JSON.stringify(targetingRules) !== JSON.stringify(savedRules)) {
+      updateData.targetingRules = targetingRules;
+    }
+
+    const variants = toVariantsPayload(formData.variants);
+    const savedVariants = toVariantsPayload((url.variants || []).map(toVariantForm));
+    if (JSON.stringify(variants) !== JSON.stringify(savedVariants)) {
+      updateData.variants = variants;
+    }
+
+    const scheduledDestinations = toScheduledPayload(formData.scheduledDestinations);
+    const savedSchedule = toScheduledPayload((url.scheduledDestinations || []).map(toScheduledForm));
+    if (JSON.stringify(scheduledDestinations) !== JSON.stringify(savedSchedule)) {
+      updateData.scheduledDestinations = scheduledDestinations;
+    }
+
+    if (!formData.isPasswordProtected && url.isPasswordProtected) {
+      updateData.password = '';
+    } else if (formData.isPasswordProtected && formData.password) {
+      updateData.password = formData.password;
+    }
+
+    setSaving(true);
+    const result = await onSave(url._id, updateData);
+    setSaving(false);
+
+    if (result.success) {
+      onClose();
+      return;
+    }
+
+    // Map express-validator errors back onto their fields
+    const serverErrors = {};
+    (result.errors || []).forEach(error => {
+      const field = (error.param || error.path || '').split(/[.[]/)[0];
+      if (field && !serverErrors[field]) {
+        serverErrors[field] = error.msg;
+      }
+    });
+    setErrors(serverErrors);
+    setFormError(result.message || 'Failed to update URL');
+  };
+
+  return (
+    <ModalOverlay onClick={() => !saving && onClose()}>
+      <ModalContent onSubmit={handleSubmit} onClick={(e) => e.stopPropagation()} noValidate>
+        <ModalHeader>
+          <div>
+            <h3>Edit Short URL</h3>
+            <small>{url.shortUrl || url.shortCode}</small>
+          </div>
+          <ModalCloseButton type="button" onClick={onClose} disabled={saving} aria-label="Close">
+            ×
+          </ModalCloseButton>
+        </ModalHeader>
+
+        {formError && <FormError>{formError}</FormError>}
+
+        <FormGroup>
+          <FormLabel htmlFor="edit-originalUrl">Destination URL</FormLabel>
+          <FormInput
+            type="url"
+            id="edit-originalUrl"
+            name="originalUrl"
+            value={formData.originalUrl}
+            onChange={handleInputChange}
+            placeholder="https://example.com/very-long-url"
+          />
+          {errors.originalUrl && <FieldError>{errors.originalUrl}</FieldError>}
+        </FormGroup>
+
+        <FormGroup>
+          <FormLabel htmlFor="edit-title">Title</FormLabel>
+          <FormInput
+            type="text"
+            id="edit-title"
+            name="title"
+            value={formData.title}
+            onChange={handleInputChange}
+            placeholder="My awesome link"
+          />
+          {errors.title && <FieldError>{errors.title}</FieldError>}
+        </FormGroup>
+
+        <FormGroup>
+          <FormLabel htmlFor="edit-description">Description</FormLabel>
+          <FormTextarea
+            id="edit-description"
+            name="description"
+            value={formData.description}
+            onChange={handleInputChange}
+            placeholder="Brief description of your link"
+            rows="2"
+          />
+          {errors.description && <FieldError>{errors.description}</FieldError>}
+        </FormGroup>
+
+        <FormGroup>
+          <FormLabel htmlFor="edit-activatesAt">Activates At</FormLabel>
+          <FormInput
+            type="datetime-local"
+            id="edit-activatesAt"
+            name="activatesAt"
+            value={formData.activatesAt}
+            onChange={handleInputChange}
+          />
+          {errors.activatesAt && <FieldError>{errors.activatesAt}</FieldError>}
+        </FormGroup>
+
+        <FormRow>
+          <FormGroup>
+            <FormLabel htmlFor="edit-expiresAt">Expires At</FormLabel>
+            <FormInput
+              type="datetime-local"
+              id="edit-expiresAt"
+              name="expiresAt"
+              value={formData.expiresAt}
+              onChange={handleInputChange}
+            />
+            {errors.expiresAt && <FieldError>{errors.expiresAt}</FieldError>}
+          </FormGroup>
+          <FormGroup>
+            <FormLabel htmlFor="edit-maxClicks">Max Clicks</FormLabel>
+            <FormInput
+              type="number"
+              id="edit-maxClicks"
+              name="maxClicks"
+              value={formData.maxClicks}
+              onChange={handleInputChange}
+              placeholder="Unlimited"
+              min="1"
+            />
+            {errors.maxClicks && <FieldError>{errors.maxClicks}</FieldError>}
+          </FormGroup>
+        </FormRow>
+
+        <FormGroup>
+          <FormLabel htmlFor="edit-tags">Tags (comma-separated)</FormLabel>
+          <FormInput
+            type="text"
+            id="edit-tags"
+            name="tags"
+            value={formData.tags}
+            onChange={handleInputChange}
+            placeholder="marketing, social-media, campaign"
+          />
+          {errors.tags && <FieldError>{errors.tags}</FieldError>}
+        </FormGroup>
+
+        <TargetingRulesEditor
+          value={formData.targetingRules}
+          onChange={handleFieldChange('targetingRules')}
+          error={errors.targetingRules}
+        />
+
+        <SplitTestEditor
+          value={formData.variants}
+          onChange={handleFieldChange('variants')}
+          error={errors.variants}
+          originalUrl={formData.originalUrl.trim()}
+          shortUrl={url.shortUrl}
+        />
+
+        <ScheduledDestinationsEditor
+          value={formData.scheduledDestinations}
+          onChange={handleFieldChange('scheduledDestinations')}
+          error={errors.scheduledDestinations}
+        />
+
+        <FormGroup>
+          <CheckboxLabel htmlFor="edit-isPasswordProtected">
+            <FormCheckbox
+              type="checkbox"
+              id="edit-isPasswordProtected"
+              name="isPasswordProtected"
+              checked={formData.isPasswordProtected}
+              onChange={handleInputChange}
+            />
+            Require a password to open this link
+          </CheckboxLabel>
+          {formData.isPasswordProtected && (
+            <div style={{ marginTop: '0.75rem' }}>
+              <FormInput
+                type="password"
+                id="edit-password"
+                name="password"
+                value={formData.password}
+                onChange={handleInputChange}
+                placeholder={url.isPasswordProtected ? 'Leave empty to keep the current password' : 'New password'}
+                autoComplete="new-password"
+              />
+            </div>
+          )}
+          {errors.password && <FieldError>{errors.password}</FieldError>}
+        </FormGroup>
+
+        <FormGroup>
+          <CheckboxLabel htmlFor="edit-showInterstitial">
+            <FormCheckbox
+              type="checkbox"
+              id="edit-showInterstitial"
+              name="showInterstitial"
+              checked={formData.showInterstitial}
+              onChange={handleInputChange}
+            />
+            Show a "you are leaving" warning page before redirecting
+          </CheckboxLabel>
+          {errors.showInterstitial && <FieldError>{errors.showInterstitial}</FieldError>}
+        </FormGroup>
+
+        <FormGroup>
+          <CheckboxLabel htmlFor="edit-isActive">
+            <FormCheckbox
+              type="checkbox"
+              id="edit-isActive"
+              name="isActive"
+              checked={formData.isActive}
+              onChange={handleInputChange}
+            />
+            Active
+          </CheckboxLabel>
+          {errors.isActive && <FieldError>{errors.isActive}</FieldError>}
+        </FormGroup>
+
+        <ModalActions>
+          <SecondaryButton type="button" onClick={onClose} disabled={saving}>
+            Cancel
+          </SecondaryButton>
+          <SubmitButton type="submit" disabled={saving} style={{ width: 'auto', fontSize: '1rem', padding: '0.75rem 1.5rem' }}>
+            {saving ? 'Saving...' : 'Save Changes'}
+          </SubmitButton>
+        </ModalActions>
+      </ModalContent>
+    </ModalOverlay>
+  );
+};
+
+export default EditUrlModal;
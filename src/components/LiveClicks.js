@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { statsService } from '../services/api';
+import { TIMEZONE, formatPeriod } from '../utils/dateRange';
+import {
+  LiveCard,
+  ChartTitleRow,
+  LiveStatus,
+  LiveLayout,
+  TickerList,
+  TickerItem
+} from '../styles/StatisticsStyles';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_TICKER_ITEMS = 20;
+
+const STATUS_LABELS = {
+  connecting: 'Connecting...',
+  live: 'Live',
+  reconnecting: 'Reconnecting...'
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// The stats API's period key for the local hour containing `date`
+const hourPeriod = (date) => (
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:00`
+);
+
+// Keys for the last 24 hours, oldest first
+const lastDayOfHours = () => {
+  const now = Date.now();
+  return Array.from({ length: 24 }, (_, index) => hourPeriod(new Date(now - (23 - index) * HOUR_MS)));
+};
+
+const formatClickTime = (timestamp) => {
+  return new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+};
+
+// Clicks on the workspace's links as they happen: a ticker of the latest
+// clicks and an hourly chart of the last 24 hours that updates with them
+const LiveClicks = ({ includeBots = false }) => {
+  const { currentWorkspace } = useWorkspace();
+  const [status, setStatus] = useState('connecting');
+  const [hourlyClicks, setHourlyClicks] = useState({});
+  const [liveClicks, setLiveClicks] = useState([]);
+  const [, setMinute] = useState(0);
+  const nextClickKey = useRef(0);
+
+  useEffect(() => {
+    const loadHourlyClicks = async () => {
+      try {
+        const response = await statsService.getRealtimeStats({ timezone: TIMEZONE, includeBots });
+        if (response.data.success) {
+          const counts = {};
+          response.data.data.clicksOverTime.forEach(item => {
+            counts[item.period] = item.clicks;
+          });
+          setHourlyClicks(counts);
+        }
+      } catch (error) {
+        console.error('Real-time statistics error:', error);
+      }
+    };
+
+    loadHourlyClicks();
+  }, [currentWorkspace?.id, includeBots]);
+
+  useEffect(() => {
+    setStatus('connecting');
+    setLiveClicks([]);
+
+    return statsService.streamClicks((click) => {
+      if (click.isBot && !includeBots) return;
+
+      const period = hourPeriod(new Date(click.timestamp));
+      setHourlyClicks(prev => ({ ...prev, [period]: (prev[period] || 0) + 1 }));
+      nextClickKey.current += 1;
+      const tickerClick = { ...click, key: nextClickKey.current };
+      setLiveClicks(prev => [tickerClick, ...prev].slice(0, MAX_TICKER_ITEMS));
+    }, { onStatus: setStatus });
+  }, [currentWorkspace?.id, includeBots]);
+
+  // Move the chart window along as hours pass, even without clicks
+  useEffect(() => {
+    const timer = setInterval(() => setMinute(minute => minute + 1), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const chartData = lastDayOfHours().map(period => ({ period, clicks: hourlyClicks[period] || 0 }));
+
+  return (
+    <LiveCard>
+      <ChartTitleRow>
+        Live Clicks (Last 24 Hours)
+        <LiveStatus $live={status === 'live'}>{STATUS_LABELS[status]}</LiveStatus>
+      </ChartTitleRow>
+      <LiveLayout>
+        <ResponsiveContainer width="100%" height={240}>
+          <BarChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" vertical={false} />
+            <XAxis
+              dataKey="period"
+              tickFormatter={(period) => formatPeriod(period, 'hour')}
+              tick={{ fontSize: 11, fill: '#64748b' }}
+              interval="preserveStartEnd"
+            />
+            <YAxis allowDecimals={false} tick={{ fontSize: 12, fill: '#64748b' }} />
+            <Tooltip labelFormatter={(period) => formatPeriod(period, 'hour')} formatter={(value) => [`${value} clicks`]} />
+            <Bar dataKey="clicks" fill="#3b82f6" radius={[4, 4, 0, 0]} isAnimationActive={false} />
+          </BarChart>
+        </ResponsiveContainer>
+        <div>
+          {liveClicks.length === 0 ? (
+            <div style={{ textAlign: 'center', padding: '2rem', color: '#64748b', fontSize: '0.875rem' }}>
+              Waiting for clicks...
+            </div>
+          ) : (
+            <TickerList>
+              {liveClicks.map(click => (
+                <TickerItem key={click.key}>
+                  <strong>{click.title || click.shortCode}</strong> from {click.country}
+                  {click.isBot && ' (bot)'}
+                  <small>
+                    {formatClickTime(click.timestamp)} · {click.browser || 'Unknown'} on {click.os || 'Unknown'} · {click.referer}
+                  </small>
+                </TickerItem>
+              ))}
+            </TickerList>
+          )}
+        </div>
+      </LiveLayout>
+    </LiveCard>
+  );
+};
+
+export default LiveClicks;
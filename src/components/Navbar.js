@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
 import {
   NavbarContainer,
   NavbarContent,
@@ -8,6 +9,7 @@ import {
   NavLinks,
   NavLink,
   UserMenu,
+  WorkspaceSelect,
   UserButton,
   DropdownMenu,
   DropdownItem,
@@ -18,6 +20,7 @@ import {
 
 const Navbar = () => {
   const { user, logout } = useAuth();
+  const { workspaces, currentWorkspace, selectWorkspace } = useWorkspace();
   const location = useLocation();
   const navigate = useNavigate();
   const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
@@ -60,6 +63,19 @@ const Navbar = () => {
         <UserMenu>
           {user ? (
             <>
+              {workspaces.length > 0 && (
+                <WorkspaceSelect
+                  value={currentWorkspace?.id || ''}
+                  onChange={(e) => selectWorkspace(e.target.value)}
+                  aria-label="Current workspace"
+                >
+                  {workspaces.map(workspace => (
+                    <option key={workspace.id} value={workspace.id}>
+                      {workspace.name}
+                    </option>
+                  ))}
+                </WorkspaceSelect>
+              )}
               <UserButton
                 onClick={() => setIsUserMenuOpen(!isUserMenuOpen)}
                 onBlur={() => setTimeout(() => setIsUserMenuOpen(false), 200)}
@@ -72,6 +88,9 @@ const Navbar = () => {
                   <DropdownItem as={Link} to="/profile">
                     Profile
                   </DropdownItem>
+                  <DropdownItem as={Link} to="/workspaces">
+                    Workspaces
+                  </DropdownItem>
                   <DropdownItem onClick={handleLogout}>
                     Logout
                   </DropdownItem>
@@ -114,6 +133,9 @@ const Navbar = () => {
               <MobileNavLink to="/profile" $isActive={isActive('/profile')} onClick={() => setIsMobileMenuOpen(false)}>
                 Profile
               </MobileNavLink>
+              <MobileNavLink to="/workspaces" $isActive={isActive('/workspaces')} onClick={() => setIsMobileMenuOpen(false)}>
+                Workspaces
+              </MobileNavLink>
               <MobileNavLink as="button" onClick={() => { handleLogout(); setIsMobileMenuOpen(false); }}>
                 Logout
               </MobileNavLink>
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import {
+  UtmSection,
+  UtmToggle,
+  UtmInput,
+  UtmButton
+} from '../styles/UtmBuilderStyles';
+import {
+  RulesBody,
+  RulesHint,
+  RuleCard,
+  RuleHeader,
+  RuleGrid,
+  RuleButton
+} from '../styles/TargetingRulesStyles';
+import { FieldError } from '../styles/DashboardStyles';
+
+// Mirrors MAX_SCHEDULED_DESTINATIONS in server/utils/linkScheduler.js
+const MAX_CHANGES = 10;
+
+// Format a date for a datetime-local input in the browser's timezone
+const toDateTimeLocal = (dateString) => {
+  if (!dateString) return '';
+  const date = new Date(dateString);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+let nextKey = 0;
+
+// Editable form state for a queued destination change
+export const toScheduledForm = (change = {}) => ({
+  key: `change-${nextKey++}`,
+  _id: change._id,
+  destination: change.destination || '',
+  changeAt: toDateTimeLocal(change.changeAt),
+  // Unchanged entries are sent back with their exact time so the server keeps them
+  savedChangeAt: change.changeAt || null
+});
+
+// Build the scheduledDestinations array sent to PUT /api/urls/:id
+export const toScheduledPayload = (changes) => changes.map(change => ({
+  ...(change._id && { _id: change._id }),
+  destination: change.destination.trim(),
+  changeAt: change.savedChangeAt && change.changeAt === toDateTimeLocal(change.savedChangeAt)
+    ? change.savedChangeAt
+    : new Date(change.changeAt).toISOString()
+}));
+
+const isValidUrl = (value) => {
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+};
+
+// Mirrors normalizeScheduledDestinations on the server. Returns an error message or null.
+export const validateScheduled = (changes) => {
+  for (const [index, change] of changes.entries()) {
+    const label = `Change ${index + 1}`;
+    if (!isValidUrl(change.destination.trim())) {
+      return `${label}: please provide a valid destination URL`;
+    }
+    if (!change.changeAt || isNaN(new Date(change.changeAt).getTime())) {
+      return `${label}: choose when the destination should change`;
+    }
+    if (!change.savedChangeAt && new Date(change.changeAt) <= new Date()) {
+      return `${label}: the change time must be in the future`;
+    }
+  }
+  return null;
+};
+
+const ScheduledDestinationsEditor = ({ value, onChange, error }) => {
+  const [expanded, setExpanded] = useState(value.length > 0);
+
+  const updateChange = (key) => (e) => {
+    const { name, value: fieldValue } = e.target;
+    onChange(value.map(change => (change.key === key ? { ...change, [name]: fieldValue } : change)));
+  };
+
+  return (
+    <UtmSection>
+      <UtmToggle type="button" onClick={() => setExpanded(prev => !prev)} aria-expanded={expanded}>
+        <span>Scheduled destination changes</span>
+        <small>{value.length > 0 ? `${value.length} queued` : 'Optional'} {expanded ? '▲' : '▼'}</small>
+      </UtmToggle>
+
+      {expanded && (
+        <RulesBody>
+          <RulesHint>
+            Switch the destination URL automatically at a set time, for example when a sale ends.
+            Each change is applied within about a minute and shows up in the link's history.
+          </RulesHint>
+
+          {value.map((change, index) => (
+            <RuleCard key={change.key}>
+              <RuleHeader>
+                <strong>Change {index + 1}</strong>
+                <div>
+                  <RuleButton type="button" $danger onClick={() => onChange(value.filter(c => c.key !== change.key))}>
+                    Cancel Change
+                  </RuleButton>
+                </div>
+              </RuleHeader>
+
+              <RuleGrid>
+                <div>
+                  <label htmlFor={`${change.key}-changeAt`}>At</label>
+                  <UtmInput
+                    type="datetime-local"
+                    id={`${change.key}-changeAt`}
+                    name="changeAt"
+                    value={change.changeAt}
+                    onChange={updateChange(change.key)}
+                  />
+                </div>
+                <div>
+                  <label htmlFor={`${change.key}-destination`}>Switch to *</label>
+                  <UtmInput
+                    type="url"
+                    id={`${change.key}-destination`}
+                    name="destination"
+                    value={change.destination}
+                    onChange={updateChange(change.key)}
+                    placeholder="https://example.com/after-launch"
+                  />
+                </div>
+              </RuleGrid>
+            </RuleCard>
+          ))}
+
+          {error && <FieldError>{error}</FieldError>}
+
+          <div>
+            <UtmButton
+              type="button"
+              onClick={() => onChange([...value, toScheduledForm()])}
+              disabled={value.length >= MAX_CHANGES}
+            >
+              + Schedule a Change
+            </UtmButton>
+          </div>
+        </RulesBody>
+      )}
+    </UtmSection>
+  );
+};
+
+export default ScheduledDestinationsEditor;
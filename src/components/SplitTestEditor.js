@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import {
+  UtmSection,
+  UtmToggle,
+  UtmInput,
+  UtmButton,
+  UtmPreview
+} from '../styles/UtmBuilderStyles';
+import {
+  RulesBody,
+  RulesHint,
+  RuleCard,
+  RuleHeader,
+  RuleGrid,
+  RuleButton
+} from '../styles/TargetingRulesStyles';
+import { FieldError } from '../styles/DashboardStyles';
+
+// Mirror MIN_VARIANTS / MAX_VARIANTS in server/utils/splitTest.js
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 10;
+
+export const variantLabel = (index) => `Variant ${String.fromCharCode(65 + index)}`;
+
+let nextKey = 0;
+
+// Editable form state for a saved variant
+export const toVariantForm = (variant = {}) => ({
+  key: `variant-${nextKey++}`,
+  _id: variant._id,
+  name: variant.name || '',
+  destination: variant.destination || '',
+  weight: String(variant.weight ?? 50)
+});
+
+// Build the variants array sent to PUT /api/urls/:id
+export const toVariantsPayload = (variants) => variants.map(variant => ({
+  ...(variant._id && { _id: variant._id }),
+  name: variant.name.trim(),
+  destination: variant.destination.trim(),
+  weight: parseInt(variant.weight, 10)
+}));
+
+const isValidUrl = (value) => {
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+};
+
+// Mirrors normalizeVariants on the server. Returns an error message or null.
+export const validateVariants = (variants) => {
+  if (variants.length === 0) return null;
+  if (variants.length < MIN_VARIANTS) {
+    return `A split test needs at least ${MIN_VARIANTS} variants`;
+  }
+
+  for (const [index, variant] of variants.entries()) {
+    const label = variant.name.trim() || variantLabel(index);
+    if (!isValidUrl(variant.destination.trim())) {
+      return `${label}: please provide a valid destination URL`;
+    }
+    if (!/^\d+$/.test(variant.weight.trim()) || parseInt(variant.weight, 10) > 1000) {
+      return `${label}: weight must be a whole number from 0 to 1000`;
+    }
+  }
+
+  if (variants.every(variant => parseInt(variant.weight, 10) === 0)) {
+    return 'At least one variant needs a weight above 0';
+  }
+  return null;
+};
+
+const SplitTestEditor = ({ value, onChange, error, originalUrl, shortUrl }) => {
+  const [expanded, setExpanded] = useState(value.length > 0);
+
+  const totalWeight = value.reduce((sum, variant) => sum + (parseInt(variant.weight, 10) || 0), 0);
+
+  const updateVariant = (key) => (e) => {
+    const { name, value: fieldValue } = e.target;
+    onChange(value.map(variant => (variant.key === key ? { ...variant, [name]: fieldValue } : variant)));
+  };
+
+  // Start a test from the current destination so it becomes the control
+  const startTest = () => {
+    onChange([toVariantForm({ destination: originalUrl }), toVariantForm()]);
+  };
+
+  return (
+    <UtmSection>
+      <UtmToggle type="button" onClick={() => setExpanded(prev => !prev)} aria-expanded={expanded}>
+        <span>A/B split test</span>
+        <small>{value.length > 0 ? `${value.length} variants` : 'Off'} {expanded ? '▲' : '▼'}</small>
+      </UtmToggle>
+
+      {expanded && (
+        <RulesBody>
+          <RulesHint>
+            Split visitors between destinations by weight. Each visitor keeps seeing the same
+            variant; targeting rules are applied first. The first variant is the control.
+          </RulesHint>
+
+          {value.map((variant, index) => (
+            <RuleCard key={variant.key}>
+              <RuleHeader>
+                <strong>
+                  {variant.name.trim() || variantLabel(index)}
+                  {index === 0 && ' (control)'}
+                </strong>
+                <div>
+                  <span style={{ fontSize: '0.75rem', color: '#64748b', alignSelf: 'center' }}>
+                    {totalWeight ? `${Math.round(((parseInt(variant.weight, 10) || 0) / totalWeight) * 100)}% of traffic` : ''}
+                  </span>
+                  <RuleButton type="button" $danger onClick={() => onChange(value.filter(v => v.key !== variant.key))}>
+                    Remove
+                  </RuleButton>
+                </div>
+              </RuleHeader>
+
+              <RuleGrid>
+                <div>
+                  <label htmlFor={`${variant.key}-name`}>Name</label>
+                  <UtmInput
+                    type="text"
+                    id={`${variant.key}-name`}
+                    name="name"
+                    value={variant.name}
+                    onChange={updateVariant(variant.key)}
+                    placeholder={variantLabel(index)}
+                    maxLength="100"
+                  />
+                </div>
+                <div>
+                  <label htmlFor={`${variant.key}-destination`}>Destination URL *</label>
+                  <UtmInput
+                    type="url"
+                    id={`${variant.key}-destination`}
+                    name="destination"
+                    value={variant.destination}
+                    onChange={updateVariant(variant.key)}
+                    placeholder="https://example.com/landing-b"
+                  />
+                </div>
+                <div>
+                  <label htmlFor={`${variant.key}-weight`}>Weight</label>
+                  <UtmInput
+                    type="number"
+                    id={`${variant.key}-weight`}
+                    name="weight"
+                    value={variant.weight}
+                    onChange={updateVariant(variant.key)}
+                    min="0"
+                    max="1000"
+                  />
+                </div>
+              </RuleGrid>
+            </RuleCard>
+          ))}
+
+          {error && <FieldError>{error}</FieldError>}
+
+          <div>
+            {value.length === 0 ? (
+              <UtmButton type="button" onClick={startTest}>Start a Split Test</UtmButton>
+            ) : (
+              <UtmButton
+                type="button"
+                onClick={() => onChange([...value, toVariantForm()])}
+                disabled={value.length >= MAX_VARIANTS}
+              >
+                + Add Variant
+              </UtmButton>
+            )}
+          </div>
+
+          {value.length > 0 && shortUrl && (
+            <>
+              <RulesHint>
+                To compare conversions, add this pixel to the page visitors reach when they convert:
+              </RulesHint>
+              <UtmPreview>{`<img src="${shortUrl}/convert" width="1" height="1" alt="" />`}</UtmPreview>
+            </>
+          )}
+        </RulesBody>
+      )}
+    </UtmSection>
+  );
+};
+
+export default SplitTestEditor;
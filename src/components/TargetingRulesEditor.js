@@ -0,0 +1,302 @@
+import React, { useState } from 'react';
+import {
+  UtmSection,
+  UtmToggle,
+  UtmInput,
+  UtmButton
+} from '../styles/UtmBuilderStyles';
+import {
+  RulesBody,
+  RulesHint,
+  RuleCard,
+  RuleHeader,
+  RuleGrid,
+  RuleButton,
+  ChoiceGroup
+} from '../styles/TargetingRulesStyles';
+import { FieldError } from '../styles/DashboardStyles';
+
+// Mirrors MAX_TARGETING_RULES in server/utils/targeting.js
+const MAX_RULES = 20;
+
+const DEVICE_TYPES = [
+  { value: 'desktop', label: 'Desktop' },
+  { value: 'mobile', label: 'Mobile' },
+  { value: 'tablet', label: 'Tablet' }
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+let nextKey = 0;
+
+// Editable form state for a saved rule; lists are edited as comma-separated text
+export const toRuleForm = (rule = {}) => ({
+  key: `rule-${nextKey++}`,
+  _id: rule._id,
+  name: rule.name || '',
+  destination: rule.destination || '',
+  countries: (rule.countries || []).join(', '),
+  languages: (rule.languages || []).join(', '),
+  deviceTypes: rule.deviceTypes || [],
+  operatingSystems: (rule.operatingSystems || []).join(', '),
+  days: rule.schedule?.days || [],
+  startTime: rule.schedule?.startTime || '',
+  endTime: rule.schedule?.endTime || '',
+  timezone: rule.schedule?.timezone || BROWSER_TIMEZONE
+});
+
+const hasSchedule = (rule) => rule.days.length > 0 || !!rule.startTime || !!rule.endTime;
+
+// Build the targetingRules array sent to PUT /api/urls/:id
+export const toRulesPayload = (rules) => rules.map(rule => ({
+  ...(rule._id && { _id: rule._id }),
+  name: rule.name.trim(),
+  destination: rule.destination.trim(),
+  countries: splitList(rule.countries),
+  languages: splitList(rule.languages),
+  deviceTypes: rule.deviceTypes,
+  operatingSystems: splitList(rule.operatingSystems),
+  schedule: hasSchedule(rule)
+    ? {
+      days: rule.days,
+      startTime: rule.startTime || null,
+      endTime: rule.endTime || null,
+      timezone: rule.timezone
+    }
+    : null
+}));
+
+const isValidUrl = (value) => {
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+};
+
+// Mirrors normalizeTargetingRules on the server. Returns an error message or null.
+export const validateRules = (rules) => {
+  for (const [index, rule] of rules.entries()) {
+    const label = rule.name.trim() || `Rule ${index + 1}`;
+
+    if (!isValidUrl(rule.destination.trim())) {
+      return `${label}: please provide a valid destination URL`;
+    }
+    if (splitList(rule.countries).some(country => !/^[a-z]{2}$/i.test(country))) {
+      return `${label}: countries must be two-letter codes such as US or DE`;
+    }
+    if (!!rule.startTime !== !!rule.endTime) {
+      return `${label}: set both a start and an end time`;
+    }
+    if (rule.startTime && rule.startTime === rule.endTime) {
+      return `${label}: start and end times must differ`;
+    }
+
+    const hasCondition = [rule.countries, rule.languages, rule.operatingSystems].some(list => splitList(list).length > 0)
+      || rule.deviceTypes.length > 0
+      || hasSchedule(rule);
+    if (!hasCondition) {
+      return `${label} needs at least one condition`;
+    }
+  }
+  return null;
+};
+
+const toggleValue = (list, value) => (
+  list.includes(value) ? list.filter(item => item !== value) : [...list, value]
+);
+
+const TargetingRulesEditor = ({ value, onChange, error }) => {
+  const [expanded, setExpanded] = useState(value.length > 0);
+
+  const updateRule = (key, changes) => {
+    onChange(value.map(rule => (rule.key === key ? { ...rule, ...changes } : rule)));
+  };
+
+  const moveRule = (index, offset) => {
+    const rules = [...value];
+    const [rule] = rules.splice(index, 1);
+    rules.splice(index + offset, 0, rule);
+    onChange(rules);
+  };
+
+  const handleChange = (key) => (e) => updateRule(key, { [e.target.name]: e.target.value });
+
+  return (
+    <UtmSection>
+      <UtmToggle type="button" onClick={() => setExpanded(prev => !prev)} aria-expanded={expanded}>
+        <span>Targeting rules</span>
+        <small>
+          {value.length > 0 ? `${value.length} rule${value.length === 1 ? '' : 's'}` : 'Optional'} {expanded ? '▲' : '▼'}
+        </small>
+      </UtmToggle>
+
+      {expanded && (
+        <RulesBody>
+          <RulesHint>
+            Send visitors to another destination by country, language, device or time.
+            Rules are checked from top to bottom and every field you fill in must match;
+            visitors matching no rule go to the destination URL above.
+          </RulesHint>
+
+          {value.map((rule, index) => (
+            <RuleCard key={rule.key}>
+              <RuleHeader>
+                <strong>{rule.name.trim() || `Rule ${index + 1}`}</strong>
+                <div>
+                  <RuleButton type="button" onClick={() => moveRule(index, -1)} disabled={index === 0} aria-label="Move rule up">
+                    ↑
+                  </RuleButton>
+                  <RuleButton type="button" onClick={() => moveRule(index, 1)} disabled={index === value.length - 1} aria-label="Move rule down">
+                    ↓
+                  </RuleButton>
+                  <RuleButton type="button" $danger onClick={() => onChange(value.filter(r => r.key !== rule.key))}>
+                    Remove
+                  </RuleButton>
+                </div>
+              </RuleHeader>
+
+              <RuleGrid>
+                <div>
+                  <label htmlFor={`${rule.key}-name`}>Name</label>
+                  <UtmInput
+                    type="text"
+                    id={`${rule.key}-name`}
+                    name="name"
+                    value={rule.name}
+                    onChange={handleChange(rule.key)}
+                    placeholder="German store"
+                    maxLength="100"
+                  />
+                </div>
+                <div>
+                  <label htmlFor={`${rule.key}-destination`}>Destination URL *</label>
+                  <UtmInput
+                    type="url"
+                    id={`${rule.key}-destination`}
+                    name="destination"
+                    value={rule.destination}
+                    onChange={handleChange(rule.key)}
+                    placeholder="https://example.de"
+                  />
+                </div>
+                <div>
+                  <label htmlFor={`${rule.key}-countries`}>Countries</label>
+                  <UtmInput
+                    type="text"
+                    id={`${rule.key}-countries`}
+                    name="countries"
+                    value={rule.countries}
+                    onChange={handleChange(rule.key)}
+                    placeholder="DE, AT, CH"
+                  />
+                </div>
+                <div>
+                  <label htmlFor={`${rule.key}-languages`}>Languages</label>
+                  <UtmInput
+                    type="text"
+                    id={`${rule.key}-languages`}
+                    name="languages"
+                    value={rule.languages}
+                    onChange={handleChange(rule.key)}
+                    placeholder="de, pt-br"
+                  />
+                </div>
+                <div>
+                  <label htmlFor={`${rule.key}-operatingSystems`}>Operating systems</label>
+                  <UtmInput
+                    type="text"
+                    id={`${rule.key}-operatingSystems`}
+                    name="operatingSystems"
+                    value={rule.operatingSystems}
+                    onChange={handleChange(rule.key)}
+                    placeholder="iOS, Android"
+                  />
+                </div>
+              </RuleGrid>
+
+              <ChoiceGroup>
+                <legend>Devices</legend>
+                {DEVICE_TYPES.map(device => (
+                  <label key={device.value}>
+                    <input
+                      type="checkbox"
+                      checked={rule.deviceTypes.includes(device.value)}
+                      onChange={() => updateRule(rule.key, { deviceTypes: toggleValue(rule.deviceTypes, device.value) })}
+                    />
+                    {device.label}
+                  </label>
+                ))}
+              </ChoiceGroup>
+
+              <ChoiceGroup>
+                <legend>Days</legend>
+                {WEEKDAYS.map((day, dayIndex) => (
+                  <label key={day}>
+                    <input
+                      type="checkbox"
+                      checked={rule.days.includes(dayIndex)}
+                      onChange={() => updateRule(rule.key, {
+                        days: toggleValue(rule.days, dayIndex).sort((a, b) => a - b)
+                      })}
+                    />
+                    {day}
+                  </label>
+                ))}
+              </ChoiceGroup>
+
+              <RuleGrid>
+                <div>
+                  <label htmlFor={`${rule.key}-startTime`}>From</label>
+                  <UtmInput
+                    type="time"
+                    id={`${rule.key}-startTime`}
+                    name="startTime"
+                    value={rule.startTime}
+                    onChange={handleChange(rule.key)}
+                  />
+                </div>
+                <div>
+                  <label htmlFor={`${rule.key}-endTime`}>Until</label>
+                  <UtmInput
+                    type="time"
+                    id={`${rule.key}-endTime`}
+                    name="endTime"
+                    value={rule.endTime}
+                    onChange={handleChange(rule.key)}
+                  />
+                </div>
+                <div>
+                  <label htmlFor={`${rule.key}-timezone`}>Timezone</label>
+                  <UtmInput
+                    type="text"
+                    id={`${rule.key}-timezone`}
+                    name="timezone"
+                    value={rule.timezone}
+                    onChange={handleChange(rule.key)}
+                    placeholder="Europe/Berlin"
+                  />
+                </div>
+              </RuleGrid>
+            </RuleCard>
+          ))}
+
+          {error && <FieldError>{error}</FieldError>}
+
+          <div>
+            <UtmButton type="button" onClick={() => onChange([...value, toRuleForm()])} disabled={value.length >= MAX_RULES}>
+              + Add Rule
+            </UtmButton>
+          </div>
+        </RulesBody>
+      )}
+    </UtmSection>
+  );
+};
+
+export default TargetingRulesEditor;
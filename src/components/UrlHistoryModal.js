@@ -0,0 +1,136 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { urlService } from '../services/api';
+import {
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  FormError,
+  RevisionList,
+  RevisionItem,
+  RevisionMeta,
+  RevisionChange,
+  ActionButton,
+  EmptyState,
+  LoadingSpinner
+} from '../styles/DashboardStyles';
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// How each revision came about; scheduled ones were applied by the link scheduler
+const REVISION_ACTIONS = {
+  update: 'Changed',
+  rollback: 'Restored',
+  scheduled: 'Scheduled'
+};
+
+const UrlHistoryModal = ({ url, canRestore = true, onRestored, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [currentUrl, setCurrentUrl] = useState(url.originalUrl);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [restoringId, setRestoringId] = useState(null);
+
+  const loadRevisions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await urlService.getUrlRevisions(url._id);
+      if (response.data.success) {
+        setRevisions(response.data.data.revisions);
+        setCurrentUrl(response.data.data.currentUrl);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [url._id]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  const restoreRevision = async (revision) => {
+    if (!window.confirm(`Restore destination to ${revision.oldValue}?`)) return;
+
+    try {
+      setRestoringId(revision._id);
+      const response = await urlService.rollbackUrl(url._id, revision._id);
+      if (response.data.success) {
+        toast.success('Destination restored');
+        onRestored(response.data.data.url);
+        loadRevisions();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to restore destination');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <ModalOverlay onClick={onClose}>
+      <ModalContent as="div" onClick={(e) => e.stopPropagation()}>
+        <ModalHeader>
+          <div>
+            <h3>Destination History</h3>
+            <small>{url.shortUrl || url.shortCode}</small>
+          </div>
+          <ModalCloseButton type="button" onClick={onClose} aria-label="Close">
+            ×
+          </ModalCloseButton>
+        </ModalHeader>
+
+        {error && <FormError>{error}</FormError>}
+
+        {loading ? (
+          <LoadingSpinner>Loading history...</LoadingSpinner>
+        ) : revisions.length === 0 ? (
+          <EmptyState>
+            <h4>No changes yet</h4>
+            <p>This link has always pointed to {currentUrl}.</p>
+          </EmptyState>
+        ) : (
+          <RevisionList>
+            {revisions.map((revision) => (
+              <RevisionItem key={revision._id}>
+                <RevisionMeta>
+                  <span>
+                    {REVISION_ACTIONS[revision.action] || 'Changed'} by{' '}
+                    <strong>{revision.changedBy?.username || 'Unknown user'}</strong>
+                  </span>
+                  <span>{formatDate(revision.createdAt)}</span>
+                </RevisionMeta>
+                <RevisionChange>
+                  <div><span>From</span> {revision.oldValue}</div>
+                  <div><span>To</span> {revision.newValue}</div>
+                </RevisionChange>
+                {canRestore && revision.oldValue !== currentUrl && (
+                  <ActionButton
+                    onClick={() => restoreRevision(revision)}
+                    disabled={restoringId !== null}
+                    style={{ background: '#3b82f6' }}
+                  >
+                    {restoringId === revision._id ? 'Restoring...' : 'Restore previous destination'}
+                  </ActionButton>
+                )}
+              </RevisionItem>
+            ))}
+          </RevisionList>
+        )}
+      </ModalContent>
+    </ModalOverlay>
+  );
+};
+
+export default UrlHistoryModal;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { utmPresetService } from '../services/api';
+import {
+  UtmSection,
+  UtmToggle,
+  UtmBody,
+  UtmGrid,
+  UtmInput,
+  UtmPresetBar,
+  UtmButton,
+  UtmPreview
+} from '../styles/UtmBuilderStyles';
+
+const UTM_FIELDS = [
+  { name: 'source', label: 'Source *', placeholder: 'newsletter' },
+  { name: 'medium', label: 'Medium', placeholder: 'email' },
+  { name: 'campaign', label: 'Campaign', placeholder: 'spring_sale' },
+  { name: 'term', label: 'Term', placeholder: 'running shoes' },
+  { name: 'content', label: 'Content', placeholder: 'header_link' }
+];
+
+export const EMPTY_UTM = { source: '', medium: '', campaign: '', term: '', content: '' };
+
+// Mirrors the server's normalization so the preview matches the saved link
+const normalizeUtmValue = (value) => value.trim().replace(/\s+/g, '_').toLowerCase();
+
+// Build the UTM object to send with a new link, or undefined if none are set
+export const toUtmPayload = (utm) => {
+  const hasValues = Object.values(utm).some(value => value.trim());
+  return hasValues ? utm : undefined;
+};
+
+const buildPreview = (originalUrl, utm) => {
+  try {
+    const url = new URL(originalUrl);
+    UTM_FIELDS.forEach(({ name }) => {
+      const value = normalizeUtmValue(utm[name] || '');
+      if (value) url.searchParams.set(`utm_${name}`, value);
+    });
+    return url.toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+const UtmBuilder = ({ value, onChange, originalUrl }) => {
+  const { user } = useAuth();
+  const [expanded, setExpanded] = useState(false);
+  const [presets, setPresets] = useState([]);
+  const [selectedPresetId, setSelectedPresetId] = useState('');
+
+  useEffect(() => {
+    if (!user || !expanded) return;
+
+    const loadPresets = async () => {
+      try {
+        const response = await utmPresetService.getPresets();
+        if (response.data.success) {
+          setPresets(response.data.data.presets);
+        }
+      } catch (error) {
+        console.error('Error loading UTM presets:', error);
+      }
+    };
+
+    loadPresets();
+  }, [user, expanded]);
+
+  const handleChange = (e) => {
+    onChange({ ...value, [e.target.name]: e.target.value });
+  };
+
+  const applyPreset = (presetId) => {
+    setSelectedPresetId(presetId);
+    const preset = presets.find(p => p._id === presetId);
+    if (!preset) return;
+
+    onChange(UTM_FIELDS.reduce((utm, { name }) => ({ ...utm, [name]: preset[name] || '' }), {}));
+  };
+
+  const savePreset = async () => {
+    if (!value.source.trim()) {
+      toast.error('Set a source before saving a preset');
+      return;
+    }
+
+    const current = presets.find(p => p._id === selectedPresetId);
+    const name = window.prompt('Preset name', current?.name || value.campaign || value.source);
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await utmPresetService.savePreset({ name: name.trim(), ...value });
+      if (response.data.success) {
+        const saved = response.data.data.preset;
+        toast.success(response.data.message);
+        setPresets(prev => [...prev.filter(p => p._id !== saved._id), saved]
+          .sort((a, b) => a.name.localeCompare(b.name)));
+        setSelectedPresetId(saved._id);
+      }
+    } catch (error) {
+      const validationError = error.response?.data?.errors?.[0]?.msg;
+      toast.error(validationError || error.response?.data?.message || 'Failed to save UTM preset');
+    }
+  };
+
+  const deletePreset = async () => {
+    const preset = presets.find(p => p._id === selectedPresetId);
+    if (!preset || !window.confirm(`Delete the "${preset.name}" preset?`)) return;
+
+    try {
+      const response = await utmPresetService.deletePreset(preset._id);
+      if (response.data.success) {
+        toast.success('UTM preset deleted');
+        setPresets(prev => prev.filter(p => p._id !== preset._id));
+        setSelectedPresetId('');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete UTM preset');
+    }
+  };
+
+  const activeCount = Object.values(value).filter(v => v.trim()).length;
+  const preview = activeCount > 0 && originalUrl ? buildPreview(originalUrl, value) : null;
+
+  return (
+    <UtmSection>
+      <UtmToggle type="button" onClick={() => setExpanded(prev => !prev)} aria-expanded={expanded}>
+        <span>Campaign tracking (UTM)</span>
+        <small>{activeCount > 0 ? `${activeCount} set` : 'Optional'} {expanded ? '▲' : '▼'}</small>
+      </UtmToggle>
+
+      {expanded && (
+        <UtmBody>
+          {user && (
+            <UtmPresetBar>
+              <select
+                value={selectedPresetId}
+                onChange={(e) => applyPreset(e.target.value)}
+                aria-label="UTM preset"
+              >
+                <option value="">{presets.length ? 'Apply a saved preset…' : 'No saved presets'}</option>
+                {presets.map(preset => (
+                  <option key={preset._id} value={preset._id}>{preset.name}</option>
+                ))}
+              </select>
+              <UtmButton type="button" onClick={savePreset}>Save as Preset</UtmButton>
+              <UtmButton type="button" $danger onClick={deletePreset} disabled={!selectedPresetId}>
+                Delete
+              </UtmButton>
+            </UtmPresetBar>
+          )}
+
+          <UtmGrid>
+            {UTM_FIELDS.map(field => (
+              <div key={field.name}>
+                <label htmlFor={`utm-${field.name}`}>{field.label}</label>
+                <UtmInput
+                  type="text"
+                  id={`utm-${field.name}`}
+                  name={field.name}
+                  value={value[field.name]}
+                  onChange={handleChange}
+                  placeholder={field.placeholder}
+                  maxLength="100"
+                />
+              </div>
+            ))}
+          </UtmGrid>
+
+          {preview && <UtmPreview>{preview}</UtmPreview>}
+        </UtmBody>
+      )}
+    </UtmSection>
+  );
+};
+
+export default UtmBuilder;
@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { webhookService } from '../services/api';
+import {
+  ProfileCard,
+  ProfileForm,
+  FormGroup,
+  FormLabel,
+  FormInput,
+  SubmitButton,
+  KeyList,
+  KeyItem,
+  KeyMeta,
+  NewKeyBanner,
+  EventOptions,
+  DeliveryList,
+  DeliveryItem,
+  StatusBadge,
+  TextButton,
+  DangerButton,
+  ErrorMessage
+} from '../styles/ProfileStyles';
+
+const EVENT_LABELS = {
+  'link.created': 'Link created',
+  'link.updated': 'Link updated',
+  'link.deleted': 'Link deleted',
+  'link.expired': 'Link expired',
+  'link.max_clicks_reached': 'Click limit reached',
+  'link.clicked': 'Every click'
+};
+
+const DEFAULT_EVENTS = ['link.created', 'link.updated', 'link.deleted', 'link.expired', 'link.max_clicks_reached'];
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'Never';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+};
+
+const describeDelivery = (delivery) => {
+  if (delivery.status === 'success') return `HTTP ${delivery.responseStatus}`;
+  if (delivery.status === 'pending' && delivery.attempts > 0) {
+    return `${delivery.error} · retrying ${formatDate(delivery.nextAttemptAt)}`;
+  }
+  return delivery.error || 'Waiting to be sent';
+};
+
+const WebhooksCard = () => {
+  const { currentWorkspace, isOwner } = useWorkspace();
+  const [webhooks, setWebhooks] = useState([]);
+  const [formData, setFormData] = useState({ url: '', description: '', events: DEFAULT_EVENTS });
+  const [newSecret, setNewSecret] = useState(null);
+  const [openWebhookId, setOpenWebhookId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const workspaceId = currentWorkspace?.id;
+
+  const loadWebhooks = useCallback(async () => {
+    if (!workspaceId || !isOwner) return;
+
+    try {
+      const response = await webhookService.getWebhooks();
+      if (response.data.success) {
+        setWebhooks(response.data.data.webhooks);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to load webhooks');
+    }
+  }, [workspaceId, isOwner]);
+
+  useEffect(() => {
+    setWebhooks([]);
+    setNewSecret(null);
+    setOpenWebhookId(null);
+    loadWebhooks();
+  }, [loadWebhooks]);
+
+  const loadDeliveries = async (webhookId) => {
+    try {
+      const response = await webhookService.getDeliveries(webhookId);
+      if (response.data.success) {
+        setDeliveries(response.data.data.deliveries);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load deliveries');
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  const toggleEvent = (event) => {
+    setFormData(prev => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter(e => e !== event)
+        : [...prev.events, event]
+    }));
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.url.trim()) {
+      setError('Enter the URL that should receive events');
+      return;
+    }
+    if (formData.events.length === 0) {
+      setError('Choose at least one event');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await webhookService.createWebhook({
+        url: formData.url.trim(),
+        description: formData.description.trim(),
+        events: formData.events
+      });
+      if (response.data.success) {
+        setNewSecret(response.data.data.secret);
+        setFormData({ url: '', description: '', events: formData.events });
+        loadWebhooks();
+      }
+    } catch (error) {
+      const validationError = error.response?.data?.errors?.[0]?.msg;
+      setError(validationError || error.response?.data?.message || 'Failed to create webhook');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Run a webhook action, toasting its result
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      const response = await action();
+      if (response.data.success) {
+        toast.success(response.data.message);
+        return response.data.data || {};
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || fallbackMessage);
+    }
+    return null;
+  };
+
+  const toggleActive = async (webhook) => {
+    const data = await runAction(
+      () => webhookService.updateWebhook(webhook._id, { isActive: !webhook.isActive }),
+      'Failed to update webhook'
+    );
+    if (data) {
+      setWebhooks(prev => prev.map(w => (w._id === webhook._id ? data.webhook : w)));
+    }
+  };
+
+  const sendTest = async (webhook) => {
+    const data = await runAction(() => webhookService.testWebhook(webhook._id), 'Failed to send test event');
+    if (data && openWebhookId === webhook._id) {
+      setTimeout(() => loadDeliveries(webhook._id), 1500);
+    }
+  };
+
+  const rotateSecret = async (webhook) => {
+    if (!window.confirm('Rotate the signing secret? Receivers must be updated with the new secret.')) return;
+
+    const data = await runAction(() => webhookService.rotateSecret(webhook._id), 'Failed to rotate secret');
+    if (data) setNewSecret(data.secret);
+  };
+
+  const deleteWebhook = async (webhook) => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url}?`)) return;
+
+    const data = await runAction(() => webhookService.deleteWebhook(webhook._id), 'Failed to delete webhook');
+    if (data) {
+      setWebhooks(prev => prev.filter(w => w._id !== webhook._id));
+      if (openWebhookId === webhook._id) setOpenWebhookId(null);
+    }
+  };
+
+  const toggleDeliveries = (webhook) => {
+    if (openWebhookId === webhook._id) {
+      setOpenWebhookId(null);
+      return;
+    }
+    setDeliveries([]);
+    setOpenWebhookId(webhook._id);
+    loadDeliveries(webhook._id);
+  };
+
+  const redeliver = async (webhook, delivery) => {
+    const data = await runAction(
+      () => webhookService.redeliver(webhook._id, delivery._id),
+      'Failed to redeliver event'
+    );
+    if (data) setTimeout(() => loadDeliveries(webhook._id), 1500);
+  };
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(newSecret);
+      toast.success('Signing secret copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy signing secret');
+    }
+  };
+
+  if (!currentWorkspace) return null;
+
+  return (
+    <ProfileCard>
+      <h3 style={{ marginBottom: '0.5rem', color: '#1e293b', fontSize: '1.25rem', fontWeight: '600' }}>
+        Webhooks
+      </h3>
+      <p style={{ marginBottom: '1.5rem', color: '#64748b', fontSize: '0.875rem' }}>
+        Receive a signed POST in your own systems when links in <strong>{currentWorkspace.name}</strong>{' '}
+        change. Verify the <code>X-Webhook-Signature</code> header with your signing secret.
+      </p>
+
+      {!isOwner ? (
+        <p style={{ color: '#64748b', fontSize: '0.875rem' }}>
+          Only workspace owners can manage webhooks.
+        </p>
+      ) : (
+        <>
+          <ProfileForm onSubmit={handleSubmit}>
+            {error && <ErrorMessage>{error}</ErrorMessage>}
+
+            <FormGroup>
+              <FormLabel htmlFor="webhookUrl">Endpoint URL</FormLabel>
+              <FormInput
+                type="url"
+                id="webhookUrl"
+                name="url"
+                value={formData.url}
+                onChange={handleInputChange}
+                placeholder="https://example.com/hooks/short-links"
+                maxLength="2048"
+              />
+            </FormGroup>
+
+            <FormGroup>
+              <FormLabel htmlFor="webhookDescription">Description (optional)</FormLabel>
+              <FormInput
+                type="text"
+                id="webhookDescription"
+                name="description"
+                value={formData.description}
+                onChange={handleInputChange}
+                placeholder="Analytics pipeline"
+                maxLength="200"
+              />
+            </FormGroup>
+
+            <FormGroup>
+              <FormLabel as="span">Events</FormLabel>
+              <EventOptions>
+                {Object.entries(EVENT_LABELS).map(([event, label]) => (
+                  <label key={event}>
+                    <input
+                      type="checkbox"
+                      checked={formData.events.includes(event)}
+                      onChange={() => toggleEvent(event)}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </EventOptions>
+            </FormGroup>
+
+            <SubmitButton type="submit" disabled={saving}>
+              {saving ? 'Creating...' : 'Add Webhook'}
+            </SubmitButton>
+          </ProfileForm>
+
+          {newSecret && (
+            <NewKeyBanner>
+              Copy your signing secret now. It will not be shown again.
+              <code>{newSecret}</code>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <SubmitButton type="button" onClick={copySecret}>
+                  Copy Secret
+                </SubmitButton>
+                <DangerButton type="button" variant="warning" onClick={() => setNewSecret(null)}>
+                  Done
+                </DangerButton>
+              </div>
+            </NewKeyBanner>
+          )}
+
+          {webhooks.length > 0 && (
+            <KeyList>
+              {webhooks.map(webhook => (
+                <KeyItem key={webhook._id} style={{ flexDirection: 'column', alignItems: 'stretch' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem', flexWrap: 'wrap' }}>
+                    <div style={{ minWidth: 0 }}>
+                      <code style={{ wordBreak: 'break-all' }}>{webhook.url}</code>{' '}
+                      <StatusBadge $status={webhook.isActive ? 'success' : 'inactive'}>
+                        {webhook.isActive ? 'active' : 'disabled'}
+                      </StatusBadge>
+                      <KeyMeta>
+                        {webhook.description && <span>{webhook.description}</span>}
+                        <span>{webhook.events.map(event => EVENT_LABELS[event] || event).join(', ')}</span>
+                      </KeyMeta>
+                    </div>
+                    <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'flex-start' }}>
+                      <TextButton type="button" onClick={() => toggleDeliveries(webhook)}>
+                        {openWebhookId === webhook._id ? 'Hide Deliveries' : 'Deliveries'}
+                      </TextButton>
+                      <TextButton type="button" onClick={() => sendTest(webhook)} disabled={!webhook.isActive}>
+                        Send Test
+                      </TextButton>
+                      <TextButton type="button" onClick={() => toggleActive(webhook)}>
+                        {webhook.isActive ? 'Disable' : 'Enable'}
+                      </TextButton>
+                      <TextButton type="button" onClick={() => rotateSecret(webhook)}>
+                        Rotate Secret
+                      </TextButton>
+                      <TextButton type="button" $danger onClick={() => deleteWebhook(webhook)}>
+                        Delete
+                      </TextButton>
+                    </div>
+                  </div>
+
+                  {openWebhookId === webhook._id && (
+                    <DeliveryList>
+                      {deliveries.length === 0 ? (
+                        <KeyMeta>No deliveries yet.</KeyMeta>
+                      ) : (
+                        deliveries.map(delivery => (
+                          <DeliveryItem key={delivery._id}>
+                            <div style={{ minWidth: 0 }}>
+                              <strong>{delivery.event}</strong>{' '}
+                              <StatusBadge $status={delivery.status}>{delivery.status}</StatusBadge>
+                              <small>
+                                {formatDate(delivery.createdAt)} · {delivery.attempts} attempt
+                                {delivery.attempts === 1 ? '' : 's'} · {describeDelivery(delivery)}
+                              </small>
+                            </div>
+                            {['success', 'failed'].includes(delivery.status) && (
+                              <TextButton
+                                type="button"
+                                onClick={() => redeliver(webhook, delivery)}
+                                disabled={!webhook.isActive}
+                              >
+                                Redeliver
+                              </TextButton>
+                            )}
+                          </DeliveryItem>
+                        ))
+                      )}
+                    </DeliveryList>
+                  )}
+                </KeyItem>
+              ))}
+            </KeyList>
+          )}
+        </>
+      )}
+    </ProfileCard>
+  );
+};
+
+export default WebhooksCard;
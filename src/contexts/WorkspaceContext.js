@@ -0,0 +1,88 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { workspaceService } from '../services/api';
+
+const WorkspaceContext = createContext();
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+export const useWorkspace = () => {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspace must be used within a WorkspaceProvider');
+  }
+  return context;
+};
+
+export const WorkspaceProvider = ({ children }) => {
+  const { user, loading: authLoading } = useAuth();
+  const [workspaces, setWorkspaces] = useState([]);
+  const [currentWorkspaceId, setCurrentWorkspaceId] = useState(localStorage.getItem('workspaceId'));
+  const [loading, setLoading] = useState(true);
+
+  const selectWorkspace = useCallback((workspaceId) => {
+    if (workspaceId) {
+      localStorage.setItem('workspaceId', workspaceId);
+    } else {
+      localStorage.removeItem('workspaceId');
+    }
+    setCurrentWorkspaceId(workspaceId);
+  }, []);
+
+  const loadWorkspaces = useCallback(async () => {
+    if (!user) {
+      setWorkspaces([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const response = await workspaceService.getWorkspaces();
+      if (response.data.success) {
+        const list = response.data.data.workspaces;
+        setWorkspaces(list);
+
+        // Fall back to the personal workspace if the stored one is gone
+        const storedId = localStorage.getItem('workspaceId');
+        if (!list.some(workspace => workspace.id === storedId)) {
+          const personal = list.find(workspace => workspace.isPersonal) || list[0];
+          selectWorkspace(personal ? personal.id : null);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading workspaces:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [user, selectWorkspace]);
+
+  useEffect(() => {
+    loadWorkspaces();
+  }, [loadWorkspaces]);
+
+  // Forget the selection on logout so the next user starts in their own workspace
+  useEffect(() => {
+    if (!authLoading && !user && localStorage.getItem('workspaceId')) {
+      selectWorkspace(null);
+    }
+  }, [authLoading, user, selectWorkspace]);
+
+  const currentWorkspace = workspaces.find(workspace => workspace.id === currentWorkspaceId) || null;
+  const hasRole = (minRole) => (ROLE_RANK[currentWorkspace?.role] || 0) >= ROLE_RANK[minRole];
+
+  const value = {
+    workspaces,
+    currentWorkspace,
+    loading,
+    canEdit: hasRole('editor'),
+    isOwner: hasRole('owner'),
+    selectWorkspace,
+    reloadWorkspaces: loadWorkspaces
+  };
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
@@ -4,6 +4,7 @@ import { BrowserRouter } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import App from './App';
 import { AuthProvider } from './contexts/AuthContext';
+import { WorkspaceProvider } from './contexts/WorkspaceContext';
 import { GlobalStyles } from './styles/GlobalStyles';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -11,8 +12,10 @@ root.render(
   <React.StrictMode>
     <BrowserRouter>
       <AuthProvider>
-        <GlobalStyles />
-        <App />
+        <WorkspaceProvider>
+          <GlobalStyles />
+          <App />
+        </WorkspaceProvider>
         <Toaster
           position="top-right"
           toastOptions={{
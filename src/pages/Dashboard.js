@@ -1,7 +1,14 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { urlService } from '../services/api';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { urlService, domainService } from '../services/api';
 import toast from 'react-hot-toast';
+import EditUrlModal from '../components/EditUrlModal';
+import UrlHistoryModal from '../components/UrlHistoryModal';
+import BulkImport from '../components/BulkImport';
+import UtmBuilder, { EMPTY_UTM, toUtmPayload } from '../components/UtmBuilder';
+import { downloadBlob } from '../utils/download';
 import {
   DashboardContainer,
   DashboardHeader,
@@ -13,7 +20,10 @@ import {
   FormInput,
   FormTextarea,
   FormRow,
+  FormCheckbox,
+  CheckboxLabel,
   SubmitButton,
+  SecondaryButton,
   UrlsSection,
   UrlsHeader,
   UrlsTable,
@@ -33,6 +43,8 @@ import {
 
 const Dashboard = () => {
   const { user } = useAuth();
+  const { currentWorkspace, canEdit } = useWorkspace();
+  const navigate = useNavigate();
   const [urls, setUrls] = useState([]);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
@@ -41,14 +53,24 @@ const Dashboard = () => {
   const [search, setSearch] = useState('');
   const [sortBy, setSortBy] = useState('createdAt');
   const [sortOrder, setSortOrder] = useState('desc');
+  const [editingUrl, setEditingUrl] = useState(null);
+  const [historyUrl, setHistoryUrl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [domains, setDomains] = useState([]);
+  const [defaultDomain, setDefaultDomain] = useState('');
+  const [utm, setUtm] = useState(EMPTY_UTM);
   const [formData, setFormData] = useState({
     originalUrl: '',
+    domain: '',
     customCode: '',
     title: '',
     description: '',
+    activatesAt: '',
     expiresAt: '',
     maxClicks: '',
-    tags: ''
+    tags: '',
+    password: '',
+    showInterstitial: false
   });
 
   // Load URLs
@@ -77,13 +99,33 @@ const Dashboard = () => {
 
   useEffect(() => {
     loadUrls();
-  }, [search, sortBy, sortOrder]);
+  }, [search, sortBy, sortOrder, currentWorkspace?.id]);
+
+  // Load the workspace's verified custom domains for the create form
+  useEffect(() => {
+    if (!currentWorkspace?.id) return;
+
+    const loadDomains = async () => {
+      try {
+        const response = await domainService.getDomains();
+        if (response.data.success) {
+          setDomains(response.data.data.domains.filter(domain => domain.isVerified));
+          setDefaultDomain(response.data.data.defaultDomain);
+        }
+      } catch (error) {
+        console.error('Error loading domains:', error);
+      }
+    };
+
+    setFormData(prev => ({ ...prev, domain: '' }));
+    loadDomains();
+  }, [currentWorkspace?.id]);
 
   const handleInputChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
   };
 
@@ -100,12 +142,17 @@ const Dashboard = () => {
     try {
       const urlData = {
         originalUrl: formData.originalUrl,
+        domain: formData.domain || undefined,
         customCode: formData.customCode || undefined,
         title: formData.title || undefined,
         description: formData.description || undefined,
-        expiresAt: formData.expiresAt || undefined,
+        activatesAt: formData.activatesAt ? new Date(formData.activatesAt).toISOString() : undefined,
+        expiresAt: formData.expiresAt ? new Date(formData.expiresAt).toISOString() : undefined,
         maxClicks: formData.maxClicks ? parseInt(formData.maxClicks) : undefined,
-        tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()) : undefined
+        tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()) : undefined,
+        password: formData.password || undefined,
+        showInterstitial: formData.showInterstitial,
+        utm: toUtmPayload(utm)
       };
 
       const response = await urlService.createShortUrl(urlData);
@@ -114,13 +161,18 @@ const Dashboard = () => {
         toast.success('URL shortened successfully!');
         setFormData({
           originalUrl: '',
+          domain: formData.domain,
           customCode: '',
           title: '',
           description: '',
+          activatesAt: '',
           expiresAt: '',
           maxClicks: '',
-          tags: ''
+          tags: '',
+          password: '',
+          showInterstitial: false
         });
+        setUtm(EMPTY_UTM);
         loadUrls(currentPage);
       } else {
         toast.error(response.data.message || 'Failed to shorten URL');
@@ -138,6 +190,27 @@ const Dashboard = () => {
     toast.success('Copied to clipboard!');
   };
 
+  const downloadQRCode = async (url, format = 'png') => {
+    try {
+      const response = await urlService.getQRCode(url._id, { format, size: 512 });
+      downloadBlob(response.data, `${url.shortCode}-qr.${format}`);
+    } catch (error) {
+      toast.error('Failed to download QR code');
+    }
+  };
+
+  const exportUrls = async (format) => {
+    try {
+      setExporting(true);
+      const response = await urlService.exportUrls({ format });
+      downloadBlob(response.data, `urls.${format}`);
+    } catch (error) {
+      toast.error('Failed to export URLs');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const deleteUrl = async (urlId) => {
     if (!window.confirm('Are you sure you want to delete this URL?')) return;
 
@@ -164,6 +237,37 @@ const Dashboard = () => {
     }
   };
 
+  // Apply the edit to the row straight away and roll back if the server rejects it
+  const saveUrl = async (urlId, updateData) => {
+    const previousUrls = urls;
+    const { password, ...fields } = updateData;
+    const optimisticFields = password === undefined
+      ? fields
+      : { ...fields, isPasswordProtected: !!password };
+
+    setUrls(prev => prev.map(url => (url._id === urlId ? { ...url, ...optimisticFields } : url)));
+
+    try {
+      const response = await urlService.updateUrl(urlId, updateData);
+      if (response.data.success) {
+        const updatedUrl = response.data.data.url;
+        setUrls(prev => prev.map(url => (url._id === urlId ? updatedUrl : url)));
+        toast.success('URL updated successfully');
+        return { success: true };
+      }
+
+      setUrls(previousUrls);
+      return { success: false, message: response.data.message };
+    } catch (error) {
+      setUrls(previousUrls);
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to update URL',
+        errors: error.response?.data?.errors
+      };
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -174,6 +278,15 @@ const Dashboard = () => {
     });
   };
 
+  // Active links still waiting for their activation date show as scheduled
+  const getStatus = (url) => {
+    if (!url.isActive) return { label: 'Inactive', background: '#fef2f2', color: '#dc2626' };
+    if (url.activatesAt && new Date(url.activatesAt) > new Date()) {
+      return { label: 'Scheduled', background: '#fef3c7', color: '#92400e', title: `Activates ${formatDate(url.activatesAt)}` };
+    }
+    return { label: 'Active', background: '#dcfce7', color: '#166534' };
+  };
+
   const truncateUrl = (url, maxLength = 50) => {
     if (url.length <= maxLength) return url;
     return url.substring(0, maxLength) + '...';
@@ -184,76 +297,111 @@ const Dashboard = () => {
       <DashboardHeader>
         <div>
           <DashboardTitle>Welcome back, {user?.username}!</DashboardTitle>
-          <DashboardSubtitle>Manage your shortened URLs and track their performance</DashboardSubtitle>
+          <DashboardSubtitle>
+            Manage your shortened URLs and track their performance
+            {currentWorkspace && !currentWorkspace.isPersonal && ` in ${currentWorkspace.name}`}
+            {currentWorkspace && !canEdit && ' (view only)'}
+          </DashboardSubtitle>
         </div>
       </DashboardHeader>
 
-      <UrlShortenerForm onSubmit={handleSubmit}>
-        <h3 style={{ marginBottom: '1.5rem', color: '#1e293b', fontSize: '1.5rem', fontWeight: '600' }}>
-          Create New Short URL
-        </h3>
+      {canEdit && (
+        <UrlShortenerForm onSubmit={handleSubmit}>
+          <h3 style={{ marginBottom: '1.5rem', color: '#1e293b', fontSize: '1.5rem', fontWeight: '600' }}>
+            Create New Short URL
+          </h3>
         
-        <FormGroup>
-          <FormLabel htmlFor="originalUrl">Long URL *</FormLabel>
-          <FormInput
-            type="url"
-            id="originalUrl"
-            name="originalUrl"
-            value={formData.originalUrl}
-            onChange={handleInputChange}
-            placeholder="https://example.com/very-long-url"
-            required
-          />
-        </FormGroup>
-
-        <FormRow>
           <FormGroup>
-            <FormLabel htmlFor="customCode">Custom Code</FormLabel>
+            <FormLabel htmlFor="originalUrl">Long URL *</FormLabel>
             <FormInput
-              type="text"
-              id="customCode"
-              name="customCode"
-              value={formData.customCode}
+              type="url"
+              id="originalUrl"
+              name="originalUrl"
+              value={formData.originalUrl}
               onChange={handleInputChange}
-              placeholder="my-custom-link"
+              placeholder="https://example.com/very-long-url"
+              required
             />
           </FormGroup>
+
+          {domains.length > 0 && (
+            <FormGroup>
+              <FormLabel htmlFor="domain">Domain</FormLabel>
+              <FormInput
+                as="select"
+                id="domain"
+                name="domain"
+                value={formData.domain}
+                onChange={handleInputChange}
+              >
+                <option value="">{defaultDomain}</option>
+                {domains.map(domain => (
+                  <option key={domain._id} value={domain.hostname}>{domain.hostname}</option>
+                ))}
+              </FormInput>
+            </FormGroup>
+          )}
+
+          <FormRow>
+            <FormGroup>
+              <FormLabel htmlFor="customCode">Custom Code</FormLabel>
+              <FormInput
+                type="text"
+                id="customCode"
+                name="customCode"
+                value={formData.customCode}
+                onChange={handleInputChange}
+                placeholder="my-custom-link"
+              />
+            </FormGroup>
+            <FormGroup>
+              <FormLabel htmlFor="title">Title</FormLabel>
+              <FormInput
+                type="text"
+                id="title"
+                name="title"
+                value={formData.title}
+                onChange={handleInputChange}
+                placeholder="My awesome link"
+              />
+            </FormGroup>
+          </FormRow>
+
           <FormGroup>
-            <FormLabel htmlFor="title">Title</FormLabel>
-            <FormInput
-              type="text"
-              id="title"
-              name="title"
-              value={formData.title}
-              onChange={handleInputChange}
-              placeholder="My awesome link"
-            />
-          </FormGroup>
-        </FormRow>
-
-        <FormGroup>
-          <FormLabel htmlFor="description">Description</FormLabel>
-          <FormTextarea
-            id="description"
-            name="description"
-            value={formData.description}
-            onChange={handleInputChange}
-            placeholder="Brief description of your link"
-            rows="2"
-          />
-        </FormGroup>
-
-        <FormRow>
-          <FormGroup>
-            <FormLabel htmlFor="expiresAt">Expires At</FormLabel>
-            <FormInput
-              type="datetime-local"
-              id="expiresAt"
-              name="expiresAt"
-              value={formData.expiresAt}
+            <FormLabel htmlFor="description">Description</FormLabel>
+            <FormTextarea
+              id="description"
+              name="description"
+              value={formData.description}
               onChange={handleInputChange}
+              placeholder="Brief description of your link"
+              rows="2"
             />
           </FormGroup>
+
+          <FormRow>
+            <FormGroup>
+              <FormLabel htmlFor="activatesAt">Activates At</FormLabel>
+              <FormInput
+                type="datetime-local"
+                id="activatesAt"
+                name="activatesAt"
+                value={formData.activatesAt}
+                onChange={handleInputChange}
+              />
+            </FormGroup>
+            <FormGroup>
+              <FormLabel htmlFor="expiresAt">Expires At</FormLabel>
+              <FormInput
+                type="datetime-local"
+                id="expiresAt"
+                name="expiresAt"
+                value={formData.expiresAt}
+                onChange={handleInputChange}
+              />
+            </FormGroup>
+          </FormRow>
+
           <FormGroup>
             <FormLabel htmlFor="maxClicks">Max Clicks</FormLabel>
             <FormInput
@@ -266,24 +414,55 @@ const Dashboard = () => {
               min="1"
             />
           </FormGroup>
-        </FormRow>
-
-        <FormGroup>
-          <FormLabel htmlFor="tags">Tags (comma-separated)</FormLabel>
-          <FormInput
-            type="text"
-            id="tags"
-            name="tags"
-            value={formData.tags}
-            onChange={handleInputChange}
-            placeholder="marketing, social-media, campaign"
-          />
-        </FormGroup>
-
-        <SubmitButton type="submit" disabled={submitting}>
-          {submitting ? 'Creating...' : 'Create Short URL'}
-        </SubmitButton>
-      </UrlShortenerForm>
+
+          <FormGroup>
+            <FormLabel htmlFor="tags">Tags (comma-separated)</FormLabel>
+            <FormInput
+              type="text"
+              id="tags"
+              name="tags"
+              value={formData.tags}
+              onChange={handleInputChange}
+              placeholder="marketing, social-media, campaign"
+            />
+          </FormGroup>
+
+          <UtmBuilder value={utm} onChange={setUtm} originalUrl={formData.originalUrl} />
+
+          <FormGroup>
+            <FormLabel htmlFor="password">Password</FormLabel>
+            <FormInput
+              type="password"
+              id="password"
+              name="password"
+              value={formData.password}
+              onChange={handleInputChange}
+              placeholder="Leave empty for a public link"
+              minLength="4"
+              autoComplete="new-password"
+            />
+          </FormGroup>
+
+          <FormGroup>
+            <CheckboxLabel htmlFor="showInterstitial">
+              <FormCheckbox
+                type="checkbox"
+                id="showInterstitial"
+                name="showInterstitial"
+                checked={formData.showInterstitial}
+                onChange={handleInputChange}
+              />
+              Show a "you are leaving" warning page before redirecting
+            </CheckboxLabel>
+          </FormGroup>
+
+          <SubmitButton type="submit" disabled={submitting}>
+            {submitting ? 'Creating...' : 'Create Short URL'}
+          </SubmitButton>
+        </UrlShortenerForm>
+      )}
+
+      {canEdit && <BulkImport onImported={() => loadUrls(1)} />}
 
       <UrlsSection>
         <UrlsHeader>
@@ -312,6 +491,12 @@ const Dashboard = () => {
               <option value="desc">Newest First</option>
               <option value="asc">Oldest First</option>
             </FilterSelect>
+            <SecondaryButton type="button" onClick={() => exportUrls('csv')} disabled={exporting}>
+              Export CSV
+            </SecondaryButton>
+            <SecondaryButton type="button" onClick={() => exportUrls('ndjson')} disabled={exporting}>
+              Export NDJSON
+            </SecondaryButton>
           </div>
         </UrlsHeader>
 
@@ -340,6 +525,9 @@ const Dashboard = () => {
                     <UrlCell>
                       <div>
                         <strong>{url.shortCode}</strong>
+                        {url.isPasswordProtected && (
+                          <span title="Password protected" style={{ marginLeft: '0.5rem' }}>🔒</span>
+                        )}
                         <br />
                         <small style={{ color: '#64748b' }}>{url.shortUrl}</small>
                       </div>
@@ -348,27 +536,47 @@ const Dashboard = () => {
                       <div title={url.originalUrl}>
                         {truncateUrl(url.originalUrl)}
                       </div>
+                      {url.targetingRules?.length > 0 && (
+                        <small style={{ color: '#64748b' }}>
+                          🎯 {url.targetingRules.length} targeting rule{url.targetingRules.length === 1 ? '' : 's'}
+                        </small>
+                      )}
+                      {url.variants?.length > 0 && (
+                        <small style={{ color: '#64748b', display: 'block' }}>
+                          🔀 A/B test · {url.variants.length} variants
+                        </small>
+                      )}
                     </TableCell>
                     <TableCell>
                       {url.title || '-'}
                     </TableCell>
                     <TableCell>
                       <strong style={{ color: '#3b82f6' }}>{url.clicks}</strong>
+                      <br />
+                      <small style={{ color: '#64748b' }}>{url.uniqueVisitors || 0} visitors</small>
                     </TableCell>
                     <TableCell>
                       {formatDate(url.createdAt)}
                     </TableCell>
                     <TableCell>
-                      <span style={{
-                        padding: '0.25rem 0.5rem',
-                        borderRadius: '0.25rem',
-                        fontSize: '0.75rem',
-                        fontWeight: '600',
-                        background: url.isActive ? '#dcfce7' : '#fef2f2',
-                        color: url.isActive ? '#166534' : '#dc2626'
-                      }}>
-                        {url.isActive ? 'Active' : 'Inactive'}
+                      <span
+                        title={getStatus(url).title}
+                        style={{
+                          padding: '0.25rem 0.5rem',
+                          borderRadius: '0.25rem',
+                          fontSize: '0.75rem',
+                          fontWeight: '600',
+                          background: getStatus(url).background,
+                          color: getStatus(url).color
+                        }}
+                      >
+                        {getStatus(url).label}
                       </span>
+                      {url.scheduledDestinations?.length > 0 && (
+                        <small style={{ color: '#64748b', display: 'block', marginTop: '0.25rem' }}>
+                          🕒 {url.scheduledDestinations.length} destination change{url.scheduledDestinations.length === 1 ? '' : 's'} queued
+                        </small>
+                      )}
                     </TableCell>
                     <TableCell>
                       <ActionGroup>
@@ -379,17 +587,47 @@ const Dashboard = () => {
                           Copy
                         </ActionButton>
                         <ActionButton
-                          onClick={() => toggleUrlStatus(url._id, url.isActive)}
-                          style={{ background: url.isActive ? '#f59e0b' : '#10b981' }}
+                          onClick={() => downloadQRCode(url)}
+                          style={{ background: '#8b5cf6' }}
+                        >
+                          QR Code
+                        </ActionButton>
+                        {canEdit && (
+                          <ActionButton
+                            onClick={() => setEditingUrl(url)}
+                            style={{ background: '#64748b' }}
+                          >
+                            Edit
+                          </ActionButton>
+                        )}
+                        <ActionButton
+                          onClick={() => navigate(`/statistics/${url._id}`)}
+                          style={{ background: '#10b981' }}
                         >
-                          {url.isActive ? 'Deactivate' : 'Activate'}
+                          Stats
                         </ActionButton>
                         <ActionButton
-                          onClick={() => deleteUrl(url._id)}
-                          style={{ background: '#ef4444' }}
+                          onClick={() => setHistoryUrl(url)}
+                          style={{ background: '#0ea5e9' }}
                         >
-                          Delete
+                          History
                         </ActionButton>
+                        {canEdit && (
+                          <>
+                            <ActionButton
+                              onClick={() => toggleUrlStatus(url._id, url.isActive)}
+                              style={{ background: url.isActive ? '#f59e0b' : '#10b981' }}
+                            >
+                              {url.isActive ? 'Deactivate' : 'Activate'}
+                            </ActionButton>
+                            <ActionButton
+                              onClick={() => deleteUrl(url._id)}
+                              style={{ background: '#ef4444' }}
+                            >
+                              Delete
+                            </ActionButton>
+                          </>
+                        )}
                       </ActionGroup>
                     </TableCell>
                   </TableRow>
@@ -419,6 +657,23 @@ const Dashboard = () => {
           </>
         )}
       </UrlsSection>
+
+      {editingUrl && (
+        <EditUrlModal
+          url={editingUrl}
+          onSave={saveUrl}
+          onClose={() => setEditingUrl(null)}
+        />
+      )}
+
+      {historyUrl && (
+        <UrlHistoryModal
+          url={historyUrl}
+          canRestore={canEdit}
+          onRestored={(restoredUrl) => setUrls(prev => prev.map(url => (url._id === restoredUrl._id ? restoredUrl : url)))}
+          onClose={() => setHistoryUrl(null)}
+        />
+      )}
     </DashboardContainer>
   );
 };
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { urlService } from '../services/api';
 import toast from 'react-hot-toast';
+import UtmBuilder, { EMPTY_UTM, toUtmPayload } from '../components/UtmBuilder';
 import {
   HeroSection,
   HeroContent,
@@ -42,6 +43,7 @@ const Home = () => {
     maxClicks: '',
     tags: ''
   });
+  const [utm, setUtm] = useState(EMPTY_UTM);
   const [isLoading, setIsLoading] = useState(false);
   const [shortenedUrl, setShortenedUrl] = useState(null);
 
@@ -71,7 +73,8 @@ const Home = () => {
         description: formData.description || undefined,
         expiresAt: formData.expiresAt || undefined,
         maxClicks: formData.maxClicks ? parseInt(formData.maxClicks) : undefined,
-        tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()) : undefined
+        tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()) : undefined,
+        utm: toUtmPayload(utm)
       };
 
       const response = await urlService.createShortUrl(urlData);
@@ -90,6 +93,7 @@ const Home = () => {
           maxClicks: '',
           tags: ''
         });
+        setUtm(EMPTY_UTM);
       } else {
         toast.error(response.data.message || 'Failed to shorten URL');
       }
@@ -208,6 +212,8 @@ const Home = () => {
               />
             </FormGroup>
 
+            <UtmBuilder value={utm} onChange={setUtm} originalUrl={formData.originalUrl} />
+
             <SubmitButton type="submit" disabled={isLoading}>
               {isLoading ? 'Shortening...' : 'Shorten URL'}
             </SubmitButton>
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
+import ApiKeysCard from '../components/ApiKeysCard';
+import WebhooksCard from '../components/WebhooksCard';
 import {
   ProfileContainer,
   ProfileHeader,
@@ -188,6 +190,10 @@ const Profile = () => {
         </ProfileForm>
       </ProfileCard>
 
+      <ApiKeysCard />
+
+      <WebhooksCard />
+
       <DangerZone>
         <DangerTitle>Danger Zone</DangerTitle>
         <DangerDescription>
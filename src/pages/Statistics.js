@@ -1,6 +1,14 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
 import { statsService } from '../services/api';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { downloadBlob } from '../utils/download';
+import DeviceBreakdown from '../components/DeviceBreakdown';
+import LiveClicks from '../components/LiveClicks';
+import DateRangePicker from '../components/DateRangePicker';
+import ClicksOverTimeChart from '../components/ClicksOverTimeChart';
+import { GRANULARITY_LABELS, TIMEZONE, getRangeBounds } from '../utils/dateRange';
 import {
   StatsContainer,
   StatsHeader,
@@ -24,31 +32,75 @@ import {
   CountryClicks,
   LoadingSpinner,
   ErrorMessage,
-  RefreshButton
+  RefreshButton,
+  ExportBar,
+  ToggleLabel,
+  Delta,
+  ChartTitleRow
 } from '../styles/StatisticsStyles';
 
+const CAMPAIGN_GROUPS = {
+  campaign: 'Campaign',
+  source: 'Source',
+  medium: 'Medium'
+};
+
+// Change against the previous period, shown in compare mode
+const DeltaBadge = ({ current, previous }) => {
+  if (previous === undefined) return null;
+  if (previous === 0) {
+    return current > 0 ? <Delta $trend="up">new</Delta> : null;
+  }
+
+  const change = Math.round(((current - previous) / previous) * 100);
+  const trend = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+  const arrow = { up: '▲', down: '▼', flat: '' }[trend];
+
+  return (
+    <Delta $trend={trend} title={`${previous} in the previous period`}>
+      {arrow} {Math.abs(change)}%
+    </Delta>
+  );
+};
+
 const Statistics = () => {
+  const { currentWorkspace } = useWorkspace();
   const navigate = useNavigate();
   const [overview, setOverview] = useState(null);
   const [topUrls, setTopUrls] = useState([]);
-  const [clicksByDay, setClicksByDay] = useState([]);
+  const [clicksOverTime, setClicksOverTime] = useState([]);
   const [clicksByCountry, setClicksByCountry] = useState([]);
   const [clicksByReferer, setClicksByReferer] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [range, setRange] = useState({ preset: '30d', from: '', to: '', granularity: 'day' });
+  const [compare, setCompare] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [campaignGroupBy, setCampaignGroupBy] = useState('campaign');
+  const [campaignGroups, setCampaignGroups] = useState([]);
+  const [includeBots, setIncludeBots] = useState(false);
+
+  // Preset ranges end "now" as of when the range was picked
+  const rangeBounds = useMemo(() => getRangeBounds(range), [range]);
 
-  const loadStatistics = async () => {
+  const loadStatistics = useCallback(async () => {
     try {
       setLoading(true);
       setError('');
       
-      const response = await statsService.getOverview();
+      const response = await statsService.getOverview({
+        ...rangeBounds,
+        granularity: range.granularity,
+        timezone: TIMEZONE,
+        compare,
+        includeBots
+      });
       
       if (response.data.success) {
         const data = response.data.data;
         setOverview(data.overview);
         setTopUrls(data.topUrls);
-        setClicksByDay(data.clicksByDay);
+        setClicksOverTime(data.clicksOverTime);
         setClicksByCountry(data.clicksByCountry);
         setClicksByReferer(data.clicksByReferer);
       } else {
@@ -60,11 +112,40 @@ const Statistics = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [rangeBounds, range.granularity, compare, includeBots]);
 
   useEffect(() => {
     loadStatistics();
-  }, []);
+  }, [currentWorkspace?.id, loadStatistics]);
+
+  useEffect(() => {
+    const loadCampaignStats = async () => {
+      try {
+        const response = await statsService.getCampaignStats({ groupBy: campaignGroupBy, ...rangeBounds, includeBots });
+        if (response.data.success) {
+          setCampaignGroups(response.data.data.groups);
+        }
+      } catch (error) {
+        console.error('Campaign statistics error:', error);
+      }
+    };
+
+    loadCampaignStats();
+  }, [currentWorkspace?.id, campaignGroupBy, rangeBounds, includeBots]);
+
+  const exportClicks = async (format) => {
+    const params = { format, ...rangeBounds, includeBots };
+
+    try {
+      setExporting(true);
+      const response = await statsService.exportClicks(params);
+      downloadBlob(response.data, `clicks.${format}`);
+    } catch (error) {
+      toast.error('Failed to export clicks');
+    } finally {
+      setExporting(false);
+    }
+  };
 
   const formatNumber = (num) => {
     if (num >= 1000000) {
@@ -75,19 +156,13 @@ const Statistics = () => {
     return num.toString();
   };
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric'
-    });
-  };
-
   const truncateUrl = (url, maxLength = 40) => {
     if (url.length <= maxLength) return url;
     return url.substring(0, maxLength) + '...';
   };
 
-  if (loading) {
+  // Keep the page (and the range picker) on screen while a new range loads
+  if (loading && !overview) {
     return (
       <StatsContainer>
         <LoadingSpinner>Loading statistics...</LoadingSpinner>
@@ -112,6 +187,31 @@ const Statistics = () => {
       <StatsHeader>
         <StatsTitle>Analytics Dashboard</StatsTitle>
         <StatsSubtitle>Track your URL performance and user engagement</StatsSubtitle>
+        <DateRangePicker value={range} onChange={setRange} />
+        <ExportBar>
+          <RefreshButton onClick={() => exportClicks('csv')} disabled={exporting}>
+            Export Clicks CSV
+          </RefreshButton>
+          <RefreshButton onClick={() => exportClicks('ndjson')} disabled={exporting}>
+            Export Clicks NDJSON
+          </RefreshButton>
+        </ExportBar>
+        <ToggleLabel>
+          <input
+            type="checkbox"
+            checked={compare}
+            onChange={(e) => setCompare(e.target.checked)}
+          />
+          Compare to previous period
+        </ToggleLabel>
+        <ToggleLabel>
+          <input
+            type="checkbox"
+            checked={includeBots}
+            onChange={(e) => setIncludeBots(e.target.checked)}
+          />
+          Include bot and crawler traffic
+        </ToggleLabel>
       </StatsHeader>
 
       {overview && (
@@ -135,25 +235,51 @@ const Statistics = () => {
             <div>
               <CardTitle>Total Clicks</CardTitle>
               <CardValue>{formatNumber(overview.totalClicks)}</CardValue>
+              {overview.botClicks > 0 && (
+                <div style={{ fontSize: '0.75rem', color: '#94a3b8' }}>
+                  {formatNumber(overview.botClicks)} bot clicks {includeBots ? 'included' : 'excluded'}
+                </div>
+              )}
+            </div>
+          </OverviewCard>
+          <OverviewCard>
+            <CardIcon>🧑</CardIcon>
+            <div>
+              <CardTitle>Unique Visitors</CardTitle>
+              <CardValue>{formatNumber(overview.totalVisitors)}</CardValue>
+              <div style={{ fontSize: '0.75rem', color: '#94a3b8' }}>
+                {formatNumber(overview.recentVisitors)} in this period
+                <DeltaBadge current={overview.recentVisitors} previous={overview.previousVisitors} />
+              </div>
             </div>
           </OverviewCard>
           <OverviewCard>
             <CardIcon>📈</CardIcon>
             <div>
-              <CardTitle>Recent Clicks (30d)</CardTitle>
-              <CardValue>{formatNumber(overview.recentClicks)}</CardValue>
+              <CardTitle>Clicks in Period</CardTitle>
+              <CardValue>
+                {formatNumber(overview.recentClicks)}
+                <DeltaBadge current={overview.recentClicks} previous={overview.previousClicks} />
+              </CardValue>
             </div>
           </OverviewCard>
         </OverviewCards>
       )}
 
       <ChartsSection>
+        <LiveClicks includeBots={includeBots} />
+
         <ChartCard>
-          <ChartTitle>Top Performing URLs</ChartTitle>
+          <ChartTitle>Top Performing URLs in Period</ChartTitle>
           {topUrls.length > 0 ? (
             <TopUrlsSection>
               {topUrls.map((url, index) => (
-                <TopUrlItem key={url._id}>
+                <TopUrlItem
+                  key={url._id}
+                  onClick={() => navigate(`/statistics/${url._id}`)}
+                  style={{ cursor: 'pointer' }}
+                  title="View link statistics"
+                >
                   <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
                     <span style={{
                       background: '#3b82f6',
@@ -182,7 +308,10 @@ const Statistics = () => {
                     <strong style={{ color: '#3b82f6', fontSize: '1.25rem' }}>
                       {formatNumber(url.clicks)}
                     </strong>
-                    <span style={{ fontSize: '0.875rem', color: '#64748b' }}>clicks</span>
+                    <DeltaBadge current={url.clicks} previous={url.previousClicks} />
+                    <span style={{ fontSize: '0.875rem', color: '#64748b' }}>
+                      clicks · {formatNumber(url.uniqueVisitors || 0)} visitors
+                    </span>
                   </UrlClicks>
                 </TopUrlItem>
               ))}
@@ -213,6 +342,7 @@ const Statistics = () => {
                     }} />
                     <span style={{ fontSize: '0.875rem', color: '#64748b' }}>
                       {formatNumber(country.clicks)} clicks
+                      <DeltaBadge current={country.clicks} previous={country.previousClicks} />
                     </span>
                   </CountryClicks>
                 </CountryItem>
@@ -244,6 +374,7 @@ const Statistics = () => {
                     }} />
                     <span style={{ fontSize: '0.875rem', color: '#64748b' }}>
                       {formatNumber(referer.clicks)} clicks
+                      <DeltaBadge current={referer.clicks} previous={referer.previousClicks} />
                     </span>
                   </CountryClicks>
                 </CountryItem>
@@ -256,44 +387,58 @@ const Statistics = () => {
           )}
         </ChartCard>
 
+        <DeviceBreakdown includeBots={includeBots} from={rangeBounds.from} to={rangeBounds.to} />
+
         <ChartCard>
-          <ChartTitle>Clicks Over Time (Last 30 Days)</ChartTitle>
-          {clicksByDay.length > 0 ? (
-            <div style={{ padding: '1rem' }}>
-              <div style={{ 
-                display: 'flex', 
-                alignItems: 'end', 
-                gap: '0.5rem', 
-                height: '200px',
-                borderBottom: '2px solid #e2e8f0',
-                paddingBottom: '1rem'
-              }}>
-                {clicksByDay.map((day, index) => (
-                  <div key={index} style={{ 
-                    display: 'flex', 
-                    flexDirection: 'column', 
-                    alignItems: 'center',
-                    flex: 1
-                  }}>
-                    <div style={{
-                      background: 'linear-gradient(to top, #3b82f6, #60a5fa)',
-                      height: `${(day.clicks / Math.max(...clicksByDay.map(d => d.clicks))) * 150}px`,
-                      width: '100%',
-                      borderRadius: '4px 4px 0 0',
-                      marginBottom: '0.5rem',
-                      minHeight: '4px'
+          <ChartTitleRow>
+            UTM Campaigns
+            <select
+              value={campaignGroupBy}
+              onChange={(e) => setCampaignGroupBy(e.target.value)}
+              aria-label="Group campaign clicks by"
+            >
+              {Object.entries(CAMPAIGN_GROUPS).map(([value, label]) => (
+                <option key={value} value={value}>By {label.toLowerCase()}</option>
+              ))}
+            </select>
+          </ChartTitleRow>
+          {campaignGroups.length > 0 ? (
+            <CountryStats>
+              {campaignGroups.map(group => (
+                <CountryItem key={group.value || 'none'}>
+                  <CountryName>
+                    📣 {group.value || `(no ${campaignGroupBy})`}
+                    <span style={{ display: 'block', fontSize: '0.75rem', color: '#94a3b8' }}>
+                      {group.links} {group.links === 1 ? 'link' : 'links'}
+                    </span>
+                  </CountryName>
+                  <CountryClicks>
+                    <div style={{ 
+                      background: '#f59e0b', 
+                      height: '8px', 
+                      borderRadius: '4px',
+                      width: `${campaignGroups[0].clicks ? (group.clicks / campaignGroups[0].clicks) * 100 : 0}%`,
+                      marginBottom: '0.25rem'
                     }} />
-                    <span style={{ 
-                      fontSize: '0.75rem', 
-                      color: '#64748b',
-                      transform: 'rotate(-45deg)',
-                      whiteSpace: 'nowrap'
-                    }}>
-                      {formatDate(day.date)}
+                    <span style={{ fontSize: '0.875rem', color: '#64748b' }}>
+                      {formatNumber(group.clicks)} clicks
                     </span>
-                  </div>
-                ))}
-              </div>
+                  </CountryClicks>
+                </CountryItem>
+              ))}
+            </CountryStats>
+          ) : (
+            <div style={{ textAlign: 'center', padding: '2rem', color: '#64748b' }}>
+              No links with UTM parameters yet
+            </div>
+          )}
+        </ChartCard>
+
+        <ChartCard>
+          <ChartTitle>Clicks Over Time</ChartTitle>
+          {clicksOverTime.length > 0 ? (
+            <div style={{ padding: '1rem 0' }}>
+              <ClicksOverTimeChart data={clicksOverTime} granularity={range.granularity} />
               <div style={{ 
                 display: 'flex', 
                 justifyContent: 'space-between', 
@@ -301,13 +446,17 @@ const Statistics = () => {
                 fontSize: '0.875rem',
                 color: '#64748b'
               }}>
-                <span>Total: {formatNumber(clicksByDay.reduce((sum, day) => sum + day.clicks, 0))} clicks</span>
-                <span>Average: {formatNumber(Math.round(clicksByDay.reduce((sum, day) => sum + day.clicks, 0) / clicksByDay.length))} clicks/day</span>
+                <span>Total: {formatNumber(clicksOverTime.reduce((sum, item) => sum + item.clicks, 0))} clicks</span>
+                <span>Visitors: {formatNumber(clicksOverTime.reduce((sum, item) => sum + item.visitors, 0))}</span>
+                <span>
+                  {GRANULARITY_LABELS[range.granularity]} average:{' '}
+                  {formatNumber(Math.round(clicksOverTime.reduce((sum, item) => sum + item.clicks, 0) / clicksOverTime.length))} clicks
+                </span>
               </div>
             </div>
           ) : (
             <div style={{ textAlign: 'center', padding: '2rem', color: '#64748b' }}>
-              No click data available for the last 30 days
+              No click data available for this period
             </div>
           )}
         </ChartCard>
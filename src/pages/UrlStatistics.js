@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { statsService } from '../services/api';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import DeviceBreakdown from '../components/DeviceBreakdown';
+import DateRangePicker from '../components/DateRangePicker';
+import ClicksOverTimeChart from '../components/ClicksOverTimeChart';
+import { TIMEZONE, getRangeBounds } from '../utils/dateRange';
+import {
+  StatsContainer,
+  OverviewCards,
+  OverviewCard,
+  CardTitle,
+  CardValue,
+  CardIcon,
+  ChartsSection,
+  ChartCard,
+  ChartTitle,
+  LoadingSpinner,
+  ErrorMessage,
+  RefreshButton,
+  ToggleLabel
+} from '../styles/StatisticsStyles';
+import {
+  BackLink,
+  LinkHeader,
+  LinkMeta,
+  StatusPill,
+  WideChartCard,
+  ClicksTable,
+  TableScroll
+} from '../styles/UrlStatisticsStyles';
+
+const emptyStyle = { textAlign: 'center', padding: '2rem', color: '#64748b' };
+
+const BOT_REASON_LABELS = {
+  userAgent: 'crawler',
+  headRequest: 'HEAD request',
+  prefetch: 'prefetch',
+  repeatedHits: 'repeated hits'
+};
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const formatTime = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Horizontal bar chart of clicks per country or referer
+const ClicksBarChart = ({ data, color }) => {
+  if (data.length === 0) {
+    return <div style={emptyStyle}>No click data available</div>;
+  }
+
+  const chartData = data.slice(0, 10).map(item => ({ name: item._id, clicks: item.clicks }));
+
+  return (
+    <ResponsiveContainer width="100%" height={Math.max(160, chartData.length * 36)}>
+      <BarChart data={chartData} layout="vertical" margin={{ left: 16 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" horizontal={false} />
+        <XAxis type="number" allowDecimals={false} tick={{ fontSize: 12, fill: '#64748b' }} />
+        <YAxis type="category" dataKey="name" width={140} tick={{ fontSize: 12, fill: '#1e293b' }} />
+        <Tooltip formatter={(value) => [`${value} clicks`]} />
+        <Bar dataKey="clicks" fill={color} radius={[0, 4, 4, 0]} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Lift over the control, with how sure we are the difference is real
+const formatLift = (variant) => {
+  if (variant.isControl) return 'Control';
+  if (variant.lift === null) return '-';
+  const lift = `${variant.lift > 0 ? '+' : ''}${formatPercent(variant.lift)}`;
+  return variant.confidence === null ? lift : `${lift} (${Math.round(variant.confidence * 100)}% confidence)`;
+};
+
+const UrlStatistics = () => {
+  const { urlId } = useParams();
+  const navigate = useNavigate();
+  const { currentWorkspace } = useWorkspace();
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [range, setRange] = useState({ preset: '30d', from: '', to: '', granularity: 'day' });
+  const [includeBots, setIncludeBots] = useState(false);
+
+  const rangeBounds = useMemo(() => getRangeBounds(range), [range]);
+
+  const loadStats = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await statsService.getUrlStats(urlId, {
+        ...rangeBounds,
+        granularity: range.granularity,
+        timezone: TIMEZONE,
+        includeBots
+      });
+
+      if (response.data.success) {
+        setStats(response.data.data);
+      } else {
+        setError('Failed to load link statistics');
+      }
+    } catch (error) {
+      setError(error.response?.status === 404
+        ? 'This link does not exist in the current workspace'
+        : 'Failed to load link statistics');
+      console.error('Link statistics error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [urlId, rangeBounds, range.granularity, includeBots]);
+
+  useEffect(() => {
+    loadStats();
+  }, [currentWorkspace?.id, loadStats]);
+
+  const copyShortUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(stats.url.shortUrl);
+      toast.success('Short URL copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy short URL');
+    }
+  };
+
+  if (loading && !stats) {
+    return (
+      <StatsContainer>
+        <LoadingSpinner>Loading link statistics...</LoadingSpinner>
+      </StatsContainer>
+    );
+  }
+
+  if (error) {
+    return (
+      <StatsContainer>
+        <BackLink type="button" onClick={() => navigate('/dashboard')}>← Back to dashboard</BackLink>
+        <ErrorMessage>
+          <h3>Error Loading Link Statistics</h3>
+          <p>{error}</p>
+          <RefreshButton onClick={loadStats}>Try Again</RefreshButton>
+        </ErrorMessage>
+      </StatsContainer>
+    );
+  }
+
+  const { url, clicksOverTime, clicksByCountry, clicksByReferer, clicksByRule = [], variants = [], recentClicks } = stats;
+  const periodClicks = clicksOverTime.reduce((sum, item) => sum + item.clicks, 0);
+  const periodVisitors = clicksOverTime.reduce((sum, item) => sum + item.visitors, 0);
+
+  return (
+    <StatsContainer>
+      <BackLink type="button" onClick={() => navigate('/dashboard')}>← Back to dashboard</BackLink>
+
+      <LinkHeader>
+        <h1>{url.title || url.shortCode}</h1>
+        <div>
+          <strong>{url.shortUrl}</strong>{' '}
+          <RefreshButton
+            type="button"
+            onClick={copyShortUrl}
+            style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem', marginLeft: '0.5rem' }}
+          >
+            Copy
+          </RefreshButton>
+        </div>
+        <div style={{ marginTop: '0.5rem', fontSize: '0.875rem' }}>
+          → <a href={url.originalUrl} target="_blank" rel="noopener noreferrer">{url.originalUrl}</a>
+        </div>
+        {url.description && (
+          <p style={{ marginTop: '0.75rem', color: '#64748b', fontSize: '0.875rem' }}>{url.description}</p>
+        )}
+        <LinkMeta>
+          <span><StatusPill $active={url.isActive}>{url.isActive ? 'Active' : 'Inactive'}</StatusPill></span>
+          <span>Created <strong>{formatDate(url.createdAt)}</strong></span>
+          {url.expiresAt && <span>Expires <strong>{formatDate(url.expiresAt)}</strong></span>}
+          {url.maxClicks && <span>Click limit <strong>{url.clicks} / {url.maxClicks}</strong></span>}
+        </LinkMeta>
+      </LinkHeader>
+
+      <DateRangePicker value={range} onChange={setRange} />
+      <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
+        <ToggleLabel>
+          <input
+            type="checkbox"
+            checked={includeBots}
+            onChange={(e) => setIncludeBots(e.target.checked)}
+          />
+          Include bot and crawler traffic
+        </ToggleLabel>
+      </div>
+
+      <OverviewCards>
+        <OverviewCard>
+          <CardIcon>👆</CardIcon>
+          <div>
+            <CardTitle>Total Clicks</CardTitle>
+            <CardValue>{url.clicks}</CardValue>
+            {url.botClicks > 0 && (
+              <div style={{ fontSize: '0.75rem', color: '#94a3b8' }}>
+                plus {url.botClicks} bot clicks
+              </div>
+            )}
+          </div>
+        </OverviewCard>
+        <OverviewCard>
+          <CardIcon>🧑</CardIcon>
+          <div>
+            <CardTitle>Unique Visitors</CardTitle>
+            <CardValue>{url.uniqueVisitors || 0}</CardValue>
+          </div>
+        </OverviewCard>
+        <OverviewCard>
+          <CardIcon>📈</CardIcon>
+          <div>
+            <CardTitle>Clicks in Period</CardTitle>
+            <CardValue>{periodClicks}</CardValue>
+            <div style={{ fontSize: '0.75rem', color: '#94a3b8' }}>
+              {periodVisitors} visitors
+            </div>
+          </div>
+        </OverviewCard>
+      </OverviewCards>
+
+      <ChartsSection>
+        <WideChartCard>
+          <ChartTitle>Clicks Over Time</ChartTitle>
+          {clicksOverTime.length > 0 ? (
+            <ClicksOverTimeChart data={clicksOverTime} granularity={range.granularity} />
+          ) : (
+            <div style={emptyStyle}>No click data available for this period</div>
+          )}
+        </WideChartCard>
+
+        <ChartCard>
+          <ChartTitle>Clicks by Country</ChartTitle>
+          <ClicksBarChart data={clicksByCountry} color="#3b82f6" />
+        </ChartCard>
+
+        <ChartCard>
+          <ChartTitle>Traffic Sources</ChartTitle>
+          <ClicksBarChart data={clicksByReferer} color="#10b981" />
+        </ChartCard>
+
+        {variants.length > 0 && (
+          <WideChartCard>
+            <ChartTitle>A/B Split Test</ChartTitle>
+            <TableScroll>
+              <ClicksTable>
+                <thead>
+                  <tr>
+                    <th>Variant</th>
+                    <th>Traffic</th>
+                    <th>Clicks</th>
+                    <th>Visitors</th>
+                    <th>Conversions</th>
+                    <th>Conversion Rate</th>
+                    <th>Lift</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {variants.map(variant => (
+                    <tr key={variant.variantId}>
+                      <td>
+                        {variant.name}
+                        <small style={{ wordBreak: 'break-all' }}>{variant.destination}</small>
+                      </td>
+                      <td>{formatPercent(variant.share)}</td>
+                      <td>{variant.clicks.toLocaleString()}</td>
+                      <td>{variant.visitors.toLocaleString()}</td>
+                      <td>{variant.conversions.toLocaleString()}</td>
+                      <td>{formatPercent(variant.conversionRate)}</td>
+                      <td>{formatLift(variant)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </ClicksTable>
+            </TableScroll>
+          </WideChartCard>
+        )}
+
+        {clicksByRule.length > 1 && (
+          <WideChartCard>
+            <ChartTitle>Clicks by Targeting Rule</ChartTitle>
+            <TableScroll>
+              <ClicksTable>
+                <thead>
+                  <tr>
+                    <th>Rule</th>
+                    <th>Destination</th>
+                    <th>Clicks</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {clicksByRule.map(rule => (
+                    <tr key={rule.ruleId || rule.name}>
+                      <td>{rule.name}</td>
+                      <td style={{ wordBreak: 'break-all' }}>{rule.destination || '-'}</td>
+                      <td>
+                        {rule.clicks.toLocaleString()}
+                        <small>{periodClicks > 0 ? `${Math.round((rule.clicks / periodClicks) * 100)}%` : '-'}</small>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </ClicksTable>
+            </TableScroll>
+          </WideChartCard>
+        )}
+
+        <DeviceBreakdown urlId={urlId} includeBots={includeBots} from={rangeBounds.from} to={rangeBounds.to} />
+
+        <WideChartCard>
+          <ChartTitle>Recent Clicks</ChartTitle>
+          {recentClicks.length > 0 ? (
+            <TableScroll>
+              <ClicksTable>
+                <thead>
+                  <tr>
+                    <th>Time</th>
+                    <th>Location</th>
+                    <th>Referer</th>
+                    <th>Device</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recentClicks.map((click, index) => (
+                    <tr key={`${click.timestamp}-${index}`}>
+                      <td style={{ whiteSpace: 'nowrap' }}>{formatTime(click.timestamp)}</td>
+                      <td>
+                        {click.country}
+                        {click.city && click.city !== 'Unknown' && <small>{click.city}</small>}
+                      </td>
+                      <td style={{ wordBreak: 'break-all' }}>{click.referer}</td>
+                      <td>
+                        {click.browser || 'Unknown'} · {click.os || 'Unknown'}
+                        <small>
+                          {click.isBot
+                            ? `Bot (${BOT_REASON_LABELS[click.botReason] || 'crawler'})`
+                            : click.deviceType || 'Unknown device'}
+                        </small>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </ClicksTable>
+            </TableScroll>
+          ) : (
+            <div style={emptyStyle}>No clicks in this period</div>
+          )}
+        </WideChartCard>
+      </ChartsSection>
+    </StatsContainer>
+  );
+};
+
+export default UrlStatistics;
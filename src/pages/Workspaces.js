@@ -0,0 +1,370 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { workspaceService } from '../services/api';
+import DomainsCard from '../components/DomainsCard';
+import {
+  WorkspacesContainer,
+  WorkspacesHeader,
+  WorkspacesTitle,
+  WorkspacesSubtitle,
+  WorkspaceCard,
+  WorkspaceList,
+  WorkspaceRow,
+  RoleBadge,
+  InlineForm,
+  FormInput,
+  FormSelect,
+  PrimaryButton,
+  TextButton,
+  RowActions,
+  InviteLink,
+  EmptyText,
+  LoadingSpinner
+} from '../styles/WorkspacesStyles';
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+const Workspaces = () => {
+  const { user } = useAuth();
+  const { workspaces, currentWorkspace, isOwner, selectWorkspace, reloadWorkspaces } = useWorkspace();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [loadingMembers, setLoadingMembers] = useState(false);
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: 'viewer' });
+  const [inviteUrl, setInviteUrl] = useState('');
+  const [busy, setBusy] = useState(false);
+  const acceptedTokenRef = useRef(null);
+
+  const workspaceId = currentWorkspace?.id;
+
+  const loadMembers = useCallback(async () => {
+    if (!workspaceId) return;
+
+    try {
+      setLoadingMembers(true);
+      const response = await workspaceService.getWorkspace(workspaceId);
+      if (response.data.success) {
+        setMembers(response.data.data.members);
+      }
+
+      if (isOwner) {
+        const invitationsResponse = await workspaceService.getInvitations(workspaceId);
+        setInvitations(invitationsResponse.data.data.invitations);
+      } else {
+        setInvitations([]);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load workspace members');
+    } finally {
+      setLoadingMembers(false);
+    }
+  }, [workspaceId, isOwner]);
+
+  useEffect(() => {
+    setInviteUrl('');
+    loadMembers();
+  }, [loadMembers]);
+
+  // Accept an invitation opened from an email link (/workspaces?invite=<token>)
+  useEffect(() => {
+    const token = searchParams.get('invite');
+    if (!token || acceptedTokenRef.current === token) return;
+    acceptedTokenRef.current = token;
+
+    const acceptInvitation = async () => {
+      try {
+        const response = await workspaceService.acceptInvitation(token);
+        if (response.data.success) {
+          toast.success(response.data.message);
+          await reloadWorkspaces();
+          selectWorkspace(response.data.data.workspace.id);
+        }
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to accept invitation');
+      } finally {
+        setSearchParams({}, { replace: true });
+      }
+    };
+
+    acceptInvitation();
+  }, [searchParams, setSearchParams, reloadWorkspaces, selectWorkspace]);
+
+  // Run a workspace action, toasting its result
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      setBusy(true);
+      const response = await action();
+      if (response.data.success) {
+        toast.success(response.data.message);
+        return response.data.data || {};
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || fallbackMessage);
+    } finally {
+      setBusy(false);
+    }
+    return null;
+  };
+
+  const createWorkspace = async (e) => {
+    e.preventDefault();
+    if (!newWorkspaceName.trim()) return;
+
+    const data = await runAction(
+      () => workspaceService.createWorkspace({ name: newWorkspaceName.trim() }),
+      'Failed to create workspace'
+    );
+    if (data) {
+      setNewWorkspaceName('');
+      await reloadWorkspaces();
+      selectWorkspace(data.workspace.id);
+    }
+  };
+
+  const renameWorkspace = async () => {
+    const name = window.prompt('Workspace name', currentWorkspace.name);
+    if (!name || !name.trim() || name.trim() === currentWorkspace.name) return;
+
+    const data = await runAction(
+      () => workspaceService.updateWorkspace(workspaceId, { name: name.trim() }),
+      'Failed to rename workspace'
+    );
+    if (data) reloadWorkspaces();
+  };
+
+  const deleteWorkspace = async () => {
+    if (!window.confirm(`Delete the ${currentWorkspace.name} workspace?`)) return;
+
+    const data = await runAction(
+      () => workspaceService.deleteWorkspace(workspaceId),
+      'Failed to delete workspace'
+    );
+    if (data) reloadWorkspaces();
+  };
+
+  const changeRole = async (member, role) => {
+    const data = await runAction(
+      () => workspaceService.updateMemberRole(workspaceId, member.userId, role),
+      'Failed to update member role'
+    );
+    if (data) {
+      loadMembers();
+      if (member.userId === user._id) reloadWorkspaces();
+    }
+  };
+
+  const removeMember = async (member) => {
+    const isSelf = member.userId === user._id;
+    const question = isSelf
+      ? `Leave the ${currentWorkspace.name} workspace?`
+      : `Remove ${member.username} from this workspace?`;
+    if (!window.confirm(question)) return;
+
+    const data = await runAction(
+      () => workspaceService.removeMember(workspaceId, member.userId),
+      'Failed to remove member'
+    );
+    if (data) {
+      if (isSelf) {
+        reloadWorkspaces();
+      } else {
+        loadMembers();
+      }
+    }
+  };
+
+  const inviteMember = async (e) => {
+    e.preventDefault();
+    if (!invite.email.trim()) return;
+
+    const data = await runAction(
+      () => workspaceService.inviteMember(workspaceId, { email: invite.email.trim(), role: invite.role }),
+      'Failed to send invitation'
+    );
+    if (data) {
+      setInvite({ email: '', role: invite.role });
+      setInviteUrl(data.inviteUrl || '');
+      loadMembers();
+    }
+  };
+
+  const revokeInvitation = async (invitation) => {
+    const data = await runAction(
+      () => workspaceService.revokeInvitation(workspaceId, invitation._id),
+      'Failed to revoke invitation'
+    );
+    if (data) loadMembers();
+  };
+
+  return (
+    <WorkspacesContainer>
+      <WorkspacesHeader>
+        <WorkspacesTitle>Workspaces</WorkspacesTitle>
+        <WorkspacesSubtitle>Share links and analytics with your team</WorkspacesSubtitle>
+      </WorkspacesHeader>
+
+      <WorkspaceCard>
+        <h3>Your Workspaces</h3>
+        <WorkspaceList>
+          {workspaces.map(workspace => (
+            <WorkspaceRow key={workspace.id} $isCurrent={workspace.id === workspaceId}>
+              <div>
+                <strong>{workspace.name}</strong>
+                <small>
+                  {workspace.isPersonal ? 'Personal' : `${workspace.memberCount} members`}
+                </small>
+              </div>
+              <RowActions>
+                <RoleBadge $role={workspace.role}>{workspace.role}</RoleBadge>
+                {workspace.id === workspaceId ? (
+                  <TextButton type="button" disabled>Current</TextButton>
+                ) : (
+                  <TextButton type="button" onClick={() => selectWorkspace(workspace.id)}>
+                    Switch
+                  </TextButton>
+                )}
+              </RowActions>
+            </WorkspaceRow>
+          ))}
+        </WorkspaceList>
+
+        <InlineForm onSubmit={createWorkspace}>
+          <FormInput
+            type="text"
+            value={newWorkspaceName}
+            onChange={(e) => setNewWorkspaceName(e.target.value)}
+            placeholder="New workspace name"
+            maxLength="60"
+            aria-label="New workspace name"
+          />
+          <PrimaryButton type="submit" disabled={busy || !newWorkspaceName.trim()}>
+            Create Workspace
+          </PrimaryButton>
+        </InlineForm>
+      </WorkspaceCard>
+
+      {currentWorkspace && (
+        <WorkspaceCard>
+          <h3>{currentWorkspace.name} Members</h3>
+
+          {loadingMembers ? (
+            <LoadingSpinner>Loading members...</LoadingSpinner>
+          ) : (
+            <WorkspaceList>
+              {members.map(member => (
+                <WorkspaceRow key={member.userId}>
+                  <div>
+                    <strong>{member.username}</strong>
+                    {member.userId === user._id && ' (you)'}
+                    <small>{member.email}</small>
+                  </div>
+                  <RowActions>
+                    {isOwner && !currentWorkspace.isPersonal ? (
+                      <FormSelect
+                        value={member.role}
+                        onChange={(e) => changeRole(member, e.target.value)}
+                        disabled={busy}
+                        aria-label={`Role for ${member.username}`}
+                      >
+                        {ROLES.map(role => (
+                          <option key={role} value={role}>{role}</option>
+                        ))}
+                      </FormSelect>
+                    ) : (
+                      <RoleBadge $role={member.role}>{member.role}</RoleBadge>
+                    )}
+                    {!currentWorkspace.isPersonal && (isOwner || member.userId === user._id) && (
+                      <TextButton type="button" $danger onClick={() => removeMember(member)} disabled={busy}>
+                        {member.userId === user._id ? 'Leave' : 'Remove'}
+                      </TextButton>
+                    )}
+                  </RowActions>
+                </WorkspaceRow>
+              ))}
+            </WorkspaceList>
+          )}
+
+          {isOwner && !currentWorkspace.isPersonal && (
+            <>
+              <h4>Invite a teammate</h4>
+              <InlineForm onSubmit={inviteMember} style={{ marginTop: 0 }}>
+                <FormInput
+                  type="email"
+                  value={invite.email}
+                  onChange={(e) => setInvite(prev => ({ ...prev, email: e.target.value }))}
+                  placeholder="teammate@example.com"
+                  aria-label="Email address to invite"
+                />
+                <FormSelect
+                  value={invite.role}
+                  onChange={(e) => setInvite(prev => ({ ...prev, role: e.target.value }))}
+                  aria-label="Role for the invited teammate"
+                >
+                  <option value="viewer">viewer</option>
+                  <option value="editor">editor</option>
+                </FormSelect>
+                <PrimaryButton type="submit" disabled={busy || !invite.email.trim()}>
+                  Send Invitation
+                </PrimaryButton>
+              </InlineForm>
+              {inviteUrl && (
+                <InviteLink>
+                  Email is not configured on this server. Share this invitation link: {inviteUrl}
+                </InviteLink>
+              )}
+
+              <h4>Pending invitations</h4>
+              {invitations.length === 0 ? (
+                <EmptyText>No pending invitations.</EmptyText>
+              ) : (
+                <WorkspaceList>
+                  {invitations.map(invitation => (
+                    <WorkspaceRow key={invitation._id}>
+                      <div>
+                        <strong>{invitation.email}</strong>
+                        <small>
+                          Expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                        </small>
+                      </div>
+                      <RowActions>
+                        <RoleBadge $role={invitation.role}>{invitation.role}</RoleBadge>
+                        <TextButton type="button" $danger onClick={() => revokeInvitation(invitation)} disabled={busy}>
+                          Revoke
+                        </TextButton>
+                      </RowActions>
+                    </WorkspaceRow>
+                  ))}
+                </WorkspaceList>
+              )}
+
+              <h4>Settings</h4>
+              <RowActions>
+                <TextButton type="button" onClick={renameWorkspace} disabled={busy}>
+                  Rename Workspace
+                </TextButton>
+                <TextButton type="button" $danger onClick={deleteWorkspace} disabled={busy}>
+                  Delete Workspace
+                </TextButton>
+              </RowActions>
+            </>
+          )}
+
+          {currentWorkspace.isPersonal && (
+            <EmptyText style={{ marginTop: '1.5rem' }}>
+              Your personal workspace is private. Create a shared workspace to invite teammates.
+            </EmptyText>
+          )}
+        </WorkspaceCard>
+      )}
+
+      <DomainsCard />
+    </WorkspacesContainer>
+  );
+};
+
+export default Workspaces;
@@ -24,6 +24,41 @@ export const statsAPI = axios.create({
   },
 });
 
+export const workspaceAPI = axios.create({
+  baseURL: `${API_BASE_URL}/workspaces`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+export const apiKeyAPI = axios.create({
+  baseURL: `${API_BASE_URL}/api-keys`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+export const webhookAPI = axios.create({
+  baseURL: `${API_BASE_URL}/webhooks`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+export const domainAPI = axios.create({
+  baseURL: `${API_BASE_URL}/domains`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+export const utmPresetAPI = axios.create({
+  baseURL: `${API_BASE_URL}/utm-presets`,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
 // Request interceptor to add auth token
 const addAuthToken = (config) => {
   const token = localStorage.getItem('token');
@@ -33,6 +68,15 @@ const addAuthToken = (config) => {
   return config;
 };
 
+// Request interceptor to scope URL, stats, webhook and domain calls to the selected workspace
+const addWorkspaceHeader = (config) => {
+  const workspaceId = localStorage.getItem('workspaceId');
+  if (workspaceId) {
+    config.headers['X-Workspace-Id'] = workspaceId;
+  }
+  return config;
+};
+
 // Response interceptor for error handling
 const handleResponseError = (error) => {
   if (error.response?.status === 401) {
@@ -44,7 +88,7 @@ const handleResponseError = (error) => {
 };
 
 // Add interceptors to all API instances
-[authAPI, urlAPI, statsAPI].forEach(api => {
+[authAPI, urlAPI, statsAPI, workspaceAPI, apiKeyAPI, webhookAPI, domainAPI, utmPresetAPI].forEach(api => {
   api.interceptors.request.use(addAuthToken);
   api.interceptors.response.use(
     response => response,
@@ -52,6 +96,84 @@ const handleResponseError = (error) => {
   );
 });
 
+[urlAPI, statsAPI, webhookAPI, domainAPI].forEach(api => {
+  api.interceptors.request.use(addWorkspaceHeader);
+});
+
+const STREAM_RETRY_MS = 5000;
+
+// Parse one Server-Sent Events message into { event, data }
+const parseStreamMessage = (message) => {
+  let event = 'message';
+  const data = [];
+  message.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  });
+  return { event, data: data.join('\n') };
+};
+
+// Follow the live click stream of the selected workspace. fetch is used
+// instead of EventSource so the token can be sent in the Authorization
+// header. Dropped connections are retried; returns a function that closes
+// the stream.
+const streamClicks = (onClick, { onStatus } = {}) => {
+  let controller = null;
+  let retryTimer = null;
+  let closed = false;
+
+  const connect = async () => {
+    controller = new AbortController();
+    const headers = { Accept: 'text/event-stream' };
+    const token = localStorage.getItem('token');
+    const workspaceId = localStorage.getItem('workspaceId');
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (workspaceId) headers['X-Workspace-Id'] = workspaceId;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/stats/stream`, { headers, signal: controller.signal });
+      if (response.status === 401) {
+        handleResponseError({ response });
+        return;
+      }
+      if (!response.ok) throw new Error(`Click stream failed with status ${response.status}`);
+
+      onStatus?.('live');
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const { event, data } = parseStreamMessage(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          if (event === 'click') onClick(JSON.parse(data));
+        }
+      }
+    } catch (error) {
+      if (closed) return;
+      console.error('Click stream error:', error);
+    }
+
+    if (!closed) {
+      onStatus?.('reconnecting');
+      retryTimer = setTimeout(connect, STREAM_RETRY_MS);
+    }
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    controller?.abort();
+  };
+};
+
 // URL API functions
 export const urlService = {
   // Create short URL
@@ -69,6 +191,23 @@ export const urlService = {
   // Delete URL
   deleteUrl: (urlId) => urlAPI.delete(`/${urlId}`),
   
+  // Get destination revision history
+  getUrlRevisions: (urlId) => urlAPI.get(`/${urlId}/revisions`),
+  
+  // Restore the destination replaced by a revision
+  rollbackUrl: (urlId, revisionId) => urlAPI.post(`/${urlId}/revisions/${revisionId}/rollback`),
+  
+  // Download QR code image for a URL
+  getQRCode: (urlId, params) => urlAPI.get(`/${urlId}/qr`, { params, responseType: 'blob' }),
+  
+  // Bulk shorten from CSV text or an array of row objects
+  bulkShorten: (data) => (typeof data === 'string'
+    ? urlAPI.post('/bulk/shorten', data, { headers: { 'Content-Type': 'text/csv' } })
+    : urlAPI.post('/bulk/shorten', { rows: data })),
+  
+  // Download all of the user's URLs as CSV or NDJSON
+  exportUrls: (params) => urlAPI.get('/export', { params, responseType: 'blob' }),
+  
   // Bulk delete URLs
   bulkDeleteUrls: (urlIds) => urlAPI.delete('/bulk/delete', { data: { urlIds } }),
   
@@ -78,14 +217,131 @@ export const urlService = {
 
 // Statistics API functions
 export const statsService = {
-  // Get overview statistics
-  getOverview: () => statsAPI.get('/overview'),
+  // Get overview statistics. Pass { includeBots: true } to count bot traffic
+  getOverview: (params) => statsAPI.get('/overview', { params }),
   
   // Get URL-specific statistics
-  getUrlStats: (urlId) => statsAPI.get(`/url/${urlId}`),
+  getUrlStats: (urlId, params) => statsAPI.get(`/url/${urlId}`, { params }),
+  
+  // Get device, browser and OS breakdowns for the workspace
+  getDeviceStats: (params) => statsAPI.get('/devices', { params }),
+  
+  // Get device, browser and OS breakdowns for one URL
+  getUrlDeviceStats: (urlId, params) => statsAPI.get(`/url/${urlId}/devices`, { params }),
   
   // Get real-time analytics
-  getRealtimeStats: () => statsAPI.get('/realtime'),
+  getRealtimeStats: (params) => statsAPI.get('/realtime', { params }),
+  
+  // Follow clicks live as they happen; returns a function that stops
+  streamClicks,
+  
+  // Download raw click events as CSV or NDJSON
+  exportClicks: (params) => statsAPI.get('/clicks/export', { params, responseType: 'blob' }),
+  
+  // Get clicks grouped by UTM campaign, source or medium
+  getCampaignStats: (params) => statsAPI.get('/campaigns', { params }),
+};
+
+// Workspace API functions
+export const workspaceService = {
+  // List workspaces the user belongs to
+  getWorkspaces: () => workspaceAPI.get('/'),
+  
+  // Create a shared workspace
+  createWorkspace: (data) => workspaceAPI.post('/', data),
+  
+  // Get workspace details and members
+  getWorkspace: (workspaceId) => workspaceAPI.get(`/${workspaceId}`),
+  
+  // Rename workspace
+  updateWorkspace: (workspaceId, data) => workspaceAPI.put(`/${workspaceId}`, data),
+  
+  // Delete an empty workspace
+  deleteWorkspace: (workspaceId) => workspaceAPI.delete(`/${workspaceId}`),
+  
+  // Change a member's role
+  updateMemberRole: (workspaceId, userId, role) => workspaceAPI.put(`/${workspaceId}/members/${userId}`, { role }),
+  
+  // Remove a member (or leave when removing yourself)
+  removeMember: (workspaceId, userId) => workspaceAPI.delete(`/${workspaceId}/members/${userId}`),
+  
+  // Get pending invitations
+  getInvitations: (workspaceId) => workspaceAPI.get(`/${workspaceId}/invitations`),
+  
+  // Invite someone by email
+  inviteMember: (workspaceId, data) => workspaceAPI.post(`/${workspaceId}/invitations`, data),
+  
+  // Revoke a pending invitation
+  revokeInvitation: (workspaceId, invitationId) => workspaceAPI.delete(`/${workspaceId}/invitations/${invitationId}`),
+  
+  // Accept an invitation token from an email link
+  acceptInvitation: (token) => workspaceAPI.post('/invitations/accept', { token }),
+};
+
+// API key functions
+export const apiKeyService = {
+  // List active API keys
+  getApiKeys: () => apiKeyAPI.get('/'),
+  
+  // Create an API key (the key is only returned once)
+  createApiKey: (data) => apiKeyAPI.post('/', data),
+  
+  // Revoke an API key
+  revokeApiKey: (apiKeyId) => apiKeyAPI.delete(`/${apiKeyId}`),
+};
+
+// Webhook API functions (scoped to the selected workspace)
+export const webhookService = {
+  // List webhooks and the events they can subscribe to
+  getWebhooks: () => webhookAPI.get('/'),
+  
+  // Create a webhook (the signing secret is only returned once)
+  createWebhook: (data) => webhookAPI.post('/', data),
+  
+  // Update a webhook
+  updateWebhook: (webhookId, data) => webhookAPI.put(`/${webhookId}`, data),
+  
+  // Delete a webhook
+  deleteWebhook: (webhookId) => webhookAPI.delete(`/${webhookId}`),
+  
+  // Replace the signing secret
+  rotateSecret: (webhookId) => webhookAPI.post(`/${webhookId}/rotate-secret`),
+  
+  // Queue a ping event
+  testWebhook: (webhookId) => webhookAPI.post(`/${webhookId}/test`),
+  
+  // Get recent deliveries
+  getDeliveries: (webhookId) => webhookAPI.get(`/${webhookId}/deliveries`),
+  
+  // Send a logged event again
+  redeliver: (webhookId, deliveryId) => webhookAPI.post(`/${webhookId}/deliveries/${deliveryId}/redeliver`),
+};
+
+// Custom domain API functions (scoped to the selected workspace)
+export const domainService = {
+  // List custom domains
+  getDomains: () => domainAPI.get('/'),
+  
+  // Add a custom domain
+  addDomain: (hostname) => domainAPI.post('/', { hostname }),
+  
+  // Check the DNS TXT record and verify the domain
+  verifyDomain: (domainId) => domainAPI.post(`/${domainId}/verify`),
+  
+  // Remove a custom domain
+  deleteDomain: (domainId) => domainAPI.delete(`/${domainId}`),
+};
+
+// UTM preset API functions
+export const utmPresetService = {
+  // List saved UTM presets
+  getPresets: () => utmPresetAPI.get('/'),
+  
+  // Save a preset (replaces one with the same name)
+  savePreset: (data) => utmPresetAPI.post('/', data),
+  
+  // Delete a preset
+  deletePreset: (presetId) => utmPresetAPI.delete(`/${presetId}`),
 };
 
 // Auth API functions
@@ -107,7 +363,17 @@ export default {
   authAPI,
   urlAPI,
   statsAPI,
+  workspaceAPI,
+  apiKeyAPI,
+  webhookAPI,
+  domainAPI,
+  utmPresetAPI,
   urlService,
   statsService,
+  workspaceService,
+  apiKeyService,
+  webhookService,
+  domainService,
+  utmPresetService,
   authService,
 };
@@ -95,6 +95,26 @@ export const UserMenu = styled.div`
   position: relative;
 `;
 
+export const WorkspaceSelect = styled.select`
+  padding: 0.5rem 0.75rem;
+  background: #f8fafc;
+  border: 1px solid #e2e8f0;
+  border-radius: 0.5rem;
+  color: #1e293b;
+  font-weight: 500;
+  max-width: 12rem;
+  cursor: pointer;
+
+  &:focus {
+    outline: none;
+    border-color: #3b82f6;
+  }
+
+  @media (max-width: 768px) {
+    max-width: 8rem;
+  }
+`;
+
 export const UserButton = styled.button`
   display: flex;
   align-items: center;
@@ -239,3 +239,163 @@ export const ErrorMessage = styled.div`
   font-weight: 500;
   text-align: center;
 `;
+
+export const FormSelect = styled.select`
+  padding: 0.875rem 1rem;
+  border: 2px solid #e5e7eb;
+  border-radius: 0.5rem;
+  font-size: 1rem;
+  background: white;
+  cursor: pointer;
+
+  &:focus {
+    outline: none;
+    border-color: #3b82f6;
+    box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+  }
+`;
+
+export const KeyList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+  margin-top: 2rem;
+`;
+
+export const KeyItem = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+  padding: 1rem;
+  border: 1px solid #e2e8f0;
+  border-radius: 0.5rem;
+  background: #f8fafc;
+
+  code {
+    font-size: 0.8125rem;
+    color: #475569;
+  }
+
+  @media (max-width: 640px) {
+    flex-direction: column;
+    align-items: stretch;
+  }
+`;
+
+export const KeyMeta = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.25rem 1rem;
+  margin-top: 0.375rem;
+  font-size: 0.75rem;
+  color: #64748b;
+`;
+
+export const NewKeyBanner = styled.div`
+  margin-top: 1.5rem;
+  padding: 1rem;
+  background: #f0fdf4;
+  border: 1px solid #bbf7d0;
+  border-radius: 0.5rem;
+  font-size: 0.875rem;
+  color: #166534;
+
+  code {
+    display: block;
+    margin: 0.75rem 0;
+    padding: 0.75rem;
+    background: white;
+    border: 1px solid #bbf7d0;
+    border-radius: 0.375rem;
+    font-size: 0.875rem;
+    color: #1e293b;
+    word-break: break-all;
+  }
+`;
+
+export const EventOptions = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+  gap: 0.5rem;
+
+  label {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+    font-size: 0.875rem;
+    color: #374151;
+    cursor: pointer;
+  }
+
+  code {
+    font-size: 0.8125rem;
+  }
+`;
+
+export const DeliveryList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+  margin-top: 0.75rem;
+  max-height: 320px;
+  overflow-y: auto;
+`;
+
+export const DeliveryItem = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+  padding: 0.5rem 0.75rem;
+  border: 1px solid #e2e8f0;
+  border-radius: 0.375rem;
+  background: white;
+  font-size: 0.8125rem;
+  color: #475569;
+
+  small {
+    display: block;
+    color: #94a3b8;
+  }
+`;
+
+export const StatusBadge = styled.span`
+  display: inline-block;
+  padding: 0.125rem 0.5rem;
+  border-radius: 9999px;
+  font-size: 0.75rem;
+  font-weight: 600;
+  text-transform: capitalize;
+  background: ${props => ({
+    success: '#dcfce7',
+    failed: '#fee2e2',
+    inactive: '#f1f5f9'
+  }[props.$status] || '#fef9c3')};
+  color: ${props => ({
+    success: '#166534',
+    failed: '#991b1b',
+    inactive: '#64748b'
+  }[props.$status] || '#854d0e')};
+`;
+
+export const TextButton = styled.button`
+  padding: 0.375rem 0.75rem;
+  border: 1px solid #e2e8f0;
+  border-radius: 0.375rem;
+  background: white;
+  color: ${props => props.$danger ? '#dc2626' : '#334155'};
+  font-size: 0.8125rem;
+  font-weight: 500;
+  cursor: pointer;
+  white-space: nowrap;
+
+  &:hover:not(:disabled) {
+    background: #f1f5f9;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
@@ -258,3 +258,141 @@ export const RefreshButton = styled.button`
     transform: translateY(-1px);
   }
 `;
+
+export const ExportBar = styled.div`
+  display: flex;
+  justify-content: center;
+  align-items: flex-end;
+  gap: 1rem;
+  flex-wrap: wrap;
+  margin-top: 1.5rem;
+
+  label {
+    display: flex;
+    flex-direction: column;
+    gap: 0.25rem;
+    font-size: 0.75rem;
+    font-weight: 600;
+    color: #64748b;
+    text-align: left;
+  }
+
+  input {
+    padding: 0.5rem 0.75rem;
+    border: 2px solid #e5e7eb;
+    border-radius: 0.5rem;
+    font-size: 0.875rem;
+
+    &:focus {
+      outline: none;
+      border-color: #3b82f6;
+    }
+  }
+`;
+
+export const RangeBar = styled(ExportBar)`
+  select {
+    padding: 0.5rem 0.75rem;
+    border: 2px solid #e5e7eb;
+    border-radius: 0.5rem;
+    font-size: 0.875rem;
+    background: white;
+
+    &:focus {
+      outline: none;
+      border-color: #3b82f6;
+    }
+  }
+`;
+
+export const ToggleLabel = styled.label`
+  display: inline-flex;
+  align-items: center;
+  gap: 0.5rem;
+  margin: 1rem 0.75rem 0;
+  font-size: 0.875rem;
+  color: #64748b;
+  cursor: pointer;
+
+  input {
+    width: 1rem;
+    height: 1rem;
+    cursor: pointer;
+  }
+`;
+
+export const ChartTitleRow = styled(ChartTitle)`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+
+  select {
+    padding: 0.375rem 0.5rem;
+    border: 2px solid #e5e7eb;
+    border-radius: 0.5rem;
+    font-size: 0.875rem;
+    font-weight: 400;
+    color: #374151;
+    background: white;
+  }
+`;
+
+export const Delta = styled.span`
+  margin-left: 0.375rem;
+  font-size: 0.75rem;
+  font-weight: 600;
+  white-space: nowrap;
+  color: ${props => ({ up: '#16a34a', down: '#dc2626' }[props.$trend] || '#64748b')};
+`;
+
+export const LiveCard = styled(ChartCard)`
+  grid-column: 1 / -1;
+`;
+
+export const LiveStatus = styled.span`
+  display: inline-flex;
+  align-items: center;
+  gap: 0.375rem;
+  font-size: 0.75rem;
+  font-weight: 600;
+  color: ${props => (props.$live ? '#16a34a' : '#64748b')};
+
+  &::before {
+    content: '';
+    width: 0.5rem;
+    height: 0.5rem;
+    border-radius: 50%;
+    background: ${props => (props.$live ? '#22c55e' : '#cbd5e1')};
+  }
+`;
+
+export const LiveLayout = styled.div`
+  display: grid;
+  grid-template-columns: 2fr 1fr;
+  gap: 1.5rem;
+
+  @media (max-width: 900px) {
+    grid-template-columns: 1fr;
+  }
+`;
+
+export const TickerList = styled.ul`
+  list-style: none;
+  margin: 0;
+  padding: 0;
+  max-height: 240px;
+  overflow-y: auto;
+`;
+
+export const TickerItem = styled.li`
+  padding: 0.5rem 0;
+  border-bottom: 1px solid #f1f5f9;
+  font-size: 0.875rem;
+  color: #1e293b;
+
+  small {
+    display: block;
+    color: #94a3b8;
+  }
+`;
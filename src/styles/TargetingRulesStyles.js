@@ -0,0 +1,70 @@
+import styled from 'styled-components';
+import { UtmBody, UtmGrid, UtmButton } from './UtmBuilderStyles';
+
+export const RulesBody = styled(UtmBody)`
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+`;
+
+export const RulesHint = styled.p`
+  margin: 0;
+  font-size: 0.8125rem;
+  color: #64748b;
+`;
+
+export const RuleCard = styled.div`
+  padding: 0.875rem;
+  background: white;
+  border: 1px solid #e2e8f0;
+  border-radius: 0.5rem;
+`;
+
+export const RuleHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 0.5rem;
+  margin-bottom: 0.75rem;
+
+  strong {
+    font-size: 0.875rem;
+    color: #1e293b;
+  }
+
+  div {
+    display: flex;
+    gap: 0.25rem;
+  }
+`;
+
+export const RuleGrid = styled(UtmGrid)`
+  margin-bottom: 0.75rem;
+`;
+
+export const RuleButton = styled(UtmButton)`
+  padding: 0.25rem 0.5rem;
+`;
+
+export const ChoiceGroup = styled.fieldset`
+  margin: 0 0 0.75rem;
+  padding: 0;
+  border: none;
+
+  legend {
+    font-size: 0.75rem;
+    font-weight: 600;
+    color: #475569;
+    margin-bottom: 0.25rem;
+  }
+
+  label {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.25rem;
+    margin-right: 0.75rem;
+    font-size: 0.8125rem;
+    color: #334155;
+    cursor: pointer;
+  }
+`;
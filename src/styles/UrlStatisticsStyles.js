@@ -0,0 +1,100 @@
+import styled from 'styled-components';
+import { ChartCard } from './StatisticsStyles';
+
+export const BackLink = styled.button`
+  background: none;
+  border: none;
+  padding: 0;
+  margin-bottom: 1.5rem;
+  color: #3b82f6;
+  font-size: 0.875rem;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:hover {
+    text-decoration: underline;
+  }
+`;
+
+export const LinkHeader = styled.div`
+  background: white;
+  border-radius: 1rem;
+  padding: 2rem;
+  margin-bottom: 2rem;
+  box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+
+  h1 {
+    font-size: 1.75rem;
+    font-weight: 700;
+    color: #1e293b;
+    margin-bottom: 0.5rem;
+    word-break: break-word;
+  }
+
+  a {
+    color: #3b82f6;
+    word-break: break-all;
+  }
+
+  @media (max-width: 640px) {
+    padding: 1.5rem;
+  }
+`;
+
+export const LinkMeta = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem 1.5rem;
+  margin-top: 1rem;
+  font-size: 0.875rem;
+  color: #64748b;
+
+  strong {
+    color: #1e293b;
+  }
+`;
+
+export const StatusPill = styled.span`
+  padding: 0.125rem 0.5rem;
+  border-radius: 0.25rem;
+  font-size: 0.75rem;
+  font-weight: 600;
+  background: ${props => (props.$active ? '#dcfce7' : '#fef2f2')};
+  color: ${props => (props.$active ? '#166534' : '#dc2626')};
+`;
+
+export const WideChartCard = styled(ChartCard)`
+  grid-column: 1 / -1;
+`;
+
+export const ClicksTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.875rem;
+
+  th {
+    text-align: left;
+    padding: 0.5rem 0.75rem;
+    color: #64748b;
+    font-weight: 600;
+    border-bottom: 2px solid #e2e8f0;
+    white-space: nowrap;
+  }
+
+  td {
+    padding: 0.5rem 0.75rem;
+    color: #1e293b;
+    border-bottom: 1px solid #f1f5f9;
+    vertical-align: top;
+  }
+
+  small {
+    display: block;
+    color: #94a3b8;
+  }
+`;
+
+export const TableScroll = styled.div`
+  overflow-x: auto;
+`;
@@ -0,0 +1,108 @@
+import styled from 'styled-components';
+
+export const UtmSection = styled.div`
+  margin-bottom: 1.5rem;
+  border: 1px solid #e5e7eb;
+  border-radius: 0.5rem;
+  background: #f8fafc;
+  text-align: left;
+`;
+
+export const UtmToggle = styled.button`
+  width: 100%;
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 0.875rem 1rem;
+  border: none;
+  background: none;
+  font-weight: 600;
+  font-size: 0.875rem;
+  color: #374151;
+  cursor: pointer;
+
+  small {
+    font-weight: 400;
+    color: #64748b;
+  }
+`;
+
+export const UtmBody = styled.div`
+  padding: 0 1rem 1rem;
+`;
+
+export const UtmGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+  gap: 0.75rem;
+
+  label {
+    display: block;
+    font-size: 0.75rem;
+    font-weight: 600;
+    color: #475569;
+    margin-bottom: 0.25rem;
+  }
+`;
+
+export const UtmInput = styled.input`
+  width: 100%;
+  padding: 0.5rem 0.75rem;
+  border: 1px solid #d1d5db;
+  border-radius: 0.375rem;
+  font-size: 0.875rem;
+  background: white;
+
+  &:focus {
+    border-color: #3b82f6;
+    outline: none;
+  }
+`;
+
+export const UtmPresetBar = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+  margin-bottom: 0.75rem;
+
+  select {
+    flex: 1;
+    min-width: 160px;
+    padding: 0.5rem 0.75rem;
+    border: 1px solid #d1d5db;
+    border-radius: 0.375rem;
+    font-size: 0.875rem;
+    background: white;
+  }
+`;
+
+export const UtmButton = styled.button`
+  padding: 0.5rem 0.75rem;
+  border: 1px solid #d1d5db;
+  border-radius: 0.375rem;
+  background: white;
+  color: ${props => (props.$danger ? '#dc2626' : '#334155')};
+  font-size: 0.8125rem;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background: #f1f5f9;
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+export const UtmPreview = styled.div`
+  margin-top: 0.75rem;
+  padding: 0.5rem 0.75rem;
+  background: white;
+  border: 1px dashed #cbd5e1;
+  border-radius: 0.375rem;
+  font-size: 0.8125rem;
+  color: #475569;
+  word-break: break-all;
+`;
@@ -0,0 +1,238 @@
+import styled from 'styled-components';
+
+export const WorkspacesContainer = styled.div`
+  max-width: 900px;
+  margin: 0 auto;
+  padding: 2rem 1rem;
+
+  @media (min-width: 640px) {
+    padding: 2rem 1.5rem;
+  }
+
+  @media (min-width: 1024px) {
+    padding: 2rem 2rem;
+  }
+`;
+
+export const WorkspacesHeader = styled.div`
+  margin-bottom: 3rem;
+  text-align: center;
+`;
+
+export const WorkspacesTitle = styled.h1`
+  font-size: 2.5rem;
+  font-weight: 700;
+  color: #1e293b;
+  margin-bottom: 0.5rem;
+
+  @media (max-width: 768px) {
+    font-size: 2rem;
+  }
+`;
+
+export const WorkspacesSubtitle = styled.p`
+  font-size: 1.125rem;
+  color: #64748b;
+  max-width: 600px;
+  margin: 0 auto;
+`;
+
+export const WorkspaceCard = styled.div`
+  background: white;
+  border-radius: 1rem;
+  padding: 2rem;
+  box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06);
+  border: 1px solid #e2e8f0;
+  margin-bottom: 2rem;
+
+  h3 {
+    margin-bottom: 1.5rem;
+    color: #1e293b;
+    font-size: 1.25rem;
+    font-weight: 600;
+  }
+
+  h4 {
+    margin: 2rem 0 1rem;
+    color: #1e293b;
+    font-size: 1rem;
+    font-weight: 600;
+  }
+
+  @media (max-width: 640px) {
+    padding: 1.5rem;
+  }
+`;
+
+export const WorkspaceList = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+`;
+
+export const WorkspaceRow = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 1rem;
+  padding: 0.875rem 1rem;
+  border: 1px solid ${props => (props.$isCurrent ? '#3b82f6' : '#e2e8f0')};
+  border-radius: 0.5rem;
+  background: ${props => (props.$isCurrent ? '#eff6ff' : '#f8fafc')};
+  font-size: 0.875rem;
+  color: #374151;
+
+  small {
+    display: block;
+    color: #64748b;
+    margin-top: 0.125rem;
+  }
+
+  @media (max-width: 640px) {
+    flex-direction: column;
+    align-items: stretch;
+  }
+`;
+
+export const RoleBadge = styled.span`
+  padding: 0.25rem 0.5rem;
+  border-radius: 0.25rem;
+  font-size: 0.75rem;
+  font-weight: 600;
+  text-transform: capitalize;
+  background: ${props => (props.$role === 'owner' ? '#dbeafe' : props.$role === 'editor' ? '#dcfce7' : '#f1f5f9')};
+  color: ${props => (props.$role === 'owner' ? '#1d4ed8' : props.$role === 'editor' ? '#166534' : '#475569')};
+`;
+
+export const InlineForm = styled.form`
+  display: flex;
+  gap: 0.75rem;
+  flex-wrap: wrap;
+  margin-top: 1.5rem;
+`;
+
+export const FormInput = styled.input`
+  flex: 1;
+  min-width: 12rem;
+  padding: 0.75rem 1rem;
+  border: 2px solid #e5e7eb;
+  border-radius: 0.5rem;
+  font-size: 0.875rem;
+  background: white;
+
+  &:focus {
+    outline: none;
+    border-color: #3b82f6;
+    box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+  }
+`;
+
+export const FormSelect = styled.select`
+  padding: 0.5rem 0.75rem;
+  border: 2px solid #e5e7eb;
+  border-radius: 0.5rem;
+  font-size: 0.875rem;
+  background: white;
+  cursor: pointer;
+
+  &:focus {
+    outline: none;
+    border-color: #3b82f6;
+  }
+`;
+
+export const PrimaryButton = styled.button`
+  padding: 0.75rem 1.25rem;
+  background: linear-gradient(135deg, #3b82f6, #1d4ed8);
+  color: white;
+  border: none;
+  border-radius: 0.5rem;
+  font-size: 0.875rem;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:hover:not(:disabled) {
+    transform: translateY(-1px);
+    box-shadow: 0 10px 25px -5px rgba(59, 130, 246, 0.4);
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+export const TextButton = styled.button`
+  padding: 0.5rem 0.75rem;
+  background: white;
+  border: 1px solid ${props => (props.$danger ? '#fecaca' : '#e2e8f0')};
+  border-radius: 0.375rem;
+  color: ${props => (props.$danger ? '#dc2626' : '#374151')};
+  font-size: 0.75rem;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    border-color: ${props => (props.$danger ? '#dc2626' : '#3b82f6')};
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+export const RowActions = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  flex-wrap: wrap;
+`;
+
+export const InviteLink = styled.div`
+  margin-top: 1rem;
+  padding: 0.75rem 1rem;
+  background: #fffbeb;
+  border: 1px solid #fde68a;
+  border-radius: 0.5rem;
+  font-size: 0.8125rem;
+  color: #92400e;
+  word-break: break-all;
+`;
+
+export const EmptyText = styled.p`
+  color: #64748b;
+  font-size: 0.875rem;
+`;
+
+export const LoadingSpinner = styled.div`
+  text-align: center;
+  padding: 2rem;
+  color: #64748b;
+`;
+
+export const DomainStatus = styled.span`
+  padding: 0.25rem 0.5rem;
+  border-radius: 0.25rem;
+  font-size: 0.75rem;
+  font-weight: 600;
+  background: ${props => (props.$verified ? '#dcfce7' : '#fef9c3')};
+  color: ${props => (props.$verified ? '#166534' : '#854d0e')};
+`;
+
+export const DnsRecord = styled.div`
+  margin-top: 0.5rem;
+  font-size: 0.8125rem;
+  color: #475569;
+
+  code {
+    display: block;
+    margin-top: 0.25rem;
+    padding: 0.375rem 0.5rem;
+    background: white;
+    border: 1px solid #e2e8f0;
+    border-radius: 0.25rem;
+    word-break: break-all;
+  }
+`;
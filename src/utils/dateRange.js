@@ -0,0 +1,58 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Quick ranges offered by the date-range picker, each with the granularity
+// it starts with
+export const RANGE_PRESETS = {
+  '24h': { label: 'Last 24 hours', ms: DAY_MS, granularity: 'hour' },
+  '7d': { label: 'Last 7 days', ms: 7 * DAY_MS, granularity: 'day' },
+  '30d': { label: 'Last 30 days', ms: 30 * DAY_MS, granularity: 'day' },
+  '90d': { label: 'Last 90 days', ms: 90 * DAY_MS, granularity: 'week' },
+  '365d': { label: 'Last 12 months', ms: 365 * DAY_MS, granularity: 'month' },
+  custom: { label: 'Custom range', granularity: 'day' }
+};
+
+export const GRANULARITY_LABELS = {
+  hour: 'Hourly',
+  day: 'Daily',
+  week: 'Weekly',
+  month: 'Monthly'
+};
+
+// Stats are bucketed in the browser's time zone
+export const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Turn a picker value ({ preset, from, to } with YYYY-MM-DD custom days) into
+// the from/to instants the stats API expects. Missing ends are left out.
+export const getRangeBounds = ({ preset, from, to }) => {
+  if (preset !== 'custom') {
+    const end = new Date();
+    return {
+      from: new Date(end.getTime() - RANGE_PRESETS[preset].ms).toISOString(),
+      to: end.toISOString()
+    };
+  }
+
+  // Custom days are local days; send the full day range as UTC instants
+  const bounds = {};
+  if (from) bounds.from = new Date(`${from}T00:00:00`).toISOString();
+  if (to) bounds.to = new Date(`${to}T23:59:59.999`).toISOString();
+  return bounds;
+};
+
+// Label a time series period returned by the stats API
+export const formatPeriod = (period, granularity) => {
+  switch (granularity) {
+    case 'hour':
+      return new Date(period).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric' });
+    case 'week':
+      return period.replace('-W', ' wk ');
+    case 'month': {
+      const [year, month] = period.split('-');
+      return new Date(year, month - 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+    default: {
+      const [year, month, day] = period.split('-');
+      return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
+  }
+};
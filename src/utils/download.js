@@ -0,0 +1,30 @@
+// Save a Blob to disk through a temporary link
+export const downloadBlob = (blob, filename) => {
+  const objectUrl = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(objectUrl);
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from a header row and an array of value arrays
+export const toCsv = (headers, rows) => {
+  return [headers, ...rows]
+    .map(values => values.map(escapeCsvValue).join(','))
+    .join('\r\n');
+};